@@ -0,0 +1,74 @@
+// The Express app: request logging, CORS, /metrics and the REST API
+
+const crypto = require('crypto');
+const express = require('express');
+const cors = require('cors');
+const { requireAuth } = require('./auth');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { logger } = require('./logger');
+const sessionRoutes = require('./routes/sessions');
+const fileRoutes = require('./routes/files');
+const recordingRoutes = require('./routes/recordings');
+const volumeRoutes = require('./routes/volumes');
+const imageRoutes = require('./routes/images');
+const accountRoutes = require('./routes/account');
+const execRoutes = require('./routes/exec');
+const adminRoutes = require('./routes/admin');
+
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+// ctx carries config, authenticator, metrics and everything the routes use
+function createApp(ctx) {
+    const { config, authenticator, metrics } = ctx;
+    const app = express();
+
+    // Tag every request with an id (the caller's X-Request-Id if it sent a
+    // sane one), echo it back, and log the request once it completes
+    app.use((req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        const finishRequest = metrics.trackRequest(req.method);
+        const start = process.hrtime.bigint();
+
+        req.id = requestId;
+        req.log = logger.child({ requestId });
+        res.set('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            finishRequest(res.statusCode);
+            req.log.info('Request completed', {
+                method: req.method,
+                path: req.path,
+                status: res.statusCode,
+                durationMs: Number(process.hrtime.bigint() - start) / 1e6
+            });
+        });
+        next();
+    });
+
+    app.use(cors({ origin: config.corsOrigins, exposedHeaders: ['X-Request-Id'] }));
+    app.use(express.json());
+
+    app.get('/metrics', (req, res) => {
+        if (config.metricsToken && req.get('Authorization') !== `Bearer ${config.metricsToken}`) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        res.type(METRICS_CONTENT_TYPE).send(metrics.registry.render());
+    });
+
+    app.use('/api', requireAuth(authenticator));
+    app.use('/api', sessionRoutes(ctx));
+    app.use('/api', fileRoutes(ctx));
+    app.use('/api', recordingRoutes(ctx));
+    app.use('/api', volumeRoutes(ctx));
+    app.use('/api', imageRoutes(ctx));
+    app.use('/api', accountRoutes(ctx));
+    app.use('/api', execRoutes(ctx));
+    app.use('/api', adminRoutes(ctx));
+
+    return app;
+}
+
+module.exports = {
+    createApp
+};
@@ -0,0 +1,24 @@
+// Helpers for building tar archives for the Docker archive API.
+
+const tar = require('tar-stream');
+
+// Pack in-memory files into a tar archive buffer
+function packFiles(files) {
+    return new Promise((resolve, reject) => {
+        const pack = tar.pack();
+        const chunks = [];
+
+        pack.on('data', chunk => chunks.push(chunk));
+        pack.on('end', () => resolve(Buffer.concat(chunks)));
+        pack.on('error', reject);
+
+        for (const { name, content, mode = 0o644 } of files) {
+            pack.entry({ name, mode }, content);
+        }
+        pack.finalize();
+    });
+}
+
+module.exports = {
+    packFiles
+};
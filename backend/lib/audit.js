@@ -0,0 +1,150 @@
+// An audit trail for operators: sessions created, joined and ended,
+// commands shells reported the policy blocked, and what admins did about
+// them.
+//
+// The newest entries are kept in memory for searching. With a file, every
+// entry is also appended to it as a JSON line, and load() reads the newest
+// back in at startup.
+
+const fs = require('fs');
+const readline = require('readline');
+const { logger } = require('./logger');
+
+const DEFAULT_MAX_ENTRIES = 10000;
+const DEFAULT_SEARCH_LIMIT = 100;
+const MAX_SEARCH_LIMIT = 1000;
+
+class AuditLog {
+    constructor({ file = null, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.file = file;
+        this.maxEntries = maxEntries;
+        this.entries = [];
+        this.stream = null;
+    }
+
+    async load() {
+        if (!this.file) {
+            return;
+        }
+        try {
+            const lines = readline.createInterface({ input: fs.createReadStream(this.file), crlfDelay: Infinity });
+            let number = 0;
+            for await (const line of lines) {
+                number++;
+                if (!line.trim()) {
+                    continue;
+                }
+                // e.g. the last line of a write cut short by a crash
+                try {
+                    this.keep(JSON.parse(line));
+                } catch (error) {
+                    logger.warn('Skipping unreadable audit log line', { file: this.file, line: number, err: error });
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Error loading audit log', { file: this.file, err: error });
+            }
+        }
+    }
+
+    keep(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+    }
+
+    // type is e.g. session-created; fields usually include sessionId and
+    // user, the person who did it
+    record(type, fields = {}) {
+        const entry = { time: new Date().toISOString(), type, ...fields };
+        this.keep(entry);
+
+        if (this.file) {
+            if (!this.stream) {
+                this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+                this.stream.on('error', (error) => {
+                    logger.error('Error writing audit log', { file: this.file, err: error });
+                });
+            }
+            this.stream.write(JSON.stringify(entry) + '\n');
+        }
+        return entry;
+    }
+
+    // Newest first. user matches whoever acted or owns the session, sessionId
+    // matches by prefix, and q is a case-insensitive search of the whole entry.
+    search({ q = '', type = null, user = null, sessionId = null, since = null, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+        const needle = q.toLowerCase();
+        const max = Math.min(Math.max(1, limit), MAX_SEARCH_LIMIT);
+        const results = [];
+
+        for (let i = this.entries.length - 1; i >= 0 && results.length < max; i--) {
+            const entry = this.entries[i];
+            if (since && entry.time < since) {
+                break;
+            }
+            if ((type && entry.type !== type) ||
+                (user && entry.user !== user && entry.owner !== user) ||
+                (sessionId && !(entry.sessionId || '').startsWith(sessionId)) ||
+                (needle && !JSON.stringify(entry).toLowerCase().includes(needle))) {
+                continue;
+            }
+            results.push(entry);
+        }
+        return results;
+    }
+
+    // Resolves once everything recorded is written out
+    close() {
+        const { stream } = this;
+        this.stream = null;
+        return new Promise(resolve => (stream ? stream.end(resolve) : resolve()));
+    }
+}
+
+// Record the session manager's events that operators care about
+function recordSessionEvents(audit, manager) {
+    manager.on('session-created', (session) => {
+        audit.record('session-created', {
+            sessionId: session.id,
+            user: session.owner,
+            template: session.template.id
+        });
+    });
+    manager.on('attached', (session, shell, participant) => {
+        audit.record('shell-attached', {
+            sessionId: session.id,
+            shellId: shell.id,
+            user: participant.user,
+            owner: session.owner,
+            role: participant.role,
+            shareId: participant.shareId
+        });
+    });
+    // The policy hook reports these from inside the shell, where its user
+    // could forge one, so they are marked as such. expected is the server's
+    // own decision for the command when it differs.
+    manager.on('policy-decision', (session, decision) => {
+        if (decision.action === 'deny') {
+            audit.record('command-blocked', {
+                sessionId: session.id,
+                shellId: decision.shellId,
+                owner: session.owner,
+                command: decision.command,
+                rule: decision.rule,
+                reportedBy: 'shell',
+                expected: decision.expected
+            });
+        }
+    });
+    manager.on('session-cleaned', (session, reason) => {
+        audit.record('session-ended', { sessionId: session.id, owner: session.owner, reason });
+    });
+}
+
+module.exports = {
+    AuditLog,
+    recordSessionEvents
+};
@@ -0,0 +1,248 @@
+// Pluggable authentication for the REST and WebSocket APIs.
+//
+// A credential (API token or JWT) arrives as an `Authorization: Bearer`
+// header, or as a `token` query parameter on the WebSocket upgrade since
+// browsers cannot set headers there. Each provider either recognizes the
+// credential and returns a user, or returns null so the next one can try.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const CLOCK_SKEW_SECONDS = 30;
+
+const JWT_ALGORITHMS = {
+    HS256: { type: 'hmac', hash: 'sha256' },
+    HS384: { type: 'hmac', hash: 'sha384' },
+    HS512: { type: 'hmac', hash: 'sha512' },
+    RS256: { type: 'rsa', hash: 'sha256' },
+    RS384: { type: 'rsa', hash: 'sha384' },
+    RS512: { type: 'rsa', hash: 'sha512' },
+    ES256: { type: 'ecdsa', hash: 'sha256' },
+    ES384: { type: 'ecdsa', hash: 'sha384' }
+};
+
+class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+    }
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+function toUser(id, role) {
+    return { id: String(id), role: role === 'admin' ? 'admin' : 'user' };
+}
+
+// Static API tokens, e.g. [{ "token": "...", "user": "alice", "role": "admin" }].
+// Entries may carry "tokenSha256" (hex) instead of the plain token.
+function apiTokenProvider(entries) {
+    const tokens = entries.map(entry => {
+        if (!entry.user || (!entry.token && !entry.tokenSha256)) {
+            throw new AuthError('API token entries require a user and a token or tokenSha256');
+        }
+        return {
+            hash: entry.tokenSha256 ? Buffer.from(entry.tokenSha256, 'hex') : sha256(entry.token),
+            user: toUser(entry.user, entry.role)
+        };
+    });
+
+    return {
+        name: 'api-token',
+        authenticate(credential) {
+            const hash = sha256(credential);
+            const match = tokens.find(token =>
+                token.hash.length === hash.length && crypto.timingSafeEqual(token.hash, hash)
+            );
+            return match ? match.user : null;
+        }
+    };
+}
+
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// JWTs signed with a shared secret (HS*) or verified with a public key (RS*, ES*)
+function jwtProvider({ secret, publicKey, issuer, audience }) {
+    const key = publicKey ? crypto.createPublicKey(publicKey) : null;
+
+    const verifySignature = (algorithm, signingInput, signature) => {
+        const spec = JWT_ALGORITHMS[algorithm];
+        if (!spec) {
+            return false;
+        }
+        if (spec.type === 'hmac') {
+            if (!secret) return false;
+            const expected = crypto.createHmac(spec.hash, secret).update(signingInput).digest();
+            return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+        }
+        if (!key) {
+            return false;
+        }
+        return crypto.verify(spec.hash, Buffer.from(signingInput), {
+            key,
+            dsaEncoding: spec.type === 'ecdsa' ? 'ieee-p1363' : undefined
+        }, signature);
+    };
+
+    return {
+        name: 'jwt',
+        authenticate(credential) {
+            const parts = credential.split('.');
+            if (parts.length !== 3) {
+                return null;
+            }
+
+            let header;
+            let payload;
+            try {
+                header = decodeSegment(parts[0]);
+                payload = decodeSegment(parts[1]);
+            } catch (error) {
+                return null;
+            }
+
+            const signature = Buffer.from(parts[2], 'base64url');
+            if (!verifySignature(header.alg, `${parts[0]}.${parts[1]}`, signature)) {
+                throw new AuthError('Invalid token signature');
+            }
+
+            const now = Math.floor(Date.now() / 1000);
+            if (typeof payload.exp === 'number' && now > payload.exp + CLOCK_SKEW_SECONDS) {
+                throw new AuthError('Token has expired');
+            }
+            if (typeof payload.nbf === 'number' && now < payload.nbf - CLOCK_SKEW_SECONDS) {
+                throw new AuthError('Token is not valid yet');
+            }
+            if (issuer && payload.iss !== issuer) {
+                throw new AuthError('Token issuer is not accepted');
+            }
+            if (audience) {
+                const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+                if (!audiences.includes(audience)) {
+                    throw new AuthError('Token audience is not accepted');
+                }
+            }
+            if (!payload.sub) {
+                throw new AuthError('Token has no subject');
+            }
+
+            return toUser(payload.sub, payload.role);
+        }
+    };
+}
+
+// Every request is the same anonymous user; for local development only
+function anonymousProvider() {
+    const user = toUser('anonymous', 'admin');
+    return {
+        name: 'anonymous',
+        anonymous: true,
+        authenticate() {
+            return user;
+        }
+    };
+}
+
+function createAuthenticator(providers) {
+    const anonymous = providers.find(provider => provider.anonymous);
+
+    return {
+        providers,
+
+        // Resolve a credential to a user; throws AuthError when rejected
+        authenticate(credential) {
+            if (anonymous) {
+                return anonymous.authenticate();
+            }
+            if (!credential) {
+                throw new AuthError('Missing credentials');
+            }
+            for (const provider of providers) {
+                const user = provider.authenticate(credential);
+                if (user) {
+                    return user;
+                }
+            }
+            throw new AuthError('Invalid credentials');
+        }
+    };
+}
+
+// Build the authenticator from environment configuration
+function createAuthenticatorFromEnv(env = process.env) {
+    if (env.AUTH_DISABLED === 'true') {
+        logger.warn('Authentication is disabled (AUTH_DISABLED=true); every request is treated as an admin');
+        return createAuthenticator([anonymousProvider()]);
+    }
+
+    const providers = [];
+    if (env.API_TOKENS_FILE) {
+        providers.push(apiTokenProvider(JSON.parse(fs.readFileSync(env.API_TOKENS_FILE, 'utf8'))));
+    }
+    if (env.JWT_SECRET || env.JWT_PUBLIC_KEY_FILE) {
+        providers.push(jwtProvider({
+            secret: env.JWT_SECRET,
+            publicKey: env.JWT_PUBLIC_KEY_FILE && fs.readFileSync(env.JWT_PUBLIC_KEY_FILE, 'utf8'),
+            issuer: env.JWT_ISSUER,
+            audience: env.JWT_AUDIENCE
+        }));
+    }
+
+    if (providers.length === 0) {
+        throw new AuthError(
+            'No authentication configured. Set API_TOKENS_FILE, JWT_SECRET or JWT_PUBLIC_KEY_FILE ' +
+            '(or AUTH_DISABLED=true for local development)'
+        );
+    }
+    return createAuthenticator(providers);
+}
+
+function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// Express middleware that authenticates the request and sets req.user
+function requireAuth(authenticator) {
+    return (req, res, next) => {
+        try {
+            req.user = authenticator.authenticate(bearerToken(req));
+            next();
+        } catch (error) {
+            if (error instanceof AuthError) {
+                return res.status(401).json({ error: error.message });
+            }
+            next(error);
+        }
+    };
+}
+
+function requireAdmin(req, res, next) {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
+function canAccessSession(user, session) {
+    return user.role === 'admin' || session.owner === user.id;
+}
+
+module.exports = {
+    AuthError,
+    apiTokenProvider,
+    jwtProvider,
+    anonymousProvider,
+    createAuthenticator,
+    createAuthenticatorFromEnv,
+    bearerToken,
+    requireAuth,
+    requireAdmin,
+    canAccessSession
+};
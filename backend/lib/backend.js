@@ -0,0 +1,146 @@
+// Wires the backend together from its configuration: templates, policies,
+// the container driver, session manager, REST app and WebSocket gateway.
+
+const http = require('http');
+const { loadTemplates } = require('./templates');
+const { loadPolicies } = require('./policy');
+const { checkTemplateSecurity } = require('./security');
+const { EgressProxy } = require('./egress-proxy');
+const { createAuthenticatorFromEnv } = require('./auth');
+const { QuotaTracker } = require('./quotas');
+const { RecordingStore } = require('./recordings');
+const { AuditLog, recordSessionEvents } = require('./audit');
+const { HomeVolumes } = require('./volumes');
+const ContainerPool = require('./pool');
+const { createDriver } = require('./drivers');
+const { SessionManager } = require('./session-manager');
+const { Gateway } = require('./gateway');
+const { createServerMetrics } = require('./server-metrics');
+const { createApp } = require('./app');
+const { logger } = require('./logger');
+
+// docker is a dockerode client for the Docker driver; tests can pass a
+// driver of their own instead
+function createBackend(config, { docker = null, driver: customDriver = null } = {}) {
+    const { defaultTemplate, templates } = loadTemplates(config.templatesFile);
+    const policies = loadPolicies(config.policyDir);
+    for (const template of templates.values()) {
+        if (!policies.has(template.policy)) {
+            throw new Error(`Template "${template.id}" uses unknown policy "${template.policy}"`);
+        }
+        checkTemplateSecurity(template, { defaultProfile: config.docker.securityProfile });
+    }
+
+    const authenticator = createAuthenticatorFromEnv(config.vars);
+    const quotas = new QuotaTracker(config.quotas);
+    const { dir: recordingsDir, ...recordingLimits } = config.recordings;
+    const recordings = recordingsDir ? new RecordingStore(recordingsDir, recordingLimits) : null;
+    const audit = new AuditLog(config.audit);
+    // Only templates with allowlisted egress need the proxy
+    const egressProxy = Array.from(templates.values()).some(template => template.egress && template.egress.mode === 'allowlist')
+        ? new EgressProxy()
+        : null;
+    const driver = customDriver || createDriver(config, { docker, policies, egressProxy });
+    const pool = config.pool.enabled
+        ? new ContainerPool({
+            templates: templates.values(),
+            prepare: template => driver.prepareContainer(template),
+            destroy: container => driver.destroyContainer(container),
+            quotas
+        })
+        : null;
+
+    // Home volumes are Docker volumes. The manager is created after them,
+    // since they ask it what is in use.
+    let manager = null;
+    const homeVolumes = driver.name === 'docker'
+        ? new HomeVolumes({
+            docker: driver.docker,
+            inUse: userId => manager.usesHomeVolume(userId),
+            ...config.homeVolumes,
+            helperImage: config.homeVolumes.helperImage || templates.get(defaultTemplate).image
+        })
+        : null;
+
+    manager = new SessionManager({
+        config,
+        driver,
+        templates,
+        defaultTemplate,
+        policies,
+        quotas,
+        pool,
+        homeVolumes,
+        recordings,
+        egressProxy
+    });
+
+    // The app is attached once the metrics exist, which need the gateway
+    const server = http.createServer();
+    const gateway = new Gateway({
+        server,
+        manager,
+        authenticator,
+        corsOrigins: config.corsOrigins,
+        outputChunkSize: config.outputChunkSize,
+        outputFlow: config.outputFlow
+    });
+    const metrics = createServerMetrics({ manager, gateway, pool });
+    recordSessionEvents(audit, manager);
+    const app = createApp({
+        config,
+        authenticator,
+        metrics,
+        manager,
+        driver,
+        templates,
+        defaultTemplate,
+        quotas,
+        pool,
+        homeVolumes,
+        recordings,
+        audit
+    });
+    server.on('request', app);
+
+    return {
+        app,
+        server,
+        manager,
+
+        // Resolves to the address the server is listening on
+        async start() {
+            await audit.load();
+            if (egressProxy) {
+                const address = await egressProxy.listen(config.egress.proxyPort);
+                logger.info('Egress proxy running', { port: address.port });
+            }
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(config.port, config.host, () => {
+                    server.off('error', reject);
+                    manager.start();
+                    const address = server.address();
+                    logger.info('Server running', { port: address.port });
+                    resolve(address);
+                });
+            });
+        },
+
+        // Sessions are cleaned up before the gateway closes, so clients are
+        // told their shells ended for a server shutdown
+        async stop() {
+            await manager.stop();
+            gateway.close();
+            if (egressProxy) {
+                await egressProxy.close();
+            }
+            await new Promise(resolve => server.close(resolve));
+            await audit.close();
+        }
+    };
+}
+
+module.exports = {
+    createBackend
+};
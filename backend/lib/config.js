@@ -0,0 +1,193 @@
+// Backend configuration. Every setting is an environment variable; a JSON
+// file named by CONFIG_FILE can supply the same variables, e.g.
+// { "PORT": 3001, "SESSION_IDLE_TIMEOUT_MINUTES": 60 }, and the
+// environment wins where both set one.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { quotaLimitsFromEnv } = require('./quotas');
+const { PROFILES } = require('./security');
+
+const MINUTE = 60 * 1000;
+
+const DRIVERS = ['docker', 'local', 'fake'];
+const SECURITY_PROFILES = Object.keys(PROFILES);
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+// Environment variables merged over the config file's
+function readVariables(env) {
+    if (!env.CONFIG_FILE) {
+        return { ...env };
+    }
+
+    let file;
+    try {
+        file = JSON.parse(fs.readFileSync(env.CONFIG_FILE, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Cannot read CONFIG_FILE ${env.CONFIG_FILE}: ${error.message}`);
+    }
+    if (!file || typeof file !== 'object' || Array.isArray(file)) {
+        throw new ConfigError(`CONFIG_FILE ${env.CONFIG_FILE} must contain a JSON object`);
+    }
+
+    const vars = {};
+    for (const [name, value] of Object.entries(file)) {
+        vars[name] = typeof value === 'string' ? value : JSON.stringify(value);
+    }
+    return { ...vars, ...env };
+}
+
+function loadConfig(env = process.env) {
+    const vars = readVariables(env);
+
+    const string = (name, fallback) => (vars[name] === undefined || vars[name] === '' ? fallback : vars[name]);
+
+    const number = (name, fallback) => {
+        const value = string(name, undefined);
+        if (value === undefined) {
+            return fallback;
+        }
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed) || parsed < 0) {
+            throw new ConfigError(`${name} must be a non-negative number, got "${value}"`);
+        }
+        return parsed;
+    };
+
+    const json = (name, fallback) => {
+        const value = string(name, undefined);
+        if (value === undefined) {
+            return fallback;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            throw new ConfigError(`${name} must be valid JSON`);
+        }
+    };
+
+    const driver = string('DRIVER', 'docker');
+    if (!DRIVERS.includes(driver)) {
+        throw new ConfigError(`DRIVER must be one of ${DRIVERS.join(', ')}`);
+    }
+
+    const securityProfile = string('SECURITY_PROFILE', 'standard');
+    if (!SECURITY_PROFILES.includes(securityProfile)) {
+        throw new ConfigError(`SECURITY_PROFILE must be one of ${SECURITY_PROFILES.join(', ')}`);
+    }
+
+    const logLevel = string('LOG_LEVEL', 'info');
+    if (!LOG_LEVELS.includes(logLevel)) {
+        throw new ConfigError(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+
+    return {
+        // Raw variables, for modules that read their own settings (auth)
+        vars,
+        logLevel,
+        port: number('PORT', 3001),
+        host: string('HOST', undefined),
+        corsOrigins: string('CORS_ORIGINS', 'http://localhost:3000')
+            .split(',')
+            .map(origin => origin.trim())
+            .filter(Boolean),
+        templatesFile: string('TEMPLATES_FILE', path.join(__dirname, '..', 'config', 'templates.json')),
+        policyDir: string('POLICY_DIR', path.join(__dirname, '..', 'config', 'policies')),
+        policyAuditLog: string('POLICY_AUDIT_LOG', null),
+        // Admin audit trail; entries are only kept in memory without a file
+        audit: {
+            file: string('AUDIT_LOG_FILE', null),
+            maxEntries: Math.max(1, number('AUDIT_LOG_ENTRIES', 10000))
+        },
+        // Shells are recorded only when a recordings directory is configured.
+        // 0 turns a limit off.
+        recordings: {
+            dir: string('RECORDINGS_DIR', null),
+            maxBytes: number('RECORDING_MAX_MB', 50) * 1024 * 1024,
+            maxAgeDays: number('RECORDINGS_MAX_AGE_DAYS', 30),
+            maxTotalBytes: number('RECORDINGS_MAX_TOTAL_MB', 5 * 1024) * 1024 * 1024
+        },
+        // When set, scrapers must send it as a bearer token to read /metrics
+        metricsToken: string('METRICS_TOKEN', null),
+        quotas: quotaLimitsFromEnv(vars),
+        sessions: {
+            idleTimeout: number('SESSION_IDLE_TIMEOUT_MINUTES', 30) * MINUTE,
+            maxExtension: number('SESSION_MAX_EXTENSION_MINUTES', 8 * 60) * MINUTE,
+            // Hard cap on a session's age however active it is; 0 turns it off
+            maxLifetime: number('SESSION_MAX_LIFETIME_MINUTES', 0) * MINUTE,
+            sweepInterval: number('SESSION_SWEEP_INTERVAL_SECONDS', 60) * 1000,
+            // How often sessions without viewers have their resource usage sampled
+            statsInterval: number('SESSION_STATS_INTERVAL_SECONDS', 30) * 1000,
+            maxShells: number('MAX_SHELLS_PER_SESSION', 8),
+            scrollbackBytes: number('SCROLLBACK_BUFFER_KB', 256) * 1024,
+            reconnectGrace: number('RECONNECT_GRACE_SECONDS', 60) * 1000
+        },
+        // Shell output is split into WebSocket messages of at most this many bytes
+        outputChunkSize: Math.max(1, number('OUTPUT_CHUNK_SIZE', 1024)),
+        // A shell's output is paused while its driver or owner has more than
+        // highWaterMark bytes waiting to be sent, or more than ackWindow
+        // bytes it has not acknowledged rendering; other viewers that far
+        // behind are disconnected
+        outputFlow: {
+            highWaterMark: Math.max(1, number('OUTPUT_HIGH_WATER_KB', 256)) * 1024,
+            ackWindow: Math.max(1, number('OUTPUT_ACK_WINDOW_KB', 1024)) * 1024
+        },
+        // Non-interactive commands run with the exec and run endpoints;
+        // timeouts are in milliseconds and output is kept up to maxOutputBytes per stream
+        exec: {
+            defaultTimeout: number('EXEC_TIMEOUT_SECONDS', 30) * 1000,
+            maxTimeout: number('EXEC_MAX_TIMEOUT_SECONDS', 300) * 1000,
+            maxOutputBytes: number('EXEC_MAX_OUTPUT_KB', 1024) * 1024,
+            maxConcurrent: Math.max(1, number('MAX_EXECS_PER_SESSION', 4))
+        },
+        files: {
+            uploadLimitMb: number('FILE_UPLOAD_LIMIT_MB', 50),
+            downloadLimitMb: number('FILE_DOWNLOAD_LIMIT_MB', 200)
+        },
+        // Where shells run: docker, local (unsandboxed host PTYs, for
+        // development) or fake (in-memory echo shells, for tests)
+        driver: {
+            name: driver,
+            localRoot: string('LOCAL_DRIVER_ROOT', path.join(os.tmpdir(), 'terminal-on-web'))
+        },
+        docker: {
+            socketPath: string('DOCKER_SOCKET', undefined),
+            // The default profile, for templates that do not name one
+            securityProfile,
+            snapshotRepository: string('SNAPSHOT_REPOSITORY', 'terminal-on-web/snapshot')
+        },
+        // The forward proxy for sessions with allowlisted egress. Containers
+        // reach it at proxyHost, by default their network's gateway (the
+        // Docker host), so it must not be firewalled from Docker networks.
+        egress: {
+            proxyPort: number('EGRESS_PROXY_PORT', 3128),
+            proxyHost: string('EGRESS_PROXY_HOST', null)
+        },
+        // Warm container pools, as configured per template
+        pool: {
+            enabled: string('POOL_ENABLED', 'true') !== 'false'
+        },
+        homeVolumes: {
+            snapshotDir: string('HOME_SNAPSHOT_DIR', 'data/home-snapshots'),
+            helperImage: string('HOME_VOLUME_HELPER_IMAGE', null),
+            sizeLimitMb: number('HOME_VOLUME_SIZE_LIMIT_MB', 0),
+            maxIdleDays: number('HOME_VOLUME_MAX_IDLE_DAYS', 30),
+            maxSnapshots: number('HOME_VOLUME_MAX_SNAPSHOTS', 5),
+            driver: string('HOME_VOLUME_DRIVER', 'local'),
+            driverOpts: json('HOME_VOLUME_DRIVER_OPTS', {})
+        }
+    };
+}
+
+module.exports = {
+    ConfigError,
+    loadConfig
+};
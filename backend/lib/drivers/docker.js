@@ -0,0 +1,545 @@
+// The Docker driver: session containers with their security profile,
+// interactive shells, stats, OOM events, image snapshots and file transfer.
+// See drivers/index.js for the interface every driver implements.
+
+const crypto = require('crypto');
+const path = require('path');
+const { Writable } = require('stream');
+const { HOOK_PATH, generateHook } = require('../policy');
+const { packFiles } = require('../archive');
+const { templateEnv } = require('../templates');
+const { summarizeStats, watchStats } = require('../stats');
+const { readJsonLines } = require('../json-lines');
+const { listDirectory, resolvePath, uploadArchive, downloadArchive } = require('../files');
+const { logger } = require('../logger');
+const { PROFILES, resolveSecurity, shippedSeccompProfile } = require('../security');
+const { DriverError } = require('./driver-error');
+
+const HOOK_DIR = path.posix.dirname(HOOK_PATH);
+const EVENTS_RETRY_DELAY = 5000;
+// What Docker answers when stopping a container that already stopped, or is already gone
+const ALREADY_STOPPED = new Set([304, 404]);
+const SNAPSHOT_OWNER_LABEL = 'terminal-on-web.snapshot-owner';
+// timeout(1) kills with SIGKILL, so a command it stopped exits with 128 + 9
+const TIMEOUT_EXIT_CODE = 137;
+// How long past its timeout a command's stream is left open before giving up on it
+const COMMAND_KILL_GRACE = 5000;
+// A shell's stream can end a moment before Docker marks its exec finished
+const EXEC_INSPECT_ATTEMPTS = 5;
+const EXEC_INSPECT_INTERVAL = 100;
+
+// Proxy variables, in both cases since tools disagree on which they read
+function proxyEnv(proxyUrl) {
+    return [
+        `HTTP_PROXY=${proxyUrl}`,
+        `HTTPS_PROXY=${proxyUrl}`,
+        `http_proxy=${proxyUrl}`,
+        `https_proxy=${proxyUrl}`,
+        'NO_PROXY=localhost,127.0.0.1',
+        'no_proxy=localhost,127.0.0.1'
+    ];
+}
+
+// Docker's Tmpfs options for the tmpfs mounts in security settings
+function tmpfsMounts(security) {
+    const mounts = {};
+    for (const [target, sizeMb] of Object.entries(security.tmpfsMb)) {
+        mounts[target] = ['rw', 'nosuid', 'nodev', `size=${sizeMb}m`, 'mode=1777'].join(',');
+    }
+    return mounts;
+}
+
+// A session's own home: an anonymous volume, which Docker removes with the
+// container, backed by a tmpfs of the profile's size that belongs to the
+// container's user. Unlike a tmpfs mount, the archive API behind file
+// transfers can see it.
+function homeMount(target, sizeMb, user) {
+    const options = [`size=${sizeMb}m`, 'nosuid', 'nodev'];
+    if (user) {
+        const [uid, gid = uid] = user.split(':');
+        options.push(`uid=${uid}`, `gid=${gid}`, 'mode=0700');
+    }
+    return {
+        Type: 'volume',
+        Target: target,
+        VolumeOptions: {
+            NoCopy: true,
+            DriverConfig: { Name: 'local', Options: { type: 'tmpfs', device: 'tmpfs', o: options.join(',') } }
+        }
+    };
+}
+
+class DockerDriver {
+    // policies maps policy names to compiled policies, for the in-container
+    // hook; securityProfile is the default for templates that name none.
+    // egressProxy serves allowlisted egress, reached at egressProxyHost or
+    // else the session network's gateway.
+    constructor({
+        docker,
+        policies,
+        securityProfile = 'standard',
+        egressProxy = null,
+        egressProxyHost = null,
+        snapshotRepository
+    }) {
+        if (!PROFILES[securityProfile]) {
+            throw new Error(`Unknown security profile: ${securityProfile}`);
+        }
+        this.name = 'docker';
+        this.docker = docker;
+        this.policies = policies;
+        this.securityProfile = securityProfile;
+        this.egressProxy = egressProxy;
+        this.egressProxyHost = egressProxyHost;
+        this.snapshotRepository = snapshotRepository;
+        // Container id to { network, address } for containers on egress networks
+        this.egressNetworks = new Map();
+    }
+
+    // The security settings a container for template gets (see security.js)
+    securitySettings(template, { persistentHome = false } = {}) {
+        return resolveSecurity(template, { defaultProfile: this.securityProfile, persistentHome });
+    }
+
+    // binds are extra volume mounts, such as the user's home volume; image
+    // overrides the template's image, e.g. with a committed session snapshot
+    async createContainer(template, { binds = [], image = template.image, persistentHome = false } = {}) {
+        const { memoryMb, cpuShares, pidsLimit } = template.resources;
+        const security = this.securitySettings(template, { persistentHome });
+        const user = security.user === 'root' ? '' : security.user;
+        const network = security.egress.mode === 'allowlist' ? await this.createEgressNetwork() : null;
+
+        let container;
+        try {
+            container = await this.docker.createContainer({
+                Image: image,
+                User: user,
+                Tty: true,
+                OpenStdin: true,
+                AttachStdin: true,
+                AttachStdout: true,
+                AttachStderr: true,
+                Env: [
+                    'TERM=xterm-256color',
+                    `BASH_ENV=${HOOK_PATH}`,
+                    // The unprivileged uid usually has no passwd entry to take it from
+                    ...(user ? [`HOME=${template.workingDir}`] : []),
+                    ...(network ? proxyEnv(network.proxyUrl) : []),
+                    ...templateEnv(template)
+                ],
+                Cmd: template.cmd,
+                Labels: {
+                    'terminal-on-web.template': template.id,
+                    'terminal-on-web.security-profile': security.profile
+                },
+                HostConfig: {
+                    AutoRemove: true,
+                    Memory: memoryMb * 1024 * 1024,
+                    MemorySwap: memoryMb * 1024 * 1024,
+                    CpuShares: cpuShares,
+                    SecurityOpt: [
+                        security.noNewPrivileges ? 'no-new-privileges' : 'no-new-privileges:false',
+                        security.seccomp === 'shipped' ? `seccomp=${shippedSeccompProfile()}` : 'seccomp=unconfined'
+                    ],
+                    CapDrop: ['ALL'],
+                    CapAdd: security.capabilities,
+                    NetworkMode: network ? network.name : security.egress.mode === 'none' ? 'none' : 'bridge',
+                    ReadonlyRootfs: security.readOnlyRootfs,
+                    Tmpfs: tmpfsMounts(security),
+                    // The policy hook is copied in after start. The archive API
+                    // cannot write to a read-only root filesystem or see tmpfs
+                    // mounts, but it can write to volumes; this one is anonymous,
+                    // so Docker removes it with the container.
+                    Mounts: [
+                        { Type: 'volume', Target: HOOK_DIR, VolumeOptions: { NoCopy: true } },
+                        ...(security.homeMb ? [homeMount(template.workingDir, security.homeMb, user)] : [])
+                    ],
+                    PidsLimit: pidsLimit,
+                    Binds: binds,
+                    Ulimits: [
+                        { Name: 'nofile', Soft: 1024, Hard: 2048 }
+                    ]
+                },
+                WorkingDir: template.workingDir
+            });
+
+            await container.start();
+            if (network) {
+                const { NetworkSettings } = await container.inspect();
+                this.egressNetworks.set(container.id, {
+                    network: network.name,
+                    address: NetworkSettings.Networks[network.name].IPAddress
+                });
+            }
+            await this.installPolicyHook(container, template);
+        } catch (error) {
+            // The network cannot be removed while the container is attached
+            if (container) {
+                await container.remove({ force: true, v: true }).catch(() => {});
+            }
+            if (network) {
+                await this.removeNetwork(network.name, container);
+            }
+            throw error;
+        }
+        return container;
+    }
+
+    // An internal network, with no route out, for one container. Each takes
+    // a subnet from the daemon's default address pools, so those must be
+    // sized for the number of allowlisted sessions.
+    async createEgressNetwork() {
+        if (!this.egressProxy) {
+            throw new Error('Allowlisted egress needs the egress proxy');
+        }
+        const name = `terminal-egress-${crypto.randomUUID()}`;
+        const network = await this.docker.createNetwork({
+            Name: name,
+            Driver: 'bridge',
+            Internal: true,
+            Labels: { 'terminal-on-web.egress': 'allowlist' }
+        });
+        const { IPAM } = await network.inspect();
+        const host = this.egressProxyHost || IPAM.Config[0].Gateway;
+        return { name, proxyUrl: `http://${host}:${this.egressProxy.port}` };
+    }
+
+    // Remove a container's egress network once the container is gone
+    async removeNetwork(name, container = null) {
+        if (container) {
+            this.egressNetworks.delete(container.id);
+        }
+        try {
+            await this.docker.getNetwork(name).remove();
+        } catch (error) {
+            logger.error('Error removing egress network', { network: name, err: error });
+        }
+    }
+
+    // The container's address on its egress network, which the egress proxy
+    // knows it by, or null if it has full or no network access
+    egressAddress(container) {
+        const entry = this.egressNetworks.get(container.id);
+        return entry ? entry.address : null;
+    }
+
+    // Copy the template's policy hook into its volume in the container
+    async installPolicyHook(container, template) {
+        const archive = await packFiles([{
+            name: path.posix.basename(HOOK_PATH),
+            content: generateHook(this.policies.get(template.policy)),
+            mode: 0o644
+        }]);
+        await container.putArchive(archive, { path: HOOK_DIR });
+    }
+
+    // Run the template's init script, resolving once it has finished
+    async runInitScript(container, template) {
+        // Init scripts install packages, so they run as root whatever
+        // user the container's shells run as
+        const exec = await container.exec({
+            Cmd: [template.shell, '-c', template.initScript],
+            User: '0',
+            AttachStdout: true,
+            AttachStderr: true
+        });
+        const stream = await exec.start();
+
+        await new Promise((resolve, reject) => {
+            stream.on('end', resolve);
+            stream.on('error', reject);
+            stream.resume();
+        });
+    }
+
+    // A fully initialized container for the warm pool
+    async prepareContainer(template) {
+        const container = await this.createContainer(template);
+        if (template.initScript) {
+            await this.runInitScript(container, template);
+        }
+        return container;
+    }
+
+    async destroyContainer(container) {
+        try {
+            await container.remove({ force: true, v: true });
+        } finally {
+            await this.removeEgressNetwork(container);
+        }
+    }
+
+    async isRunning(container) {
+        const { State } = await container.inspect();
+        return State.Running;
+    }
+
+    // Stop and remove a session container, waking it first if it is paused
+    // Containers are created with AutoRemove, so Docker removes them once
+    // they stop; one that stopped by itself has nothing left to clean up
+    async stopContainer(container, { paused = false } = {}) {
+        try {
+            if (paused) {
+                await container.unpause();
+            }
+            await container.stop();
+        } catch (error) {
+            if (!ALREADY_STOPPED.has(error.statusCode)) {
+                throw error;
+            }
+        } finally {
+            await this.removeEgressNetwork(container);
+        }
+    }
+
+    async removeEgressNetwork(container) {
+        const entry = this.egressNetworks.get(container.id);
+        if (entry) {
+            await this.removeNetwork(entry.network, container);
+        }
+    }
+
+    async pause(container) {
+        await container.pause();
+    }
+
+    async unpause(container) {
+        await container.unpause();
+    }
+
+    // Start an interactive shell; resolves to its exec and duplex stream
+    async startShell(container, template, dimensions, env = {}) {
+        const exec = await container.exec({
+            Cmd: [template.shell, '--rcfile', HOOK_PATH, '-i'],
+            AttachStdin: true,
+            AttachStdout: true,
+            AttachStderr: true,
+            Tty: true,
+            Env: [
+                'TERM=xterm-256color',
+                `COLUMNS=${dimensions.cols}`,
+                `LINES=${dimensions.rows}`,
+                ...templateEnv(template),
+                ...Object.entries(env).map(([key, value]) => `${key}=${value}`)
+            ]
+        });
+
+        const stream = await exec.start({
+            hijack: true,
+            stdin: true,
+            Tty: true
+        });
+        return { exec, stream };
+    }
+
+    // Run a command to completion without a TTY, with stdout and stderr
+    // passed to onOutput(name, chunk) as they arrive. Resolves to
+    // { exitCode, timedOut }. The timeout is enforced by timeout(1) in the
+    // container, which coreutils and busybox images both have.
+    async runCommand(container, template, { command, stdin = null, env = {}, timeout }, onOutput) {
+        const seconds = Math.max(1, Math.ceil(timeout / 1000));
+        const exec = await container.exec({
+            Cmd: ['timeout', '-s', 'KILL', String(seconds), template.shell, '-c', command],
+            AttachStdin: stdin !== null,
+            AttachStdout: true,
+            AttachStderr: true,
+            Tty: false,
+            Env: Object.entries(env).map(([name, value]) => `${name}=${value}`),
+            WorkingDir: template.workingDir
+        });
+        const stream = await exec.start({ hijack: stdin !== null, stdin: stdin !== null });
+        const started = Date.now();
+
+        const sink = name => new Writable({
+            write(chunk, encoding, callback) {
+                onOutput(name, chunk);
+                callback();
+            }
+        });
+        this.docker.modem.demuxStream(stream, sink('stdout'), sink('stderr'));
+        if (stdin !== null) {
+            stream.end(stdin);
+        }
+
+        // In case the command outlives timeout(1), or the image has none
+        let abandoned = false;
+        const timer = setTimeout(() => {
+            abandoned = true;
+            stream.destroy();
+        }, seconds * 1000 + COMMAND_KILL_GRACE);
+        try {
+            await new Promise((resolve, reject) => {
+                stream.on('end', resolve);
+                stream.on('close', resolve);
+                stream.on('error', error => (abandoned ? resolve() : reject(error)));
+            });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (abandoned) {
+            return { exitCode: null, timedOut: true };
+        }
+        const { ExitCode } = await exec.inspect();
+        return {
+            exitCode: ExitCode,
+            timedOut: ExitCode === TIMEOUT_EXIT_CODE && Date.now() - started >= seconds * 1000
+        };
+    }
+
+    async resizeShell(exec, cols, rows) {
+        await exec.resize({ h: rows, w: cols });
+    }
+
+    async shellExitCode(exec) {
+        for (let attempt = 1; ; attempt++) {
+            const { Running, ExitCode } = await exec.inspect();
+            if (!Running || attempt === EXEC_INSPECT_ATTEMPTS) {
+                return Running ? null : ExitCode;
+            }
+            await new Promise(resolve => setTimeout(resolve, EXEC_INSPECT_INTERVAL));
+        }
+    }
+
+    async containerState(container) {
+        const { State } = await container.inspect();
+        return { running: State.Running, oomKilled: State.OOMKilled };
+    }
+
+    async stats(container) {
+        return summarizeStats(await container.stats({ stream: false }));
+    }
+
+    // Resolves to a stop function
+    watchStats(container, onSample) {
+        return watchStats(container, onSample);
+    }
+
+    // Call onEvent(containerId, action) for every container OOM kill
+    // ('oom') and every container that stops ('die'), whether the backend
+    // stopped it or not. Reconnects if Docker's event stream drops; returns
+    // a function that stops watching.
+    watchContainerEvents(onEvent) {
+        let stopped = false;
+        let stream = null;
+        let timer = null;
+
+        const retry = () => {
+            if (!stopped) {
+                timer = setTimeout(connect, EVENTS_RETRY_DELAY);
+                timer.unref();
+            }
+        };
+
+        const connect = async () => {
+            try {
+                stream = await this.docker.getEvents({ filters: { type: ['container'], event: ['oom', 'die'] } });
+                readJsonLines(stream, (event) => {
+                    if (event.Action === 'oom' || event.Action === 'die') {
+                        onEvent(event.id, event.Action);
+                    }
+                });
+                stream.on('error', (error) => logger.error('Docker event stream error', { err: error }));
+                stream.on('close', retry);
+                if (stopped) {
+                    stream.destroy();
+                }
+            } catch (error) {
+                logger.error('Error watching Docker events', { err: error });
+                retry();
+            }
+        };
+
+        connect();
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+            if (stream) {
+                stream.destroy();
+            }
+        };
+    }
+
+    // Commit a session container to an image that new sessions can start from
+    async commit(container, { owner, templateId, description, tag }) {
+        const { Id } = await container.commit({
+            repo: this.snapshotRepository,
+            tag,
+            comment: description,
+            author: owner,
+            changes: [
+                `LABEL ${SNAPSHOT_OWNER_LABEL}=${JSON.stringify(owner)}`,
+                `LABEL terminal-on-web.template=${JSON.stringify(templateId)}`,
+                `LABEL terminal-on-web.description=${JSON.stringify(description)}`
+            ]
+        });
+        return { imageId: Id, image: `${this.snapshotRepository}:${tag}` };
+    }
+
+    // Snapshot images belonging to owner, or to everyone when owner is null
+    async listSnapshotImages(owner) {
+        const label = owner === null ? SNAPSHOT_OWNER_LABEL : `${SNAPSHOT_OWNER_LABEL}=${owner}`;
+        const images = await this.docker.listImages({ filters: { label: [label] } });
+        return images.map(image => ({
+            imageId: image.Id,
+            image: (image.RepoTags || [])[0] || image.Id,
+            owner: image.Labels[SNAPSHOT_OWNER_LABEL],
+            template: image.Labels['terminal-on-web.template'],
+            description: image.Labels['terminal-on-web.description'] || '',
+            createdAt: new Date(image.Created * 1000).toISOString(),
+            sizeBytes: image.Size
+        }));
+    }
+
+    // { id, owner, templateId } for a snapshot image, or null if there is none
+    async inspectSnapshotImage(imageRef) {
+        let info;
+        try {
+            info = await this.docker.getImage(imageRef).inspect();
+        } catch (error) {
+            return null;
+        }
+
+        const labels = (info.Config && info.Config.Labels) || {};
+        if (!labels[SNAPSHOT_OWNER_LABEL]) {
+            return null;
+        }
+        return { id: info.Id, owner: labels[SNAPSHOT_OWNER_LABEL], templateId: labels['terminal-on-web.template'] };
+    }
+
+    async removeImage(imageId) {
+        try {
+            await this.docker.getImage(imageId).remove();
+        } catch (error) {
+            if (error.statusCode === 409) {
+                throw new DriverError('Image is in use by a running session', 409);
+            }
+            throw error;
+        }
+    }
+
+    // Where the file browser starts
+    workingDir(container, template) {
+        return template.workingDir;
+    }
+
+    resolvePath(container, target) {
+        return resolvePath(container, target);
+    }
+
+    listFiles(container, dir) {
+        return listDirectory(container, dir);
+    }
+
+    uploadArchive(container, dir, archive) {
+        return uploadArchive(container, dir, archive);
+    }
+
+    downloadArchive(container, target) {
+        return downloadArchive(container, target);
+    }
+}
+
+module.exports = {
+    DockerDriver
+};
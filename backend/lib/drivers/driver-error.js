@@ -0,0 +1,19 @@
+// Errors from container drivers that the API reports to the caller
+
+class DriverError extends Error {
+    constructor(message, status = 500) {
+        super(message);
+        this.name = 'DriverError';
+        this.status = status;
+    }
+}
+
+// For operations a driver has no way to perform, such as pausing a host process
+function unsupported(driver, action) {
+    return new DriverError(`The ${driver} driver cannot ${action}`, 501);
+}
+
+module.exports = {
+    DriverError,
+    unsupported
+};
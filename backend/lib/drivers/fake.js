@@ -0,0 +1,363 @@
+// An in-memory driver for tests and for working on the frontend without
+// Docker. Shells echo each line they are sent; "exit" or "exit <code>"
+// ends one. Commands run with runCommand are lines of "echo <text>" (with
+// ">&2" for stderr), "cat" (copies stdin), "printenv <name>",
+// "sleep <seconds>" and "exit <code>". Files uploaded to a container are
+// kept in memory.
+
+const crypto = require('crypto');
+const path = require('path');
+const { Duplex, Readable } = require('stream');
+const tar = require('tar-stream');
+const { packFiles } = require('../archive');
+const { FileError, toListing } = require('../files');
+const { resolveSecurity } = require('../security');
+
+const SIGHUP_EXIT_CODE = 129;
+const SIGKILL_EXIT_CODE = 137;
+const COMMAND_NOT_FOUND_EXIT_CODE = 127;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function echoShell(exec) {
+    let buffered = '';
+    const stream = new Duplex({
+        read() {},
+        write(chunk, encoding, callback) {
+            buffered += chunk.toString();
+            let newline;
+            while ((newline = buffered.indexOf('\n')) !== -1) {
+                const line = buffered.slice(0, newline);
+                buffered = buffered.slice(newline + 1);
+                const exit = /^exit(?:\s+(\d+))?$/.exec(line.trim());
+                if (exit) {
+                    exec.exit(Number(exit[1] || 0));
+                    break;
+                }
+                stream.push(`${line}\r\n`);
+            }
+            callback();
+        },
+        final(callback) {
+            exec.exit(SIGHUP_EXIT_CODE);
+            callback();
+        }
+    });
+    return stream;
+}
+
+class FakeDriver {
+    constructor({ securityProfile = 'standard' } = {}) {
+        this.name = 'fake';
+        this.securityProfile = securityProfile;
+        this.nextAddress = 2;
+        this.containers = new Map();
+        this.images = new Map();
+        this.eventListeners = new Set();
+    }
+
+    securitySettings(template, { persistentHome = false } = {}) {
+        return resolveSecurity(template, { defaultProfile: this.securityProfile, persistentHome });
+    }
+
+    egressAddress(container) {
+        return container.address;
+    }
+
+    async createContainer(template, { binds = [], image = template.image, persistentHome = false } = {}) {
+        const security = this.securitySettings(template, { persistentHome });
+        const container = {
+            id: crypto.randomUUID(),
+            templateId: template.id,
+            workingDir: template.workingDir,
+            image,
+            binds,
+            security,
+            // As if on a network of its own behind the egress proxy
+            address: security.egress.mode === 'allowlist' ? `10.89.0.${this.nextAddress++}` : null,
+            running: true,
+            paused: false,
+            oomKilled: false,
+            initialized: false,
+            shells: new Set(),
+            // Path -> { content, mtime }: what the container's processes see, and
+            // what the archive API sees under its tmpfs mounts instead
+            files: new Map(),
+            underTmpfs: new Map()
+        };
+        this.containers.set(container.id, container);
+        return container;
+    }
+
+    async runInitScript(container) {
+        container.initialized = true;
+    }
+
+    async prepareContainer(template) {
+        const container = await this.createContainer(template);
+        if (template.initScript) {
+            await this.runInitScript(container, template);
+        }
+        return container;
+    }
+
+    async destroyContainer(container) {
+        await this.stopContainer(container);
+    }
+
+    async isRunning(container) {
+        return container.running;
+    }
+
+    async stopContainer(container) {
+        container.running = false;
+        for (const exec of container.shells) {
+            exec.exit(SIGKILL_EXIT_CODE);
+        }
+        this.containers.delete(container.id);
+        this.emitEvent(container, 'die');
+    }
+
+    async pause(container) {
+        container.paused = true;
+    }
+
+    async unpause(container) {
+        container.paused = false;
+    }
+
+    async startShell(container, template, dimensions, env = {}) {
+        if (!container.running) {
+            throw new Error('Container is not running');
+        }
+
+        const exec = {
+            id: crypto.randomUUID(),
+            dimensions: { ...dimensions },
+            env: { ...env },
+            exitCode: null,
+            exit: (code) => {
+                if (exec.exitCode !== null) {
+                    return;
+                }
+                exec.exitCode = code;
+                container.shells.delete(exec);
+                stream.push(null);
+            }
+        };
+        const stream = echoShell(exec);
+        container.shells.add(exec);
+        return { exec, stream };
+    }
+
+    async runCommand(container, template, { command, stdin = null, env = {}, timeout }, onOutput) {
+        if (!container.running) {
+            throw new Error('Container is not running');
+        }
+
+        const deadline = Date.now() + timeout;
+        let exitCode = 0;
+        for (const line of command.split('\n').map(text => text.trim()).filter(Boolean)) {
+            const [name, ...args] = line.split(/\s+/);
+            exitCode = 0;
+            if (name === 'echo') {
+                const toStderr = args[args.length - 1] === '>&2';
+                const text = (toStderr ? args.slice(0, -1) : args).join(' ');
+                onOutput(toStderr ? 'stderr' : 'stdout', Buffer.from(`${text}\n`));
+            } else if (name === 'cat') {
+                if (stdin) {
+                    onOutput('stdout', Buffer.from(stdin));
+                }
+            } else if (name === 'printenv') {
+                const value = { ...template.env, ...env }[args[0]];
+                if (value === undefined) {
+                    exitCode = 1;
+                } else {
+                    onOutput('stdout', Buffer.from(`${value}\n`));
+                }
+            } else if (name === 'sleep') {
+                const ms = Number(args[0]) * 1000;
+                if (Date.now() + ms > deadline) {
+                    await delay(Math.max(0, deadline - Date.now()));
+                    return { exitCode: SIGKILL_EXIT_CODE, timedOut: true };
+                }
+                await delay(ms);
+            } else if (name === 'exit') {
+                return { exitCode: Number(args[0] || 0), timedOut: false };
+            } else {
+                onOutput('stderr', Buffer.from(`${name}: command not found\n`));
+                exitCode = COMMAND_NOT_FOUND_EXIT_CODE;
+            }
+        }
+        return { exitCode, timedOut: false };
+    }
+
+    async resizeShell(exec, cols, rows) {
+        exec.dimensions = { cols, rows };
+    }
+
+    async shellExitCode(exec) {
+        return exec.exitCode;
+    }
+
+    async containerState(container) {
+        return { running: container.running, oomKilled: container.oomKilled };
+    }
+
+    async stats(container) {
+        return {
+            cpuPercent: 0,
+            memoryBytes: 0,
+            memoryLimitBytes: null,
+            pids: container.shells.size,
+            network: { rxBytes: 0, txBytes: 0 }
+        };
+    }
+
+    // One sample straight away, as Docker's stats stream starts with one
+    async watchStats(container, onSample) {
+        onSample(await this.stats(container));
+        return () => {};
+    }
+
+    watchContainerEvents(onEvent) {
+        this.eventListeners.add(onEvent);
+        return () => this.eventListeners.delete(onEvent);
+    }
+
+    emitEvent(container, action) {
+        for (const onEvent of this.eventListeners) {
+            onEvent(container.id, action);
+        }
+    }
+
+    // Simulate the OOM killer taking out every shell in a container
+    oom(container) {
+        container.oomKilled = true;
+        this.emitEvent(container, 'oom');
+        for (const exec of container.shells) {
+            exec.exit(SIGKILL_EXIT_CODE);
+        }
+    }
+
+    // Simulate a container being killed outside the backend, e.g. with docker kill
+    kill(container) {
+        container.running = false;
+        for (const exec of container.shells) {
+            exec.exit(SIGKILL_EXIT_CODE);
+        }
+        this.emitEvent(container, 'die');
+    }
+
+    async commit(container, { owner, templateId, description, tag }) {
+        const imageId = `sha256:${crypto.randomBytes(32).toString('hex')}`;
+        const image = `fake/snapshot:${tag}`;
+        this.images.set(imageId, { imageId, image, owner, templateId, description, createdAt: new Date() });
+        return { imageId, image };
+    }
+
+    async listSnapshotImages(owner) {
+        return Array.from(this.images.values())
+            .filter(image => owner === null || image.owner === owner)
+            .map(image => ({
+                imageId: image.imageId,
+                image: image.image,
+                owner: image.owner,
+                template: image.templateId,
+                description: image.description,
+                createdAt: image.createdAt.toISOString(),
+                sizeBytes: 0
+            }));
+    }
+
+    async inspectSnapshotImage(imageRef) {
+        const image = Array.from(this.images.values()).find(i => i.imageId === imageRef || i.image === imageRef);
+        return image ? { id: image.imageId, owner: image.owner, templateId: image.templateId } : null;
+    }
+
+    async removeImage(imageId) {
+        this.images.delete(imageId);
+    }
+
+    workingDir(container) {
+        return container.workingDir;
+    }
+
+    // As with Docker's archive API, transfers cannot see into tmpfs mounts:
+    // they reach the directory underneath, which listings do not show
+    archiveFiles(container, target) {
+        const hidden = Object.keys(container.security.tmpfsMb)
+            .some(mount => target === mount || target.startsWith(`${mount}/`));
+        return hidden ? container.underTmpfs : container.files;
+    }
+
+    // No symlinks here
+    async resolvePath(container, target) {
+        return target;
+    }
+
+    async listFiles(container, dir) {
+        const prefix = dir.endsWith('/') ? dir : `${dir}/`;
+        const entries = new Map();
+        for (const [file, { content, mtime }] of container.files) {
+            if (file.startsWith(prefix)) {
+                const [name, ...rest] = file.slice(prefix.length).split('/');
+                entries.set(name, rest.length > 0
+                    ? { name, type: 'directory', size: 0, mtime }
+                    : { name, type: 'file', size: content.length, mtime });
+            }
+        }
+        return toListing(dir, Array.from(entries.values()));
+    }
+
+    async uploadArchive(container, dir, archive) {
+        const files = this.archiveFiles(container, dir);
+        await new Promise((resolve, reject) => {
+            const extract = tar.extract();
+            extract.on('entry', (header, stream, next) => {
+                const chunks = [];
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', () => {
+                    if (header.type === 'file') {
+                        files.set(path.posix.join(dir, header.name), {
+                            content: Buffer.concat(chunks),
+                            mtime: new Date().toISOString()
+                        });
+                    }
+                    next();
+                });
+            });
+            extract.on('finish', resolve);
+            extract.on('error', reject);
+            extract.end(archive);
+        });
+    }
+
+    async downloadArchive(container, target) {
+        const files = this.archiveFiles(container, target);
+        const name = path.posix.basename(target) || 'root';
+        const file = files.get(target);
+        if (file) {
+            return {
+                stream: Readable.from([await packFiles([{ name, content: file.content }])]),
+                stat: { name, size: file.content.length, mtime: file.mtime, type: 'file' }
+            };
+        }
+
+        const prefix = target.endsWith('/') ? target : `${target}/`;
+        const entries = Array.from(files)
+            .filter(([file]) => file.startsWith(prefix))
+            .map(([file, { content }]) => ({ name: `${name}/${file.slice(prefix.length)}`, content }));
+        if (entries.length === 0) {
+            throw new FileError('No such file or directory', 404);
+        }
+        return {
+            stream: Readable.from([await packFiles(entries)]),
+            stat: { name, size: 0, mtime: new Date().toISOString(), type: 'directory' }
+        };
+    }
+}
+
+module.exports = {
+    FakeDriver
+};
@@ -0,0 +1,70 @@
+// Container drivers run session shells somewhere: Docker containers, PTYs
+// on the host (local, for development) or in memory (fake, for tests).
+// Containers and shells are opaque handles to everything but their driver,
+// except that containers have an id. Every driver implements:
+//
+//   createContainer(template, { binds, image, persistentHome })
+//                                                 start a session container
+//   securitySettings(template, { persistentHome }) the settings it would get, for session info
+//   egressAddress(container)                      its address as the egress proxy sees it, or null
+//   prepareContainer(template)                    a container for the warm pool
+//   runInitScript(container, template)
+//   destroyContainer(container)                   remove a pooled container
+//   stopContainer(container, { paused })          stop and remove a session container
+//   isRunning(container)
+//   containerState(container)                     { running, oomKilled }
+//   pause(container) / unpause(container)
+//   startShell(container, template, dimensions, env)
+//                                                 { exec, stream }; ending the stream hangs up,
+//                                                 env adds to the template's variables
+//   runCommand(container, template, { command, stdin, env, timeout }, onOutput)
+//                                                 run to completion without a TTY, calling
+//                                                 onOutput('stdout' | 'stderr', chunk);
+//                                                 resolves to { exitCode, timedOut }
+//   resizeShell(exec, cols, rows)
+//   shellExitCode(exec)                           null if unknown
+//   stats(container) / watchStats(container, onSample)
+//   watchContainerEvents(onEvent)                 calls onEvent(containerId, 'oom' or 'die'); returns a stop function
+//   commit(container, { owner, templateId, description, tag })
+//   listSnapshotImages(owner) / inspectSnapshotImage(ref) / removeImage(id)
+//   workingDir(container, template)               where the file browser starts, and the only
+//                                                 directory tree file transfers may reach
+//   resolvePath(container, target)                target with symlinks followed
+//   listFiles(container, dir) / uploadArchive(container, dir, archive) / downloadArchive(container, target)
+//
+// Operations a driver cannot perform throw a DriverError with status 501.
+
+const { DockerDriver } = require('./docker');
+const { LocalDriver } = require('./local');
+const { FakeDriver } = require('./fake');
+const { DriverError } = require('./driver-error');
+
+// docker is a dockerode client and egressProxy the proxy for allowlisted
+// egress, both needed only by the Docker driver
+function createDriver(config, { docker, policies, egressProxy }) {
+    switch (config.driver.name) {
+        case 'docker':
+            return new DockerDriver({
+                docker,
+                policies,
+                securityProfile: config.docker.securityProfile,
+                egressProxy,
+                egressProxyHost: config.egress.proxyHost,
+                snapshotRepository: config.docker.snapshotRepository
+            });
+        case 'local':
+            return new LocalDriver({ policies, root: config.driver.localRoot });
+        case 'fake':
+            return new FakeDriver({ securityProfile: config.docker.securityProfile });
+        default:
+            throw new Error(`Unknown driver: ${config.driver.name}`);
+    }
+}
+
+module.exports = {
+    DriverError,
+    DockerDriver,
+    LocalDriver,
+    FakeDriver,
+    createDriver
+};
@@ -0,0 +1,393 @@
+// The local driver runs shells as PTYs on this host, for developing without
+// Docker. Nothing is isolated: shells run as the backend's user, with its
+// access to the host. Each session gets a scratch home directory under root.
+
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Duplex } = require('stream');
+const tar = require('tar-stream');
+const { generateHook } = require('../policy');
+const { FileError, toListing } = require('../files');
+const { logger } = require('../logger');
+const { unsupported } = require('./driver-error');
+
+// Host variables a shell needs; everything else (such as the backend's
+// secrets) stays out of its environment
+const INHERITED_ENV = ['PATH', 'LANG', 'LC_ALL', 'USER', 'LOGNAME', 'TZ'];
+
+function loadPty() {
+    try {
+        return require('node-pty');
+    } catch (error) {
+        throw new Error('The local driver needs the optional node-pty package: npm install node-pty');
+    }
+}
+
+// What shells and commands in container get from the host and template
+function shellEnv(container, template) {
+    const env = { TERM: 'xterm-256color', HOME: container.home, BASH_ENV: container.hookPath };
+    for (const name of INHERITED_ENV) {
+        if (process.env[name] !== undefined) {
+            env[name] = process.env[name];
+        }
+    }
+    return Object.assign(env, template.env);
+}
+
+function fileType(stat) {
+    if (stat.isDirectory()) {
+        return 'directory';
+    }
+    if (stat.isSymbolicLink()) {
+        return 'symlink';
+    }
+    return stat.isFile() ? 'file' : 'other';
+}
+
+function hostFileError(error, action) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return new FileError('No such file or directory', 404);
+    }
+    if (error.code === 'EACCES' || error.code === 'EPERM') {
+        return new FileError(`Cannot ${action} that path`, 403);
+    }
+    return error;
+}
+
+// Add a file, symlink or directory tree to a tar pack
+async function packPath(pack, hostPath, name) {
+    const stat = await fs.promises.lstat(hostPath);
+    const header = { name, mode: stat.mode & 0o7777, mtime: stat.mtime };
+
+    if (stat.isSymbolicLink()) {
+        pack.entry({ ...header, type: 'symlink', linkname: await fs.promises.readlink(hostPath) });
+    } else if (stat.isDirectory()) {
+        pack.entry({ ...header, type: 'directory' });
+        for (const child of await fs.promises.readdir(hostPath)) {
+            await packPath(pack, path.join(hostPath, child), `${name}/${child}`);
+        }
+    } else if (stat.isFile()) {
+        await new Promise((resolve, reject) => {
+            const entry = pack.entry({ ...header, size: stat.size }, error => (error ? reject(error) : resolve()));
+            fs.createReadStream(hostPath).on('error', reject).pipe(entry);
+        });
+    }
+}
+
+class LocalDriver {
+    // policies maps policy names to compiled policies, for the shell's hook
+    constructor({ policies, root }) {
+        this.name = 'local';
+        this.pty = loadPty();
+        this.policies = policies;
+        this.root = path.resolve(root);
+        logger.warn('Using the local driver; shells run unsandboxed on this host', { root: this.root });
+    }
+
+    // Shells get none of the container protections; reported as such
+    securitySettings() {
+        return {
+            profile: 'host',
+            user: os.userInfo().username,
+            seccomp: 'unconfined',
+            noNewPrivileges: false,
+            capabilities: [],
+            readOnlyRootfs: false,
+            egress: { mode: 'full', allow: [] },
+            tmpfsMb: {},
+            homeMb: null
+        };
+    }
+
+    egressAddress() {
+        return null;
+    }
+
+    // binds, image and persistentHome have no meaning on the host and are ignored
+    async createContainer(template) {
+        const id = crypto.randomUUID();
+        const dir = path.join(this.root, id);
+        const container = {
+            id,
+            dir,
+            home: path.join(dir, 'home'),
+            hookPath: path.join(dir, 'policy-hook.sh'),
+            shells: new Set(),
+            commands: new Set(),
+            running: true
+        };
+
+        await fs.promises.mkdir(container.home, { recursive: true });
+        await fs.promises.writeFile(container.hookPath, generateHook(this.policies.get(template.policy)));
+        return container;
+    }
+
+    // Init scripts install packages in an image, which would change the host
+    async runInitScript(container, template) {
+        logger.info('Skipping init script under the local driver', { template: template.id });
+    }
+
+    prepareContainer(template) {
+        return this.createContainer(template);
+    }
+
+    async destroyContainer(container) {
+        await this.stopContainer(container);
+    }
+
+    async isRunning(container) {
+        return container.running;
+    }
+
+    async stopContainer(container) {
+        container.running = false;
+        for (const exec of container.shells) {
+            exec.pty.kill('SIGHUP');
+        }
+        for (const child of container.commands) {
+            child.kill('SIGKILL');
+        }
+        await fs.promises.rm(container.dir, { recursive: true, force: true });
+    }
+
+    async pause() {
+        throw unsupported(this.name, 'pause sessions');
+    }
+
+    async unpause() {
+        throw unsupported(this.name, 'resume sessions');
+    }
+
+    async startShell(container, template, dimensions, env = {}) {
+        const pty = this.pty.spawn(template.shell, ['--rcfile', container.hookPath, '-i'], {
+            name: 'xterm-256color',
+            cols: dimensions.cols,
+            rows: dimensions.rows,
+            cwd: container.home,
+            env: { ...shellEnv(container, template), ...env }
+        });
+        const exec = { pty, exitCode: null };
+        container.shells.add(exec);
+
+        // The session manager expects a Docker-style duplex stream; ending
+        // it hangs up the shell
+        const stream = new Duplex({
+            // Reading resumes a PTY paused because the stream's buffer was full
+            read() {
+                pty.resume();
+            },
+            write(chunk, encoding, callback) {
+                if (exec.exitCode === null) {
+                    pty.write(chunk.toString());
+                }
+                callback();
+            },
+            final(callback) {
+                if (exec.exitCode === null) {
+                    pty.kill('SIGHUP');
+                }
+                callback();
+            }
+        });
+        pty.onData((data) => {
+            if (!stream.push(data)) {
+                pty.pause();
+            }
+        });
+        pty.onExit(({ exitCode, signal }) => {
+            exec.exitCode = signal ? 128 + signal : exitCode;
+            container.shells.delete(exec);
+            stream.push(null);
+        });
+
+        return { exec, stream };
+    }
+
+    // Run a command to completion as a child process, killed after timeout ms
+    runCommand(container, template, { command, stdin = null, env = {}, timeout }, onOutput) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(template.shell, ['-c', command], {
+                cwd: container.home,
+                env: { ...shellEnv(container, template), ...env },
+                stdio: [stdin === null ? 'ignore' : 'pipe', 'pipe', 'pipe']
+            });
+            container.commands.add(child);
+
+            let timedOut = false;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                child.kill('SIGKILL');
+            }, timeout);
+
+            child.stdout.on('data', chunk => onOutput('stdout', chunk));
+            child.stderr.on('data', chunk => onOutput('stderr', chunk));
+            if (stdin !== null) {
+                // The command may exit without reading all of it
+                child.stdin.on('error', () => {});
+                child.stdin.end(stdin);
+            }
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                container.commands.delete(child);
+                reject(error);
+            });
+            child.on('close', (code, signal) => {
+                clearTimeout(timer);
+                container.commands.delete(child);
+                resolve({ exitCode: signal ? 128 + os.constants.signals[signal] : code, timedOut });
+            });
+        });
+    }
+
+    async resizeShell(exec, cols, rows) {
+        if (exec.exitCode === null) {
+            exec.pty.resize(cols, rows);
+        }
+    }
+
+    async shellExitCode(exec) {
+        return exec.exitCode;
+    }
+
+    async containerState(container) {
+        return { running: container.running, oomKilled: false };
+    }
+
+    // Host processes have no cgroup of their own to measure
+    async stats(container) {
+        return {
+            cpuPercent: null,
+            memoryBytes: null,
+            memoryLimitBytes: null,
+            pids: container.shells.size,
+            network: { rxBytes: 0, txBytes: 0 }
+        };
+    }
+
+    async watchStats() {
+        return () => {};
+    }
+
+    watchContainerEvents() {
+        return () => {};
+    }
+
+    async commit() {
+        throw unsupported(this.name, 'snapshot sessions');
+    }
+
+    async listSnapshotImages() {
+        return [];
+    }
+
+    async inspectSnapshotImage() {
+        return null;
+    }
+
+    async removeImage() {
+        throw unsupported(this.name, 'delete images');
+    }
+
+    workingDir(container) {
+        return container.home;
+    }
+
+    async resolvePath(container, target) {
+        try {
+            return await fs.promises.realpath(target);
+        } catch (error) {
+            // Left for the transfer to report
+            return target;
+        }
+    }
+
+    async listFiles(container, dir) {
+        let names;
+        try {
+            names = await fs.promises.readdir(dir);
+        } catch (error) {
+            throw hostFileError(error, 'list');
+        }
+
+        const entries = [];
+        for (const name of names) {
+            try {
+                const stat = await fs.promises.lstat(path.join(dir, name));
+                entries.push({ name, type: fileType(stat), size: stat.size, mtime: stat.mtime.toISOString() });
+            } catch (error) {
+                // Removed while listing
+            }
+        }
+        return toListing(dir, entries);
+    }
+
+    // Extract a tar archive into dir, refusing entries that would land outside it
+    async uploadArchive(container, dir, archive) {
+        try {
+            if (!(await fs.promises.stat(dir)).isDirectory()) {
+                throw new FileError('No such directory', 404);
+            }
+        } catch (error) {
+            throw error instanceof FileError ? error : hostFileError(error, 'upload to');
+        }
+
+        await new Promise((resolve, reject) => {
+            const extract = tar.extract();
+
+            extract.on('entry', (header, stream, next) => {
+                const target = path.resolve(dir, header.name);
+                const relative = path.relative(dir, target);
+                if (relative.startsWith('..') || path.isAbsolute(relative)) {
+                    stream.resume();
+                    return next(new FileError(`Archive entry escapes the target directory: ${header.name}`));
+                }
+
+                const done = error => (error ? next(hostFileError(error, 'upload to')) : next());
+                if (header.type === 'directory') {
+                    stream.resume();
+                    fs.promises.mkdir(target, { recursive: true }).then(() => done(), done);
+                } else if (header.type === 'file') {
+                    fs.promises.mkdir(path.dirname(target), { recursive: true }).then(() => {
+                        stream.pipe(fs.createWriteStream(target, { mode: header.mode }))
+                            .on('finish', () => done())
+                            .on('error', done);
+                    }, done);
+                } else {
+                    stream.on('end', next);
+                    stream.resume();
+                }
+            });
+            extract.on('finish', resolve);
+            extract.on('error', reject);
+            extract.end(archive);
+        });
+    }
+
+    // Pack a host path as a tar stream, with a stat like Docker's
+    async downloadArchive(container, target) {
+        let stat;
+        try {
+            stat = await fs.promises.lstat(target);
+        } catch (error) {
+            throw hostFileError(error, 'download');
+        }
+
+        const name = path.basename(target) || 'root';
+        const pack = tar.pack();
+        packPath(pack, target, name)
+            .then(() => pack.finalize())
+            .catch(error => pack.destroy(error));
+
+        return {
+            stream: pack,
+            stat: { name, size: stat.size, mtime: stat.mtime.toISOString(), type: fileType(stat) }
+        };
+    }
+}
+
+module.exports = {
+    LocalDriver
+};
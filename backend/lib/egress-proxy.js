@@ -0,0 +1,202 @@
+// Forward proxy for sessions whose templates allow egress only to listed
+// hosts. Their containers sit on an internal Docker network with no route
+// out, and reach the internet only through this proxy: CONNECT tunnels for
+// HTTPS and absolute-URI requests for plain HTTP.
+//
+// Clients are told apart by source address. Only registered addresses are
+// served, each against its own allowlist.
+//
+// Emits blocked ({ address, host, port, context }) for every refused
+// request; context is what the address was registered with, or null.
+
+const EventEmitter = require('events');
+const http = require('http');
+const net = require('net');
+
+const DEFAULT_PORTS = [80, 443];
+const CONNECT_TIMEOUT = 10 * 1000;
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-authorization', 'proxy-connection', 'te', 'trailer',
+    'transfer-encoding', 'upgrade'];
+
+// Allowlist entries are "host", "*.domain" (any subdomain of domain) or
+// either with ":port"; without a port, 80 and 443 are allowed
+function parseRule(entry) {
+    const match = /^(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d{1,5}))?$/i.exec(entry);
+    if (!match) {
+        throw new Error(`Invalid egress allowlist entry: ${entry}`);
+    }
+    return {
+        wildcard: Boolean(match[1]),
+        host: match[2].toLowerCase(),
+        ports: match[3] ? [Number(match[3])] : DEFAULT_PORTS
+    };
+}
+
+function isAllowed(rules, host, port) {
+    const name = host.toLowerCase().replace(/\.$/, '');
+    return rules.some(rule => rule.ports.includes(port) &&
+        (rule.wildcard ? name.endsWith(`.${rule.host}`) : name === rule.host));
+}
+
+// Headers that apply to one connection, not to the request being forwarded
+function withoutHopByHop(headers) {
+    const forwarded = { ...headers };
+    for (const name of HOP_BY_HOP_HEADERS) {
+        delete forwarded[name];
+    }
+    return forwarded;
+}
+
+// IPv4 clients show up as IPv4-mapped IPv6 addresses on dual-stack sockets
+function normalizeAddress(address) {
+    return address && address.startsWith('::ffff:') ? address.slice(7) : address;
+}
+
+// Split "host:port" or "[v6]:port"
+function parseAuthority(authority, defaultPort) {
+    const match = /^(?:\[([^\]]+)\]|([^:]+))(?::(\d{1,5}))?$/.exec(authority || '');
+    if (!match) {
+        return null;
+    }
+    const port = match[3] ? Number(match[3]) : defaultPort;
+    return port > 0 && port < 65536 ? { host: match[1] || match[2], port } : null;
+}
+
+class EgressProxy extends EventEmitter {
+    constructor() {
+        super();
+        this.clients = new Map();
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('connect', (req, socket, head) => this.handleConnect(req, socket, head));
+        // Open tunnels would hold close() up, so they are tracked to destroy
+        this.sockets = new Set();
+        this.server.on('connection', (socket) => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+    }
+
+    // Resolves to the address the proxy is listening on
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    // The port it is listening on
+    get port() {
+        return this.server.address().port;
+    }
+
+    close() {
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // Serve address against allowlist; context comes back with blocked events
+    register(address, allowlist, context = null) {
+        this.clients.set(normalizeAddress(address), { rules: allowlist.map(parseRule), context });
+    }
+
+    unregister(address) {
+        this.clients.delete(normalizeAddress(address));
+    }
+
+    // Whether the client on socket may reach host:port; emits blocked if not
+    check(socket, host, port) {
+        const address = normalizeAddress(socket.remoteAddress);
+        const client = this.clients.get(address);
+        if (client && isAllowed(client.rules, host, port)) {
+            return true;
+        }
+        this.emit('blocked', { address, host, port, context: client ? client.context : null });
+        return false;
+    }
+
+    handleConnect(req, socket, head) {
+        socket.on('error', () => {});
+        const target = parseAuthority(req.url, 443);
+        if (!target) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        if (!this.check(socket, target.host, target.port)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\nBlocked by the session egress policy\n');
+            return;
+        }
+
+        const upstream = net.connect(target.port, target.host);
+        upstream.setTimeout(CONNECT_TIMEOUT, () => upstream.destroy(new Error('Connection timed out')));
+        let connected = false;
+        upstream.once('connect', () => {
+            connected = true;
+            upstream.setTimeout(0);
+            socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            if (head.length) {
+                upstream.write(head);
+            }
+            upstream.pipe(socket);
+            socket.pipe(upstream);
+        });
+        upstream.on('error', () => {
+            if (!connected) {
+                socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+            } else {
+                socket.destroy();
+            }
+        });
+        socket.on('close', () => upstream.destroy());
+    }
+
+    handleRequest(req, res) {
+        let url;
+        try {
+            url = new URL(req.url);
+        } catch (error) {
+            res.writeHead(400).end('Only proxy requests are served here\n');
+            return;
+        }
+        if (url.protocol !== 'http:') {
+            res.writeHead(400).end('Only http:// URLs can be proxied; use CONNECT for https\n');
+            return;
+        }
+
+        const port = url.port ? Number(url.port) : 80;
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (!this.check(req.socket, host, port)) {
+            res.writeHead(403).end('Blocked by the session egress policy\n');
+            return;
+        }
+
+        const upstream = http.request({
+            host,
+            port,
+            method: req.method,
+            path: `${url.pathname}${url.search}`,
+            headers: withoutHopByHop(req.headers)
+        }, (response) => {
+            res.writeHead(response.statusCode, withoutHopByHop(response.headers));
+            response.pipe(res);
+        });
+        upstream.on('error', () => {
+            if (!res.headersSent) {
+                res.writeHead(502).end('Bad gateway\n');
+            } else {
+                res.destroy();
+            }
+        });
+        req.pipe(upstream);
+    }
+}
+
+module.exports = {
+    EgressProxy,
+    parseRule,
+    isAllowed
+};
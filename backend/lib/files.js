@@ -0,0 +1,214 @@
+// File transfer between clients and session containers, built on the
+// Docker archive API (tar in, tar out) plus an exec for directory listings.
+
+const path = require('path');
+const { PassThrough } = require('stream');
+const tar = require('tar-stream');
+const { HOOK_PATH } = require('./policy');
+
+const MAX_LISTING_ENTRIES = 1000;
+const HOOK_DIR = path.posix.dirname(HOOK_PATH);
+
+// Go's os.ModeDir and os.ModeSymlink bits, as used in the path stat header
+const MODE_DIR = 2 ** 31;
+const MODE_SYMLINK = 2 ** 27;
+
+class FileError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'FileError';
+        this.status = status;
+    }
+}
+
+// Absolute, normalized container path
+function normalizePath(value) {
+    if (typeof value !== 'string' || !value.startsWith('/') || value.includes('\0')) {
+        throw new FileError('Path must be an absolute path');
+    }
+    return path.posix.normalize(value);
+}
+
+// A normalized path that file transfers may use: inside root, the session's
+// working directory, and never in the policy hook's directory
+function confinePath(value, root) {
+    const target = normalizePath(value);
+    const within = dir => target === dir || target.startsWith(dir === '/' ? '/' : `${dir}/`);
+    if (within(HOOK_DIR)) {
+        throw new FileError('The command policy cannot be read or changed', 403);
+    }
+    if (!within(root)) {
+        throw new FileError(`Path must be inside ${root}`, 403);
+    }
+    return target;
+}
+
+// A plain file name to create inside a directory
+function validateFileName(name) {
+    if (typeof name !== 'string' || name === '' || name === '.' || name === '..' ||
+        name.includes('/') || name.includes('\0')) {
+        throw new FileError('Invalid file name');
+    }
+    return name;
+}
+
+function dockerError(error, action) {
+    if (error.statusCode === 404) {
+        return new FileError('No such file or directory', 404);
+    }
+    if (error.statusCode === 400 || error.statusCode === 403) {
+        return new FileError(`Cannot ${action} that path`, error.statusCode);
+    }
+    return error;
+}
+
+// Decode the X-Docker-Container-Path-Stat header of an archive response
+function parsePathStat(header) {
+    if (!header) {
+        return null;
+    }
+    const stat = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+    return {
+        name: stat.name,
+        size: stat.size,
+        mtime: stat.mtime,
+        type: stat.mode & MODE_DIR ? 'directory' : stat.mode & MODE_SYMLINK ? 'symlink' : 'file'
+    };
+}
+
+// Run a command in the container and collect its stdout
+async function execOutput(container, cmd) {
+    const exec = await container.exec({ Cmd: cmd, AttachStdout: true, AttachStderr: true });
+    const stream = await exec.start({});
+
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    const chunks = [];
+    const errors = [];
+    stdout.on('data', chunk => chunks.push(chunk));
+    stderr.on('data', chunk => errors.push(chunk));
+    container.modem.demuxStream(stream, stdout, stderr);
+
+    await new Promise((resolve, reject) => {
+        stream.on('end', resolve);
+        stream.on('error', reject);
+    });
+
+    const { ExitCode } = await exec.inspect();
+    return { code: ExitCode, stdout: Buffer.concat(chunks), stderr: Buffer.concat(errors).toString('utf8') };
+}
+
+const FIND_TYPES = { d: 'directory', f: 'file', l: 'symlink' };
+
+// List a directory with GNU find, NUL-separated so any file name is safe
+async function listDirectory(container, dir) {
+    const result = await execOutput(container, [
+        'find', dir, '-mindepth', '1', '-maxdepth', '1',
+        '-printf', '%y\\t%s\\t%T@\\t%f\\0'
+    ]);
+
+    if (result.code !== 0 && result.stdout.length === 0) {
+        if (/No such file|Not a directory/.test(result.stderr)) {
+            throw new FileError('No such directory', 404);
+        }
+        throw new FileError(result.stderr.trim() || 'Failed to list directory');
+    }
+
+    const entries = result.stdout.toString('utf8')
+        .split('\0')
+        .filter(Boolean)
+        .map(line => {
+            const [type, size, mtime, ...name] = line.split('\t');
+            return {
+                name: name.join('\t'),
+                type: FIND_TYPES[type] || 'other',
+                size: Number(size),
+                mtime: new Date(Number(mtime) * 1000).toISOString()
+            };
+        });
+
+    return toListing(dir, entries);
+}
+
+// A directory listing response: directories first, then by name, capped
+function toListing(dir, entries) {
+    const sorted = entries.slice().sort((a, b) =>
+        (a.type === 'directory' ? 0 : 1) - (b.type === 'directory' ? 0 : 1) || a.name.localeCompare(b.name)
+    );
+    return {
+        path: dir,
+        entries: sorted.slice(0, MAX_LISTING_ENTRIES),
+        truncated: sorted.length > MAX_LISTING_ENTRIES
+    };
+}
+
+// Where a container path leads once symlinks are followed; missing parts
+// are kept as they are
+async function resolvePath(container, target) {
+    const result = await execOutput(container, ['realpath', '-m', '--', target]);
+    if (result.code !== 0) {
+        throw new FileError(result.stderr.trim() || 'Invalid path');
+    }
+    return result.stdout.toString('utf8').replace(/\n$/, '');
+}
+
+// Extract a tar archive into a directory in the container, owned by the
+// container's user
+async function uploadArchive(container, dir, archive) {
+    try {
+        await container.putArchive(archive, { path: dir, copyUIDGID: true });
+    } catch (error) {
+        throw dockerError(error, 'upload to');
+    }
+}
+
+// Open a path in the container as a tar stream, with its stat
+async function downloadArchive(container, target) {
+    try {
+        const stream = await container.getArchive({ path: target });
+        return { stream, stat: parsePathStat(stream.headers['x-docker-container-path-stat']) };
+    } catch (error) {
+        throw dockerError(error, 'download');
+    }
+}
+
+// The first regular file in a tar stream, as a readable stream
+function extractFile(archive) {
+    return new Promise((resolve, reject) => {
+        const extract = tar.extract();
+        let found = false;
+
+        extract.on('entry', (header, stream, next) => {
+            if (found || header.type !== 'file') {
+                stream.on('end', next);
+                stream.resume();
+                return;
+            }
+            found = true;
+            stream.on('end', next);
+            resolve(stream);
+        });
+        extract.on('finish', () => {
+            if (!found) {
+                reject(new FileError('Archive contains no file'));
+            }
+        });
+        extract.on('error', reject);
+
+        archive.pipe(extract);
+    });
+}
+
+module.exports = {
+    FileError,
+    normalizePath,
+    confinePath,
+    validateFileName,
+    parsePathStat,
+    listDirectory,
+    toListing,
+    resolvePath,
+    uploadArchive,
+    downloadArchive,
+    extractFile
+};
@@ -0,0 +1,83 @@
+// Output flow control between a shell and the WebSockets watching it.
+//
+// Each client has two counts: bytes handed to ws.send that have not reached
+// the socket yet, and bytes sent that its terminal has not acknowledged
+// rendering (with ack frames). The shell's output is paused while a client
+// that holds output, such as the driver, is over a limit, and resumed once
+// every such client is back under half of it, so a slow driver slows the
+// shell down instead of growing buffers. Any other client over a limit is
+// dropped instead, so a stalled viewer cannot freeze the shell.
+
+class OutputFlow {
+    // pause and resume stop and restart reading the shell's output.
+    // holdsOutput(ws) says whether ws may pause it; drop(ws) disconnects a
+    // client that may not and fell behind, and ws is forgotten.
+    constructor({ highWaterMark, ackWindow, pause, resume, holdsOutput = () => true, drop = () => {} }) {
+        this.highWaterMark = highWaterMark;
+        this.ackWindow = ackWindow;
+        this.pause = pause;
+        this.resume = resume;
+        this.holdsOutput = holdsOutput;
+        this.drop = drop;
+        this.clients = new Map();
+        this.paused = false;
+    }
+
+    add(ws) {
+        this.clients.set(ws, { unsent: 0, unacked: 0 });
+    }
+
+    remove(ws) {
+        this.clients.delete(ws);
+        this.update();
+    }
+
+    // Count bytes about to be sent to ws; returns the callback for ws.send
+    sending(ws, bytes) {
+        const client = this.clients.get(ws);
+        if (!client) {
+            return undefined;
+        }
+        client.unsent += bytes;
+        client.unacked += bytes;
+        this.update();
+        return () => {
+            client.unsent -= bytes;
+            this.update();
+        };
+    }
+
+    ack(ws, bytes) {
+        const client = this.clients.get(ws);
+        if (client) {
+            client.unacked = Math.max(0, client.unacked - bytes);
+            this.update();
+        }
+    }
+
+    update() {
+        const holding = [];
+        for (const [ws, client] of this.clients) {
+            if (this.holdsOutput(ws)) {
+                holding.push(client);
+            } else if (client.unsent > this.highWaterMark || client.unacked > this.ackWindow) {
+                this.clients.delete(ws);
+                this.drop(ws);
+            }
+        }
+
+        if (!this.paused && holding.some(client =>
+            client.unsent > this.highWaterMark || client.unacked > this.ackWindow)) {
+            this.paused = true;
+            this.pause();
+        } else if (this.paused && holding.every(client =>
+            client.unsent <= this.highWaterMark / 2 && client.unacked <= this.ackWindow / 2)) {
+            this.paused = false;
+            this.resume();
+        }
+    }
+}
+
+module.exports = {
+    OutputFlow
+};
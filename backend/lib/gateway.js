@@ -0,0 +1,325 @@
+// WebSocket gateway: authenticates terminal connections, attaches them to
+// shells and speaks the framed protocol (see protocol.js).
+//
+// Emits connection () for each accepted connection and output-sent (bytes).
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const {
+    SUBPROTOCOL,
+    FrameType,
+    CloseCode,
+    ProtocolError,
+    encodeFrame,
+    decodeClientFrame
+} = require('./protocol');
+const { AuthError, canAccessSession } = require('./auth');
+const { Role, ShareError } = require('./sharing');
+const { SessionError } = require('./session-manager');
+const { OutputFlow } = require('./flow-control');
+const { logger } = require('./logger');
+
+function sendFrame(ws, type, payload) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(encodeFrame(type, payload));
+    }
+}
+
+// Reject a connection before it is attached to anything
+function refuse(ws, code, reason, message) {
+    sendFrame(ws, FrameType.NOTICE, { level: 'error', message });
+    ws.close(code, reason);
+}
+
+class Gateway extends EventEmitter {
+    // outputFlow is { highWaterMark, ackWindow } for flow-control.js
+    constructor({ server, manager, authenticator, corsOrigins, outputChunkSize, outputFlow }) {
+        super();
+        this.manager = manager;
+        this.authenticator = authenticator;
+        this.outputChunkSize = outputChunkSize;
+        this.outputFlow = outputFlow;
+        // Each shell's OutputFlow, created when its first client attaches
+        this.flows = new WeakMap();
+
+        this.wss = new WebSocket.Server({
+            server,
+            handleProtocols: (protocols) => protocols.has(SUBPROTOCOL) ? SUBPROTOCOL : false,
+            // Browsers always send Origin, so this stops other sites opening sockets
+            verifyClient: ({ origin }) => !origin || corsOrigins.includes(origin)
+        });
+        this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+
+        manager.on('output', (session, shell, chunk) => {
+            for (const client of shell.audience.clients()) {
+                this.sendOutput(client, chunk, this.flows.get(shell));
+            }
+        });
+        manager.on('shell-exit', (session, shell, exit) => {
+            for (const client of shell.audience.clients()) {
+                sendFrame(client, FrameType.EXIT, exit);
+                client.close(CloseCode.SHELL_EXITED, 'Shell exited');
+            }
+        });
+        manager.on('shell-error', (session, shell) => {
+            this.sendToShell(shell, FrameType.NOTICE, { level: 'error', message: 'Terminal error occurred' });
+        });
+        // Viewers are told the new size so their terminals match the driver's
+        manager.on('resize', (session, shell) => {
+            this.sendToShell(shell, FrameType.RESIZE, shell.dimensions);
+        });
+        manager.on('presence', (session, shell) => {
+            this.sendToShell(shell, FrameType.PRESENCE, { participants: shell.audience.list() });
+        });
+        manager.on('share-revoked', (session, shell, shareId) => {
+            for (const client of shell.audience.clientsForShare(shareId)) {
+                refuse(client, CloseCode.FORBIDDEN, 'Share revoked', 'The share link was revoked');
+            }
+        });
+        manager.on('stats', (session, sample) => this.sendToSession(session, FrameType.STATS, sample));
+        manager.on('notice', (session, notice) => this.sendToSession(session, FrameType.NOTICE, notice));
+    }
+
+    close() {
+        for (const client of this.wss.clients) {
+            client.terminate();
+        }
+        this.wss.close();
+    }
+
+    // Send output as binary frames, counted against the shell's flow if given
+    sendOutput(ws, chunk, flow = null) {
+        if (!ws || ws.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        try {
+            for (let i = 0; i < chunk.length; i += this.outputChunkSize) {
+                const frame = Buffer.from(chunk.subarray(i, Math.min(i + this.outputChunkSize, chunk.length)));
+                ws.send(frame, flow ? flow.sending(ws, frame.length) : undefined);
+            }
+            this.emit('output-sent', chunk.length);
+        } catch (error) {
+            logger.error('Error sending data to websocket', { err: error });
+        }
+    }
+
+    sendToShell(shell, type, payload) {
+        for (const client of shell.audience.clients()) {
+            sendFrame(client, type, payload);
+        }
+    }
+
+    // Send a frame to every client attached to a shell in the session
+    sendToSession(session, type, payload) {
+        for (const shell of session.shells.values()) {
+            this.sendToShell(shell, type, payload);
+        }
+    }
+
+    async handleConnection(ws, req) {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const sessionId = params.get('sessionId');
+        const shellId = params.get('shellId');
+        const shareToken = params.get('share');
+        const session = this.manager.get(sessionId);
+
+        if (ws.protocol !== SUBPROTOCOL) {
+            ws.close(1002, `Unsupported protocol, expected ${SUBPROTOCOL}`);
+            return;
+        }
+
+        let user;
+        try {
+            user = this.authenticator.authenticate(params.get('token'));
+        } catch (error) {
+            if (!(error instanceof AuthError)) {
+                logger.error('Error authenticating WebSocket connection', { sessionId, err: error });
+            }
+            refuse(ws, CloseCode.UNAUTHORIZED, 'Unauthorized', 'Authentication required');
+            return;
+        }
+
+        if (!session) {
+            refuse(ws, CloseCode.SESSION_NOT_FOUND, 'Session not found', 'Session not found or expired');
+            return;
+        }
+        if (shellId && !session.shells.has(shellId)) {
+            refuse(ws, CloseCode.SHELL_NOT_FOUND, 'Shell not found', 'Shell not found or exited');
+            return;
+        }
+
+        // A share link admits other users to one shell, in the link's role;
+        // the owner and admins always join as drivers
+        const share = shareToken && shellId ? session.shells.get(shellId).shares.find(shareToken) : null;
+        if (shareToken && !share) {
+            refuse(ws, CloseCode.FORBIDDEN, 'Forbidden', 'Share link is invalid or was revoked');
+            return;
+        }
+        if (!share && !canAccessSession(user, session)) {
+            refuse(ws, CloseCode.FORBIDDEN, 'Forbidden', 'Access to this session is forbidden');
+            return;
+        }
+
+        this.emit('connection');
+        let shell;
+        try {
+            shell = shellId
+                ? session.shells.get(shellId)
+                : await this.manager.startShell(session, { ...session.dimensions });
+        } catch (error) {
+            if (error instanceof SessionError) {
+                refuse(ws, CloseCode.SHELL_LIMIT_REACHED, 'Too many shells', error.message);
+                return;
+            }
+            session.log.error('Error setting up WebSocket connection', { err: error });
+            ws.close();
+            return;
+        }
+
+        if (ws.readyState !== WebSocket.OPEN) {
+            // The client went away while the shell was starting, so never learnt its id
+            if (!shellId) {
+                this.manager.closeShell(shell);
+            }
+            return;
+        }
+
+        this.attach(ws, user, session, shell, { share, resumed: Boolean(shellId) });
+    }
+
+    // The shell's output flow, pausing and resuming it through the manager.
+    // Only the driver and the session's owner can hold output back.
+    flowFor(session, shell) {
+        let flow = this.flows.get(shell);
+        if (!flow) {
+            flow = new OutputFlow({
+                ...this.outputFlow,
+                pause: () => this.manager.pauseOutput(shell),
+                resume: () => this.manager.resumeOutput(shell),
+                holdsOutput: (ws) => {
+                    const participant = shell.audience.get(ws);
+                    return !participant || shell.audience.canDrive(ws) || participant.user === session.owner;
+                },
+                drop: (ws) => {
+                    session.log.info('Dropping a client that fell behind', { shellId: shell.id });
+                    refuse(ws, CloseCode.TOO_SLOW, 'Too slow', 'Disconnected for falling behind the shell output');
+                }
+            });
+            this.flows.set(shell, flow);
+        }
+        return flow;
+    }
+
+    attach(ws, user, session, shell, { share, resumed }) {
+        const flow = this.flowFor(session, shell);
+        flow.add(ws);
+        const participant = this.manager.attach(session, shell, ws, {
+            user: user.id,
+            role: share ? share.role : Role.DRIVER,
+            shareId: share ? share.id : null
+        });
+
+        sendFrame(ws, FrameType.HELLO, {
+            sessionId: session.id,
+            shellId: shell.id,
+            cols: shell.dimensions.cols,
+            rows: shell.dimensions.rows,
+            resumed,
+            participantId: participant.id,
+            role: participant.role,
+            egress: session.security.egress
+        });
+
+        if (resumed) {
+            session.log.info('Client attached', {
+                shellId: shell.id,
+                participantId: participant.id,
+                user: user.id,
+                role: participant.role
+            });
+            this.sendOutput(ws, shell.scrollback.contents(), flow);
+        }
+
+        // Viewers are told once that their keystrokes go nowhere
+        let readOnlyNoticeSent = false;
+        const requireDriver = () => {
+            if (shell.audience.canDrive(ws)) {
+                return true;
+            }
+            if (!readOnlyNoticeSent) {
+                readOnlyNoticeSent = true;
+                sendFrame(ws, FrameType.NOTICE, { level: 'warning', message: 'You are viewing this shell read-only' });
+            }
+            return false;
+        };
+
+        const handOff = (to) => {
+            try {
+                const { from, to: recipient } = this.manager.handoff(session, shell, ws, to);
+                readOnlyNoticeSent = false;
+                const client = shell.audience.clients().find(c => shell.audience.get(c) === recipient);
+                sendFrame(client, FrameType.NOTICE, { level: 'info', message: `${from.user} handed you control` });
+            } catch (error) {
+                if (!(error instanceof ShareError)) {
+                    throw error;
+                }
+                sendFrame(ws, FrameType.NOTICE, { level: 'warning', message: error.message });
+            }
+        };
+
+        ws.on('message', async (data, isBinary) => {
+            let frame;
+            try {
+                frame = decodeClientFrame(data, isBinary);
+            } catch (error) {
+                if (error instanceof ProtocolError) {
+                    sendFrame(ws, FrameType.NOTICE, { level: 'warning', message: error.message });
+                } else {
+                    session.log.error('Error decoding frame', { shellId: shell.id, err: error });
+                }
+                return;
+            }
+
+            if (!shell.audience.get(ws)) {
+                return;
+            }
+
+            try {
+                switch (frame.type) {
+                    case FrameType.INPUT:
+                        if (requireDriver()) {
+                            this.manager.write(session, shell, frame.data);
+                        }
+                        break;
+                    case FrameType.RESIZE:
+                        if (shell.audience.canDrive(ws)) {
+                            await this.manager.resizeShell(session, shell, frame.cols, frame.rows);
+                        }
+                        break;
+                    case FrameType.HANDOFF:
+                        handOff(frame.to);
+                        break;
+                    case FrameType.ACK:
+                        flow.ack(ws, frame.bytes);
+                        break;
+                    case FrameType.PING:
+                        sendFrame(ws, FrameType.PONG, { id: frame.id });
+                        break;
+                }
+            } catch (error) {
+                session.log.error('Error processing frame', { shellId: shell.id, err: error });
+            }
+        });
+
+        ws.on('close', () => {
+            session.log.info('WebSocket closed', { shellId: shell.id });
+            flow.remove(ws);
+            this.manager.detach(session, shell, ws);
+        });
+    }
+}
+
+module.exports = {
+    Gateway,
+    sendFrame
+};
@@ -0,0 +1,29 @@
+// Reader for Docker's streaming endpoints (stats, events), which send one
+// JSON object per line with no alignment between lines and chunks.
+
+const { logger } = require('./logger');
+
+function readJsonLines(stream, onObject) {
+    let pending = '';
+
+    stream.on('data', (chunk) => {
+        pending += chunk.toString('utf8');
+        const lines = pending.split('\n');
+        pending = lines.pop();
+
+        for (const line of lines) {
+            if (line.trim() === '') {
+                continue;
+            }
+            try {
+                onObject(JSON.parse(line));
+            } catch (error) {
+                logger.error('Error parsing Docker stream line', { err: error });
+            }
+        }
+    });
+}
+
+module.exports = {
+    readJsonLines
+};
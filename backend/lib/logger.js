@@ -0,0 +1,74 @@
+// Structured JSON logging: one object per line on stdout (stderr for
+// warnings and errors), so log shippers can index fields such as
+// sessionId and requestId.
+//
+// LOG_LEVEL sets the minimum level: debug, info (default), warn or error.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        ...(error.statusCode !== undefined && { statusCode: error.statusCode }),
+        stack: error.stack
+    };
+}
+
+class Logger {
+    constructor({ level = 'info', bindings = {}, write } = {}) {
+        if (!LEVELS[level]) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        this.level = level;
+        this.bindings = bindings;
+        this.write = write || ((line, levelName) => {
+            (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+        });
+    }
+
+    // A logger that adds fields, such as a session or request id, to every entry
+    child(bindings) {
+        return new Logger({ level: this.level, bindings: { ...this.bindings, ...bindings }, write: this.write });
+    }
+
+    enabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.enabled(level)) {
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level, msg, ...this.bindings };
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        }
+        this.write(JSON.stringify(entry), level);
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+const logger = new Logger({ level: process.env.LOG_LEVEL || 'info' });
+
+module.exports = {
+    Logger,
+    logger
+};
@@ -0,0 +1,199 @@
+// Minimal Prometheus metrics: counters, gauges and histograms with labels,
+// rendered in the text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/).
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    key(labels) {
+        for (const name of Object.keys(labels)) {
+            if (!this.labelNames.includes(name)) {
+                throw new Error(`Unknown label "${name}" for metric ${this.name}`);
+            }
+        }
+        return JSON.stringify(this.labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+    }
+
+    labelsFor(key) {
+        const values = JSON.parse(key);
+        const labels = {};
+        this.labelNames.forEach((name, i) => {
+            if (values[i] !== '') labels[name] = values[i];
+        });
+        return labels;
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (amount < 0) {
+            throw new Error('Counters can only increase');
+        }
+        const key = this.key(labels);
+        this.series.set(key, (this.series.get(key) || 0) + amount);
+    }
+
+    render() {
+        const lines = this.header();
+        for (const [key, value] of this.series) {
+            lines.push(`${this.name}${formatLabels(this.labelsFor(key))} ${formatValue(value)}`);
+        }
+        return lines;
+    }
+}
+
+// A gauge is either set directly or computed at scrape time by collect()
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect = null) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.series.set(this.key(labels), value);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = this.key(labels);
+        this.series.set(key, (this.series.get(key) || 0) + amount);
+    }
+
+    dec(labels = {}, amount = 1) {
+        this.inc(labels, -amount);
+    }
+
+    render() {
+        if (this.collect) {
+            this.series.clear();
+            for (const { labels = {}, value } of this.collect()) {
+                this.set(labels, value);
+            }
+        }
+        const lines = this.header();
+        for (const [key, value] of this.series) {
+            lines.push(`${this.name}${formatLabels(this.labelsFor(key))} ${formatValue(value)}`);
+        }
+        return lines;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = this.key(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Observe the seconds from now until the returned function is called
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+        };
+    }
+
+    render() {
+        const lines = this.header();
+        for (const [key, series] of this.series) {
+            const labels = this.labelsFor(key);
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.render());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+    CONTENT_TYPE,
+    Counter,
+    Gauge,
+    Histogram,
+    Registry
+};
@@ -0,0 +1,852 @@
+// Command policy engine.
+//
+// Policies are declarative JSON files of ordered allow/deny rules matched
+// against the resolved name and arguments of every simple command. They are
+// enforced inside the container by a generated bash hook (a DEBUG trap) that
+// reports each decision back over the terminal stream as an OSC sequence.
+// Reports carry a per-shell nonce so that output which merely contains one
+// (say, a file being printed) is not taken for a report; the shell's own
+// user can still read the nonce, so reports are only as trustworthy as the
+// shell. evaluate() is the reference implementation of the same rules and
+// is used to audit reported commands and to vet non-interactive scripts.
+//
+// Every bash loads the hook: the first through --rcfile, the ones it starts
+// through BASH_ENV, which the hook makes read-only. On top of a policy's own
+// rules, commands that would start a shell without the hook are denied:
+// changing the variables it is loaded with, switching users, interactive
+// shells other than bash --rcfile <hook>, and `sh -c` scripts unless every
+// command in them passes with its name spelled out. Script files and other
+// programs that start processes themselves (python, make, ...) are beyond
+// what the hook can see; the security profile contains them.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY_DIR = path.join(__dirname, '..', 'config', 'policies');
+
+const HOOK_PATH = '/etc/terminal-on-web/policy.sh';
+// The per-shell nonce reports are signed with
+const NONCE_VARIABLE = 'TERMINAL_POLICY_NONCE';
+const REPORT_PREFIX = '\x1b]7337;terminal-policy;';
+const REPORT_TERMINATOR = '\x07';
+const MAX_PENDING_REPORT = 16 * 1024;
+
+// Commands that run another command, and how to find it in their arguments
+const WRAPPERS = {
+    sudo: { optionsWithArg: ['-u', '-g', '-C', '-D', '-h', '-p', '-r', '-t', '-U'] },
+    doas: { optionsWithArg: ['-u', '-C'] },
+    env: { optionsWithArg: ['-u', '-C', '-S', '--unset', '--chdir'] },
+    nohup: {},
+    exec: { optionsWithArg: ['-a'] },
+    command: {},
+    builtin: {},
+    time: { optionsWithArg: ['-f', '-o'] },
+    nice: { optionsWithArg: ['-n'] },
+    ionice: { optionsWithArg: ['-c', '-n', '-p'] },
+    stdbuf: { optionsWithArg: ['-i', '-o', '-e'] },
+    setsid: {},
+    timeout: { optionsWithArg: ['-s', '-k', '--signal', '--kill-after'], positional: 1 },
+    xargs: { optionsWithArg: ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s'] },
+    watch: { optionsWithArg: ['-n', '-d'] }
+};
+
+const SHELLS = new Set(['sh', 'bash', 'dash', 'zsh', 'ksh', 'ash']);
+// Commands that run another as someone else, with a fresh environment
+const SWITCH_USER = new Set(['su', 'sudo', 'doas']);
+
+// Variables the hook is loaded with or relies on, which commands may not change
+const POLICY_ENV = ['BASH_ENV', 'ENV', 'SHELLOPTS', 'BASHOPTS', 'POSIXLY_CORRECT', NONCE_VARIABLE];
+// Builtins that set, export or unset shell variables
+const VARIABLE_BUILTINS = new Set(['export', 'readonly', 'declare', 'typeset', 'local', 'unset']);
+// How deep shells started with -c are looked into
+const MAX_NESTING = 4;
+const BYPASS_RULE = 'policy-bypass';
+
+// Shell keywords that may precede a command in the same simple command
+const LEADING_KEYWORDS = new Set(['!', '{', '}', 'if', 'then', 'else', 'elif', 'fi', 'do', 'done', 'while', 'until', 'esac']);
+const COMPOUND_KEYWORDS = new Set(['for', 'case', 'select', 'function', 'in']);
+
+const COMMAND_NAME = /^[A-Za-z0-9_.+-]+$/;
+const ASSIGNMENT = /^[A-Za-z_][A-Za-z0-9_]*=/;
+
+class PolicyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PolicyError';
+    }
+}
+
+function compileRule(policyName, raw, index) {
+    const id = raw.id || `rule-${index + 1}`;
+    if (raw.action !== 'allow' && raw.action !== 'deny') {
+        throw new PolicyError(`Policy "${policyName}" rule ${id} must have action allow or deny`);
+    }
+    if (!Array.isArray(raw.commands) || raw.commands.length === 0) {
+        throw new PolicyError(`Policy "${policyName}" rule ${id} requires a list of commands`);
+    }
+    for (const command of raw.commands) {
+        if (command !== '*' && !COMMAND_NAME.test(command)) {
+            throw new PolicyError(`Policy "${policyName}" rule ${id} has invalid command name: ${command}`);
+        }
+    }
+
+    let args = null;
+    if (raw.args !== undefined) {
+        try {
+            args = new RegExp(raw.args);
+        } catch (error) {
+            throw new PolicyError(`Policy "${policyName}" rule ${id} has invalid args pattern: ${error.message}`);
+        }
+    }
+
+    return {
+        id,
+        action: raw.action,
+        commands: new Set(raw.commands),
+        args,
+        reason: raw.reason || ''
+    };
+}
+
+function compilePolicy(name, raw) {
+    const defaultAction = raw.defaultAction || 'allow';
+    if (defaultAction !== 'allow' && defaultAction !== 'deny') {
+        throw new PolicyError(`Policy "${name}" defaultAction must be allow or deny`);
+    }
+
+    return {
+        name,
+        description: raw.description || '',
+        defaultAction,
+        denyDynamicCommands: raw.denyDynamicCommands !== false,
+        rules: (raw.rules || []).map((rule, index) => compileRule(name, rule, index))
+    };
+}
+
+function loadPolicies(dir = process.env.POLICY_DIR || DEFAULT_POLICY_DIR) {
+    const policies = new Map();
+    for (const file of fs.readdirSync(dir)) {
+        if (path.extname(file) !== '.json') {
+            continue;
+        }
+        const name = path.basename(file, '.json');
+        const raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        policies.set(name, compilePolicy(name, raw));
+    }
+    return policies;
+}
+
+// Find the end of a $( ... ) substitution starting after the opening paren
+function findClosingParen(line, start) {
+    let depth = 1;
+    let quote = null;
+    for (let i = start; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '\\' && quote !== "'") {
+            i++;
+        } else if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === "'" || ch === '"') {
+            quote = ch;
+        } else if (ch === '(') {
+            depth++;
+        } else if (ch === ')' && --depth === 0) {
+            return i;
+        }
+    }
+    return line.length;
+}
+
+// Split a command line into simple commands (arrays of words). Commands
+// nested in substitutions are returned as commands of their own.
+function splitCommands(line) {
+    const commands = [];
+    let words = [];
+    let word = '';
+    let inWord = false;
+    let dynamic = false;
+    let redirect = false;
+
+    const endWord = () => {
+        if (inWord) {
+            if (redirect) {
+                redirect = false;
+            } else {
+                words.push(dynamic ? { text: word, dynamic } : word);
+            }
+        }
+        word = '';
+        inWord = false;
+        dynamic = false;
+    };
+    const endCommand = () => {
+        endWord();
+        if (words.length > 0) {
+            commands.push(words);
+        }
+        words = [];
+    };
+    const substitute = (inner) => {
+        commands.push(...splitCommands(inner));
+        dynamic = true;
+        inWord = true;
+    };
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        const next = line[i + 1];
+
+        if (ch === '\\') {
+            if (next !== '\n' && next !== undefined) {
+                word += next;
+                inWord = true;
+            }
+            i++;
+        } else if (ch === "'") {
+            const end = line.indexOf("'", i + 1);
+            const close = end === -1 ? line.length : end;
+            word += line.slice(i + 1, close);
+            inWord = true;
+            i = close;
+        } else if (ch === '"') {
+            inWord = true;
+            for (i++; i < line.length && line[i] !== '"'; i++) {
+                if (line[i] === '\\' && '"\\$`'.includes(line[i + 1])) {
+                    word += line[++i];
+                } else if (line[i] === '$' && line[i + 1] === '(') {
+                    const close = findClosingParen(line, i + 2);
+                    substitute(line.slice(i + 2, close));
+                    i = close;
+                } else if (line[i] === '`') {
+                    const close = line.indexOf('`', i + 1);
+                    const end = close === -1 ? line.length : close;
+                    substitute(line.slice(i + 1, end));
+                    i = end;
+                } else if (line[i] === '$') {
+                    word += '$';
+                    dynamic = true;
+                } else {
+                    word += line[i];
+                }
+            }
+        } else if (ch === '$' && next === '(') {
+            const close = findClosingParen(line, i + 2);
+            substitute(line.slice(i + 2, close));
+            i = close;
+        } else if (ch === '`') {
+            const close = line.indexOf('`', i + 1);
+            const end = close === -1 ? line.length : close;
+            substitute(line.slice(i + 1, end));
+            i = end;
+        } else if ((ch === '<' || ch === '>') && next === '(') {
+            const close = findClosingParen(line, i + 2);
+            substitute(line.slice(i + 2, close));
+            i = close;
+        } else if (ch === '<' || ch === '>') {
+            // Redirection: drop a leading fd number and the target word
+            if (/^\d+$/.test(word)) {
+                word = '';
+                inWord = false;
+            }
+            endWord();
+            while (line[i + 1] === '>' || line[i + 1] === '<' || line[i + 1] === '&') {
+                i++;
+            }
+            if (/\d|-/.test(line[i + 1] || '') && line[i] === '&') {
+                i++;
+            } else {
+                redirect = true;
+            }
+        } else if (ch === '$') {
+            word += ch;
+            inWord = true;
+            dynamic = true;
+        } else if (ch === '#' && !inWord) {
+            const end = line.indexOf('\n', i);
+            i = end === -1 ? line.length : end - 1;
+        } else if (ch === ';' || ch === '&' || ch === '|' || ch === '\n' || ch === '(' || ch === ')') {
+            endCommand();
+        } else if (ch === ' ' || ch === '\t' || ch === '\r') {
+            endWord();
+        } else {
+            word += ch;
+            inWord = true;
+        }
+    }
+    endCommand();
+
+    return commands;
+}
+
+function wordText(word) {
+    return typeof word === 'string' ? word : word.text;
+}
+
+// Whether a variable is one the hook is loaded with, or a function
+// exported to the shells it starts
+function isPolicyVariable(name) {
+    return POLICY_ENV.includes(name) || name.startsWith('BASH_FUNC_');
+}
+
+// Whether env(1) options clear or unset a variable the hook relies on
+function envChangesPolicy(options) {
+    for (let i = 0; i < options.length; i++) {
+        const option = options[i];
+        if (option === '-i' || option === '-' || option.startsWith('--ignore-env') ||
+            option.startsWith('-S') || option.startsWith('--split-string')) {
+            return true;
+        }
+        const unset = option === '-u' || option === '--unset' ? options[++i]
+            : option.startsWith('--unset=') ? option.slice('--unset='.length)
+                : /^-u./.test(option) ? option.slice(2)
+                    : null;
+        if (unset !== null && unset !== undefined && isPolicyVariable(unset)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Strip keywords, assignments and wrapper commands to find the command
+// that will actually run. Returns { name, args, dynamic, changesPolicyEnv,
+// switchesUser } or null. sudo or doas without a command (sudo -s) is
+// returned as the command itself.
+function resolveCommand(words) {
+    let changesPolicyEnv = false;
+    let switchUser = null;
+    let i = 0;
+    while (i < words.length) {
+        const word = words[i];
+        const text = wordText(word);
+
+        if (typeof word === 'string' && LEADING_KEYWORDS.has(text)) {
+            i++;
+            continue;
+        }
+        if (typeof word === 'string' && COMPOUND_KEYWORDS.has(text)) {
+            return null;
+        }
+        if (ASSIGNMENT.test(text)) {
+            changesPolicyEnv = changesPolicyEnv || isPolicyVariable(text.slice(0, text.indexOf('=')));
+            i++;
+            continue;
+        }
+
+        const name = path.posix.basename(text);
+        const wrapper = typeof word === 'string' && WRAPPERS[name];
+        if (wrapper) {
+            const start = ++i;
+            const optionsWithArg = wrapper.optionsWithArg || [];
+            while (i < words.length && wordText(words[i]).startsWith('-')) {
+                const option = wordText(words[i]);
+                i += option === '--' ? 1 : optionsWithArg.includes(option) ? 2 : 1;
+                if (option === '--') break;
+            }
+            const options = words.slice(start, i).map(wordText);
+            if (name === 'env') {
+                changesPolicyEnv = changesPolicyEnv || envChangesPolicy(options);
+            } else if (name === 'exec') {
+                changesPolicyEnv = changesPolicyEnv || options.some(option => /^-[a-z]*c/.test(option));
+            } else if (SWITCH_USER.has(name)) {
+                switchUser = name;
+            }
+            i += wrapper.positional || 0;
+            continue;
+        }
+
+        return {
+            name,
+            args: words.slice(i + 1).map(wordText),
+            dynamic: typeof word !== 'string',
+            changesPolicyEnv,
+            switchesUser: switchUser !== null
+        };
+    }
+    return switchUser && { name: switchUser, args: [], dynamic: false, changesPolicyEnv, switchesUser: true };
+}
+
+function matchRule(policy, command) {
+    const args = command.args.join(' ');
+    return policy.rules.find(rule =>
+        (rule.commands.has('*') || rule.commands.has(command.name)) &&
+        (!rule.args || rule.args.test(args))
+    );
+}
+
+// How a shell is started: the script given with -c, if any, and whether it
+// would load the hook. bash in POSIX or privileged mode ignores BASH_ENV.
+function parseShell(name, args) {
+    const shell = { script: null, operand: null, interactive: false, rcfile: null, hooked: name === 'bash' };
+    let hasScript = false;
+    let i = 0;
+    for (; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--') {
+            i++;
+            break;
+        }
+        if (arg === '--rcfile' || arg === '--init-file') {
+            shell.rcfile = args[++i];
+        } else if (arg === '--posix') {
+            shell.hooked = false;
+        } else if (/^[-+][A-Za-z]+$/.test(arg)) {
+            hasScript = hasScript || arg.includes('c');
+            shell.interactive = shell.interactive || arg.includes('i');
+            if (arg.includes('p')) {
+                shell.hooked = false;
+            }
+            if (arg.includes('o') && args[++i] === 'posix') {
+                shell.hooked = false;
+            }
+        } else if (!arg.startsWith('--')) {
+            break;
+        }
+    }
+    shell.operand = args[i] === undefined ? null : args[i];
+    if (hasScript) {
+        shell.script = shell.operand || '';
+    }
+    return shell;
+}
+
+function bypass(reason, line) {
+    return { action: 'deny', rule: BYPASS_RULE, reason, command: line };
+}
+
+// Deny commands that would get a shell started without the hook, whatever
+// the policy says, and look inside the scripts shells are given
+function checkBypass(policy, command, line, depth) {
+    if (command.changesPolicyEnv ||
+        (VARIABLE_BUILTINS.has(command.name) && command.args.some(arg => isPolicyVariable(arg.split('=')[0])))) {
+        return bypass('Changes the environment the command policy is loaded with', line);
+    }
+    if (SWITCH_USER.has(command.name)) {
+        return bypass('Switching users starts a shell without the command policy', line);
+    }
+    if (!SHELLS.has(command.name)) {
+        return null;
+    }
+
+    const shell = parseShell(command.name, command.args);
+    if (command.switchesUser) {
+        shell.hooked = false;
+    }
+    if (shell.script !== null) {
+        if (depth >= MAX_NESTING) {
+            return bypass('Shells are nested too deeply to check', line);
+        }
+        const nested = evaluate(policy, shell.script, { depth: depth + 1, unenforced: !shell.hooked });
+        return nested.action === 'deny' ? { ...nested, command: line } : null;
+    }
+    // A script file is like any other program run from the shell
+    if (shell.operand !== null && !shell.interactive) {
+        return null;
+    }
+    if (!shell.hooked) {
+        return bypass('Only bash applies the command policy', line);
+    }
+    if (shell.rcfile !== HOOK_PATH) {
+        return bypass(`Start nested shells with bash --rcfile ${HOOK_PATH}`, line);
+    }
+    return null;
+}
+
+// unenforced is set for scripts run by a shell without the hook, where a
+// command name computed at runtime could be anything
+function decide(policy, command, line, unenforced) {
+    if (command.dynamic && (policy.denyDynamicCommands || unenforced)) {
+        return { action: 'deny', rule: 'dynamic-command', reason: 'Command name is computed at runtime', command: line };
+    }
+
+    const rule = matchRule(policy, command);
+    if (rule) {
+        return { action: rule.action, rule: rule.id, reason: rule.reason, command: line };
+    }
+    return { action: policy.defaultAction, rule: 'default', reason: '', command: line };
+}
+
+// Decide whether a command line may run. The first denied simple command
+// (including ones nested in substitutions or `sh -c`) denies the whole line.
+function evaluate(policy, line, { depth = 0, unenforced = false } = {}) {
+    let result = { action: policy.defaultAction, rule: 'default', reason: '', command: line };
+
+    for (const words of splitCommands(line)) {
+        const command = resolveCommand(words);
+        if (!command) {
+            continue;
+        }
+
+        const decision = checkBypass(policy, command, line, depth) || decide(policy, command, line, unenforced);
+        if (decision.action === 'deny') {
+            return decision;
+        }
+        result = decision;
+    }
+
+    return result;
+}
+
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function generateWrapperCases() {
+    return Object.entries(WRAPPERS).map(([name, { optionsWithArg = [], positional = 0 }]) => {
+        const withArg = optionsWithArg.length > 0
+            ? `\n                    ${optionsWithArg.join('|')}) ((i += 2)) ;;`
+            : '';
+        const skipPositional = positional > 0 ? `\n                ((i += ${positional}))` : '';
+        return `            ${name})
+                ((start = ++i))
+                while (( i < n )) && [[ \${words[i]} == -* ]]; do
+                    case "\${words[i]}" in
+                    --) ((++i)); break ;;${withArg}
+                    *) ((++i)) ;;
+                    esac
+                done
+                __terminal_policy_wrapper ${name} "\${words[@]:start:i-start}" || return 0${skipPositional}
+                continue ;;`;
+    }).join('\n');
+}
+
+function generateRuleChecks(policy) {
+    return policy.rules.map(rule => {
+        const names = rule.commands.has('*') ? '' : ` ${Array.from(rule.commands).join(' ')} `;
+        const nameCheck = names ? `[[ ${shellQuote(names)} == *" $name "* ]]` : 'true';
+        const argsCheck = rule.args ? ` && [[ $args =~ ${shellQuote(rule.args.source)} ]]` : '';
+        return `    if ${nameCheck}${argsCheck}; then
+        __terminal_policy_set ${rule.action} ${shellQuote(rule.id)} ${shellQuote(rule.reason)}
+        return 0
+    fi`;
+    }).join('\n');
+}
+
+// Commands the hook runs, which shell functions of the same name would replace
+const HOOK_COMMANDS = [
+    'builtin', 'command', 'read', 'printf', 'base64', 'tr', 'trap', 'shopt', 'set',
+    'readonly', 'export', 'local', 'shift', 'return', 'exit', 'exec', 'source', '.', 'unset'
+];
+
+// Bash hook enforcing a policy inside the container. Interactive shells load
+// it as their rcfile; non-interactive bash picks it up through BASH_ENV and
+// interactive POSIX shells through ENV.
+function generateHook(policy) {
+    const unenforcedOnly = policy.denyDynamicCommands ? '' : ' && -n $unenforced';
+    const strip = '//[\\\'\\"\\\\]/';
+
+    return `# Command policy "${policy.name}" generated by terminal-on-web. Do not edit.
+
+# As the ENV file of a POSIX shell: hand interactive ones over to bash
+if [ -z "$BASH_VERSION" ]; then
+    case $- in
+    *i*) exec bash --rcfile "$ENV" -i ;;
+    esac
+    return 0 2> /dev/null || exit 0
+fi
+
+# Already loaded in this shell
+[[ \${__terminal_policy_hook@a} == *r* ]] && return 0
+
+__terminal_policy_unshadow() {
+    # Special builtins come before functions in POSIX mode
+    POSIXLY_CORRECT=1
+    unset -f ${HOOK_COMMANDS.join(' ')}
+    unset POSIXLY_CORRECT
+}
+
+__terminal_policy_report() {
+    printf '${REPORT_PREFIX.replace('\x1b', '\\033')}%s;%s;%s;%s${REPORT_TERMINATOR.replace('\x07', '\\007')}' "\${${NONCE_VARIABLE}-}" "$1" "$2" \\
+        "$(printf '%s' "$BASH_COMMAND" | base64 | tr -d '\\n')" 2> /dev/null > /dev/tty
+}
+
+__terminal_policy_set() {
+    __terminal_policy_verdict=$1
+    __terminal_policy_rule=$2
+    __terminal_policy_reason=$3
+    __terminal_policy_name=\${name:-\${word##*/}}
+}
+
+__terminal_policy_bypass() {
+    __terminal_policy_set deny ${BYPASS_RULE} "$1"
+}
+
+__terminal_policy_variable() {
+    case \${1%%=*} in
+    ${POLICY_ENV.join('|')}|BASH_FUNC_*) return 0 ;;
+    esac
+    return 1
+}
+
+# Options $2... given to wrapper $1. Fails with the verdict set if they clear
+# the variables the hook is loaded with.
+__terminal_policy_wrapper() {
+    local wrapper=$1 option
+    shift
+    case $wrapper in
+    sudo|doas) switch_user=$wrapper ;;
+    exec)
+        for option; do
+            if [[ \${option${strip}} =~ ^-[a-z]*c ]]; then
+                __terminal_policy_bypass 'Changes the environment the command policy is loaded with'
+                return 1
+            fi
+        done ;;
+    env)
+        while (( $# )); do
+            option=\${1${strip}}
+            shift
+            case $option in
+            -i|-|--ignore-env*|-S*|--split-string*) ;;
+            -u|--unset) __terminal_policy_variable "\${1${strip}}" || { shift; continue; } ;;
+            --unset=*) __terminal_policy_variable "\${option#--unset=}" || continue ;;
+            -u*) __terminal_policy_variable "\${option#-u}" || continue ;;
+            *) continue ;;
+            esac
+            __terminal_policy_bypass 'Changes the environment the command policy is loaded with'
+            return 1
+        done ;;
+    esac
+    return 0
+}
+
+# Shell $2 started with arguments $3... at depth $1. Fails with the verdict
+# set if it would run without the hook or its -c script is denied.
+__terminal_policy_shell() {
+    local depth=$1 unhooked= interactive= script= operand= rcfile= arg segment
+    [[ \${2##*/} == bash && -z $switch_user ]] || unhooked=1
+    shift 2
+    while (( $# )); do
+        arg=\${1${strip}}
+        case $arg in
+        --) shift; break ;;
+        --rcfile|--init-file) rcfile=\${2${strip}}; shift ;;
+        --posix) unhooked=1 ;;
+        --*) ;;
+        [-+]*)
+            [[ $arg =~ ^[-+][A-Za-z]+$ ]] || break
+            [[ $arg == *c* ]] && script=1
+            [[ $arg == *i* ]] && interactive=1
+            [[ $arg == *p* ]] && unhooked=1
+            if [[ $arg == *o* ]]; then
+                [[ \${2-} == posix ]] && unhooked=1
+                shift
+            fi ;;
+        *) break ;;
+        esac
+        shift
+    done
+    operand=\${1-}
+
+    if [[ -n $script ]]; then
+        if (( depth >= ${MAX_NESTING} )); then
+            __terminal_policy_bypass 'Shells are nested too deeply to check'
+            return 1
+        fi
+        # Words after the script are its arguments, checked too for want of quoting
+        script=\$*
+        script=\${script${strip}}
+        while IFS= read -r segment; do
+            __terminal_policy_decide "$segment" $((depth + 1)) "$unhooked"
+            [[ $__terminal_policy_verdict == deny ]] && return 1
+        done <<< "\${script//[;&|()\\\`]/$'\\n'}"
+        return 0
+    fi
+    # A script file is like any other program run from the shell
+    [[ -n $operand && -z $interactive ]] && return 0
+    if [[ -n $unhooked ]]; then
+        __terminal_policy_bypass 'Only bash applies the command policy'
+        return 1
+    fi
+    if [[ $rcfile != "$__terminal_policy_hook" ]]; then
+        __terminal_policy_bypass "Start nested shells with bash --rcfile $__terminal_policy_hook"
+        return 1
+    fi
+    return 0
+}
+
+# Set the verdict for simple command $1, in a -c script $2 shells deep. $3
+# is set when the shell running it has no hook.
+__terminal_policy_decide() {
+    local -a words
+    read -r -a words <<< "$1"
+    local depth=$2 unenforced=$3 i=0 n=\${#words[@]} start word name args arg switch_user=
+    __terminal_policy_set allow default ''
+    while (( i < n )); do
+        word=\${words[i]${strip}}
+        case $word in
+        ${Array.from(LEADING_KEYWORDS).map(keyword => (keyword === '!' || keyword === '{' || keyword === '}' ? `'${keyword}'` : keyword)).join('|')}) ((++i)); continue ;;
+        ${Array.from(COMPOUND_KEYWORDS).join('|')}) return 0 ;;
+        esac
+        if [[ $word =~ ^[A-Za-z_][A-Za-z0-9_]*= ]]; then
+            if __terminal_policy_variable "$word"; then
+                __terminal_policy_bypass 'Changes the environment the command policy is loaded with'
+                return 0
+            fi
+            ((++i))
+            continue
+        fi
+        case "\${word##*/}" in
+${generateWrapperCases()}
+        esac
+        break
+    done
+
+    if (( i >= n )); then
+        # sudo -s and friends
+        [[ -n $switch_user ]] && __terminal_policy_bypass 'Switching users starts a shell without the command policy'
+        return 0
+    fi
+    name=\${word##*/}
+    args=\${words[*]:i+1}
+    args=\${args${strip}}
+
+    case $name in
+    ${Array.from(SWITCH_USER).join('|')})
+        __terminal_policy_bypass 'Switching users starts a shell without the command policy'
+        return 0 ;;
+    ${Array.from(VARIABLE_BUILTINS).join('|')})
+        for arg in "\${words[@]:i+1}"; do
+            if __terminal_policy_variable "\${arg${strip}}"; then
+                __terminal_policy_bypass 'Changes the environment the command policy is loaded with'
+                return 0
+            fi
+        done ;;
+    ${Array.from(SHELLS).join('|')})
+        __terminal_policy_shell "$depth" "$name" "\${words[@]:i+1}" || return 0
+        __terminal_policy_set allow default '' ;;
+    esac
+
+    if [[ ($name == *'$'* || $name == *'\`'*)${unenforcedOnly} ]]; then
+        __terminal_policy_set deny dynamic-command 'Command name is computed at runtime'
+        return 0
+    fi
+${generateRuleChecks(policy)}
+    __terminal_policy_set ${policy.defaultAction} default ''
+}
+
+__terminal_policy_check() {
+    [[ $BASH_COMMAND == __terminal_policy_rc ]] && return 0
+    __terminal_policy_unshadow
+    __terminal_policy_decide "$BASH_COMMAND" 0 ''
+
+    if [[ $__terminal_policy_verdict == deny ]]; then
+        __terminal_policy_report deny "$__terminal_policy_rule"
+        if [[ -z $__terminal_policy_quiet ]]; then
+            printf 'terminal-policy: %s: blocked%s\\n' "$__terminal_policy_name" \\
+                "\${__terminal_policy_reason:+ ($__terminal_policy_reason)}" >&2
+        fi
+        return 1
+    fi
+    # Only report commands run directly, not every line of shell functions
+    if (( \${#FUNCNAME[@]} <= 1 )) || [[ \${FUNCNAME[1]} == main ]]; then
+        __terminal_policy_report allow "$__terminal_policy_rule"
+    fi
+    return 0
+}
+
+# ~/.bashrc runs under the hook; what it is denied is not worth a message
+__terminal_policy_rc() {
+    [[ -f ~/.bashrc ]] || return 0
+    __terminal_policy_quiet=1
+    . ~/.bashrc
+    __terminal_policy_quiet=
+}
+
+__terminal_policy_unshadow
+__terminal_policy_hook=\${BASH_SOURCE[0]}
+export BASH_ENV=$__terminal_policy_hook ENV=$__terminal_policy_hook
+readonly BASH_ENV ENV ${NONCE_VARIABLE} __terminal_policy_hook
+readonly -f __terminal_policy_unshadow __terminal_policy_report __terminal_policy_set __terminal_policy_bypass \\
+    __terminal_policy_variable __terminal_policy_wrapper __terminal_policy_shell __terminal_policy_decide \\
+    __terminal_policy_check __terminal_policy_rc
+
+if [[ $- == *i* ]]; then
+    shopt -s extdebug
+    trap '__terminal_policy_check' DEBUG
+    __terminal_policy_rc
+else
+    set -o functrace
+    trap '__terminal_policy_check || exit 126' DEBUG
+fi
+`;
+}
+
+// Extracts policy reports from container output, handling reports that
+// are split across chunks. Returns the output with the reports removed;
+// only reports signed with nonce are passed to onReport.
+class PolicyReportParser {
+    constructor(nonce, onReport) {
+        this.nonce = nonce;
+        this.onReport = onReport;
+        this.pending = '';
+    }
+
+    process(chunk) {
+        let text = this.pending + chunk.toString('latin1');
+        this.pending = '';
+        let output = '';
+
+        for (;;) {
+            const start = text.indexOf(REPORT_PREFIX);
+            if (start === -1) {
+                // Hold back a trailing partial prefix until the next chunk
+                const partial = this.partialPrefixLength(text);
+                output += text.slice(0, text.length - partial);
+                this.pending = text.slice(text.length - partial);
+                break;
+            }
+
+            const end = text.indexOf(REPORT_TERMINATOR, start + REPORT_PREFIX.length);
+            if (end === -1) {
+                output += text.slice(0, start);
+                this.pending = text.slice(start);
+                if (this.pending.length > MAX_PENDING_REPORT) {
+                    output += this.pending;
+                    this.pending = '';
+                }
+                break;
+            }
+
+            output += text.slice(0, start);
+            this.emit(text.slice(start + REPORT_PREFIX.length, end));
+            text = text.slice(end + REPORT_TERMINATOR.length);
+        }
+
+        return Buffer.from(output, 'latin1');
+    }
+
+    partialPrefixLength(text) {
+        for (let length = Math.min(REPORT_PREFIX.length - 1, text.length); length > 0; length--) {
+            if (REPORT_PREFIX.startsWith(text.slice(text.length - length))) {
+                return length;
+            }
+        }
+        return 0;
+    }
+
+    emit(body) {
+        const [nonce, action, rule, encoded = ''] = body.split(';');
+        if (nonce !== this.nonce || (action !== 'allow' && action !== 'deny')) {
+            return;
+        }
+        this.onReport({
+            action,
+            rule,
+            command: Buffer.from(encoded, 'base64').toString('utf8')
+        });
+    }
+}
+
+module.exports = {
+    HOOK_PATH,
+    NONCE_VARIABLE,
+    PolicyError,
+    PolicyReportParser,
+    compilePolicy,
+    loadPolicies,
+    isPolicyVariable,
+    splitCommands,
+    resolveCommand,
+    evaluate,
+    generateHook
+};
@@ -0,0 +1,170 @@
+// Pool of pre-started containers per template, so new sessions can be
+// handed a ready container instead of waiting for create/start/init.
+
+const { logger } = require('./logger');
+
+const MAINTENANCE_INTERVAL = 30 * 1000;
+
+class ContainerPool {
+    // prepare(template) resolves to a started, initialized container;
+    // destroy(container) stops and removes one. With quotas, every pool
+    // container holds one of the host's container slots.
+    constructor({ templates, prepare, destroy, quotas = null }) {
+        this.prepare = prepare;
+        this.destroy = destroy;
+        this.quotas = quotas;
+        this.pools = new Map();
+        this.timer = null;
+        this.stopped = false;
+
+        for (const template of templates) {
+            if (!template.pool) {
+                continue;
+            }
+            this.pools.set(template.id, {
+                template,
+                idle: [],
+                warming: 0,
+                target: template.pool.min,
+                hits: 0,
+                misses: 0,
+                recycled: 0,
+                failures: 0
+            });
+        }
+    }
+
+    start() {
+        for (const pool of this.pools.values()) {
+            this.refill(pool);
+        }
+        this.timer = setInterval(() => this.maintain(), MAINTENANCE_INTERVAL);
+        this.timer.unref();
+    }
+
+    hasIdle(templateId) {
+        const pool = this.pools.get(templateId);
+        return Boolean(pool && pool.idle.length > 0);
+    }
+
+    // Take a warm container for a template, or null if none is ready
+    acquire(templateId) {
+        const pool = this.pools.get(templateId);
+        if (!pool) {
+            return null;
+        }
+
+        const entry = pool.idle.shift();
+        if (entry) {
+            pool.hits++;
+            this.releaseSlot();
+        } else {
+            // Demand outran the pool, so keep more containers warm next time
+            pool.misses++;
+            pool.target = Math.min(pool.target + 1, pool.template.pool.max);
+        }
+
+        this.refill(pool);
+        return entry ? entry.container : null;
+    }
+
+    refill(pool) {
+        if (this.stopped) {
+            return;
+        }
+        const { max } = pool.template.pool;
+        while (pool.idle.length + pool.warming < pool.target &&
+               pool.idle.length + pool.warming < max &&
+               this.reserveSlot()) {
+            this.warm(pool);
+        }
+    }
+
+    reserveSlot() {
+        return !this.quotas || this.quotas.reservePooled();
+    }
+
+    releaseSlot() {
+        if (this.quotas) {
+            this.quotas.releasePooled();
+        }
+    }
+
+    async warm(pool) {
+        pool.warming++;
+        try {
+            const container = await this.prepare(pool.template);
+            if (this.stopped) {
+                this.releaseSlot();
+                await this.destroyQuietly(container);
+                return;
+            }
+            pool.idle.push({ container, createdAt: Date.now() });
+        } catch (error) {
+            this.releaseSlot();
+            pool.failures++;
+            logger.error('Error warming container', { template: pool.template.id, err: error });
+        } finally {
+            pool.warming--;
+        }
+    }
+
+    // Recycle containers that sat idle too long and shrink back towards min
+    async maintain() {
+        const now = Date.now();
+        for (const pool of this.pools.values()) {
+            const maxIdle = pool.template.pool.maxIdleMinutes * 60 * 1000;
+            const stale = pool.idle.filter(entry => now - entry.createdAt > maxIdle);
+            if (stale.length > 0) {
+                pool.idle = pool.idle.filter(entry => !stale.includes(entry));
+                pool.recycled += stale.length;
+                pool.target = Math.max(pool.target - 1, pool.template.pool.min);
+                stale.forEach(() => this.releaseSlot());
+                await Promise.all(stale.map(entry => this.destroyQuietly(entry.container)));
+            }
+            this.refill(pool);
+        }
+    }
+
+    async destroyQuietly(container) {
+        try {
+            await this.destroy(container);
+        } catch (error) {
+            logger.error('Error removing pooled container', { err: error });
+        }
+    }
+
+    stats() {
+        return Array.from(this.pools.values()).map(pool => ({
+            template: pool.template.id,
+            min: pool.template.pool.min,
+            max: pool.template.pool.max,
+            target: pool.target,
+            idle: pool.idle.length,
+            warming: pool.warming,
+            hits: pool.hits,
+            misses: pool.misses,
+            recycled: pool.recycled,
+            failures: pool.failures,
+            oldestIdleMs: pool.idle.length > 0 ? Date.now() - pool.idle[0].createdAt : null
+        }));
+    }
+
+    // Stop refilling and remove every idle container
+    async drain() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.stopped = true;
+
+        const containers = [];
+        for (const pool of this.pools.values()) {
+            containers.push(...pool.idle.map(entry => entry.container));
+            pool.idle.forEach(() => this.releaseSlot());
+            pool.idle = [];
+            pool.target = 0;
+        }
+        await Promise.all(containers.map(container => this.destroyQuietly(container)));
+    }
+}
+
+module.exports = ContainerPool;
@@ -0,0 +1,143 @@
+// Framed WebSocket protocol spoken between the terminal UI and the backend.
+//
+// Binary frames always carry raw terminal output (server -> client).
+// Every other frame is a JSON text frame of the form { v, type, ...payload }.
+//
+// Clients acknowledge output once their terminal has rendered it, with
+// { type: 'ack', bytes } counting binary frame bytes. The server stops
+// sending to a client that falls too far behind (see flow-control.js).
+
+const PROTOCOL_VERSION = 1;
+const SUBPROTOCOL = `terminal.v${PROTOCOL_VERSION}`;
+
+const FrameType = {
+    HELLO: 'hello',
+    INPUT: 'input',
+    OUTPUT: 'output',
+    RESIZE: 'resize',
+    PING: 'ping',
+    PONG: 'pong',
+    EXIT: 'exit',
+    NOTICE: 'notice',
+    STATS: 'stats',
+    PRESENCE: 'presence',
+    HANDOFF: 'handoff',
+    ACK: 'ack'
+};
+
+// Why a shell ended, sent with the exit frame. Only exited, closed and
+// oom-killed leave the session running.
+const ExitReason = {
+    EXITED: 'exited',
+    OOM_KILLED: 'oom-killed',
+    CONTAINER_STOPPED: 'container-stopped',
+    // Closed through the API, or abandoned past the reconnect grace period
+    CLOSED: 'closed',
+    IDLE_TIMEOUT: 'idle-timeout',
+    MAX_LIFETIME: 'max-lifetime',
+    SESSION_ENDED: 'session-ended',
+    ADMIN_KILLED: 'admin-killed',
+    SERVER_SHUTDOWN: 'server-shutdown'
+};
+
+// Application close codes (4000-4999 are reserved for applications)
+const CloseCode = {
+    SHELL_EXITED: 4000,
+    REPLACED: 4001,
+    SESSION_NOT_FOUND: 4004,
+    SHELL_NOT_FOUND: 4005,
+    SHELL_LIMIT_REACHED: 4006,
+    // A viewer fell too far behind the shell's output; it can reconnect
+    TOO_SLOW: 4007,
+    UNAUTHORIZED: 4401,
+    FORBIDDEN: 4403
+};
+
+// Frame types a client is allowed to send
+const CLIENT_FRAMES = new Set([
+    FrameType.INPUT,
+    FrameType.RESIZE,
+    FrameType.PING,
+    FrameType.PONG,
+    FrameType.HANDOFF,
+    FrameType.ACK
+]);
+
+const MAX_DIMENSION = 1000;
+
+class ProtocolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProtocolError';
+    }
+}
+
+function encodeFrame(type, payload = {}) {
+    return JSON.stringify({ v: PROTOCOL_VERSION, type, ...payload });
+}
+
+function isDimension(value) {
+    return Number.isInteger(value) && value > 0 && value <= MAX_DIMENSION;
+}
+
+// Parse and validate a frame received from a client
+function decodeClientFrame(data, isBinary) {
+    if (isBinary) {
+        throw new ProtocolError('Binary frames are reserved for terminal output');
+    }
+
+    let frame;
+    try {
+        frame = JSON.parse(data.toString());
+    } catch (error) {
+        throw new ProtocolError('Frame is not valid JSON');
+    }
+
+    if (!frame || typeof frame !== 'object') {
+        throw new ProtocolError('Frame must be an object');
+    }
+    if (frame.v !== PROTOCOL_VERSION) {
+        throw new ProtocolError(`Unsupported protocol version: ${frame.v}`);
+    }
+    if (!CLIENT_FRAMES.has(frame.type)) {
+        throw new ProtocolError(`Unexpected frame type: ${frame.type}`);
+    }
+
+    switch (frame.type) {
+        case FrameType.INPUT:
+            if (typeof frame.data !== 'string') {
+                throw new ProtocolError('Input frame requires string data');
+            }
+            break;
+        case FrameType.RESIZE:
+            if (!isDimension(frame.cols) || !isDimension(frame.rows)) {
+                throw new ProtocolError('Resize frame requires positive integer cols and rows');
+            }
+            break;
+        case FrameType.HANDOFF:
+            if (typeof frame.to !== 'string') {
+                throw new ProtocolError('Handoff frame requires a participant id');
+            }
+            break;
+        case FrameType.ACK:
+            if (!Number.isInteger(frame.bytes) || frame.bytes <= 0) {
+                throw new ProtocolError('Ack frame requires a positive integer byte count');
+            }
+            break;
+    }
+
+    return frame;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    SUBPROTOCOL,
+    FrameType,
+    ExitReason,
+    CloseCode,
+    MAX_DIMENSION,
+    isDimension,
+    ProtocolError,
+    encodeFrame,
+    decodeClientFrame
+};
@@ -0,0 +1,186 @@
+// Limits on how many session containers can be created, per user, per
+// client IP and across the whole host.
+//
+// A slot is reserved before the container is created, so concurrent
+// requests cannot all pass the check, and released when the session ends.
+// Warm pool containers count towards the host-wide cap too: the pool
+// reserves a slot for each one it starts and gives it back once a session
+// takes the container or it is removed.
+
+const HOUR = 60 * 60 * 1000;
+
+// Suggested wait when a limit only frees up once another session ends
+const CONCURRENT_RETRY_SECONDS = 30;
+
+class QuotaError extends Error {
+    constructor(message, { limit, retryAfter }) {
+        super(message);
+        this.name = 'QuotaError';
+        this.limit = limit;
+        this.retryAfter = retryAfter;
+    }
+}
+
+function parseLimit(value, fallback) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`Invalid quota limit: ${value}`);
+    }
+    // 0 turns a limit off
+    return limit === 0 ? Infinity : limit;
+}
+
+// Read limits from SESSION_LIMIT_PER_USER, SESSION_LIMIT_PER_IP,
+// SESSION_LIMIT_PER_HOUR and MAX_CONTAINERS
+function quotaLimitsFromEnv(env = process.env) {
+    return {
+        sessionsPerUser: parseLimit(env.SESSION_LIMIT_PER_USER, 3),
+        sessionsPerIp: parseLimit(env.SESSION_LIMIT_PER_IP, 10),
+        sessionsPerHour: parseLimit(env.SESSION_LIMIT_PER_HOUR, 20),
+        maxContainers: parseLimit(env.MAX_CONTAINERS, 50)
+    };
+}
+
+class QuotaTracker {
+    constructor(limits, { now = Date.now } = {}) {
+        this.limits = limits;
+        this.now = now;
+        this.byUser = new Map();
+        this.byIp = new Map();
+        this.created = new Map();
+        this.total = 0;
+        this.pooled = 0;
+    }
+
+    // Reserve a session slot, or throw QuotaError if a limit is reached.
+    // Admins are exempt from the per-user and per-IP limits but not from
+    // the host-wide cap. With warm, the session is about to take a pool
+    // container, so it adds no container of its own.
+    reserve(user, ip, { warm = false } = {}) {
+        const now = this.now();
+        const { sessionsPerUser, sessionsPerIp, sessionsPerHour, maxContainers } = this.limits;
+        const exempt = user.role === 'admin';
+        this.pruneCreations(now);
+
+        if (this.total + this.pooled - (warm ? 1 : 0) >= maxContainers) {
+            throw new QuotaError('The server is at capacity, try again shortly', {
+                limit: 'containers',
+                retryAfter: CONCURRENT_RETRY_SECONDS
+            });
+        }
+
+        if (!exempt) {
+            if ((this.byUser.get(user.id) || 0) >= sessionsPerUser) {
+                throw new QuotaError(
+                    `You already have ${sessionsPerUser} sessions running; close one to start another`,
+                    { limit: 'sessionsPerUser', retryAfter: CONCURRENT_RETRY_SECONDS }
+                );
+            }
+            if ((this.byIp.get(ip) || 0) >= sessionsPerIp) {
+                throw new QuotaError(
+                    `Too many sessions from this address (${sessionsPerIp})`,
+                    { limit: 'sessionsPerIp', retryAfter: CONCURRENT_RETRY_SECONDS }
+                );
+            }
+
+            const recent = this.recentCreations(user.id, now);
+            if (recent.length >= sessionsPerHour) {
+                throw new QuotaError(
+                    `Session creation limit of ${sessionsPerHour} per hour reached`,
+                    { limit: 'sessionsPerHour', retryAfter: Math.ceil((recent[0] + HOUR - now) / 1000) }
+                );
+            }
+            this.created.set(user.id, [...recent, now]);
+        }
+
+        this.byUser.set(user.id, (this.byUser.get(user.id) || 0) + 1);
+        this.byIp.set(ip, (this.byIp.get(ip) || 0) + 1);
+        this.total++;
+
+        return { userId: user.id, ip, released: false };
+    }
+
+    // Give back a reserved slot; safe to call more than once
+    release(reservation) {
+        if (!reservation || reservation.released) {
+            return;
+        }
+        reservation.released = true;
+        decrement(this.byUser, reservation.userId);
+        decrement(this.byIp, reservation.ip);
+        this.total--;
+    }
+
+    // Reserve a slot for a warm pool container; false when the host is full
+    reservePooled() {
+        if (this.total + this.pooled >= this.limits.maxContainers) {
+            return false;
+        }
+        this.pooled++;
+        return true;
+    }
+
+    releasePooled() {
+        this.pooled--;
+    }
+
+    // Creation times within the last hour, oldest first
+    recentCreations(userId, now) {
+        const recent = (this.created.get(userId) || []).filter(time => now - time < HOUR);
+        if (recent.length > 0) {
+            this.created.set(userId, recent);
+        } else {
+            this.created.delete(userId);
+        }
+        return recent;
+    }
+
+    // Forget users who created nothing in the last hour
+    pruneCreations(now) {
+        for (const [userId, times] of this.created) {
+            if (now - times[times.length - 1] >= HOUR) {
+                this.created.delete(userId);
+            }
+        }
+    }
+
+    usage(user) {
+        const now = this.now();
+        const recent = this.recentCreations(user.id, now);
+        const { sessionsPerUser, sessionsPerHour, maxContainers } = this.limits;
+
+        return {
+            sessions: { used: this.byUser.get(user.id) || 0, limit: finite(sessionsPerUser) },
+            hourly: {
+                used: recent.length,
+                limit: finite(sessionsPerHour),
+                resetsIn: recent.length > 0 ? Math.ceil((recent[0] + HOUR - now) / 1000) : 0
+            },
+            containers: { used: this.total + this.pooled, limit: finite(maxContainers) },
+            exempt: user.role === 'admin'
+        };
+    }
+}
+
+function decrement(counts, key) {
+    const count = (counts.get(key) || 0) - 1;
+    if (count > 0) {
+        counts.set(key, count);
+    } else {
+        counts.delete(key);
+    }
+}
+
+// JSON has no Infinity, so an unlimited quota is reported as null
+function finite(limit) {
+    return Number.isFinite(limit) ? limit : null;
+}
+
+module.exports = {
+    QuotaError,
+    QuotaTracker,
+    quotaLimitsFromEnv
+};
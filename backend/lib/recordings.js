@@ -0,0 +1,275 @@
+// Session recordings in asciicast v2 format
+// (https://docs.asciinema.org/manual/asciicast/v2/).
+//
+// Each shell is recorded to its own file: a JSON header line followed by
+// one [time, code, data] event per line. The header carries an extra
+// "session" object with the owner and session ids, which players ignore
+// and the server uses for listing and access checks.
+//
+// A recording that reaches its size limit ends with a "truncated" marker
+// event. Output that arrives while the disk is behind is dropped rather
+// than buffered, and a marker notes how much was lost.
+
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { logger } = require('./logger');
+
+const RECORDING_ID_PATTERN = /^[0-9a-f-]{36}$/;
+const TRUNCATED_MARKER = 'truncated';
+const MAINTENANCE_INTERVAL = 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+class Recorder {
+    // maxBytes of 0 records without a limit
+    constructor(file, header, { maxBytes = 0 } = {}) {
+        this.stream = fs.createWriteStream(file, { flags: 'wx' });
+        this.stream.on('error', (error) => {
+            logger.error('Error writing recording', { file, err: error });
+        });
+        this.stream.on('drain', () => this.drained());
+        // Output chunks can end in the middle of a UTF-8 sequence
+        this.decoder = new StringDecoder('utf8');
+        this.startedAt = process.hrtime.bigint();
+        this.maxBytes = maxBytes;
+        this.bytes = 0;
+        this.blocked = false;
+        this.dropped = 0;
+        this.truncated = false;
+        this.closed = false;
+        this.write(JSON.stringify(header) + '\n');
+    }
+
+    elapsed() {
+        return Number(process.hrtime.bigint() - this.startedAt) / 1e9;
+    }
+
+    write(line) {
+        this.bytes += Buffer.byteLength(line);
+        if (!this.stream.write(line)) {
+            this.blocked = true;
+        }
+    }
+
+    line(code, data) {
+        return JSON.stringify([Number(this.elapsed().toFixed(6)), code, data]) + '\n';
+    }
+
+    event(code, data) {
+        if (this.closed || data.length === 0) {
+            return;
+        }
+        if (this.blocked) {
+            this.dropped++;
+            return;
+        }
+
+        const line = this.line(code, data);
+        if (this.maxBytes && this.bytes + Buffer.byteLength(line) > this.maxBytes) {
+            this.truncate();
+            return;
+        }
+        this.write(line);
+    }
+
+    drained() {
+        this.blocked = false;
+        if (this.dropped > 0 && !this.closed) {
+            this.write(this.line('m', `${this.dropped} events dropped`));
+            this.dropped = 0;
+        }
+    }
+
+    // Stop at the size limit, leaving a marker for players and the server
+    truncate() {
+        this.truncated = true;
+        this.closed = true;
+        this.stream.end(this.line('m', TRUNCATED_MARKER));
+    }
+
+    output(chunk) {
+        this.event('o', this.decoder.write(chunk));
+    }
+
+    resize(cols, rows) {
+        this.event('r', `${cols}x${rows}`);
+    }
+
+    close() {
+        if (this.closed) {
+            return;
+        }
+        this.event('o', this.decoder.end());
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.stream.end();
+    }
+}
+
+class RecordingStore {
+    // Each recording stops at maxBytes. Recordings older than maxAgeDays are
+    // removed, then the oldest until the rest fit in maxTotalBytes; 0 turns
+    // a limit off.
+    constructor(dir, { maxBytes = 0, maxAgeDays = 0, maxTotalBytes = 0 } = {}) {
+        // Absolute so files can be served with res.sendFile
+        this.dir = path.resolve(dir);
+        this.maxBytes = maxBytes;
+        this.maxAgeDays = maxAgeDays;
+        this.maxTotalBytes = maxTotalBytes;
+        // Ids of recordings still being written, which sweep() leaves alone
+        this.active = new Set();
+        this.timer = null;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    start() {
+        this.maintain();
+        this.timer = setInterval(() => this.maintain(), MAINTENANCE_INTERVAL);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async maintain() {
+        try {
+            const removed = await this.sweep();
+            if (removed > 0) {
+                logger.info('Removed old recordings', { count: removed });
+            }
+        } catch (error) {
+            logger.error('Error removing old recordings', { err: error });
+        }
+    }
+
+    // Apply maxAgeDays and maxTotalBytes; resolves to the number removed
+    async sweep(now = Date.now()) {
+        const recordings = await this.list();
+        let total = recordings.reduce((sum, recording) => sum + recording.size, 0);
+        let removed = 0;
+
+        // Oldest first
+        for (const recording of recordings.reverse()) {
+            if (this.active.has(recording.id)) {
+                continue;
+            }
+            const expired = this.maxAgeDays && now - recording.header.timestamp * 1000 > this.maxAgeDays * DAY;
+            if (expired || (this.maxTotalBytes && total > this.maxTotalBytes)) {
+                if (await this.remove(recording.id)) {
+                    removed++;
+                }
+                total -= recording.size;
+            }
+        }
+        return removed;
+    }
+
+    file(recordingId) {
+        if (!RECORDING_ID_PATTERN.test(recordingId)) {
+            return null;
+        }
+        return path.join(this.dir, `${recordingId}.cast`);
+    }
+
+    // Start recording a shell; session is { id, shellId, owner, template }
+    create(recordingId, { session, dimensions, env = {} }) {
+        const file = this.file(recordingId);
+        if (!file) {
+            throw new Error(`Invalid recording id: ${recordingId}`);
+        }
+        const recorder = new Recorder(file, {
+            version: 2,
+            width: dimensions.cols,
+            height: dimensions.rows,
+            timestamp: Math.floor(Date.now() / 1000),
+            title: `${session.template} session ${session.id}`,
+            env,
+            session
+        }, { maxBytes: this.maxBytes });
+
+        this.active.add(recordingId);
+        recorder.stream.on('close', () => this.active.delete(recordingId));
+        return recorder;
+    }
+
+    // Header, file size and whether it hit the size limit for one
+    // recording, or null if it does not exist
+    async get(recordingId) {
+        const file = this.file(recordingId);
+        if (!file) {
+            return null;
+        }
+
+        let handle;
+        try {
+            handle = await fs.promises.open(file, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        try {
+            const { size } = await handle.stat();
+            const head = Buffer.alloc(Math.min(size, 64 * 1024));
+            await handle.read(head, 0, head.length, 0);
+            const newline = head.indexOf('\n');
+            const header = JSON.parse(head.subarray(0, newline === -1 ? head.length : newline).toString('utf8'));
+
+            const tail = Buffer.alloc(Math.min(size, 256));
+            await handle.read(tail, 0, tail.length, size - tail.length);
+            const last = tail.toString('utf8').trimEnd().split('\n').pop();
+
+            return {
+                id: recordingId,
+                file,
+                size,
+                header,
+                session: header.session || {},
+                truncated: last.endsWith(`,"m","${TRUNCATED_MARKER}"]`)
+            };
+        } catch (error) {
+            logger.error('Unreadable recording', { recordingId, err: error });
+            return null;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async list() {
+        const names = await fs.promises.readdir(this.dir);
+        const recordings = await Promise.all(names
+            .filter(name => name.endsWith('.cast'))
+            .map(name => this.get(path.basename(name, '.cast'))));
+
+        return recordings
+            .filter(Boolean)
+            .sort((a, b) => b.header.timestamp - a.header.timestamp);
+    }
+
+    async remove(recordingId) {
+        const file = this.file(recordingId);
+        if (!file) {
+            return false;
+        }
+        try {
+            await fs.promises.unlink(file);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    Recorder,
+    RecordingStore
+};
@@ -0,0 +1,44 @@
+// Bounded buffer of the most recent output bytes, used to replay
+// scrollback to a client that reattaches to a running shell.
+
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.chunks = [];
+        this.size = 0;
+    }
+
+    push(chunk) {
+        if (chunk.length >= this.capacity) {
+            this.chunks = [Buffer.from(chunk.subarray(chunk.length - this.capacity))];
+            this.size = this.capacity;
+            return;
+        }
+
+        this.chunks.push(Buffer.from(chunk));
+        this.size += chunk.length;
+
+        while (this.size > this.capacity) {
+            const overflow = this.size - this.capacity;
+            const head = this.chunks[0];
+            if (head.length <= overflow) {
+                this.chunks.shift();
+                this.size -= head.length;
+            } else {
+                this.chunks[0] = head.subarray(overflow);
+                this.size -= overflow;
+            }
+        }
+    }
+
+    contents() {
+        return Buffer.concat(this.chunks, this.size);
+    }
+
+    clear() {
+        this.chunks = [];
+        this.size = 0;
+    }
+}
+
+module.exports = RingBuffer;
@@ -0,0 +1,25 @@
+// The caller's identity and quota usage, and admin views of the server
+
+const express = require('express');
+const { requireAdmin } = require('../auth');
+
+function accountRoutes({ quotas, pool }) {
+    const router = express.Router();
+
+    router.get('/auth/me', (req, res) => {
+        res.json({ user: req.user });
+    });
+
+    router.get('/usage', (req, res) => {
+        res.json(quotas.usage(req.user));
+    });
+
+    // pool is null when warm pools are turned off
+    router.get('/admin/pool', requireAdmin, (req, res) => {
+        res.json({ pools: pool ? pool.stats() : [] });
+    });
+
+    return router;
+}
+
+module.exports = accountRoutes;
@@ -0,0 +1,97 @@
+// The admin console: every running session, force-kill and extend,
+// notices broadcast to every terminal, and the audit log
+
+const express = require('express');
+const { requireAdmin } = require('../auth');
+const { loadSession } = require('./middleware');
+
+const NOTICE_LEVELS = new Set(['info', 'warning', 'error']);
+const MAX_NOTICE_LENGTH = 500;
+
+function adminRoutes({ config, manager, audit }) {
+    const router = express.Router();
+    const session = loadSession(manager);
+
+    router.use('/admin', requireAdmin);
+
+    // Sessions with the people connected to their shells. The console polls
+    // this, so resources come from the manager's cached samples rather than
+    // a Docker stats call per session per request.
+    router.get('/admin/sessions', async (req, res) => {
+        const sessions = Array.from(manager.sessions.values());
+        res.json({
+            sessions: await Promise.all(sessions.map(async s => ({
+                ...await manager.info(s, { live: false }),
+                participants: Array.from(s.shells.values()).flatMap(shell =>
+                    shell.audience.list().map(({ user, role }) => ({ shellId: shell.id, user, role }))
+                )
+            })))
+        });
+    });
+
+    router.delete('/admin/sessions/:sessionId', session, async (req, res) => {
+        const { id, owner } = req.terminalSession;
+        audit.record('session-killed', { sessionId: id, user: req.user.id, owner });
+        try {
+            await manager.cleanup(id, 'killed');
+            res.json({ message: 'Session killed' });
+        } catch (error) {
+            req.log.error('Error killing session', { err: error });
+            res.status(500).json({ error: 'Failed to kill session' });
+        }
+    });
+
+    // As for owners, `minutes` defaults to one idle timeout and the maximum extension applies
+    router.post('/admin/sessions/:sessionId/extend', session, (req, res) => {
+        const minutes = req.body.minutes === undefined ? config.sessions.idleTimeout / 60000 : req.body.minutes;
+
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+            return res.status(400).json({ error: 'minutes must be a positive number' });
+        }
+
+        const expiresAt = manager.extend(req.terminalSession, minutes);
+        audit.record('session-extended', {
+            sessionId: req.terminalSession.id,
+            user: req.user.id,
+            owner: req.terminalSession.owner,
+            minutes
+        });
+        res.json({ expiresAt: new Date(expiresAt).toISOString() });
+    });
+
+    // Shown in every connected terminal, e.g. "maintenance in 5 minutes"
+    router.post('/admin/notices', (req, res) => {
+        const { message, level = 'warning' } = req.body;
+
+        if (typeof message !== 'string' || !message.trim() || message.length > MAX_NOTICE_LENGTH) {
+            return res.status(400).json({ error: `message must be 1 to ${MAX_NOTICE_LENGTH} characters` });
+        }
+        if (!NOTICE_LEVELS.has(level)) {
+            return res.status(400).json({ error: 'level must be info, warning or error' });
+        }
+
+        manager.broadcast({ level, message: message.trim() });
+        audit.record('notice-sent', { user: req.user.id, level, message: message.trim(), sessions: manager.sessions.size });
+        res.json({ sessions: manager.sessions.size });
+    });
+
+    // Filter with ?q=, type, user, session, since (ISO time) and limit
+    router.get('/admin/audit', (req, res) => {
+        const text = name => (typeof req.query[name] === 'string' && req.query[name]) || null;
+        const limit = Number(req.query.limit);
+        res.json({
+            entries: audit.search({
+                q: text('q') || '',
+                type: text('type'),
+                user: text('user'),
+                sessionId: text('session'),
+                since: text('since'),
+                limit: Number.isInteger(limit) && limit > 0 ? limit : undefined
+            })
+        });
+    });
+
+    return router;
+}
+
+module.exports = adminRoutes;
@@ -0,0 +1,158 @@
+// Non-interactive commands: run one in an existing session, or in a
+// throwaway session that is cleaned up as soon as it finishes. Results come
+// back as one JSON body, or as server-sent events when the client accepts
+// text/event-stream.
+
+const express = require('express');
+const { StringDecoder } = require('string_decoder');
+const { QuotaError } = require('../quotas');
+const { SessionError } = require('../session-manager');
+const { DriverError } = require('../drivers');
+const { isPolicyVariable } = require('../policy');
+const { loadSession } = require('./middleware');
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Check the request body and turn it into a runCommand request, or return
+// { error } describing what is wrong with it
+function parseCommand(body, { defaultTimeout, maxTimeout }) {
+    const { command, stdin = null, env = {}, timeout } = body;
+
+    if (typeof command !== 'string' || !command.trim()) {
+        return { error: 'command must be a non-empty string' };
+    }
+    if (stdin !== null && typeof stdin !== 'string') {
+        return { error: 'stdin must be a string' };
+    }
+    if (typeof env !== 'object' || env === null || Array.isArray(env)) {
+        return { error: 'env must be an object of strings' };
+    }
+    for (const [name, value] of Object.entries(env)) {
+        if (!ENV_NAME_PATTERN.test(name) || typeof value !== 'string') {
+            return { error: `Invalid environment variable: ${name}` };
+        }
+        // Variables that would let the command skip the policy hook
+        if (isPolicyVariable(name)) {
+            return { error: `Environment variable ${name} cannot be set` };
+        }
+    }
+
+    let timeoutMs = defaultTimeout;
+    if (timeout !== undefined) {
+        if (!Number.isFinite(timeout) || timeout <= 0) {
+            return { error: 'timeout must be a positive number of seconds' };
+        }
+        if (timeout * 1000 > maxTimeout) {
+            return { error: `timeout cannot be more than ${maxTimeout / 1000} seconds` };
+        }
+        timeoutMs = timeout * 1000;
+    }
+
+    return { request: { command, stdin, env, timeout: timeoutMs } };
+}
+
+function toResult({ exitCode, timedOut, durationMs, stdout, stderr, truncated }) {
+    return { exitCode, timedOut, durationMs, stdout, stderr, truncated };
+}
+
+function wantsEvents(req) {
+    return Boolean(req.get('Accept') && req.get('Accept').includes('text/event-stream'));
+}
+
+// Run request in session and send the result. With server-sent events,
+// output is sent as stdout and stderr events of { data } as it arrives,
+// followed by one exit event (or an error event if the command could not run).
+async function respond(req, res, manager, session, request) {
+    if (!wantsEvents(req)) {
+        return res.json(toResult(await manager.exec(session, request)));
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Multi-byte characters can be split across chunks
+    const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+    try {
+        const result = await manager.exec(session, request, (name, chunk) => {
+            const data = decoders[name].write(chunk);
+            if (data) {
+                send(name, { data });
+            }
+        });
+        for (const [name, decoder] of Object.entries(decoders)) {
+            const data = decoder.end();
+            if (data) {
+                send(name, { data });
+            }
+        }
+        const { exitCode, timedOut, durationMs, truncated } = result;
+        send('exit', { exitCode, timedOut, durationMs, truncated });
+    } catch (error) {
+        req.log.error('Error running command', { err: error });
+        send('error', { error: error instanceof SessionError || error instanceof DriverError ? error.message : 'Failed to run command' });
+    }
+    res.end();
+}
+
+function sendError(req, res, error) {
+    if (res.headersSent) {
+        return;
+    }
+    if (error instanceof QuotaError) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({ error: error.message, limit: error.limit, retryAfter: error.retryAfter });
+    }
+    if (error instanceof SessionError || error instanceof DriverError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    req.log.error('Error running command', { err: error });
+    res.status(500).json({ error: 'Failed to run command' });
+}
+
+function execRoutes({ config, manager }) {
+    const router = express.Router();
+
+    // Body: { command, stdin?, env?, timeout? } with timeout in seconds
+    router.post('/sessions/:sessionId/exec', loadSession(manager), async (req, res) => {
+        const { request, error } = parseCommand(req.body, config.exec);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        try {
+            await respond(req, res, manager, req.terminalSession, request);
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    // As above, plus template, in a new session that ends with the command
+    router.post('/run', async (req, res) => {
+        const { request, error } = parseCommand(req.body, config.exec);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        let session = null;
+        try {
+            ({ session } = await manager.create(req.user, req.ip, { template: req.body.template }));
+            req.log = req.log.child({ sessionId: session.id });
+            await respond(req, res, manager, session, request);
+        } catch (error) {
+            sendError(req, res, error);
+        } finally {
+            if (session) {
+                await manager.cleanup(session.id, 'run');
+            }
+        }
+    });
+
+    return router;
+}
+
+module.exports = execRoutes;
@@ -0,0 +1,139 @@
+// File browser routes: list, upload to and download from a session container
+
+const express = require('express');
+const { packFiles } = require('../archive');
+const { FileError, confinePath, validateFileName, extractFile } = require('../files');
+const { DriverError } = require('../drivers');
+const { loadSession } = require('./middleware');
+
+function sendFileError(res, error, message) {
+    if (error instanceof FileError || error instanceof DriverError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    res.req.log.error(message, { err: error });
+    res.status(500).json({ error: message });
+}
+
+function fileRoutes({ config, manager, driver }) {
+    const router = express.Router();
+    const session = loadSession(manager);
+    const { uploadLimitMb, downloadLimitMb } = config.files;
+    const uploadBody = express.raw({ type: () => true, limit: uploadLimitMb * 1024 * 1024 });
+
+    // Read the request body as a Buffer, rejecting uploads over the size limit
+    const receiveUpload = (req, res, next) => {
+        uploadBody(req, res, (error) => {
+            if (!error) {
+                return next();
+            }
+            if (error.type === 'entity.too.large') {
+                return res.status(413).json({ error: `Uploads are limited to ${uploadLimitMb} MB` });
+            }
+            res.status(400).json({ error: 'Invalid upload' });
+        });
+    };
+
+    // Stop a download once it passes the size limit. Directory sizes are only
+    // known once the archive has been streamed, so this is the only check for them.
+    const limitDownload = (stream, res) => {
+        const limit = downloadLimitMb * 1024 * 1024;
+        let sent = 0;
+
+        stream.on('data', (chunk) => {
+            sent += chunk.length;
+            if (sent > limit) {
+                res.req.log.warn('Download aborted at the size limit', { limitMb: downloadLimitMb });
+                stream.destroy();
+                res.destroy();
+            }
+        });
+        stream.on('error', (error) => {
+            res.req.log.error('Error streaming download', { err: error });
+            res.destroy();
+        });
+        res.on('close', () => stream.destroy());
+        stream.pipe(res);
+    };
+
+    // The ?path= of a request, or the working directory without one. Paths are
+    // checked before and after following symlinks, so neither .. nor a link
+    // made in the shell reaches outside the working directory.
+    const sessionPath = async ({ container, template }, value) => {
+        const root = driver.workingDir(container, template);
+        const target = confinePath(value || root, root);
+        const [resolved, resolvedRoot] = await Promise.all([
+            driver.resolvePath(container, target),
+            driver.resolvePath(container, root)
+        ]);
+        confinePath(resolved, resolvedRoot);
+        return resolved;
+    };
+
+    router.get('/sessions/:sessionId/files', session, async (req, res) => {
+        try {
+            const { container } = req.terminalSession;
+            const dir = await sessionPath(req.terminalSession, req.query.path);
+            res.json(await driver.listFiles(container, dir));
+        } catch (error) {
+            sendFileError(res, error, 'Failed to list directory');
+        }
+    });
+
+    // Upload a single file (?path=<dir>&name=<file>) or, with
+    // Content-Type: application/x-tar, extract an archive into ?path=<dir>
+    router.post('/sessions/:sessionId/files', session, receiveUpload, async (req, res) => {
+        try {
+            const { container } = req.terminalSession;
+            const dir = await sessionPath(req.terminalSession, req.query.path);
+            const isArchive = req.is('application/x-tar');
+            const archive = isArchive
+                ? req.body
+                : await packFiles([{ name: validateFileName(req.query.name), content: req.body }]);
+
+            await driver.uploadArchive(container, dir, archive);
+            manager.touch(req.terminalSession);
+            res.json({
+                message: 'Upload complete',
+                path: isArchive ? dir : `${dir.replace(/\/$/, '')}/${req.query.name}`,
+                size: req.body.length
+            });
+        } catch (error) {
+            sendFileError(res, error, 'Failed to upload file');
+        }
+    });
+
+    // Download a file as-is, or a directory as a tar archive
+    router.get('/sessions/:sessionId/files/download', session, async (req, res) => {
+        try {
+            if (!req.query.path) {
+                throw new FileError('Path must be an absolute path');
+            }
+            const target = await sessionPath(req.terminalSession, req.query.path);
+            const { stream, stat } = await driver.downloadArchive(req.terminalSession.container, target);
+
+            if (stat && stat.type === 'file' && stat.size > downloadLimitMb * 1024 * 1024) {
+                stream.destroy();
+                return res.status(413).json({ error: `Downloads are limited to ${downloadLimitMb} MB` });
+            }
+
+            manager.touch(req.terminalSession);
+            const name = stat ? stat.name : 'download';
+            if (stat && stat.type === 'file') {
+                const file = await extractFile(stream);
+                res.attachment(name);
+                res.set('Content-Length', String(stat.size));
+                limitDownload(file, res);
+            } else {
+                res.attachment(`${name}.tar`);
+                res.type('application/x-tar');
+                limitDownload(stream, res);
+            }
+        } catch (error) {
+            sendFileError(res, error, 'Failed to download file');
+        }
+    });
+
+    return router;
+}
+
+module.exports = fileRoutes;
@@ -0,0 +1,40 @@
+// Image snapshot routes: the committed images a user can start sessions from
+
+const express = require('express');
+const { DriverError } = require('../drivers');
+const { wantsAll } = require('./middleware');
+
+function imageRoutes({ manager, driver }) {
+    const router = express.Router();
+
+    router.get('/images', async (req, res) => {
+        try {
+            res.json({ images: await driver.listSnapshotImages(wantsAll(req) ? null : req.user.id) });
+        } catch (error) {
+            req.log.error('Error listing snapshot images', { err: error });
+            res.status(500).json({ error: 'Failed to list images' });
+        }
+    });
+
+    router.delete('/images/:imageId', async (req, res) => {
+        const snapshot = await manager.loadSnapshotImage(req.user, req.params.imageId);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot image not found' });
+        }
+
+        try {
+            await driver.removeImage(snapshot.id);
+            res.json({ message: 'Image deleted successfully' });
+        } catch (error) {
+            if (error instanceof DriverError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            req.log.error('Error deleting snapshot image', { err: error });
+            res.status(500).json({ error: 'Failed to delete image' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = imageRoutes;
@@ -0,0 +1,42 @@
+// Route middleware shared by the REST routers
+
+const { canAccessSession } = require('../auth');
+
+// Resolve :sessionId and check the caller may use that session
+function loadSession(manager) {
+    return (req, res, next) => {
+        const session = manager.get(req.params.sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!canAccessSession(req.user, session)) {
+            return res.status(403).json({ error: 'Access to this session is forbidden' });
+        }
+
+        req.terminalSession = session;
+        req.log = req.log.child({ sessionId: session.id });
+        next();
+    };
+}
+
+// Resolve :shellId within the session loaded by loadSession
+function loadShell(req, res, next) {
+    const shell = req.terminalSession.shells.get(req.params.shellId);
+    if (!shell) {
+        return res.status(404).json({ error: 'Shell not found' });
+    }
+    req.shell = shell;
+    next();
+}
+
+// Admins can pass ?all=1 to list everyone's resources
+function wantsAll(req) {
+    return req.user.role === 'admin' && Boolean(req.query.all);
+}
+
+module.exports = {
+    loadSession,
+    loadShell,
+    wantsAll
+};
@@ -0,0 +1,83 @@
+// Session recording routes: list, play back, download and delete
+
+const express = require('express');
+const { canAccessSession } = require('../auth');
+
+function toRecordingInfo(recording) {
+    const { id, size, header, session, truncated } = recording;
+    return {
+        recordingId: id,
+        sessionId: session.id,
+        shellId: session.shellId,
+        owner: session.owner,
+        template: session.template,
+        title: header.title,
+        startedAt: new Date(header.timestamp * 1000).toISOString(),
+        size,
+        truncated
+    };
+}
+
+// recordings is null when recording is turned off
+function recordingRoutes({ recordings }) {
+    const router = express.Router();
+
+    // Resolve :recordingId and check the caller may see that recording
+    const loadRecording = async (req, res, next) => {
+        try {
+            const recording = recordings && await recordings.get(req.params.recordingId);
+            if (!recording) {
+                return res.status(404).json({ error: 'Recording not found' });
+            }
+            if (!canAccessSession(req.user, recording.session)) {
+                return res.status(403).json({ error: 'Access to this recording is forbidden' });
+            }
+            req.recording = recording;
+            next();
+        } catch (error) {
+            req.log.error('Error loading recording', { err: error });
+            res.status(500).json({ error: 'Failed to load recording' });
+        }
+    };
+
+    router.get('/recordings', async (req, res) => {
+        if (!recordings) {
+            return res.json({ enabled: false, recordings: [] });
+        }
+
+        try {
+            const all = await recordings.list();
+            res.json({
+                enabled: true,
+                recordings: all
+                    .filter(recording => canAccessSession(req.user, recording.session))
+                    .map(toRecordingInfo)
+            });
+        } catch (error) {
+            req.log.error('Error listing recordings', { err: error });
+            res.status(500).json({ error: 'Failed to list recordings' });
+        }
+    });
+
+    router.get('/recordings/:recordingId', loadRecording, (req, res) => {
+        if (req.query.download) {
+            res.attachment(`${req.recording.id}.cast`);
+        }
+        res.type('application/x-asciicast');
+        res.sendFile(req.recording.file);
+    });
+
+    router.delete('/recordings/:recordingId', loadRecording, async (req, res) => {
+        try {
+            await recordings.remove(req.recording.id);
+            res.json({ message: 'Recording deleted successfully' });
+        } catch (error) {
+            req.log.error('Error deleting recording', { err: error });
+            res.status(500).json({ error: 'Failed to delete recording' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = recordingRoutes;
@@ -0,0 +1,215 @@
+// Session and shell routes: create, inspect, extend, pause, snapshot and
+// delete sessions, and manage the shells inside them and their share links
+
+const express = require('express');
+const { toPublicTemplate } = require('../templates');
+const { QuotaError } = require('../quotas');
+const { VolumeError } = require('../volumes');
+const { ShareError } = require('../sharing');
+const { SessionError } = require('../session-manager');
+const { DriverError } = require('../drivers');
+const { MAX_DIMENSION, isDimension } = require('../protocol');
+const { loadSession, loadShell, wantsAll } = require('./middleware');
+
+const DIMENSION_ERROR = `cols and rows must be integers from 1 to ${MAX_DIMENSION}`;
+
+function toShareInfo(share) {
+    return {
+        shareId: share.id,
+        role: share.role,
+        createdBy: share.createdBy,
+        createdAt: share.createdAt
+    };
+}
+
+function sessionRoutes({ config, manager, templates, defaultTemplate }) {
+    const router = express.Router();
+    const session = loadSession(manager);
+
+    router.get('/templates', (req, res) => {
+        res.json({
+            defaultTemplate,
+            templates: Array.from(templates.values()).map(toPublicTemplate)
+        });
+    });
+
+    router.post('/sessions', async (req, res) => {
+        const { cols = 80, rows = 24 } = req.body;
+        // They end up in the shell's startup commands
+        if (!isDimension(cols) || !isDimension(rows)) {
+            return res.status(400).json({ error: DIMENSION_ERROR });
+        }
+
+        try {
+            const { session: created, pooled } = await manager.create(req.user, req.ip, {
+                template: req.body.template,
+                image: req.body.image,
+                persistentHome: req.body.persistentHome === true,
+                cols,
+                rows
+            });
+            res.json({
+                sessionId: created.id,
+                template: created.template.id,
+                pooled,
+                persistentHome: created.persistentHome,
+                message: 'Session created successfully',
+                expiresAt: new Date(created.expiresAt).toISOString()
+            });
+        } catch (error) {
+            if (error instanceof QuotaError) {
+                res.set('Retry-After', String(error.retryAfter));
+                return res.status(429).json({ error: error.message, limit: error.limit, retryAfter: error.retryAfter });
+            }
+            if (error instanceof SessionError || error instanceof VolumeError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            req.log.error('Error creating session', { template: req.body.template, err: error });
+            res.status(500).json({ error: 'Failed to create session' });
+        }
+    });
+
+    router.get('/sessions', async (req, res) => {
+        const sessions = manager.list(req.user, wantsAll(req));
+        res.json({ sessions: await Promise.all(sessions.map(s => manager.info(s))) });
+    });
+
+    router.get('/sessions/:sessionId', session, async (req, res) => {
+        res.json(await manager.info(req.terminalSession));
+    });
+
+    // Push the expiry out by `minutes` (default: one idle timeout), up to the maximum extension
+    router.post('/sessions/:sessionId/extend', session, (req, res) => {
+        const minutes = req.body.minutes === undefined ? config.sessions.idleTimeout / 60000 : req.body.minutes;
+
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+            return res.status(400).json({ error: 'minutes must be a positive number' });
+        }
+
+        const expiresAt = manager.extend(req.terminalSession, minutes);
+        res.json({ expiresAt: new Date(expiresAt).toISOString() });
+    });
+
+    router.post('/sessions/:sessionId/pause', session, async (req, res) => {
+        try {
+            await manager.pause(req.terminalSession);
+            res.json({ state: 'paused' });
+        } catch (error) {
+            if (error instanceof DriverError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            req.log.error('Error pausing session', { err: error });
+            res.status(500).json({ error: 'Failed to pause session' });
+        }
+    });
+
+    router.post('/sessions/:sessionId/resume', session, async (req, res) => {
+        try {
+            await manager.resume(req.terminalSession);
+            manager.touch(req.terminalSession);
+            res.json({ state: 'running' });
+        } catch (error) {
+            if (error instanceof DriverError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            req.log.error('Error resuming session', { err: error });
+            res.status(500).json({ error: 'Failed to resume session' });
+        }
+    });
+
+    // Commit the session container to an image that new sessions can start from
+    router.post('/sessions/:sessionId/snapshot', session, async (req, res) => {
+        const description = typeof req.body.description === 'string' ? req.body.description.slice(0, 200) : '';
+
+        try {
+            res.json(await manager.snapshot(req.terminalSession, description));
+        } catch (error) {
+            if (error instanceof DriverError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            req.log.error('Error committing session snapshot', { err: error });
+            res.status(500).json({ error: 'Failed to snapshot session' });
+        }
+    });
+
+    // An admin ending someone else's session is reported to its users as a kill
+    router.delete('/sessions/:sessionId', session, async (req, res) => {
+        const reason = req.terminalSession.owner === req.user.id ? 'deleted' : 'killed';
+        try {
+            await manager.cleanup(req.terminalSession.id, reason);
+            res.json({ message: 'Session terminated successfully' });
+        } catch (error) {
+            req.log.error('Error terminating session', { err: error });
+            res.status(500).json({ error: 'Failed to terminate session' });
+        }
+    });
+
+    router.get('/sessions/:sessionId/shells', session, (req, res) => {
+        res.json({
+            shells: Array.from(req.terminalSession.shells.values()).map(shell => ({
+                shellId: shell.id,
+                dimensions: shell.dimensions,
+                attached: shell.audience.size > 0,
+                participants: shell.audience.list()
+            }))
+        });
+    });
+
+    router.post('/sessions/:sessionId/resize', session, async (req, res) => {
+        const { shellId, cols, rows } = req.body;
+        if (!isDimension(cols) || !isDimension(rows)) {
+            return res.status(400).json({ error: DIMENSION_ERROR });
+        }
+        const shell = req.terminalSession.shells.get(shellId);
+        if (!shell) {
+            return res.status(404).json({ error: 'Shell not found' });
+        }
+
+        try {
+            await manager.resizeShell(req.terminalSession, shell, cols, rows);
+            res.json({ message: 'Terminal resized' });
+        } catch (error) {
+            req.log.error('Error resizing terminal', { err: error });
+            res.status(500).json({ error: 'Failed to resize terminal' });
+        }
+    });
+
+    router.delete('/sessions/:sessionId/shells/:shellId', session, loadShell, (req, res) => {
+        manager.closeShell(req.shell);
+        res.json({ message: 'Shell closed successfully' });
+    });
+
+    router.get('/sessions/:sessionId/shells/:shellId/shares', session, loadShell, (req, res) => {
+        res.json({ shares: req.shell.shares.list().map(toShareInfo) });
+    });
+
+    // The token is only returned here; joining needs it in the share link
+    router.post('/sessions/:sessionId/shells/:shellId/shares', session, loadShell, (req, res) => {
+        try {
+            const { share, token } = manager.createShare(req.terminalSession, req.shell, req.body.role, req.user.id);
+            res.status(201).json({ ...toShareInfo(share), shellId: req.shell.id, token });
+        } catch (error) {
+            if (!(error instanceof ShareError)) {
+                throw error;
+            }
+            res.status(error.status).json({ error: error.message });
+        }
+    });
+
+    // Revoking a link also disconnects everyone who joined through it
+    router.delete('/sessions/:sessionId/shells/:shellId/shares/:shareId', session, loadShell, (req, res) => {
+        try {
+            manager.revokeShare(req.terminalSession, req.shell, req.params.shareId);
+            res.json({ message: 'Share revoked' });
+        } catch (error) {
+            if (!(error instanceof ShareError)) {
+                throw error;
+            }
+            res.status(error.status).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = sessionRoutes;
@@ -0,0 +1,88 @@
+// Persistent home volume routes: list, delete, snapshot and restore
+
+const express = require('express');
+const { VolumeError } = require('../volumes');
+const { wantsAll } = require('./middleware');
+
+// Users manage their own home volume; admins can manage anyone's
+function checkVolumeOwner(req, res, next) {
+    if (req.user.role !== 'admin' && req.params.userId !== req.user.id) {
+        return res.status(403).json({ error: 'Access to this volume is forbidden' });
+    }
+    next();
+}
+
+function sendVolumeError(res, error, message) {
+    if (error instanceof VolumeError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    res.req.log.error(message, { err: error });
+    res.status(500).json({ error: message });
+}
+
+function volumeRoutes({ homeVolumes }) {
+    const router = express.Router();
+
+    router.get('/volumes', async (req, res) => {
+        try {
+            res.json({ volumes: homeVolumes ? await homeVolumes.list(wantsAll(req) ? null : req.user.id) : [] });
+        } catch (error) {
+            sendVolumeError(res, error, 'Failed to list volumes');
+        }
+    });
+
+    // homeVolumes is null unless sessions run on Docker
+    router.use('/volumes', (req, res, next) => {
+        if (!homeVolumes) {
+            return res.status(501).json({ error: 'Home volumes are only available with the Docker driver' });
+        }
+        next();
+    });
+
+    router.delete('/volumes/:userId', checkVolumeOwner, async (req, res) => {
+        try {
+            await homeVolumes.remove(req.params.userId);
+            res.json({ message: 'Volume deleted successfully' });
+        } catch (error) {
+            sendVolumeError(res, error, 'Failed to delete volume');
+        }
+    });
+
+    router.get('/volumes/:userId/snapshots', checkVolumeOwner, async (req, res) => {
+        try {
+            res.json({ snapshots: await homeVolumes.listSnapshots(req.params.userId) });
+        } catch (error) {
+            sendVolumeError(res, error, 'Failed to list snapshots');
+        }
+    });
+
+    router.post('/volumes/:userId/snapshots', checkVolumeOwner, async (req, res) => {
+        try {
+            res.json({ snapshot: await homeVolumes.snapshot(req.params.userId) });
+        } catch (error) {
+            sendVolumeError(res, error, 'Failed to snapshot volume');
+        }
+    });
+
+    router.post('/volumes/:userId/snapshots/:snapshotId/restore', checkVolumeOwner, async (req, res) => {
+        try {
+            await homeVolumes.restore(req.params.userId, req.params.snapshotId);
+            res.json({ message: 'Snapshot restored successfully' });
+        } catch (error) {
+            sendVolumeError(res, error, 'Failed to restore snapshot');
+        }
+    });
+
+    router.delete('/volumes/:userId/snapshots/:snapshotId', checkVolumeOwner, async (req, res) => {
+        try {
+            await homeVolumes.deleteSnapshot(req.params.userId, req.params.snapshotId);
+            res.json({ message: 'Snapshot deleted successfully' });
+        } catch (error) {
+            sendVolumeError(res, error, 'Failed to delete snapshot');
+        }
+    });
+
+    return router;
+}
+
+module.exports = volumeRoutes;
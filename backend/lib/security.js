@@ -0,0 +1,102 @@
+// Named security profiles for session containers. A template picks one
+// with securityProfile; SECURITY_PROFILE sets the default.
+//
+//   strict    unprivileged user, shipped seccomp filter, no capabilities,
+//             read-only root filesystem and no egress
+//   standard  unprivileged user, shipped seccomp filter, the file
+//             capabilities init scripts need, writable root filesystem
+//   dev       root with seccomp off and SYS_ADMIN, as the original backend
+//             ran, for templates whose users need sudo or mounts
+//
+// Docker only turns on user namespaces daemon-wide (userns-remap), so the
+// strict and standard profiles run shells as an unprivileged uid instead.
+// Init scripts still run as root, before anyone has a shell.
+
+const fs = require('fs');
+const path = require('path');
+
+const SECCOMP_PROFILE_FILE = path.join(__dirname, '..', 'config', 'seccomp', 'default.json');
+const UNPRIVILEGED_USER = '1000:1000';
+
+const PROFILES = {
+    strict: {
+        user: UNPRIVILEGED_USER,
+        seccomp: 'shipped',
+        noNewPrivileges: true,
+        capabilities: [],
+        readOnlyRootfs: true,
+        egress: 'none',
+        tmpMb: 64,
+        homeMb: 256
+    },
+    standard: {
+        user: UNPRIVILEGED_USER,
+        seccomp: 'shipped',
+        noNewPrivileges: true,
+        capabilities: ['CHOWN', 'DAC_OVERRIDE', 'FOWNER', 'SETGID', 'SETUID'],
+        readOnlyRootfs: false,
+        egress: 'full',
+        tmpMb: 256,
+        homeMb: 512
+    },
+    dev: {
+        user: null,
+        seccomp: 'unconfined',
+        noNewPrivileges: false,
+        capabilities: ['AUDIT_WRITE', 'CHOWN', 'DAC_OVERRIDE', 'SETGID', 'SETUID', 'NET_BIND_SERVICE', 'SYS_ADMIN'],
+        readOnlyRootfs: false,
+        egress: 'full',
+        tmpMb: null,
+        homeMb: null
+    }
+};
+
+let seccompProfile = null;
+
+// The shipped seccomp profile, as the JSON Docker takes in SecurityOpt
+function shippedSeccompProfile() {
+    if (!seccompProfile) {
+        seccompProfile = JSON.stringify(JSON.parse(fs.readFileSync(SECCOMP_PROFILE_FILE, 'utf8')));
+    }
+    return seccompProfile;
+}
+
+// Throw if a template's profile cannot be used
+function checkTemplateSecurity(template, { defaultProfile }) {
+    const name = template.securityProfile || defaultProfile;
+    const profile = PROFILES[name];
+    if (!profile) {
+        throw new Error(`Template "${template.id}" uses unknown security profile "${name}"`);
+    }
+    if (profile.readOnlyRootfs && template.initScript) {
+        throw new Error(`Template "${template.id}" has an init script, which the read-only "${name}" profile cannot run`);
+    }
+}
+
+// The settings a session container gets, as reported in session info.
+// Without a persistent home volume the home directory is a per-session
+// volume of homeMb whenever the profile has size limits.
+function resolveSecurity(template, { defaultProfile, persistentHome = false }) {
+    const name = template.securityProfile || defaultProfile;
+    const profile = PROFILES[name];
+
+    return {
+        profile: name,
+        user: profile.user || 'root',
+        seccomp: profile.seccomp,
+        noNewPrivileges: profile.noNewPrivileges,
+        capabilities: profile.capabilities,
+        readOnlyRootfs: profile.readOnlyRootfs,
+        // The template's egress mode wins over the profile's
+        egress: template.egress || { mode: profile.egress, allow: [] },
+        tmpfsMb: profile.tmpMb ? { '/tmp': profile.tmpMb } : {},
+        homeMb: persistentHome ? null : profile.homeMb
+    };
+}
+
+module.exports = {
+    PROFILES,
+    shippedSeccompProfile,
+    checkTemplateSecurity,
+    resolveSecurity
+};
@@ -0,0 +1,88 @@
+// The backend's Prometheus metrics, fed by session manager and gateway events
+
+const { Registry } = require('./metrics');
+
+// pool is null when warm pools are turned off. Returns the registry and
+// trackRequest(method), which starts timing a REST request and returns a
+// function to call with the response status.
+function createServerMetrics({ manager, gateway, pool }) {
+    const registry = new Registry();
+
+    const sessionsCreated = registry.counter(
+        'terminal_sessions_created_total', 'Sessions created', ['template', 'pooled']
+    );
+    const sessionCreateFailures = registry.counter(
+        'terminal_session_create_failures_total', 'Session creations that failed', ['template', 'reason']
+    );
+    const sessionCreateDuration = registry.histogram(
+        'terminal_session_create_duration_seconds', 'Time to create a session', ['template', 'pooled']
+    );
+    registry.gauge('terminal_sessions_active', 'Sessions currently running', ['template'], () => {
+        const counts = new Map();
+        for (const session of manager.sessions.values()) {
+            counts.set(session.template.id, (counts.get(session.template.id) || 0) + 1);
+        }
+        return Array.from(counts, ([template, value]) => ({ labels: { template }, value }));
+    });
+    registry.gauge('terminal_shells_active', 'Shells currently running', [], () => [{
+        value: Array.from(manager.sessions.values()).reduce((total, session) => total + session.shells.size, 0)
+    }]);
+    registry.gauge('terminal_pool_idle_containers', 'Warm containers ready to hand out', ['template'], () =>
+        (pool ? pool.stats() : []).map(stats => ({ labels: { template: stats.template }, value: stats.idle }))
+    );
+    const websocketConnections = registry.counter(
+        'terminal_websocket_connections_total', 'WebSocket connections accepted'
+    );
+    const bytesIn = registry.counter('terminal_input_bytes_total', 'Bytes of terminal input sent to shells');
+    const bytesOut = registry.counter('terminal_output_bytes_total', 'Bytes of shell output sent to clients');
+    const cleanups = registry.counter(
+        'terminal_session_cleanups_total', 'Sessions cleaned up', ['reason', 'outcome']
+    );
+    const egressBlocked = registry.counter(
+        'terminal_egress_blocked_total', 'Connections the egress proxy refused', ['template']
+    );
+    const execs = registry.counter(
+        'terminal_execs_total', 'Commands run with the exec API', ['template', 'outcome']
+    );
+    const execDuration = registry.histogram(
+        'terminal_exec_duration_seconds', 'Time taken by commands run with the exec API', ['template']
+    );
+    const dockerErrors = registry.counter('terminal_docker_errors_total', 'Failed Docker API calls', ['operation']);
+    const httpRequests = registry.counter(
+        'terminal_http_requests_total', 'REST requests served', ['method', 'status']
+    );
+    const httpRequestDuration = registry.histogram(
+        'terminal_http_request_duration_seconds', 'Time to serve a REST request', ['method']
+    );
+
+    manager.on('session-created', (session, { pooled, seconds }) => {
+        sessionsCreated.inc({ template: session.template.id, pooled });
+        sessionCreateDuration.observe({ template: session.template.id, pooled }, seconds);
+    });
+    manager.on('session-create-failed', (template, reason) => sessionCreateFailures.inc({ template, reason }));
+    manager.on('session-cleaned', (session, reason, outcome) => cleanups.inc({ reason, outcome }));
+    manager.on('driver-error', operation => dockerErrors.inc({ operation }));
+    manager.on('input', (session, bytes) => bytesIn.inc({}, bytes));
+    manager.on('exec', (session, { exitCode, timedOut, durationMs }) => {
+        const outcome = timedOut ? 'timeout' : exitCode === 0 ? 'success' : 'failure';
+        execs.inc({ template: session.template.id, outcome });
+        execDuration.observe({ template: session.template.id }, durationMs / 1000);
+    });
+    manager.on('egress-blocked', session => egressBlocked.inc({ template: session.template.id }));
+    gateway.on('connection', () => websocketConnections.inc());
+    gateway.on('output-sent', bytes => bytesOut.inc({}, bytes));
+
+    const trackRequest = (method) => {
+        const stopTimer = httpRequestDuration.startTimer({ method });
+        return (status) => {
+            stopTimer();
+            httpRequests.inc({ method, status });
+        };
+    };
+
+    return { registry, trackRequest };
+}
+
+module.exports = {
+    createServerMetrics
+};
@@ -0,0 +1,934 @@
+// Session lifecycle: creating session containers (from the warm pool where
+// possible), the shells inside them, idle expiry and cleanup.
+//
+// The manager knows nothing about WebSockets or HTTP. It emits events that
+// the gateway turns into frames and the metrics module counts:
+//
+//   output (session, shell, chunk)        shell output, after policy reports are stripped
+//   shell-exit (session, shell, exit)     exit is { code, reason }
+//   shell-error (session, shell, error)
+//   resize (session, shell)               shell.dimensions changed
+//   presence (session, shell)             someone joined, left or took control
+//   attached (session, shell, participant)
+//   share-revoked (session, shell, shareId)
+//   stats (session, sample)               container stats while someone is watching
+//   notice (session, notice)              { level, message } for everyone in the session
+//   egress-blocked (session, host)        the egress proxy refused a connection
+//   policy-decision (session, decision)   the command policy hook reported a command
+//   input (session, bytes)
+//   exec (session, result)                a command run with exec() finished
+//   session-created (session, { pooled, seconds })
+//   session-create-failed (templateId, reason)
+//   session-cleaned (session, reason, outcome)
+//   driver-error (operation)              a driver call failed
+
+const crypto = require('crypto');
+const fs = require('fs');
+const EventEmitter = require('events');
+const RingBuffer = require('./ring-buffer');
+const { NONCE_VARIABLE, PolicyReportParser, evaluate } = require('./policy');
+const { QuotaError } = require('./quotas');
+const { VolumeError } = require('./volumes');
+const { Role, ShellShares, Audience } = require('./sharing');
+const { ExitReason } = require('./protocol');
+const { DriverError } = require('./drivers');
+const { canAccessSession } = require('./auth');
+const { logger } = require('./logger');
+
+// How long after an OOM event a killed shell is blamed on it
+const OOM_ATTRIBUTION_WINDOW = 10 * 1000;
+const OOM_EVENT_GRACE = 1000;
+// How long cleanup waits for shells to report their exit before moving on
+const SHELL_EXIT_WAIT = 5000;
+const PIDS_WARNING_RATIO = 0.9;
+const PIDS_WARNING_INTERVAL = 60 * 1000;
+// A session is told once per blocked host, for at most this many hosts
+const MAX_EGRESS_NOTICES = 20;
+
+class SessionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SessionError';
+        this.status = status;
+    }
+}
+
+class SessionManager extends EventEmitter {
+    // pool, homeVolumes, recordings and egressProxy are optional
+    constructor({
+        config,
+        driver,
+        templates,
+        defaultTemplate,
+        policies,
+        quotas,
+        pool = null,
+        homeVolumes = null,
+        recordings = null,
+        egressProxy = null
+    }) {
+        super();
+        this.config = config;
+        this.driver = driver;
+        this.templates = templates;
+        this.defaultTemplate = defaultTemplate;
+        this.policies = policies;
+        this.quotas = quotas;
+        this.pool = pool;
+        this.homeVolumes = homeVolumes;
+        this.recordings = recordings;
+        this.egressProxy = egressProxy;
+        this.sessions = new Map();
+        this.sweepTimer = null;
+        this.statsTimer = null;
+        this.sampling = null;
+        this.stopContainerEvents = null;
+
+        if (egressProxy) {
+            egressProxy.on('blocked', blocked => this.handleEgressBlocked(blocked));
+        }
+    }
+
+    start() {
+        if (this.pool) {
+            this.pool.start();
+        }
+        if (this.homeVolumes) {
+            this.homeVolumes.start();
+        }
+        if (this.recordings) {
+            this.recordings.start();
+        }
+        this.stopContainerEvents = this.driver.watchContainerEvents((containerId, action) => {
+            if (action === 'oom') {
+                this.handleOom(containerId);
+            } else {
+                this.handleContainerDied(containerId);
+            }
+        });
+        this.sweepTimer = setInterval(() => this.sweep(), this.config.sessions.sweepInterval);
+        this.sweepTimer.unref();
+        this.statsTimer = setInterval(() => this.sampleStats(), this.config.sessions.statsInterval);
+        this.statsTimer.unref();
+    }
+
+    // Clean up every session and drain the pool
+    async stop() {
+        clearInterval(this.sweepTimer);
+        clearInterval(this.statsTimer);
+        if (this.stopContainerEvents) {
+            this.stopContainerEvents();
+        }
+        if (this.homeVolumes) {
+            this.homeVolumes.stop();
+        }
+        if (this.recordings) {
+            this.recordings.stop();
+        }
+
+        const cleanups = Array.from(this.sessions.keys()).map(sessionId => this.cleanup(sessionId, 'shutdown'));
+        if (this.pool) {
+            cleanups.push(this.pool.drain());
+        }
+        try {
+            await Promise.all(cleanups);
+            logger.info('All sessions cleaned up');
+        } catch (error) {
+            logger.error('Error during cleanup', { err: error });
+        }
+    }
+
+    get(sessionId) {
+        return this.sessions.get(sessionId) || null;
+    }
+
+    // The user's sessions, or everyone's when all is set
+    list(user, all = false) {
+        return Array.from(this.sessions.values()).filter(session => all || session.owner === user.id);
+    }
+
+    // Whether any of userId's running sessions has their home volume mounted
+    usesHomeVolume(userId) {
+        return Array.from(this.sessions.values()).some(session => session.owner === userId && session.persistentHome);
+    }
+
+    // Resolve an image snapshot the user may start a session from
+    async loadSnapshotImage(user, imageRef) {
+        const snapshot = await this.driver.inspectSnapshotImage(imageRef);
+        if (!snapshot || !canAccessSession(user, { owner: snapshot.owner })) {
+            return null;
+        }
+        return snapshot;
+    }
+
+    // Hand out a warm container if one is ready and still running
+    async acquirePooledContainer(template) {
+        const container = this.pool && this.pool.acquire(template.id);
+        if (!container) {
+            return null;
+        }
+
+        try {
+            if (await this.driver.isRunning(container)) {
+                return container;
+            }
+        } catch (error) {
+            this.driverFailed('inspect', error);
+            logger.error('Error inspecting pooled container', { err: error });
+        }
+
+        await this.pool.destroyQuietly(container);
+        return null;
+    }
+
+    // Create a session for user. Throws SessionError for bad requests,
+    // QuotaError when a limit is reached and VolumeError when the home
+    // volume cannot be mounted.
+    async create(user, ip, { template: templateId, image, persistentHome = false, cols = 80, rows = 24 }) {
+        let snapshot = null;
+        if (image) {
+            snapshot = await this.loadSnapshotImage(user, String(image));
+            if (!snapshot) {
+                throw new SessionError('Snapshot image not found', 404);
+            }
+        }
+
+        const id = snapshot ? snapshot.templateId : templateId || this.defaultTemplate;
+        const template = this.templates.get(id);
+        if (!template) {
+            throw new SessionError(`Unknown template: ${id}`);
+        }
+        if (persistentHome && !(template.persistentHome && this.homeVolumes)) {
+            throw new SessionError(`Template ${id} does not support a persistent home`);
+        }
+
+        // Warm containers have no home volume and run the template image,
+        // so persistent and snapshot sessions skip the pool
+        const usePool = !persistentHome && !snapshot;
+        const warm = usePool && Boolean(this.pool && this.pool.hasIdle(template.id));
+        let quota;
+        try {
+            quota = this.quotas.reserve(user, ip, { warm });
+        } catch (error) {
+            this.emit('session-create-failed', template.id, error instanceof QuotaError ? 'quota' : 'error');
+            throw error;
+        }
+
+        const started = process.hrtime.bigint();
+        const sessionId = crypto.randomUUID();
+        const log = logger.child({ sessionId });
+        try {
+            let container = usePool ? await this.acquirePooledContainer(template) : null;
+            const pooled = Boolean(container);
+            let initScript = null;
+
+            const security = this.driver.securitySettings(template, { persistentHome });
+            if (!container) {
+                // The volume is handed to the container's user, as a session's own home would be
+                const owner = security.user === 'root' ? null : security.user;
+                const binds = persistentHome ? [await this.homeVolumes.mount(user.id, template.workingDir, { owner })] : [];
+                container = await this.driver.createContainer(template, {
+                    binds,
+                    image: snapshot ? snapshot.id : template.image,
+                    persistentHome
+                });
+                // A snapshot already contains the result of the init script
+                if (template.initScript && !snapshot) {
+                    initScript = this.driver.runInitScript(container, template).catch(error => {
+                        log.error('Error running init script', { err: error });
+                    });
+                }
+            }
+
+            // Allowlisted sessions are known to the egress proxy by address
+            const egressAddress = this.egressProxy ? this.driver.egressAddress(container) : null;
+            if (egressAddress) {
+                this.egressProxy.register(egressAddress, security.egress.allow, sessionId);
+            }
+
+            const now = Date.now();
+            const session = {
+                id: sessionId,
+                container,
+                template,
+                owner: user.id,
+                quota,
+                persistentHome,
+                security,
+                egressAddress,
+                egressNoticesSent: new Set(),
+                image: snapshot ? snapshot.id : template.image,
+                createdAt: now,
+                lastActivity: now,
+                expiresAt: this.capExpiry(now, now + this.config.sessions.idleTimeout),
+                paused: false,
+                statsWatch: null,
+                // The newest sample, from statsWatch or sampleStats
+                lastStats: null,
+                lastOomAt: 0,
+                pidsWarnedAt: 0,
+                dimensions: { cols, rows },
+                shells: new Map(),
+                // Settles once the init script has run, for commands that need its setup
+                initScript,
+                execs: 0,
+                // Set once cleanup has started, to the promise of it finishing
+                ending: null,
+                log
+            };
+            this.sessions.set(sessionId, session);
+
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.emit('session-created', session, { pooled, seconds });
+            log.info('Session created', { owner: user.id, template: template.id, pooled, persistentHome });
+            return { session, pooled };
+        } catch (error) {
+            this.quotas.release(quota);
+            if (error instanceof VolumeError) {
+                this.emit('session-create-failed', template.id, 'volume');
+            } else {
+                this.emit('session-create-failed', template.id, 'error');
+                this.driverFailed('create', error);
+            }
+            throw error;
+        }
+    }
+
+    // Expiry pushed no later than the maximum lifetime, if there is one
+    capExpiry(createdAt, expiresAt) {
+        const { maxLifetime } = this.config.sessions;
+        return maxLifetime ? Math.min(expiresAt, createdAt + maxLifetime) : expiresAt;
+    }
+
+    // Note activity on a session, pushing its expiry out to at least the idle timeout
+    touch(session) {
+        const now = Date.now();
+        session.lastActivity = now;
+        session.expiresAt = this.capExpiry(
+            session.createdAt,
+            Math.max(session.expiresAt, now + this.config.sessions.idleTimeout)
+        );
+    }
+
+    // Push the expiry out by minutes, up to the maximum extension
+    extend(session, minutes) {
+        const now = Date.now();
+        session.expiresAt = this.capExpiry(
+            session.createdAt,
+            Math.min(Math.max(session.expiresAt, now) + minutes * 60 * 1000, now + this.config.sessions.maxExtension)
+        );
+        return session.expiresAt;
+    }
+
+    async pause(session) {
+        if (session.paused) {
+            return;
+        }
+        try {
+            await this.driver.pause(session.container);
+        } catch (error) {
+            this.driverFailed('pause', error);
+            throw error;
+        }
+        session.paused = true;
+        session.log.info('Paused session');
+    }
+
+    async resume(session) {
+        if (!session.paused) {
+            return;
+        }
+        session.paused = false;
+        try {
+            await this.driver.unpause(session.container);
+        } catch (error) {
+            session.paused = true;
+            this.driverFailed('unpause', error);
+            throw error;
+        }
+        session.log.info('Resumed session');
+    }
+
+    async stats(session) {
+        try {
+            return await this.driver.stats(session.container);
+        } catch (error) {
+            session.log.error('Error reading container stats', { err: error });
+            return null;
+        }
+    }
+
+    // Without live, resources are the newest sample from statsWatch or
+    // sampleStats instead of a Docker call of their own, and null until the
+    // first sample
+    async info(session, { live = true } = {}) {
+        const now = Date.now();
+        return {
+            sessionId: session.id,
+            owner: session.owner,
+            template: session.template.id,
+            image: session.image,
+            state: session.paused ? 'paused' : 'running',
+            persistentHome: session.persistentHome,
+            security: session.security,
+            createdAt: new Date(session.createdAt).toISOString(),
+            expiresAt: new Date(session.expiresAt).toISOString(),
+            ageSeconds: Math.floor((now - session.createdAt) / 1000),
+            idleSeconds: Math.floor((now - session.lastActivity) / 1000),
+            shells: session.shells.size,
+            resources: live ? await this.stats(session) : session.lastStats
+        };
+    }
+
+    async snapshot(session, description) {
+        const tag = `${Date.now()}-${session.id.slice(0, 8)}`;
+        try {
+            return await this.driver.commit(session.container, {
+                owner: session.owner,
+                templateId: session.template.id,
+                description,
+                tag
+            });
+        } catch (error) {
+            this.driverFailed('commit', error);
+            throw error;
+        }
+    }
+
+    // Record a command policy decision reported by the hook inside a container
+    recordPolicyDecision(session, shell, report) {
+        const expected = evaluate(this.policies.get(session.template.policy), report.command);
+
+        const decision = {
+            shellId: shell.id,
+            action: report.action,
+            rule: report.rule,
+            command: report.command
+        };
+
+        // The hook runs inside the container, so a disagreement means it was
+        // tampered with or could not see through the command
+        if (expected.action !== report.action) {
+            decision.expected = { action: expected.action, rule: expected.rule };
+        }
+
+        if (report.action === 'deny' || decision.expected) {
+            session.log.warn('Policy decision', decision);
+        } else {
+            session.log.info('Policy decision', decision);
+        }
+        this.emit('policy-decision', session, decision);
+
+        if (this.config.policyAuditLog) {
+            const line = JSON.stringify({ time: new Date().toISOString(), sessionId: session.id, ...decision });
+            fs.appendFile(this.config.policyAuditLog, line + '\n', (error) => {
+                if (error) {
+                    logger.error('Error writing policy audit log', { err: error });
+                }
+            });
+        }
+    }
+
+    // Start an interactive shell in the session container. Each tab or pane
+    // gets its own shell, and a shell outlives individual connections so a
+    // client can reattach after a dropped socket.
+    async startShell(session, dimensions) {
+        if (session.shells.size >= this.config.sessions.maxShells) {
+            throw new SessionError(`Session already has ${this.config.sessions.maxShells} open shells`, 409);
+        }
+
+        const { template } = session;
+        // Signs the shell's policy reports
+        const nonce = crypto.randomBytes(16).toString('hex');
+        let exec;
+        let stream;
+        try {
+            ({ exec, stream } = await this.driver.startShell(session.container, template, dimensions, {
+                [NONCE_VARIABLE]: nonce
+            }));
+        } catch (error) {
+            this.driverFailed('exec', error);
+            throw error;
+        }
+
+        const shell = {
+            id: crypto.randomUUID(),
+            exec,
+            stream,
+            dimensions,
+            scrollback: new RingBuffer(this.config.sessions.scrollbackBytes),
+            audience: new Audience(),
+            shares: new ShellShares(),
+            graceTimer: null,
+            policyReports: new PolicyReportParser(nonce, report => this.recordPolicyDecision(session, shell, report)),
+            recorder: null,
+            // Why the server ended the shell, if it did
+            endReason: null,
+            markExited: null
+        };
+        // Settles once shell-exit has been emitted
+        shell.exited = new Promise((resolve) => {
+            shell.markExited = resolve;
+        });
+
+        if (this.recordings) {
+            shell.recorder = this.recordings.create(shell.id, {
+                session: { id: session.id, shellId: shell.id, owner: session.owner, template: template.id },
+                dimensions,
+                env: { TERM: 'xterm-256color', SHELL: template.shell }
+            });
+        }
+
+        session.shells.set(shell.id, shell);
+
+        const initCommands = [
+            'export TERM=xterm-256color',
+            `export COLUMNS=${dimensions.cols}`,
+            `export LINES=${dimensions.rows}`,
+            'export PS1="[\\u@\\h \\W]\\$ "',
+            `stty rows ${dimensions.rows} cols ${dimensions.cols}`,
+            // Add trap for terminal cleanup
+            'trap "printf \\"\\033[2J\\033[H\\033[3J\\"; stty sane" EXIT',
+            'clear'
+        ];
+
+        for (const cmd of initCommands) {
+            stream.write(cmd + '\n');
+        }
+
+        stream.on('data', (chunk) => {
+            const output = shell.policyReports.process(chunk);
+            if (output.length === 0) {
+                return;
+            }
+            shell.scrollback.push(output);
+            if (shell.recorder) {
+                shell.recorder.output(output);
+            }
+            this.emit('output', session, shell, output);
+        });
+
+        stream.on('end', async () => {
+            clearTimeout(shell.graceTimer);
+            session.shells.delete(shell.id);
+            if (shell.recorder) {
+                shell.recorder.close();
+            }
+
+            let code = null;
+            let reason = shell.endReason;
+            if (!reason) {
+                try {
+                    code = await this.driver.shellExitCode(exec);
+                } catch (error) {
+                    session.log.error('Error inspecting exec', { shellId: shell.id, err: error });
+                }
+
+                reason = await this.exitReason(session, code);
+                if (reason !== ExitReason.EXITED) {
+                    session.log.warn('Shell ended abnormally', { shellId: shell.id, code, reason });
+                }
+            }
+
+            this.emit('shell-exit', session, shell, { code, reason });
+            for (const client of shell.audience.clients()) {
+                shell.audience.leave(client);
+            }
+            this.updateStatsWatch(session);
+            shell.markExited();
+        });
+
+        stream.on('error', (error) => {
+            session.log.error('Shell stream error', { shellId: shell.id, err: error });
+            this.emit('shell-error', session, shell, error);
+        });
+
+        return shell;
+    }
+
+    // Typing into a paused session wakes it up; the input waits in the
+    // exec stream until the shell runs again
+    write(session, shell, input) {
+        this.touch(session);
+        if (session.paused) {
+            this.resume(session).catch(error => {
+                session.log.error('Error resuming session', { err: error });
+            });
+        }
+        this.emit('input', session, Buffer.byteLength(input));
+        shell.stream.write(input);
+    }
+
+    // Run a command to completion in the session container without a TTY,
+    // under the container's limits, security profile and command policy.
+    // request is { command, stdin, env, timeout } with timeout in ms, and
+    // onOutput(name, chunk) sees stdout and stderr as they arrive. Resolves
+    // to { exitCode, timedOut, durationMs, stdout, stderr, truncated }, with
+    // at most config.exec.maxOutputBytes of each stream.
+    async exec(session, { command, stdin = null, env = {}, timeout }, onOutput = () => {}) {
+        const { maxConcurrent, maxOutputBytes } = this.config.exec;
+        if (session.execs >= maxConcurrent) {
+            throw new SessionError(`Session already has ${maxConcurrent} commands running`, 409);
+        }
+
+        session.execs++;
+        this.touch(session);
+        const output = { stdout: [], stderr: [] };
+        const kept = { stdout: 0, stderr: 0 };
+        let truncated = false;
+        const collect = (name, chunk) => {
+            const room = maxOutputBytes - kept[name];
+            if (chunk.length > room) {
+                truncated = true;
+            }
+            if (room > 0) {
+                output[name].push(chunk.subarray(0, room));
+                kept[name] += Math.min(chunk.length, room);
+            }
+            onOutput(name, chunk);
+        };
+
+        const started = process.hrtime.bigint();
+        let result;
+        try {
+            if (session.paused) {
+                await this.resume(session);
+            }
+            await session.initScript;
+            result = await this.driver.runCommand(session.container, session.template, {
+                command,
+                stdin,
+                env,
+                timeout
+            }, collect);
+        } catch (error) {
+            this.driverFailed('exec', error);
+            throw error;
+        } finally {
+            session.execs--;
+            this.touch(session);
+        }
+
+        const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e6);
+        session.log.info('Command finished', { exitCode: result.exitCode, timedOut: result.timedOut, durationMs });
+        this.emit('exec', session, { ...result, durationMs });
+        return {
+            ...result,
+            durationMs,
+            stdout: Buffer.concat(output.stdout).toString(),
+            stderr: Buffer.concat(output.stderr).toString(),
+            truncated
+        };
+    }
+
+    async resizeShell(session, shell, cols, rows) {
+        await this.driver.resizeShell(shell.exec, cols, rows);
+        shell.dimensions = { cols, rows };
+        if (shell.recorder) {
+            shell.recorder.resize(cols, rows);
+        }
+        this.emit('resize', session, shell);
+    }
+
+    // Stop reading a shell's output until resumeOutput; once the pipe
+    // behind the stream fills, the shell blocks on its writes
+    pauseOutput(shell) {
+        shell.stream.pause();
+    }
+
+    resumeOutput(shell) {
+        shell.stream.resume();
+    }
+
+    // End a shell, telling its clients reason
+    closeShell(shell, reason = ExitReason.CLOSED) {
+        if (!shell.endReason) {
+            shell.endReason = reason;
+        }
+        clearTimeout(shell.graceTimer);
+        // Paused output would hold back the end of the stream
+        shell.stream.resume();
+        shell.stream.end();
+    }
+
+    // Add a client to a shell's audience. identity is { user, role, shareId }.
+    attach(session, shell, client, identity) {
+        clearTimeout(shell.graceTimer);
+        shell.graceTimer = null;
+
+        const participant = shell.audience.join(client, identity);
+        this.updateStatsWatch(session);
+        this.emit('attached', session, shell, participant);
+        this.emit('presence', session, shell);
+        return participant;
+    }
+
+    // Remove a client, keeping the shell running for a while after the last one goes
+    detach(session, shell, client) {
+        if (!shell.audience.leave(client)) {
+            return;
+        }
+        this.emit('presence', session, shell);
+        this.updateStatsWatch(session);
+        if (shell.audience.size > 0 || !session.shells.has(shell.id)) {
+            return;
+        }
+        shell.graceTimer = setTimeout(() => {
+            session.log.info('Reconnect grace period expired', { shellId: shell.id });
+            this.closeShell(shell);
+        }, this.config.sessions.reconnectGrace);
+    }
+
+    // Give control of a shell to another participant; throws ShareError
+    handoff(session, shell, client, participantId) {
+        const result = shell.audience.handoff(client, participantId);
+        session.log.info('Control handed off', { shellId: shell.id, from: result.from.user, to: result.to.user });
+        this.emit('presence', session, shell);
+        return result;
+    }
+
+    createShare(session, shell, role, createdBy) {
+        const result = shell.shares.create(role || Role.VIEWER, createdBy);
+        session.log.info('Shell shared', { shellId: shell.id, shareId: result.share.id, role: result.share.role });
+        return result;
+    }
+
+    // Revoking a link also disconnects everyone who joined through it
+    revokeShare(session, shell, shareId) {
+        shell.shares.revoke(shareId);
+        this.emit('share-revoked', session, shell, shareId);
+    }
+
+    publishStats(session, sample) {
+        const { pidsLimit } = session.template.resources;
+        session.lastStats = sample;
+        this.emit('stats', session, { ...sample, pidsLimit });
+
+        const now = Date.now();
+        if (sample.pids >= pidsLimit * PIDS_WARNING_RATIO && now - session.pidsWarnedAt > PIDS_WARNING_INTERVAL) {
+            session.pidsWarnedAt = now;
+            this.emit('notice', session, {
+                level: 'warning',
+                message: `${sample.pids} of ${pidsLimit} processes in use; new processes will fail at the limit`
+            });
+        }
+    }
+
+    stopStatsWatch(session) {
+        const watch = session.statsWatch;
+        session.statsWatch = null;
+        if (watch) {
+            watch.then(stop => stop && stop());
+        }
+    }
+
+    // Sample container stats only while someone is watching the session
+    updateStatsWatch(session) {
+        const watched = Array.from(session.shells.values()).some(shell => shell.audience.size > 0);
+
+        if (watched && !session.statsWatch && this.sessions.has(session.id)) {
+            session.statsWatch = this.driver.watchStats(session.container, sample => this.publishStats(session, sample))
+                .catch((error) => {
+                    session.log.error('Error watching stats', { err: error });
+                    session.statsWatch = null;
+                    return null;
+                });
+        } else if (!watched) {
+            this.stopStatsWatch(session);
+        }
+    }
+
+    // Work out why a shell ended. Only a SIGKILL (137) or a lost exec can be
+    // the kernel's OOM killer or the container going away.
+    async exitReason(session, code) {
+        if (code !== null && code !== 137) {
+            return ExitReason.EXITED;
+        }
+
+        // The oom event can arrive just after the shell's stream ends
+        if (Date.now() - session.lastOomAt > OOM_ATTRIBUTION_WINDOW) {
+            await new Promise(resolve => setTimeout(resolve, OOM_EVENT_GRACE));
+        }
+        if (Date.now() - session.lastOomAt <= OOM_ATTRIBUTION_WINDOW) {
+            return ExitReason.OOM_KILLED;
+        }
+
+        try {
+            const state = await this.driver.containerState(session.container);
+            if (state.oomKilled) {
+                return ExitReason.OOM_KILLED;
+            }
+            return state.running ? ExitReason.EXITED : ExitReason.CONTAINER_STOPPED;
+        } catch (error) {
+            return ExitReason.CONTAINER_STOPPED;
+        }
+    }
+
+    handleOom(containerId) {
+        for (const session of this.sessions.values()) {
+            if (session.container.id !== containerId) {
+                continue;
+            }
+            const { memoryMb } = session.template.resources;
+            session.log.warn('Out of memory', { memoryMb });
+            session.lastOomAt = Date.now();
+            this.emit('notice', session, {
+                level: 'error',
+                message: `A process was killed for exceeding the ${memoryMb} MB memory limit`
+            });
+        }
+    }
+
+    // Send a notice to everyone connected to any session, e.g. ahead of maintenance
+    broadcast(notice) {
+        for (const session of this.sessions.values()) {
+            this.emit('notice', session, notice);
+        }
+        logger.info('Notice broadcast', { level: notice.level, sessions: this.sessions.size });
+    }
+
+    // A session container stopped without the manager stopping it, e.g.
+    // killed with docker kill or by the OOM killer taking out its init
+    handleContainerDied(containerId) {
+        for (const session of this.sessions.values()) {
+            if (session.container.id === containerId && !session.ending) {
+                session.log.warn('Container stopped unexpectedly');
+                this.cleanup(session.id, 'died');
+            }
+        }
+    }
+
+    // Report a failed driver call, unless the driver simply cannot do that
+    driverFailed(operation, error) {
+        if (!(error instanceof DriverError && error.status === 501)) {
+            this.emit('driver-error', operation);
+        }
+    }
+
+    // Log a connection the egress proxy refused, and tell the session's
+    // users the first time each host is blocked
+    handleEgressBlocked({ address, host, port, context }) {
+        const session = context ? this.sessions.get(context) : null;
+        if (!session) {
+            logger.warn('Egress connection blocked for an unknown client', { address, host, port });
+            return;
+        }
+
+        session.log.warn('Egress connection blocked', { host, port });
+        this.emit('egress-blocked', session, host);
+        if (!session.egressNoticesSent.has(host) && session.egressNoticesSent.size < MAX_EGRESS_NOTICES) {
+            session.egressNoticesSent.add(host);
+            this.emit('notice', session, {
+                level: 'warning',
+                message: `Blocked a connection to ${host}:${port}, which is not on this session's egress allowlist`
+            });
+        }
+    }
+
+    // The exit reason a session's shells get when it is cleaned up for reason
+    sessionEndReason(session, reason) {
+        switch (reason) {
+            case 'expired': {
+                const { maxLifetime } = this.config.sessions;
+                return maxLifetime && session.expiresAt >= session.createdAt + maxLifetime
+                    ? ExitReason.MAX_LIFETIME
+                    : ExitReason.IDLE_TIMEOUT;
+            }
+            case 'killed':
+                return ExitReason.ADMIN_KILLED;
+            case 'shutdown':
+                return ExitReason.SERVER_SHUTDOWN;
+            case 'died':
+                return Date.now() - session.lastOomAt <= OOM_ATTRIBUTION_WINDOW
+                    ? ExitReason.OOM_KILLED
+                    : ExitReason.CONTAINER_STOPPED;
+            default:
+                return ExitReason.SESSION_ENDED;
+        }
+    }
+
+    // reason (deleted, killed by an admin, expired, died, run or shutdown) is
+    // reported with session-cleaned. Resolves once the shells have told their
+    // clients why they ended; cleaning up a session twice waits for the first.
+    cleanup(sessionId, reason) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return Promise.resolve();
+        }
+        if (!session.ending) {
+            // Started on the next tick so ending is set before the driver
+            // reports the container stopping
+            session.ending = Promise.resolve().then(() => this.endSession(session, reason));
+        }
+        return session.ending;
+    }
+
+    async endSession(session, reason) {
+        const shells = Array.from(session.shells.values());
+        const exitReason = this.sessionEndReason(session, reason);
+        for (const shell of shells) {
+            this.closeShell(shell, exitReason);
+        }
+        this.stopStatsWatch(session);
+        if (session.egressAddress) {
+            this.egressProxy.unregister(session.egressAddress);
+        }
+        try {
+            await this.driver.stopContainer(session.container, { paused: session.paused });
+            this.emit('session-cleaned', session, reason, 'success');
+        } catch (error) {
+            this.emit('session-cleaned', session, reason, 'error');
+            this.driverFailed('cleanup', error);
+            session.log.error('Error cleaning up session', { err: error });
+        } finally {
+            this.sessions.delete(session.id);
+            this.quotas.release(session.quota);
+            if (session.persistentHome) {
+                this.homeVolumes.touch(session.owner);
+            }
+        }
+
+        let timer;
+        await Promise.race([
+            Promise.all(shells.map(shell => shell.exited)),
+            new Promise((resolve) => {
+                timer = setTimeout(resolve, SHELL_EXIT_WAIT);
+            })
+        ]);
+        clearTimeout(timer);
+    }
+
+    // Sample the sessions nobody is watching, so that listings have resources
+    // for them too; watched sessions are kept current by their statsWatch
+    sampleStats() {
+        if (this.sampling) {
+            return this.sampling;
+        }
+        const unwatched = Array.from(this.sessions.values()).filter(session => !session.statsWatch);
+        this.sampling = Promise.all(unwatched.map(async (session) => {
+            const sample = await this.stats(session);
+            if (sample && !session.statsWatch) {
+                session.lastStats = sample;
+            }
+        })).finally(() => {
+            this.sampling = null;
+        });
+        return this.sampling;
+    }
+
+    // Clean up sessions past their expiry
+    sweep() {
+        const now = Date.now();
+        for (const session of this.sessions.values()) {
+            if (now > session.expiresAt) {
+                session.log.info('Session expired');
+                this.cleanup(session.id, 'expired');
+            }
+        }
+    }
+}
+
+module.exports = {
+    SessionError,
+    SessionManager
+};
@@ -0,0 +1,151 @@
+// Shared shells: share links that let other users join a shell, and the
+// audience of clients attached to it.
+//
+// Drivers may type into and resize the shell; viewers only watch. A driver
+// can hand control to another participant, which swaps their roles.
+
+const crypto = require('crypto');
+
+const Role = {
+    DRIVER: 'driver',
+    VIEWER: 'viewer'
+};
+
+const ROLES = new Set(Object.values(Role));
+
+class ShareError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ShareError';
+        this.status = status;
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Share links for one shell. Only a hash of each link's token is kept.
+class ShellShares {
+    constructor({ now = Date.now } = {}) {
+        this.now = now;
+        this.shares = new Map();
+    }
+
+    // Returns the share and its token; the token is not retrievable later
+    create(role, createdBy) {
+        if (!ROLES.has(role)) {
+            throw new ShareError(`Unknown role: ${role}`);
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const share = {
+            id: crypto.randomUUID(),
+            role,
+            createdBy,
+            createdAt: new Date(this.now()).toISOString()
+        };
+        this.shares.set(hashToken(token), share);
+        return { share, token };
+    }
+
+    find(token) {
+        if (typeof token !== 'string' || token === '') {
+            return null;
+        }
+        return this.shares.get(hashToken(token)) || null;
+    }
+
+    list() {
+        return Array.from(this.shares.values());
+    }
+
+    revoke(shareId) {
+        for (const [hash, share] of this.shares) {
+            if (share.id === shareId) {
+                this.shares.delete(hash);
+                return share;
+            }
+        }
+        throw new ShareError('Share not found', 404);
+    }
+}
+
+// The clients attached to one shell, in the order they joined
+class Audience {
+    constructor() {
+        this.participants = new Map();
+    }
+
+    get size() {
+        return this.participants.size;
+    }
+
+    // shareId is null for the session's owner or an admin
+    join(client, { user, role, shareId = null }) {
+        const participant = { id: crypto.randomUUID(), user, role, shareId, joinedAt: Date.now() };
+        this.participants.set(client, participant);
+        return participant;
+    }
+
+    leave(client) {
+        const participant = this.participants.get(client);
+        this.participants.delete(client);
+        return participant || null;
+    }
+
+    get(client) {
+        return this.participants.get(client) || null;
+    }
+
+    clients() {
+        return Array.from(this.participants.keys());
+    }
+
+    // Clients that joined through a share link
+    clientsForShare(shareId) {
+        return this.clients().filter(client => this.participants.get(client).shareId === shareId);
+    }
+
+    canDrive(client) {
+        const participant = this.participants.get(client);
+        return Boolean(participant) && participant.role === Role.DRIVER;
+    }
+
+    // Give control to another participant; the driver becomes a viewer
+    handoff(client, participantId) {
+        const from = this.participants.get(client);
+        if (!from || from.role !== Role.DRIVER) {
+            throw new ShareError('Only a driver can hand off control', 403);
+        }
+
+        const to = Array.from(this.participants.values()).find(participant => participant.id === participantId);
+        if (!to) {
+            throw new ShareError('Participant not found', 404);
+        }
+        if (to === from) {
+            return { from, to };
+        }
+
+        to.role = Role.DRIVER;
+        from.role = Role.VIEWER;
+        return { from, to };
+    }
+
+    // Presence as sent to clients
+    list() {
+        return Array.from(this.participants.values()).map(({ id, user, role, joinedAt }) => ({
+            id,
+            user,
+            role,
+            joinedAt: new Date(joinedAt).toISOString()
+        }));
+    }
+}
+
+module.exports = {
+    Role,
+    ShareError,
+    ShellShares,
+    Audience
+};
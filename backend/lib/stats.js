@@ -0,0 +1,65 @@
+// Summaries of Docker container stats, as returned by container.stats().
+
+const { readJsonLines } = require('./json-lines');
+const { logger } = require('./logger');
+
+function cpuPercent(stats) {
+    const cpu = stats.cpu_stats || {};
+    const precpu = stats.precpu_stats || {};
+    if (!cpu.cpu_usage || !precpu.cpu_usage || !precpu.system_cpu_usage) {
+        return null;
+    }
+
+    const cpuDelta = cpu.cpu_usage.total_usage - precpu.cpu_usage.total_usage;
+    const systemDelta = cpu.system_cpu_usage - precpu.system_cpu_usage;
+    const cpus = cpu.online_cpus || (cpu.cpu_usage.percpu_usage || []).length || 1;
+    if (systemDelta <= 0 || cpuDelta < 0) {
+        return 0;
+    }
+    return Number(((cpuDelta / systemDelta) * cpus * 100).toFixed(1));
+}
+
+// Memory in use excluding the page cache, as `docker stats` reports it
+function memoryUsage(memory) {
+    if (!memory || typeof memory.usage !== 'number') {
+        return null;
+    }
+    const stats = memory.stats || {};
+    const cache = stats.inactive_file !== undefined ? stats.inactive_file : stats.cache || 0;
+    return Math.max(memory.usage - cache, 0);
+}
+
+function networkTotals(networks) {
+    let rxBytes = 0;
+    let txBytes = 0;
+    for (const network of Object.values(networks || {})) {
+        rxBytes += network.rx_bytes || 0;
+        txBytes += network.tx_bytes || 0;
+    }
+    return { rxBytes, txBytes };
+}
+
+function summarizeStats(stats) {
+    return {
+        cpuPercent: cpuPercent(stats),
+        memoryBytes: memoryUsage(stats.memory_stats),
+        memoryLimitBytes: (stats.memory_stats && stats.memory_stats.limit) || null,
+        pids: (stats.pids_stats && stats.pids_stats.current) || 0,
+        network: networkTotals(stats.networks)
+    };
+}
+
+// Stream stats samples (about one a second) to onSample; resolves to a stop function
+async function watchStats(container, onSample) {
+    const stream = await container.stats({ stream: true });
+    readJsonLines(stream, raw => onSample(summarizeStats(raw)));
+    stream.on('error', (error) => {
+        logger.error('Stats stream error', { err: error });
+    });
+    return () => stream.destroy();
+}
+
+module.exports = {
+    summarizeStats,
+    watchStats
+};
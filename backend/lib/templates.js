@@ -0,0 +1,165 @@
+// Registry of environment templates a session can be created from.
+// Templates are loaded once at startup from a JSON config file.
+
+const fs = require('fs');
+const path = require('path');
+const { parseRule } = require('./egress-proxy');
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, '..', 'config', 'templates.json');
+
+const DEFAULT_RESOURCES = {
+    memoryMb: 512,
+    cpuShares: 256,
+    pidsLimit: 100
+};
+
+class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function normalizeTemplate(id, raw) {
+    if (!raw || typeof raw !== 'object') {
+        throw new TemplateError(`Template "${id}" must be an object`);
+    }
+    if (typeof raw.image !== 'string' || !raw.image) {
+        throw new TemplateError(`Template "${id}" requires an image`);
+    }
+    if (raw.cmd !== undefined && !isStringArray(raw.cmd)) {
+        throw new TemplateError(`Template "${id}" cmd must be an array of strings`);
+    }
+
+    const env = raw.env || {};
+    for (const [key, value] of Object.entries(env)) {
+        if (typeof value !== 'string') {
+            throw new TemplateError(`Template "${id}" env var ${key} must be a string`);
+        }
+    }
+
+    const resources = { ...DEFAULT_RESOURCES, ...raw.resources };
+    for (const [key, value] of Object.entries(resources)) {
+        if (!Number.isInteger(value) || value <= 0) {
+            throw new TemplateError(`Template "${id}" resource ${key} must be a positive integer`);
+        }
+    }
+
+    let initScript = null;
+    if (isStringArray(raw.initScript)) {
+        initScript = raw.initScript.join(' && ');
+    } else if (typeof raw.initScript === 'string') {
+        initScript = raw.initScript;
+    } else if (raw.initScript !== undefined) {
+        throw new TemplateError(`Template "${id}" initScript must be a string or array of strings`);
+    }
+
+    let pool = null;
+    if (raw.pool !== undefined) {
+        pool = { min: 1, max: 5, maxIdleMinutes: 30, ...raw.pool };
+        for (const [key, value] of Object.entries(pool)) {
+            if (!Number.isInteger(value) || value < 0) {
+                throw new TemplateError(`Template "${id}" pool ${key} must be a non-negative integer`);
+            }
+        }
+        if (pool.min > pool.max) {
+            throw new TemplateError(`Template "${id}" pool min must not exceed max`);
+        }
+    }
+
+    if (raw.persistentHome !== undefined && typeof raw.persistentHome !== 'boolean') {
+        throw new TemplateError(`Template "${id}" persistentHome must be a boolean`);
+    }
+    if (raw.securityProfile !== undefined && typeof raw.securityProfile !== 'string') {
+        throw new TemplateError(`Template "${id}" securityProfile must be a string`);
+    }
+
+    return {
+        id,
+        name: raw.name || id,
+        description: raw.description || '',
+        image: raw.image,
+        cmd: raw.cmd || ['/bin/bash'],
+        shell: raw.shell || '/bin/bash',
+        env,
+        workingDir: raw.workingDir || '/root',
+        resources,
+        initScript,
+        policy: raw.policy || 'default',
+        pool,
+        persistentHome: raw.persistentHome || false,
+        // Null takes the default profile, and the profile's egress mode
+        securityProfile: raw.securityProfile || null,
+        egress: normalizeEgress(id, raw.egress)
+    };
+}
+
+// Outbound network access: "none", "full", or only to allowlisted hosts
+// through the egress proxy, as { "allow": ["pypi.org", "*.pythonhosted.org"] }
+function normalizeEgress(id, raw) {
+    if (raw === undefined) {
+        return null;
+    }
+    if (raw === 'none' || raw === 'full') {
+        return { mode: raw, allow: [] };
+    }
+    if (!raw || !isStringArray(raw.allow) || raw.allow.length === 0) {
+        throw new TemplateError(`Template "${id}" egress must be "none", "full" or { "allow": [hosts] }`);
+    }
+    for (const entry of raw.allow) {
+        try {
+            parseRule(entry);
+        } catch (error) {
+            throw new TemplateError(`Template "${id}": ${error.message}`);
+        }
+    }
+    return { mode: 'allowlist', allow: raw.allow };
+}
+
+function loadTemplates(file = process.env.TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const templates = new Map();
+
+    for (const [id, raw] of Object.entries(config.templates || {})) {
+        templates.set(id, normalizeTemplate(id, raw));
+    }
+
+    if (templates.size === 0) {
+        throw new TemplateError(`No templates defined in ${file}`);
+    }
+
+    const defaultTemplate = config.defaultTemplate || templates.keys().next().value;
+    if (!templates.has(defaultTemplate)) {
+        throw new TemplateError(`Default template "${defaultTemplate}" is not defined`);
+    }
+
+    return { defaultTemplate, templates };
+}
+
+// Environment variables for a container created from a template
+function templateEnv(template) {
+    return Object.entries(template.env).map(([key, value]) => `${key}=${value}`);
+}
+
+// Fields safe to expose to clients
+function toPublicTemplate(template) {
+    return {
+        id: template.id,
+        name: template.name,
+        description: template.description,
+        image: template.image,
+        resources: template.resources,
+        persistentHome: template.persistentHome
+    };
+}
+
+module.exports = {
+    TemplateError,
+    loadTemplates,
+    templateEnv,
+    toPublicTemplate
+};
@@ -0,0 +1,339 @@
+// Per-user named Docker volumes mounted at a template's working directory,
+// so files survive the session container. Snapshots are tar archives of a
+// volume's contents kept on the server's disk.
+//
+// Snapshot and restore run against a helper container that is created but
+// never started: the archive API works on stopped containers and sees
+// their volumes.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { logger } = require('./logger');
+
+const LABEL = 'terminal-on-web.home-for';
+const HELPER_MOUNT = '/volume';
+const SNAPSHOT_ID_PATTERN = /^\d{8}T\d{6}Z$/;
+const MAINTENANCE_INTERVAL = 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+class VolumeError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'VolumeError';
+        this.status = status;
+    }
+}
+
+// Docker volume names allow [a-zA-Z0-9_.-]; the hash keeps ids that
+// sanitize to the same slug apart
+function volumeName(userId) {
+    const slug = userId.toLowerCase().replace(/[^a-z0-9_.-]+/g, '-').replace(/^[^a-z0-9]+/, '').slice(0, 32);
+    const hash = crypto.createHash('sha256').update(userId).digest('hex').slice(0, 8);
+    return `terminal-home-${slug ? `${slug}-` : ''}${hash}`;
+}
+
+function snapshotId(date = new Date()) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+class HomeVolumes {
+    // inUse(userId) reports whether a running session has the volume mounted
+    constructor({
+        docker,
+        inUse,
+        snapshotDir,
+        helperImage,
+        sizeLimitMb = 0,
+        maxIdleDays = 0,
+        maxSnapshots = 5,
+        driver = 'local',
+        driverOpts = {}
+    }) {
+        this.docker = docker;
+        this.inUse = inUse;
+        this.snapshotDir = path.resolve(snapshotDir);
+        this.helperImage = helperImage;
+        this.sizeLimit = sizeLimitMb * 1024 * 1024;
+        this.maxIdleDays = maxIdleDays;
+        this.maxSnapshots = maxSnapshots;
+        this.driver = driver;
+        this.driverOpts = driverOpts;
+        this.stateFile = path.join(this.snapshotDir, 'last-used.json');
+        this.sizes = new Map();
+        this.timer = null;
+
+        fs.mkdirSync(this.snapshotDir, { recursive: true });
+        this.lastUsed = this.readState();
+    }
+
+    readState() {
+        try {
+            return new Map(Object.entries(JSON.parse(fs.readFileSync(this.stateFile, 'utf8'))));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Error reading home volume state', { err: error });
+            }
+            return new Map();
+        }
+    }
+
+    saveState() {
+        fs.writeFile(this.stateFile, JSON.stringify(Object.fromEntries(this.lastUsed)), (error) => {
+            if (error) {
+                logger.error('Error saving home volume state', { err: error });
+            }
+        });
+    }
+
+    start() {
+        this.maintain();
+        this.timer = setInterval(() => this.maintain(), MAINTENANCE_INTERVAL);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Create the user's volume if needed and return the bind for a
+    // container. owner ("uid:gid") is who the volume's root should belong to,
+    // when the container does not run as root.
+    async mount(userId, workingDir, { owner = null } = {}) {
+        const name = volumeName(userId);
+        const size = this.sizes.get(name);
+        if (this.sizeLimit && size > this.sizeLimit) {
+            throw new VolumeError(
+                `Home volume is over its ${this.sizeLimit / 1024 / 1024} MB limit; ` +
+                'free up space or delete the volume to start a new session',
+                507
+            );
+        }
+
+        await this.docker.createVolume({
+            Name: name,
+            Driver: this.driver,
+            DriverOpts: this.driverOpts,
+            Labels: { [LABEL]: userId }
+        });
+        if (owner) {
+            await this.withHelper(userId, async (container) => {
+                await container.start();
+                const { StatusCode } = await container.wait();
+                if (StatusCode !== 0) {
+                    throw new Error(`Changing the owner of home volume ${name} failed with status ${StatusCode}`);
+                }
+            }, ['chown', owner, HELPER_MOUNT]);
+        }
+        this.touch(userId);
+        return `${name}:${workingDir}`;
+    }
+
+    touch(userId) {
+        this.lastUsed.set(userId, Date.now());
+        this.saveState();
+    }
+
+    // Volumes for one user, or for everyone when userId is null
+    async list(userId = null) {
+        const { Volumes } = await this.docker.listVolumes({ filters: { label: [LABEL] } });
+        const volumes = (Volumes || []).filter(volume => userId === null || volume.Labels[LABEL] === userId);
+
+        return Promise.all(volumes.map(async (volume) => {
+            const owner = volume.Labels[LABEL];
+            const lastUsed = this.lastUsed.get(owner);
+            return {
+                name: volume.Name,
+                user: owner,
+                createdAt: volume.CreatedAt,
+                lastUsed: lastUsed ? new Date(lastUsed).toISOString() : null,
+                sizeBytes: this.sizes.has(volume.Name) ? this.sizes.get(volume.Name) : null,
+                limitBytes: this.sizeLimit || null,
+                inUse: this.inUse(owner),
+                snapshots: await this.listSnapshots(owner)
+            };
+        }));
+    }
+
+    async exists(userId) {
+        try {
+            await this.docker.getVolume(volumeName(userId)).inspect();
+            return true;
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    snapshotFile(userId, id) {
+        if (!SNAPSHOT_ID_PATTERN.test(id)) {
+            throw new VolumeError('Snapshot not found', 404);
+        }
+        return path.join(this.snapshotDir, volumeName(userId), `${id}.tar`);
+    }
+
+    async listSnapshots(userId) {
+        let names;
+        try {
+            names = await fs.promises.readdir(path.join(this.snapshotDir, volumeName(userId)));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const snapshots = await Promise.all(names
+            .filter(name => SNAPSHOT_ID_PATTERN.test(path.basename(name, '.tar')))
+            .map(async (name) => {
+                const id = path.basename(name, '.tar');
+                const { size, mtime } = await fs.promises.stat(this.snapshotFile(userId, id));
+                return { snapshotId: id, sizeBytes: size, createdAt: mtime.toISOString() };
+            }));
+        return snapshots.sort((a, b) => b.snapshotId.localeCompare(a.snapshotId));
+    }
+
+    // Run fn with a stopped container that has the volume at HELPER_MOUNT
+    // and runs cmd if started
+    async withHelper(userId, fn, cmd = ['true']) {
+        const container = await this.docker.createContainer({
+            Image: this.helperImage,
+            Cmd: cmd,
+            User: '0',
+            Labels: { 'terminal-on-web.volume-helper': volumeName(userId) },
+            HostConfig: { Binds: [`${volumeName(userId)}:${HELPER_MOUNT}`] }
+        });
+        try {
+            return await fn(container);
+        } finally {
+            await container.remove({ force: true }).catch((error) => {
+                logger.error('Error removing volume helper container', { err: error });
+            });
+        }
+    }
+
+    async snapshot(userId) {
+        if (!await this.exists(userId)) {
+            throw new VolumeError('No home volume to snapshot', 404);
+        }
+
+        const id = snapshotId();
+        const file = this.snapshotFile(userId, id);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+        try {
+            await this.withHelper(userId, async (container) => {
+                const archive = await container.getArchive({ path: HELPER_MOUNT });
+                await pipeline(archive, fs.createWriteStream(file, { flags: 'wx' }));
+            });
+        } catch (error) {
+            if (error.code === 'EEXIST') {
+                throw new VolumeError('A snapshot was just taken, try again in a moment', 409);
+            }
+            await fs.promises.rm(file, { force: true });
+            throw error;
+        }
+
+        // Keep only the newest snapshots
+        const snapshots = await this.listSnapshots(userId);
+        for (const old of snapshots.slice(this.maxSnapshots)) {
+            await this.deleteSnapshot(userId, old.snapshotId);
+        }
+
+        return snapshots.find(snapshot => snapshot.snapshotId === id);
+    }
+
+    // Replace the volume's contents with a snapshot
+    async restore(userId, id) {
+        const file = this.snapshotFile(userId, id);
+        if (!fs.existsSync(file)) {
+            throw new VolumeError('Snapshot not found', 404);
+        }
+        if (this.inUse(userId)) {
+            throw new VolumeError('End your running sessions before restoring a snapshot', 409);
+        }
+
+        if (await this.exists(userId)) {
+            await this.docker.getVolume(volumeName(userId)).remove();
+        }
+        await this.docker.createVolume({
+            Name: volumeName(userId),
+            Driver: this.driver,
+            DriverOpts: this.driverOpts,
+            Labels: { [LABEL]: userId }
+        });
+
+        // Entries in the archive are rooted at the mount's directory name
+        await this.withHelper(userId, container => container.putArchive(file, { path: path.posix.dirname(HELPER_MOUNT) }));
+        this.sizes.delete(volumeName(userId));
+        this.touch(userId);
+    }
+
+    async deleteSnapshot(userId, id) {
+        try {
+            await fs.promises.unlink(this.snapshotFile(userId, id));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new VolumeError('Snapshot not found', 404);
+            }
+            throw error;
+        }
+    }
+
+    async remove(userId) {
+        if (this.inUse(userId)) {
+            throw new VolumeError('End your running sessions before deleting the volume', 409);
+        }
+        try {
+            await this.docker.getVolume(volumeName(userId)).remove();
+        } catch (error) {
+            if (error.statusCode === 404) {
+                throw new VolumeError('No home volume', 404);
+            }
+            throw error;
+        }
+        this.sizes.delete(volumeName(userId));
+        this.lastUsed.delete(userId);
+        this.saveState();
+    }
+
+    // Refresh volume sizes and remove volumes idle past the cleanup policy
+    async maintain() {
+        try {
+            const { Volumes } = await this.docker.df();
+            for (const volume of Volumes || []) {
+                if (volume.Labels && volume.Labels[LABEL] && volume.UsageData && volume.UsageData.Size >= 0) {
+                    this.sizes.set(volume.Name, volume.UsageData.Size);
+                }
+            }
+        } catch (error) {
+            logger.error('Error measuring home volumes', { err: error });
+        }
+
+        if (!this.maxIdleDays) {
+            return;
+        }
+
+        for (const volume of await this.list().catch(() => [])) {
+            const lastUsed = this.lastUsed.get(volume.user) || Date.parse(volume.createdAt);
+            if (volume.inUse || Date.now() - lastUsed < this.maxIdleDays * DAY) {
+                continue;
+            }
+            logger.info('Removing idle home volume', { volume: volume.name, maxIdleDays: this.maxIdleDays });
+            await this.remove(volume.user).catch((error) => {
+                logger.error('Error removing home volume', { volume: volume.name, err: error });
+            });
+        }
+    }
+}
+
+module.exports = {
+    VolumeError,
+    HomeVolumes,
+    volumeName,
+    snapshotId
+};
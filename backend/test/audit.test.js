@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AuditLog, recordSessionEvents } = require('../lib/audit');
+
+test('entries are searched newest first by type, user, session and text', () => {
+    const audit = new AuditLog();
+    audit.record('session-created', { sessionId: 'aaaa-1', user: 'alice', template: 'python' });
+    audit.record('shell-attached', { sessionId: 'aaaa-1', user: 'bob', owner: 'alice', role: 'viewer' });
+    audit.record('command-blocked', { sessionId: 'bbbb-2', owner: 'bob', command: 'sudo reboot', rule: 'power' });
+
+    assert.deepStrictEqual(audit.search().map(entry => entry.type), ['command-blocked', 'shell-attached', 'session-created']);
+    assert.deepStrictEqual(audit.search({ type: 'session-created' }).map(entry => entry.user), ['alice']);
+    assert.strictEqual(audit.search({ user: 'alice' }).length, 2);
+    assert.strictEqual(audit.search({ sessionId: 'bbbb' }).length, 1);
+    assert.deepStrictEqual(audit.search({ q: 'SUDO' }).map(entry => entry.rule), ['power']);
+    assert.strictEqual(audit.search({ limit: 1 }).length, 1);
+});
+
+test('only the newest entries are kept in memory', () => {
+    const audit = new AuditLog({ maxEntries: 2 });
+    for (const n of [1, 2, 3]) {
+        audit.record('notice-sent', { message: String(n) });
+    }
+
+    assert.deepStrictEqual(audit.search().map(entry => entry.message), ['3', '2']);
+});
+
+test('entries are appended to the file and loaded back', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'audit.jsonl');
+
+    const audit = new AuditLog({ file });
+    await audit.load();
+    audit.record('session-created', { sessionId: 's1', user: 'alice' });
+    audit.record('session-ended', { sessionId: 's1', owner: 'alice', reason: 'expired' });
+    await audit.close();
+
+    const reloaded = new AuditLog({ file, maxEntries: 1 });
+    await reloaded.load();
+    assert.deepStrictEqual(reloaded.search().map(entry => entry.reason), ['expired']);
+});
+
+test('unreadable lines are skipped when loading', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'audit.jsonl');
+    fs.writeFileSync(file, [
+        JSON.stringify({ time: '2026-01-01T00:00:00.000Z', type: 'session-created', sessionId: 's1' }),
+        '{"time":"2026-01-01T00:00:01.000Z","type":"sess',
+        JSON.stringify({ time: '2026-01-01T00:00:02.000Z', type: 'session-ended', sessionId: 's1' })
+    ].join('\n') + '\n');
+
+    const audit = new AuditLog({ file });
+    await audit.load();
+    assert.deepStrictEqual(audit.search().map(entry => entry.type), ['session-ended', 'session-created']);
+});
+
+test('blocked commands are marked as reported by the shell', () => {
+    const audit = new AuditLog();
+    const manager = new EventEmitter();
+    recordSessionEvents(audit, manager);
+    const session = { id: 'aaaa-1', owner: 'alice' };
+
+    manager.emit('policy-decision', session, { shellId: 's1', action: 'allow', rule: 'default', command: 'ls' });
+    manager.emit('policy-decision', session, {
+        shellId: 's1',
+        action: 'deny',
+        rule: 'power',
+        command: 'echo reboot',
+        expected: { action: 'allow', rule: 'default' }
+    });
+
+    const entries = audit.search();
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].reportedBy, 'shell');
+    assert.deepStrictEqual(entries[0].expected, { action: 'allow', rule: 'default' });
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const {
+    AuthError,
+    apiTokenProvider,
+    jwtProvider,
+    createAuthenticator,
+    createAuthenticatorFromEnv,
+    canAccessSession
+} = require('../lib/auth');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signJwt(payload, { alg = 'HS256', secret, privateKey }) {
+    const signingInput = `${encode({ alg, typ: 'JWT' })}.${encode(payload)}`;
+    let signature;
+    if (alg.startsWith('HS')) {
+        signature = crypto.createHmac(`sha${alg.slice(2)}`, secret).update(signingInput).digest();
+    } else {
+        signature = crypto.sign(`sha${alg.slice(2)}`, Buffer.from(signingInput), {
+            key: privateKey,
+            dsaEncoding: alg.startsWith('ES') ? 'ieee-p1363' : undefined
+        });
+    }
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test('authenticates API tokens by plain value or hash', () => {
+    const authenticator = createAuthenticator([apiTokenProvider([
+        { token: 'alice-token', user: 'alice' },
+        { tokenSha256: crypto.createHash('sha256').update('ops-token').digest('hex'), user: 'ops', role: 'admin' }
+    ])]);
+
+    assert.deepStrictEqual(authenticator.authenticate('alice-token'), { id: 'alice', role: 'user' });
+    assert.deepStrictEqual(authenticator.authenticate('ops-token'), { id: 'ops', role: 'admin' });
+    assert.throws(() => authenticator.authenticate('nope'), AuthError);
+    assert.throws(() => authenticator.authenticate(null), AuthError);
+});
+
+test('verifies HS256 JWTs and their claims', () => {
+    const secret = 'test-secret';
+    const authenticator = createAuthenticator([jwtProvider({ secret, issuer: 'tests', audience: 'terminal' })]);
+    const claims = { sub: 'bob', iss: 'tests', aud: 'terminal', exp: now() + 60 };
+
+    assert.deepStrictEqual(authenticator.authenticate(signJwt(claims, { secret })), { id: 'bob', role: 'user' });
+    assert.throws(() => authenticator.authenticate(signJwt(claims, { secret: 'other' })), /signature/);
+    assert.throws(() => authenticator.authenticate(signJwt({ ...claims, exp: now() - 3600 }, { secret })), /expired/);
+    assert.throws(() => authenticator.authenticate(signJwt({ ...claims, nbf: now() + 3600 }, { secret })), /not valid yet/);
+    assert.throws(() => authenticator.authenticate(signJwt({ ...claims, iss: 'evil' }, { secret })), /issuer/);
+    assert.throws(() => authenticator.authenticate(signJwt({ ...claims, aud: 'other' }, { secret })), /audience/);
+    assert.throws(() => authenticator.authenticate(signJwt({ ...claims, sub: undefined }, { secret })), /subject/);
+});
+
+test('rejects unsigned and algorithm-swapped JWTs', () => {
+    const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const pem = publicKey.export({ type: 'spki', format: 'pem' });
+    const authenticator = createAuthenticator([jwtProvider({ publicKey: pem })]);
+
+    const unsigned = `${encode({ alg: 'none' })}.${encode({ sub: 'mallory' })}.`;
+    assert.throws(() => authenticator.authenticate(unsigned), AuthError);
+
+    // HMAC signed with the public key must not verify when no secret is configured
+    const swapped = signJwt({ sub: 'mallory' }, { alg: 'HS256', secret: pem });
+    assert.throws(() => authenticator.authenticate(swapped), AuthError);
+});
+
+test('verifies RS256 and ES256 JWTs with a public key', () => {
+    for (const [alg, type, options] of [
+        ['RS256', 'rsa', { modulusLength: 2048 }],
+        ['ES256', 'ec', { namedCurve: 'P-256' }]
+    ]) {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+        const authenticator = createAuthenticator([
+            jwtProvider({ publicKey: publicKey.export({ type: 'spki', format: 'pem' }) })
+        ]);
+        const token = signJwt({ sub: 'carol', role: 'admin' }, { alg, privateKey });
+        assert.deepStrictEqual(authenticator.authenticate(token), { id: 'carol', role: 'admin' });
+    }
+});
+
+test('requires some authentication to be configured', () => {
+    assert.throws(() => createAuthenticatorFromEnv({}), AuthError);
+    assert.ok(createAuthenticatorFromEnv({ JWT_SECRET: 'x' }));
+});
+
+test('only owners and admins can access a session', () => {
+    const session = { owner: 'alice' };
+    assert.ok(canAccessSession({ id: 'alice', role: 'user' }, session));
+    assert.ok(canAccessSession({ id: 'ops', role: 'admin' }, session));
+    assert.ok(!canAccessSession({ id: 'bob', role: 'user' }, session));
+});
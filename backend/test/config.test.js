@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ConfigError, loadConfig } = require('../lib/config');
+
+test('defaults apply when nothing is set', () => {
+    const config = loadConfig({});
+    assert.strictEqual(config.port, 3001);
+    assert.strictEqual(config.sessions.idleTimeout, 30 * 60 * 1000);
+    assert.strictEqual(config.sessions.maxLifetime, 0);
+    assert.strictEqual(config.docker.securityProfile, 'standard');
+    assert.strictEqual(config.pool.enabled, true);
+    assert.deepStrictEqual(config.corsOrigins, ['http://localhost:3000']);
+});
+
+test('environment variables override the defaults', () => {
+    const config = loadConfig({
+        PORT: '8080',
+        SESSION_IDLE_TIMEOUT_MINUTES: '5',
+        MAX_SHELLS_PER_SESSION: '2',
+        SECURITY_PROFILE: 'strict',
+        EGRESS_PROXY_PORT: '8888',
+        POOL_ENABLED: 'false',
+        CORS_ORIGINS: 'https://a.example, https://b.example'
+    });
+    assert.strictEqual(config.port, 8080);
+    assert.strictEqual(config.sessions.idleTimeout, 5 * 60 * 1000);
+    assert.strictEqual(config.sessions.maxShells, 2);
+    assert.strictEqual(config.docker.securityProfile, 'strict');
+    assert.strictEqual(config.egress.proxyPort, 8888);
+    assert.strictEqual(config.pool.enabled, false);
+    assert.deepStrictEqual(config.corsOrigins, ['https://a.example', 'https://b.example']);
+});
+
+test('a config file supplies variables that the environment can override', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'backend.json');
+    fs.writeFileSync(file, JSON.stringify({
+        PORT: 4000,
+        OUTPUT_CHUNK_SIZE: 4096,
+        HOME_VOLUME_DRIVER_OPTS: { type: 'tmpfs' }
+    }));
+
+    const config = loadConfig({ CONFIG_FILE: file, PORT: '5000' });
+    assert.strictEqual(config.port, 5000);
+    assert.strictEqual(config.outputChunkSize, 4096);
+    assert.deepStrictEqual(config.homeVolumes.driverOpts, { type: 'tmpfs' });
+});
+
+test('invalid settings are rejected', () => {
+    assert.throws(() => loadConfig({ PORT: 'abc' }), ConfigError);
+    assert.throws(() => loadConfig({ SESSION_IDLE_TIMEOUT_MINUTES: '-1' }), ConfigError);
+    assert.throws(() => loadConfig({ SECURITY_PROFILE: 'privileged' }), ConfigError);
+    assert.throws(() => loadConfig({ LOG_LEVEL: 'loud' }), ConfigError);
+    assert.throws(() => loadConfig({ CONFIG_FILE: '/nonexistent/backend.json' }), ConfigError);
+});
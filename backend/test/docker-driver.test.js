@@ -0,0 +1,309 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Duplex } = require('stream');
+const Docker = require('dockerode');
+
+const { DockerDriver, DriverError } = require('../lib/drivers');
+const { loadPolicies } = require('../lib/policy');
+const { checkTemplateSecurity, shippedSeccompProfile } = require('../lib/security');
+
+const TEMPLATE = {
+    id: 'test',
+    image: 'test:latest',
+    cmd: ['/bin/bash'],
+    shell: '/bin/bash',
+    env: { EDITOR: 'vim' },
+    workingDir: '/root',
+    policy: 'default',
+    resources: { memoryMb: 256, cpuShares: 512, pidsLimit: 50 }
+};
+
+// Records the options containers and networks are created with, the
+// archives written into containers and the containers removed
+function fakeDocker() {
+    const created = [];
+    const networks = new Map();
+    const archives = [];
+    const removed = [];
+    return {
+        created,
+        networks,
+        archives,
+        removed,
+        async createContainer(options) {
+            created.push(options);
+            const id = `container-${created.length}`;
+            return {
+                id,
+                start: async () => {},
+                // As Docker does, refuse writes to a read-only root outside volumes
+                putArchive: async (archive, { path }) => {
+                    const inVolume = options.HostConfig.Mounts.some(mount =>
+                        mount.Type === 'volume' && (path === mount.Target || path.startsWith(`${mount.Target}/`))
+                    );
+                    if (options.HostConfig.ReadonlyRootfs && !inVolume) {
+                        throw Object.assign(new Error('container rootfs is marked read-only'), { statusCode: 403 });
+                    }
+                    archives.push({ id, path });
+                },
+                remove: async (removeOptions) => removed.push({ id, ...removeOptions }),
+                inspect: async () => ({
+                    NetworkSettings: { Networks: { [options.HostConfig.NetworkMode]: { IPAddress: '172.30.0.2' } } }
+                }),
+                stop: async () => {}
+            };
+        },
+        async createNetwork(options) {
+            networks.set(options.Name, options);
+            return { inspect: async () => ({ IPAM: { Config: [{ Subnet: '172.30.0.0/16', Gateway: '172.30.0.1' }] } }) };
+        },
+        getNetwork(name) {
+            return { remove: async () => networks.delete(name) };
+        },
+        getImage() {
+            return {
+                remove: async () => {
+                    throw Object.assign(new Error('conflict'), { statusCode: 409 });
+                }
+            };
+        }
+    };
+}
+
+function driver(docker, securityProfile) {
+    return new DockerDriver({
+        docker,
+        policies: loadPolicies(),
+        securityProfile,
+        snapshotRepository: 'test/snapshot'
+    });
+}
+
+test('containers get the template resources and the standard profile by default', async () => {
+    const docker = fakeDocker();
+    await driver(docker).createContainer(TEMPLATE, { binds: ['home:/root'], persistentHome: true });
+
+    const [{ Image, User, Env, HostConfig }] = docker.created;
+    assert.strictEqual(Image, 'test:latest');
+    assert.strictEqual(User, '1000:1000');
+    assert.ok(Env.includes('EDITOR=vim'));
+    assert.ok(Env.includes('HOME=/root'));
+    assert.strictEqual(HostConfig.Memory, 256 * 1024 * 1024);
+    assert.strictEqual(HostConfig.PidsLimit, 50);
+    assert.deepStrictEqual(HostConfig.Binds, ['home:/root']);
+    assert.ok(!HostConfig.CapAdd.includes('SYS_ADMIN'));
+    assert.strictEqual(HostConfig.SecurityOpt[0], 'no-new-privileges');
+    assert.match(HostConfig.SecurityOpt[1], /^seccomp=\{/);
+    assert.strictEqual(HostConfig.NetworkMode, 'bridge');
+    // The persistent home replaces the session's own
+    assert.deepStrictEqual(Object.keys(HostConfig.Tmpfs), ['/tmp']);
+    assert.ok(!HostConfig.Mounts.some(mount => mount.Target === '/root'));
+});
+
+test('the strict profile has a read-only root, a size-limited home and no network', async () => {
+    const docker = fakeDocker();
+    await driver(docker, 'strict').createContainer(TEMPLATE);
+
+    const [{ HostConfig }] = docker.created;
+    assert.strictEqual(HostConfig.ReadonlyRootfs, true);
+    assert.strictEqual(HostConfig.NetworkMode, 'none');
+    assert.deepStrictEqual(HostConfig.CapAdd, []);
+    assert.strictEqual(HostConfig.Tmpfs['/tmp'], 'rw,nosuid,nodev,size=64m,mode=1777');
+    assert.deepStrictEqual(Object.keys(HostConfig.Tmpfs), ['/tmp']);
+});
+
+test('the home directory is a volume, which the archive API can write to', async () => {
+    const docker = fakeDocker();
+    const dockerDriver = driver(docker, 'strict');
+    const container = await dockerDriver.createContainer(TEMPLATE);
+
+    const [{ HostConfig }] = docker.created;
+    const homeMount = HostConfig.Mounts.find(mount => mount.Target === '/root');
+    assert.strictEqual(homeMount.Type, 'volume');
+    assert.strictEqual(homeMount.Source, undefined);
+    assert.deepStrictEqual(homeMount.VolumeOptions.DriverConfig, {
+        Name: 'local',
+        Options: { type: 'tmpfs', device: 'tmpfs', o: 'size=256m,nosuid,nodev,uid=1000,gid=1000,mode=0700' }
+    });
+
+    await dockerDriver.uploadArchive(container, '/root', Buffer.alloc(0));
+    assert.deepStrictEqual(docker.archives.map(archive => archive.path), ['/etc/terminal-on-web', '/root']);
+});
+
+test('the policy hook is written to a volume, which works with a read-only root', async () => {
+    const docker = fakeDocker();
+    await driver(docker, 'strict').createContainer(TEMPLATE);
+
+    const [{ HostConfig }] = docker.created;
+    const hookMount = HostConfig.Mounts.find(mount => mount.Target === '/etc/terminal-on-web');
+    assert.strictEqual(hookMount.Type, 'volume');
+    // Anonymous, so it goes with the container
+    assert.strictEqual(hookMount.Source, undefined);
+    assert.deepStrictEqual(docker.archives, [{ id: 'container-1', path: '/etc/terminal-on-web' }]);
+});
+
+test('a container whose policy hook cannot be installed is removed with its network', async () => {
+    const docker = fakeDocker();
+    const dockerDriver = new DockerDriver({
+        docker,
+        policies: loadPolicies(),
+        egressProxy: { port: 3128 },
+        snapshotRepository: 'test/snapshot'
+    });
+    dockerDriver.installPolicyHook = async () => {
+        throw new Error('daemon error');
+    };
+
+    await assert.rejects(dockerDriver.createContainer({ ...TEMPLATE, egress: { mode: 'allowlist', allow: [] } }), /daemon error/);
+    assert.deepStrictEqual(docker.removed, [{ id: 'container-1', force: true, v: true }]);
+    assert.strictEqual(docker.networks.size, 0);
+});
+
+test('the dev profile runs as root without seccomp', async () => {
+    const docker = fakeDocker();
+    await driver(docker, 'dev').createContainer(TEMPLATE);
+
+    const [{ User, HostConfig }] = docker.created;
+    assert.strictEqual(User, '');
+    assert.deepStrictEqual(HostConfig.SecurityOpt, ['no-new-privileges:false', 'seccomp=unconfined']);
+    assert.ok(HostConfig.CapAdd.includes('SYS_ADMIN'));
+    assert.deepStrictEqual(HostConfig.Tmpfs, {});
+});
+
+test('templates choose their own profile and egress mode', async () => {
+    const docker = fakeDocker();
+    const dockerDriver = driver(docker);
+    await dockerDriver.createContainer({ ...TEMPLATE, securityProfile: 'dev', egress: { mode: 'none', allow: [] } });
+
+    const [{ Labels, HostConfig }] = docker.created;
+    assert.strictEqual(Labels['terminal-on-web.security-profile'], 'dev');
+    assert.strictEqual(HostConfig.NetworkMode, 'none');
+    assert.deepStrictEqual(dockerDriver.securitySettings(TEMPLATE).egress, { mode: 'full', allow: [] });
+});
+
+test('allowlisted containers get an internal network of their own and the proxy', async () => {
+    const docker = fakeDocker();
+    const dockerDriver = new DockerDriver({
+        docker,
+        policies: loadPolicies(),
+        egressProxy: { port: 3128 },
+        snapshotRepository: 'test/snapshot'
+    });
+    const container = await dockerDriver.createContainer({
+        ...TEMPLATE,
+        egress: { mode: 'allowlist', allow: ['pypi.org'] }
+    });
+
+    const [{ Env, HostConfig }] = docker.created;
+    const [network] = docker.networks.values();
+    assert.strictEqual(network.Internal, true);
+    assert.strictEqual(HostConfig.NetworkMode, network.Name);
+    assert.ok(Env.includes('HTTPS_PROXY=http://172.30.0.1:3128'));
+    assert.strictEqual(dockerDriver.egressAddress(container), '172.30.0.2');
+
+    await dockerDriver.stopContainer(container);
+    assert.strictEqual(docker.networks.size, 0);
+    assert.strictEqual(dockerDriver.egressAddress(container), null);
+});
+
+test('stopping a container that already stopped or is gone is not an error', async () => {
+    const dockerDriver = driver(fakeDocker());
+    for (const statusCode of [304, 404]) {
+        const container = await dockerDriver.createContainer(TEMPLATE);
+        container.stop = async () => {
+            throw Object.assign(new Error('stopped'), { statusCode });
+        };
+        await dockerDriver.stopContainer(container);
+    }
+
+    const container = await dockerDriver.createContainer(TEMPLATE);
+    container.stop = async () => {
+        throw Object.assign(new Error('server error'), { statusCode: 500 });
+    };
+    await assert.rejects(dockerDriver.stopContainer(container), /server error/);
+});
+
+test('unknown security profiles are rejected', () => {
+    assert.throws(() => driver(fakeDocker(), 'privileged'), /Unknown security profile/);
+});
+
+test('template security is checked against the profile', () => {
+    const options = { defaultProfile: 'standard' };
+    assert.doesNotThrow(() => checkTemplateSecurity(TEMPLATE, options));
+    assert.throws(() => checkTemplateSecurity({ ...TEMPLATE, securityProfile: 'open' }, options), /unknown security profile/);
+    assert.throws(() => checkTemplateSecurity({ ...TEMPLATE, securityProfile: 'strict', initScript: 'true' }, options),
+        /init script/);
+});
+
+test('the shipped seccomp profile blocks namespace and kernel syscalls', () => {
+    const profile = JSON.parse(shippedSeccompProfile());
+    assert.strictEqual(profile.defaultAction, 'SCMP_ACT_ALLOW');
+    const blocked = profile.syscalls.filter(rule => rule.action === 'SCMP_ACT_ERRNO').flatMap(rule => rule.names);
+    for (const name of ['mount', 'unshare', 'setns', 'bpf', 'ptrace', 'kexec_load']) {
+        assert.ok(blocked.includes(name), name);
+    }
+});
+
+test('removing an image in use is a 409', async () => {
+    await assert.rejects(driver(fakeDocker()).removeImage('sha256:abc'), (error) =>
+        error instanceof DriverError && error.status === 409
+    );
+});
+
+// Docker's multiplexed attach format: an 8-byte header naming the stream
+function frame(streamType, text) {
+    const payload = Buffer.from(text);
+    const header = Buffer.alloc(8);
+    header.writeUInt8(streamType, 0);
+    header.writeUInt32BE(payload.length, 4);
+    return Buffer.concat([header, payload]);
+}
+
+test('commands run without a TTY under timeout(1), with stdout and stderr apart', async () => {
+    const docker = { modem: new Docker({ socketPath: '/nonexistent' }).modem };
+    let options;
+    let stdin = '';
+    const stream = new Duplex({
+        read() {},
+        write(chunk, encoding, callback) {
+            stdin += chunk;
+            callback();
+        }
+    });
+    const container = {
+        exec: async (execOptions) => {
+            options = execOptions;
+            return {
+                start: async () => {
+                    stream.push(frame(1, 'out\n'));
+                    stream.push(frame(2, 'err\n'));
+                    stream.push(null);
+                    return stream;
+                },
+                inspect: async () => ({ ExitCode: 2 })
+            };
+        }
+    };
+
+    const output = [];
+    const result = await driver(docker).runCommand(container, TEMPLATE, {
+        command: 'make test',
+        stdin: 'input',
+        env: { CI: '1' },
+        timeout: 2500
+    }, (name, chunk) => output.push([name, chunk.toString()]));
+
+    assert.deepStrictEqual(options.Cmd, ['timeout', '-s', 'KILL', '3', '/bin/bash', '-c', 'make test']);
+    assert.strictEqual(options.Tty, false);
+    assert.deepStrictEqual(options.Env, ['CI=1']);
+    assert.strictEqual(stdin, 'input');
+    assert.deepStrictEqual(output, [['stdout', 'out\n'], ['stderr', 'err\n']]);
+    assert.deepStrictEqual(result, { exitCode: 2, timedOut: false });
+});
+
+test('shell exit codes wait for Docker to mark the exec finished', async () => {
+    const states = [{ Running: true, ExitCode: null }, { Running: false, ExitCode: 3 }];
+    const exec = { inspect: async () => states.shift() };
+
+    assert.strictEqual(await driver(fakeDocker()).shellExitCode(exec), 3);
+});
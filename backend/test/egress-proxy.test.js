@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+
+const { EgressProxy, parseRule, isAllowed } = require('../lib/egress-proxy');
+
+async function setup(t) {
+    const upstream = http.createServer((req, res) => res.end(`hello from ${req.url}`));
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    t.after(() => upstream.close());
+
+    const proxy = new EgressProxy();
+    await proxy.listen(0, '127.0.0.1');
+    t.after(() => proxy.close());
+
+    const blocked = [];
+    proxy.on('blocked', event => blocked.push(event));
+    return { proxy, blocked, upstreamPort: upstream.address().port };
+}
+
+// A plain HTTP request through the proxy
+function proxiedGet(proxy, url) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: proxy.port, path: url }, (res) => {
+            let body = '';
+            res.on('data', chunk => (body += chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+// The status line of the proxy's answer to a CONNECT
+function connectStatus(proxy, authority) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(proxy.port, '127.0.0.1', () => {
+            socket.write(`CONNECT ${authority} HTTP/1.1\r\nHost: ${authority}\r\n\r\n`);
+        });
+        socket.once('data', (data) => {
+            resolve(data.toString().split('\r\n')[0]);
+            socket.destroy();
+        });
+        socket.on('error', reject);
+    });
+}
+
+test('allowlist entries match hosts, subdomains and ports', () => {
+    const rules = ['pypi.org', '*.npmjs.org', 'mirror.example:8080'].map(parseRule);
+    assert.ok(isAllowed(rules, 'pypi.org', 443));
+    assert.ok(isAllowed(rules, 'PyPI.org.', 80));
+    assert.ok(!isAllowed(rules, 'pypi.org', 22));
+    assert.ok(!isAllowed(rules, 'evil-pypi.org', 443));
+    assert.ok(isAllowed(rules, 'registry.npmjs.org', 443));
+    assert.ok(!isAllowed(rules, 'npmjs.org', 443));
+    assert.ok(isAllowed(rules, 'mirror.example', 8080));
+    assert.ok(!isAllowed(rules, 'mirror.example', 443));
+    assert.throws(() => parseRule('http://pypi.org'), /Invalid egress allowlist entry/);
+});
+
+test('registered clients reach allowlisted hosts over HTTP and CONNECT', async (t) => {
+    const { proxy, blocked, upstreamPort } = await setup(t);
+    proxy.register('127.0.0.1', [`localhost:${upstreamPort}`], 'session-1');
+
+    const res = await proxiedGet(proxy, `http://localhost:${upstreamPort}/simple/`);
+    assert.deepStrictEqual(res, { status: 200, body: 'hello from /simple/' });
+    assert.strictEqual(await connectStatus(proxy, `localhost:${upstreamPort}`), 'HTTP/1.1 200 Connection Established');
+    assert.deepStrictEqual(blocked, []);
+});
+
+test('other hosts and unregistered clients are refused and reported', async (t) => {
+    const { proxy, blocked, upstreamPort } = await setup(t);
+    proxy.register('127.0.0.1', ['pypi.org'], 'session-1');
+
+    assert.strictEqual((await proxiedGet(proxy, `http://localhost:${upstreamPort}/`)).status, 403);
+    assert.strictEqual(await connectStatus(proxy, 'example.com:443'), 'HTTP/1.1 403 Forbidden');
+    assert.deepStrictEqual(blocked.map(event => [event.host, event.port, event.context]), [
+        ['localhost', upstreamPort, 'session-1'],
+        ['example.com', 443, 'session-1']
+    ]);
+
+    proxy.unregister('127.0.0.1');
+    assert.strictEqual(await connectStatus(proxy, 'pypi.org:443'), 'HTTP/1.1 403 Forbidden');
+    assert.strictEqual(blocked[2].context, null);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+
+const { FileError, normalizePath, confinePath, validateFileName, parsePathStat, extractFile } = require('../lib/files');
+const { packFiles } = require('../lib/archive');
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+test('paths must be absolute and are normalized', () => {
+    assert.strictEqual(normalizePath('/root/../etc/./hosts'), '/etc/hosts');
+    assert.throws(() => normalizePath('root/file'), FileError);
+    assert.throws(() => normalizePath('/root/\0'), FileError);
+    assert.throws(() => normalizePath(undefined), FileError);
+});
+
+test('paths are confined to the working directory and kept from the policy hook', () => {
+    assert.strictEqual(confinePath('/root/./notes.txt', '/root'), '/root/notes.txt');
+    assert.strictEqual(confinePath('/root', '/root'), '/root');
+    assert.strictEqual(confinePath('/home/user', '/'), '/home/user');
+    for (const [value, root] of [['/etc/shadow', '/root'], ['/root/../etc', '/root'], ['/rootkit', '/root'],
+        ['/etc/terminal-on-web', '/'], ['/etc/terminal-on-web/policy.sh', '/']]) {
+        assert.throws(() => confinePath(value, root), error => error instanceof FileError && error.status === 403);
+    }
+});
+
+test('file names cannot escape the target directory', () => {
+    assert.strictEqual(validateFileName('notes.txt'), 'notes.txt');
+    for (const name of ['', '.', '..', '../x', 'a/b', undefined]) {
+        assert.throws(() => validateFileName(name), FileError);
+    }
+});
+
+test('path stat headers are decoded', () => {
+    const encode = (stat) => Buffer.from(JSON.stringify(stat)).toString('base64');
+
+    assert.deepStrictEqual(
+        parsePathStat(encode({ name: 'notes.txt', size: 12, mode: 0o644, mtime: '2024-01-01T00:00:00Z' })),
+        { name: 'notes.txt', size: 12, mtime: '2024-01-01T00:00:00Z', type: 'file' }
+    );
+    assert.strictEqual(parsePathStat(encode({ name: 'root', size: 4096, mode: 2 ** 31 + 0o700 })).type, 'directory');
+    assert.strictEqual(parsePathStat(undefined), null);
+});
+
+test('extracts the file from a single-file archive', async () => {
+    const archive = await packFiles([{ name: 'notes.txt', content: 'hello world' }]);
+    const file = await extractFile(Readable.from([archive]));
+
+    assert.strictEqual(await readAll(file), 'hello world');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { OutputFlow } = require('../lib/flow-control');
+
+function setup() {
+    const events = [];
+    const flow = new OutputFlow({
+        highWaterMark: 100,
+        ackWindow: 1000,
+        pause: () => events.push('pause'),
+        resume: () => events.push('resume')
+    });
+    return { flow, events };
+}
+
+test('output pauses while a socket buffer is over the high-water mark', () => {
+    const { flow, events } = setup();
+    flow.add('a');
+
+    const sent = flow.sending('a', 150);
+    assert.deepStrictEqual(events, ['pause']);
+    sent();
+    assert.deepStrictEqual(events, ['pause', 'resume']);
+});
+
+test('output pauses until a client acknowledges enough of it', () => {
+    const { flow, events } = setup();
+    flow.add('a');
+
+    for (let i = 0; i < 11; i++) {
+        flow.sending('a', 100)();
+    }
+    assert.deepStrictEqual(events, ['pause']);
+    flow.ack('a', 500);
+    assert.deepStrictEqual(events, ['pause']);
+    flow.ack('a', 100);
+    assert.deepStrictEqual(events, ['pause', 'resume']);
+});
+
+test('the slowest client holds output back until it leaves', () => {
+    const { flow, events } = setup();
+    flow.add('fast');
+    flow.add('slow');
+
+    flow.sending('fast', 60)();
+    flow.sending('slow', 120);
+    assert.deepStrictEqual(events, ['pause']);
+    flow.remove('slow');
+    assert.deepStrictEqual(events, ['pause', 'resume']);
+    assert.strictEqual(flow.sending('gone', 500), undefined);
+});
+
+test('a stalled viewer is dropped instead of pausing output', () => {
+    const events = [];
+    const flow = new OutputFlow({
+        highWaterMark: 100,
+        ackWindow: 1000,
+        pause: () => events.push('pause'),
+        resume: () => events.push('resume'),
+        holdsOutput: ws => ws === 'driver',
+        drop: ws => events.push(`drop ${ws}`)
+    });
+    flow.add('driver');
+    flow.add('viewer');
+
+    flow.sending('driver', 60)();
+    flow.sending('viewer', 150);
+    assert.deepStrictEqual(events, ['drop viewer']);
+    assert.strictEqual(flow.sending('viewer', 500), undefined);
+
+    flow.sending('driver', 150);
+    assert.deepStrictEqual(events, ['drop viewer', 'pause']);
+});
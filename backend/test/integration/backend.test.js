@@ -0,0 +1,592 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+const { loadConfig } = require('../../lib/config');
+const { createBackend } = require('../../lib/backend');
+const { SUBPROTOCOL, FrameType, CloseCode, encodeFrame } = require('../../lib/protocol');
+const { FakeDriver } = require('../../lib/drivers');
+const { logger } = require('../../lib/logger');
+
+logger.level = 'error';
+
+const TOKENS = {
+    alice: 'alice-token',
+    bob: 'bob-token',
+    admin: 'admin-token'
+};
+
+async function setup(t, env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const tokensFile = path.join(dir, 'tokens.json');
+    fs.writeFileSync(tokensFile, JSON.stringify([
+        { user: 'alice', token: TOKENS.alice },
+        { user: 'bob', token: TOKENS.bob },
+        { user: 'admin', token: TOKENS.admin, role: 'admin' }
+    ]));
+    const templatesFile = path.join(dir, 'templates.json');
+    fs.writeFileSync(templatesFile, JSON.stringify({
+        templates: {
+            test: {
+                image: 'test:latest',
+                persistentHome: true,
+                resources: { memoryMb: 256, cpuShares: 256, pidsLimit: 50 }
+            },
+            mirrors: {
+                image: 'test:latest',
+                egress: { allow: ['pypi.org', '*.pythonhosted.org'] }
+            }
+        }
+    }));
+
+    const config = loadConfig({
+        API_TOKENS_FILE: tokensFile,
+        TEMPLATES_FILE: templatesFile,
+        HOME_SNAPSHOT_DIR: path.join(dir, 'snapshots'),
+        POOL_ENABLED: 'false',
+        PORT: '0',
+        HOST: '127.0.0.1',
+        EGRESS_PROXY_PORT: '0',
+        ...env
+    });
+    const driver = new FakeDriver();
+    const backend = createBackend(config, { driver });
+    const { port } = await backend.start();
+    t.after(() => backend.stop());
+
+    const base = `http://127.0.0.1:${port}`;
+    const api = async (method, url, { user = 'alice', body } = {}) => {
+        const res = await fetch(base + url, {
+            method,
+            headers: {
+                Authorization: `Bearer ${TOKENS[user]}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: res.status, headers: res.headers, body: await res.json().catch(() => null) };
+    };
+
+    return { backend, driver, base, port, api };
+}
+
+// A WebSocket client that collects frames and output
+function connect(port, query) {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/?${new URLSearchParams(query)}`, SUBPROTOCOL);
+    const client = { ws, frames: [], output: '', closed: null };
+    const waiters = [];
+
+    const check = () => {
+        for (const waiter of waiters.slice()) {
+            if (waiter.done()) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                waiter.resolve();
+            }
+        }
+    };
+
+    ws.on('message', (data, isBinary) => {
+        if (isBinary) {
+            client.output += data.toString();
+        } else {
+            client.frames.push(JSON.parse(data.toString()));
+        }
+        check();
+    });
+    ws.on('close', (code) => {
+        client.closed = code;
+        check();
+    });
+
+    client.until = (done) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Timed out waiting for the client')), 5000);
+        waiters.push({ done, resolve: () => { clearTimeout(timer); resolve(); } });
+        check();
+    });
+    client.frame = async (type) => {
+        await client.until(() => client.frames.some(frame => frame.type === type));
+        return client.frames.find(frame => frame.type === type);
+    };
+    client.send = (type, payload) => ws.send(encodeFrame(type, payload));
+    return client;
+}
+
+test('the REST API requires a credential', async (t) => {
+    const { base } = await setup(t);
+
+    const res = await fetch(`${base}/api/sessions`);
+    assert.strictEqual(res.status, 401);
+});
+
+test('sessions are created, listed and only visible to their owner', async (t) => {
+    const { api } = await setup(t);
+
+    const created = await api('POST', '/api/sessions', { body: {} });
+    assert.strictEqual(created.status, 200);
+    assert.strictEqual(created.body.template, 'test');
+    assert.strictEqual(created.body.pooled, false);
+
+    const info = await api('GET', `/api/sessions/${created.body.sessionId}`);
+    assert.strictEqual(info.status, 200);
+    assert.strictEqual(info.body.owner, 'alice');
+    assert.strictEqual(info.body.state, 'running');
+    assert.strictEqual(info.body.security.profile, 'standard');
+    assert.strictEqual(info.body.security.user, '1000:1000');
+
+    assert.strictEqual((await api('GET', `/api/sessions/${created.body.sessionId}`, { user: 'bob' })).status, 403);
+    assert.strictEqual((await api('GET', '/api/sessions/missing')).status, 404);
+    assert.strictEqual((await api('GET', '/api/sessions', { user: 'bob' })).body.sessions.length, 0);
+    assert.strictEqual((await api('GET', '/api/sessions?all=1', { user: 'admin' })).body.sessions.length, 1);
+});
+
+test('unknown templates are rejected', async (t) => {
+    const { api } = await setup(t);
+
+    const res = await api('POST', '/api/sessions', { body: { template: 'nope' } });
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.error, /Unknown template/);
+});
+
+test('terminal dimensions are validated', async (t) => {
+    const { api } = await setup(t);
+
+    const res = await api('POST', '/api/sessions', { body: { cols: '80; reboot', rows: 24 } });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await api('POST', '/api/sessions', { body: { cols: 80, rows: 0 } })).status, 400);
+
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+    const resize = await api('POST', `/api/sessions/${body.sessionId}/resize`, { body: { shellId: 'x', cols: 80, rows: '24' } });
+    assert.strictEqual(resize.status, 400);
+});
+
+test('session quotas answer 429 with Retry-After', async (t) => {
+    const { api } = await setup(t, { SESSION_LIMIT_PER_USER: '1' });
+
+    assert.strictEqual((await api('POST', '/api/sessions', { body: {} })).status, 200);
+    const res = await api('POST', '/api/sessions', { body: {} });
+    assert.strictEqual(res.status, 429);
+    assert.ok(res.headers.get('Retry-After'));
+});
+
+test('a terminal connection echoes input and reports the exit', async (t) => {
+    const { api, port } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+
+    const client = connect(port, { sessionId: body.sessionId, token: TOKENS.alice });
+    const hello = await client.frame(FrameType.HELLO);
+    assert.strictEqual(hello.sessionId, body.sessionId);
+    assert.strictEqual(hello.role, 'driver');
+    assert.strictEqual(hello.resumed, false);
+
+    client.send(FrameType.INPUT, { data: 'echo hi\n' });
+    await client.until(() => client.output.includes('echo hi'));
+
+    client.send(FrameType.INPUT, { data: 'exit\n' });
+    const exit = await client.frame(FrameType.EXIT);
+    assert.deepStrictEqual({ code: exit.code, reason: exit.reason }, { code: 0, reason: 'exited' });
+    await client.until(() => client.closed !== null);
+    assert.strictEqual(client.closed, CloseCode.SHELL_EXITED);
+});
+
+test('output waits for the client to acknowledge what it has rendered', async (t) => {
+    const { api, port } = await setup(t, { OUTPUT_ACK_WINDOW_KB: '1' });
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+
+    const client = connect(port, { sessionId: body.sessionId, token: TOKENS.alice });
+    await client.frame(FrameType.HELLO);
+    client.send(FrameType.INPUT, { data: `${'x'.repeat(2048)}\n` });
+    await client.until(() => client.output.includes('x'.repeat(2048)));
+
+    client.send(FrameType.INPUT, { data: 'after the flood\n' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.ok(!client.output.includes('after the flood'));
+
+    client.send(FrameType.ACK, { bytes: Buffer.byteLength(client.output) });
+    await client.until(() => client.output.includes('after the flood'));
+});
+
+test('terminal connections are refused without access', async (t) => {
+    const { api, port } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+
+    const anonymous = connect(port, { sessionId: body.sessionId });
+    await anonymous.until(() => anonymous.closed !== null);
+    assert.strictEqual(anonymous.closed, CloseCode.UNAUTHORIZED);
+
+    const stranger = connect(port, { sessionId: body.sessionId, token: TOKENS.bob });
+    await stranger.until(() => stranger.closed !== null);
+    assert.strictEqual(stranger.closed, CloseCode.FORBIDDEN);
+
+    const missing = connect(port, { sessionId: 'missing', token: TOKENS.alice });
+    await missing.until(() => missing.closed !== null);
+    assert.strictEqual(missing.closed, CloseCode.SESSION_NOT_FOUND);
+});
+
+test('viewers joining by share link are read-only until handed control', async (t) => {
+    const { api, port } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+
+    const driver = connect(port, { sessionId: body.sessionId, token: TOKENS.alice });
+    const { shellId } = await driver.frame(FrameType.HELLO);
+
+    const share = await api('POST', `/api/sessions/${body.sessionId}/shells/${shellId}/shares`, {
+        body: { role: 'viewer' }
+    });
+    assert.strictEqual(share.status, 201);
+
+    const viewer = connect(port, { sessionId: body.sessionId, shellId, share: share.body.token, token: TOKENS.bob });
+    const hello = await viewer.frame(FrameType.HELLO);
+    assert.strictEqual(hello.role, 'viewer');
+    assert.strictEqual(hello.resumed, true);
+
+    viewer.send(FrameType.INPUT, { data: 'whoami\n' });
+    const notice = await viewer.frame(FrameType.NOTICE);
+    assert.match(notice.message, /read-only/);
+
+    driver.send(FrameType.HANDOFF, { to: hello.participantId });
+    await viewer.until(() => viewer.frames.some(frame =>
+        frame.type === FrameType.PRESENCE &&
+        frame.participants.some(p => p.id === hello.participantId && p.role === 'driver')
+    ));
+
+    viewer.send(FrameType.INPUT, { data: 'typed by bob\n' });
+    await driver.until(() => driver.output.includes('typed by bob'));
+    assert.ok(!driver.output.includes('whoami'));
+
+    const revoked = await api(
+        'DELETE', `/api/sessions/${body.sessionId}/shells/${shellId}/shares/${share.body.shareId}`
+    );
+    assert.strictEqual(revoked.status, 200);
+    await viewer.until(() => viewer.closed !== null);
+    assert.strictEqual(viewer.closed, CloseCode.FORBIDDEN);
+    driver.ws.close();
+});
+
+test('resizing reaches the shell and is broadcast to the audience', async (t) => {
+    const { api, port, driver } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: { cols: 100, rows: 30 } });
+
+    const client = connect(port, { sessionId: body.sessionId, token: TOKENS.alice });
+    const hello = await client.frame(FrameType.HELLO);
+    assert.deepStrictEqual({ cols: hello.cols, rows: hello.rows }, { cols: 100, rows: 30 });
+    const [container] = driver.containers.values();
+    const [exec] = container.shells;
+
+    client.send(FrameType.RESIZE, { cols: 120, rows: 40 });
+    await client.until(() => client.frames.some(frame => frame.type === FrameType.RESIZE && frame.cols === 120));
+    assert.deepStrictEqual(exec.dimensions, { cols: 120, rows: 40 });
+
+    const res = await api('POST', `/api/sessions/${body.sessionId}/resize`, {
+        body: { shellId: hello.shellId, cols: 90, rows: 20 }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(exec.dimensions, { cols: 90, rows: 20 });
+    client.ws.close();
+});
+
+test('pausing and snapshotting go through the driver', async (t) => {
+    const { api, driver } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+    const [container] = driver.containers.values();
+
+    assert.strictEqual((await api('POST', `/api/sessions/${body.sessionId}/pause`)).status, 200);
+    assert.strictEqual(container.paused, true);
+    assert.strictEqual((await api('GET', `/api/sessions/${body.sessionId}`)).body.state, 'paused');
+    assert.strictEqual((await api('POST', `/api/sessions/${body.sessionId}/resume`)).status, 200);
+    assert.strictEqual(container.paused, false);
+
+    const snapshot = await api('POST', `/api/sessions/${body.sessionId}/snapshot`, { body: { description: 'tools' } });
+    assert.strictEqual(snapshot.status, 200);
+    const images = await api('GET', '/api/images');
+    assert.deepStrictEqual(images.body.images.map(image => image.description), ['tools']);
+
+    const restored = await api('POST', '/api/sessions', { body: { image: snapshot.body.image } });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual((await api('POST', '/api/sessions', { user: 'bob', body: { image: snapshot.body.image } })).status, 404);
+});
+
+test('operations the driver lacks answer 501', async (t) => {
+    const { api } = await setup(t);
+
+    assert.deepStrictEqual((await api('GET', '/api/volumes')).body, { volumes: [] });
+    assert.strictEqual((await api('DELETE', '/api/volumes/alice')).status, 501);
+});
+
+test('files uploaded to the home directory can be listed and downloaded', async (t) => {
+    const { api, base } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+    const files = `${base}/api/sessions/${body.sessionId}/files`;
+    const headers = { Authorization: `Bearer ${TOKENS.alice}` };
+
+    const upload = await fetch(`${files}?name=notes.txt`, { method: 'POST', headers, body: 'hello world' });
+    assert.strictEqual(upload.status, 200);
+    assert.strictEqual((await upload.json()).path, '/root/notes.txt');
+
+    const listing = await api('GET', `/api/sessions/${body.sessionId}/files`);
+    assert.deepStrictEqual(listing.body.entries.map(entry => [entry.name, entry.size]), [['notes.txt', 11]]);
+
+    const download = await fetch(`${files}/download?path=/root/notes.txt`, { headers });
+    assert.strictEqual(download.status, 200);
+    assert.strictEqual(await download.text(), 'hello world');
+});
+
+test('file routes cannot reach outside the home directory', async (t) => {
+    const { api, base, driver } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+    const files = `/api/sessions/${body.sessionId}/files`;
+    const upload = (query) => fetch(`${base}${files}?${query}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${TOKENS.alice}` },
+        body: 'echo replaced'
+    });
+
+    for (const path of ['/etc/shadow', '/root/../etc/shadow', '/etc/terminal-on-web/policy.sh']) {
+        assert.strictEqual((await api('GET', `${files}/download?path=${path}`)).status, 403, path);
+    }
+    assert.strictEqual((await api('GET', `${files}?path=/etc`)).status, 403);
+    assert.strictEqual((await api('GET', `${files}?path=/root/..`)).status, 403);
+    assert.strictEqual((await upload('path=/etc/terminal-on-web&name=policy.sh')).status, 403);
+    assert.strictEqual((await upload('path=/root/../etc&name=passwd')).status, 403);
+
+    // Nor through a symlink made in the shell
+    driver.resolvePath = async (container, target) => target.replace(/^\/root\/link(?=\/|$)/, '/etc');
+    assert.strictEqual((await api('GET', `${files}/download?path=/root/link/shadow`)).status, 403);
+    assert.strictEqual((await upload('path=/root/link&name=passwd')).status, 403);
+});
+
+test('an OOM kill is reported as the exit reason', async (t) => {
+    const { api, port, driver } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+
+    const client = connect(port, { sessionId: body.sessionId, token: TOKENS.alice });
+    await client.frame(FrameType.HELLO);
+    driver.oom(driver.containers.values().next().value);
+
+    const exit = await client.frame(FrameType.EXIT);
+    assert.deepStrictEqual({ code: exit.code, reason: exit.reason }, { code: 137, reason: 'oom-killed' });
+});
+
+test('shells ended by the server report why before the socket closes', async (t) => {
+    const { api, port, driver } = await setup(t, {
+        SESSION_IDLE_TIMEOUT_MINUTES: '0.005',
+        SESSION_SWEEP_INTERVAL_SECONDS: '0.05'
+    });
+    const open = async (user = 'alice') => {
+        const { body } = await api('POST', '/api/sessions', { user, body: {} });
+        const client = connect(port, { sessionId: body.sessionId, token: TOKENS[user] });
+        await client.frame(FrameType.HELLO);
+        return { sessionId: body.sessionId, client };
+    };
+
+    const killed = await open();
+    assert.strictEqual((await api('DELETE', `/api/sessions/${killed.sessionId}`, { user: 'admin' })).status, 200);
+    assert.strictEqual((await killed.client.frame(FrameType.EXIT)).reason, 'admin-killed');
+
+    const died = await open('bob');
+    driver.kill(Array.from(driver.containers.values()).find(container => container.running));
+    assert.strictEqual((await died.client.frame(FrameType.EXIT)).reason, 'container-stopped');
+    await died.client.until(() => died.client.closed !== null);
+    assert.strictEqual((await api('GET', `/api/sessions/${died.sessionId}`, { user: 'bob' })).status, 404);
+
+    const idle = await open();
+    assert.strictEqual((await idle.client.frame(FrameType.EXIT)).reason, 'idle-timeout');
+});
+
+test('clients are told about a server shutdown', async (t) => {
+    const { api, port, backend } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+    const client = connect(port, { sessionId: body.sessionId, token: TOKENS.alice });
+    await client.frame(FrameType.HELLO);
+
+    await backend.stop();
+    assert.strictEqual((await client.frame(FrameType.EXIT)).reason, 'server-shutdown');
+    await client.until(() => client.closed !== null);
+    assert.strictEqual(client.closed, CloseCode.SHELL_EXITED);
+});
+
+test('allowlisted sessions are registered with the egress proxy', async (t) => {
+    const { api, port, backend, driver } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: { template: 'mirrors' } });
+    const { address } = driver.containers.values().next().value;
+
+    const client = connect(port, { sessionId: body.sessionId, token: TOKENS.alice });
+    const hello = await client.frame(FrameType.HELLO);
+    assert.deepStrictEqual(hello.egress, { mode: 'allowlist', allow: ['pypi.org', '*.pythonhosted.org'] });
+
+    const proxy = backend.manager.egressProxy;
+    assert.strictEqual(proxy.check({ remoteAddress: address }, 'files.pythonhosted.org', 443), true);
+    assert.strictEqual(proxy.check({ remoteAddress: address }, 'example.com', 443), false);
+    const notice = await client.frame(FrameType.NOTICE);
+    assert.match(notice.message, /example\.com:443/);
+
+    assert.strictEqual((await api('DELETE', `/api/sessions/${body.sessionId}`)).status, 200);
+    assert.strictEqual(proxy.check({ remoteAddress: address }, 'pypi.org', 443), false);
+});
+
+test('deleting a session stops its container and frees the quota', async (t) => {
+    const { api, driver, port } = await setup(t, { SESSION_LIMIT_PER_USER: '1' });
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+    const client = connect(port, { sessionId: body.sessionId, token: TOKENS.alice });
+    await client.frame(FrameType.HELLO);
+
+    assert.strictEqual((await api('DELETE', `/api/sessions/${body.sessionId}`)).status, 200);
+    assert.strictEqual(driver.containers.size, 0);
+    assert.strictEqual((await client.frame(FrameType.EXIT)).reason, 'session-ended');
+    await client.until(() => client.closed !== null);
+    assert.strictEqual(client.closed, CloseCode.SHELL_EXITED);
+    assert.strictEqual((await api('GET', `/api/sessions/${body.sessionId}`)).status, 404);
+    assert.strictEqual((await api('POST', '/api/sessions', { body: {} })).status, 200);
+});
+
+test('commands run in a session return their output and exit code', async (t) => {
+    const { api } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+
+    const res = await api('POST', `/api/sessions/${body.sessionId}/exec`, {
+        body: { command: 'echo hello\necho oops >&2\ncat\nprintenv GREETING\nexit 3', stdin: 'piped\n', env: { GREETING: 'hi' } }
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.stdout, 'hello\npiped\nhi\n');
+    assert.strictEqual(res.body.stderr, 'oops\n');
+    assert.strictEqual(res.body.exitCode, 3);
+    assert.strictEqual(res.body.timedOut, false);
+    assert.strictEqual(res.body.truncated, false);
+    assert.ok(res.body.durationMs >= 0);
+
+    assert.strictEqual((await api('POST', `/api/sessions/${body.sessionId}/exec`, { user: 'bob', body: { command: 'echo' } })).status, 403);
+});
+
+test('commands are killed at their timeout', async (t) => {
+    const { api } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+
+    const res = await api('POST', `/api/sessions/${body.sessionId}/exec`, { body: { command: 'sleep 10', timeout: 0.1 } });
+    assert.deepStrictEqual({ exitCode: res.body.exitCode, timedOut: res.body.timedOut }, { exitCode: 137, timedOut: true });
+});
+
+test('exec requests are validated', async (t) => {
+    const { api } = await setup(t, { EXEC_MAX_TIMEOUT_SECONDS: '60' });
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+    const exec = (request) => api('POST', `/api/sessions/${body.sessionId}/exec`, { body: request });
+
+    assert.strictEqual((await exec({ command: '  ' })).status, 400);
+    assert.strictEqual((await exec({ command: 'echo', stdin: 5 })).status, 400);
+    assert.strictEqual((await exec({ command: 'echo', env: { 'BAD-NAME': 'x' } })).status, 400);
+    assert.match((await exec({ command: 'echo', env: { BASH_ENV: '/tmp/x' } })).body.error, /cannot be set/);
+    assert.match((await exec({ command: 'echo', timeout: 61 })).body.error, /60 seconds/);
+});
+
+test('exec output can be streamed as server-sent events', async (t) => {
+    const { api, base } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+
+    const res = await fetch(`${base}/api/sessions/${body.sessionId}/exec`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${TOKENS.alice}`, 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+        body: JSON.stringify({ command: 'echo one\necho two >&2' })
+    });
+    assert.match(res.headers.get('Content-Type'), /text\/event-stream/);
+    const events = (await res.text()).trim().split('\n\n').map(block => {
+        const [, event, data] = /^event: (\w+)\ndata: (.*)$/.exec(block);
+        return { event, data: JSON.parse(data) };
+    });
+    assert.deepStrictEqual(events.map(e => e.event), ['stdout', 'stderr', 'exit']);
+    assert.strictEqual(events[0].data.data, 'one\n');
+    assert.strictEqual(events[2].data.exitCode, 0);
+});
+
+test('one-shot runs use a throwaway session', async (t) => {
+    const { api, base, driver } = await setup(t, { METRICS_TOKEN: 'scrape' });
+
+    const res = await api('POST', '/api/run', { body: { command: 'echo done' } });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.stdout, 'done\n');
+    assert.strictEqual(driver.containers.size, 0);
+    assert.strictEqual((await api('GET', '/api/sessions')).body.sessions.length, 0);
+    assert.strictEqual((await api('POST', '/api/run', { body: { command: 'echo', template: 'nope' } })).status, 400);
+
+    const metrics = await (await fetch(`${base}/metrics`, { headers: { Authorization: 'Bearer scrape' } })).text();
+    assert.match(metrics, /terminal_execs_total\{template="test",outcome="success"\} 1/);
+    assert.match(metrics, /terminal_session_cleanups_total\{reason="run",outcome="success"\} 1/);
+});
+
+test('the admin list reports resources for sessions nobody is watching', async (t) => {
+    const { api } = await setup(t, { SESSION_STATS_INTERVAL_SECONDS: '0.05' });
+    await api('POST', '/api/sessions', { body: {} });
+
+    const deadline = Date.now() + 5000;
+    let listed;
+    do {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        listed = (await api('GET', '/api/admin/sessions', { user: 'admin' })).body.sessions;
+    } while (!listed[0].resources && Date.now() < deadline);
+    assert.deepStrictEqual(listed[0].participants, []);
+    assert.strictEqual(listed[0].resources.pids, 0);
+});
+
+test('admins list, extend and kill sessions, broadcast notices and search the audit log', async (t) => {
+    const { api, port, driver } = await setup(t);
+    const { body } = await api('POST', '/api/sessions', { body: {} });
+    const client = connect(port, { sessionId: body.sessionId, token: TOKENS.alice });
+    await client.frame(FrameType.HELLO);
+
+    assert.strictEqual((await api('GET', '/api/admin/sessions')).status, 403);
+    driver.stats = async () => assert.fail('the admin list should not read stats from Docker');
+    const { body: listed } = await api('GET', '/api/admin/sessions', { user: 'admin' });
+    assert.strictEqual(listed.sessions.length, 1);
+    assert.strictEqual(listed.sessions[0].owner, 'alice');
+    assert.deepStrictEqual(listed.sessions[0].participants.map(p => [p.user, p.role]), [['alice', 'driver']]);
+    assert.strictEqual(listed.sessions[0].resources.pids, 1);
+
+    const extended = await api('POST', `/api/admin/sessions/${body.sessionId}/extend`, { user: 'admin', body: { minutes: 60 } });
+    assert.strictEqual(extended.status, 200);
+
+    assert.strictEqual((await api('POST', '/api/admin/notices', { user: 'admin', body: { message: ' ' } })).status, 400);
+    const sent = await api('POST', '/api/admin/notices', { user: 'admin', body: { message: 'Maintenance in 5 minutes' } });
+    assert.strictEqual(sent.body.sessions, 1);
+    const notice = await client.frame(FrameType.NOTICE);
+    assert.deepStrictEqual({ level: notice.level, message: notice.message }, { level: 'warning', message: 'Maintenance in 5 minutes' });
+
+    // The fake shell echoes input, so this comes back as the hook's report of a blocked
+    // command; only the one signed with the shell's nonce counts
+    const [container] = driver.containers.values();
+    const [exec] = container.shells;
+    const report = (nonce, command) =>
+        `\x1b]7337;terminal-policy;${nonce};deny;power;${Buffer.from(command).toString('base64')}\x07`;
+    client.send(FrameType.INPUT, { data: `${report('forged', 'sudo halt')}\n` });
+    client.send(FrameType.INPUT, { data: `${report(exec.env.TERMINAL_POLICY_NONCE, 'sudo reboot')}\n` });
+    const audit = async (query) => (await api('GET', `/api/admin/audit?${new URLSearchParams(query)}`, { user: 'admin' })).body.entries;
+    while ((await audit({ type: 'command-blocked' })).length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    assert.strictEqual((await api('DELETE', `/api/admin/sessions/${body.sessionId}`, { user: 'admin' })).status, 200);
+    assert.strictEqual((await client.frame(FrameType.EXIT)).reason, 'admin-killed');
+    assert.deepStrictEqual((await audit({ session: body.sessionId })).map(entry => entry.type), [
+        'session-ended',
+        'session-killed',
+        'command-blocked',
+        'session-extended',
+        'shell-attached',
+        'session-created'
+    ]);
+    assert.deepStrictEqual((await audit({ q: 'reboot' })).map(entry => [entry.rule, entry.reportedBy]), [['power', 'shell']]);
+    assert.deepStrictEqual(await audit({ q: 'halt' }), []);
+    assert.strictEqual((await audit({ type: 'notice-sent' }))[0].user, 'admin');
+});
+
+test('metrics count sessions and can require a token', async (t) => {
+    const { api, base } = await setup(t, { METRICS_TOKEN: 'scrape' });
+    await api('POST', '/api/sessions', { body: {} });
+
+    assert.strictEqual((await fetch(`${base}/metrics`)).status, 401);
+    const res = await fetch(`${base}/metrics`, { headers: { Authorization: 'Bearer scrape' } });
+    const text = await res.text();
+    assert.match(text, /terminal_sessions_created_total\{template="test",pooled="false"\} 1/);
+    assert.match(text, /terminal_sessions_active\{template="test"\} 1/);
+});
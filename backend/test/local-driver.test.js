@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LocalDriver } = require('../lib/drivers');
+const { loadPolicies } = require('../lib/policy');
+const { packFiles } = require('../lib/archive');
+const { extractFile } = require('../lib/files');
+
+// node-pty is optional, so these only run where it is installed
+let hasPty = true;
+try {
+    require('node-pty');
+} catch (error) {
+    hasPty = false;
+}
+
+const TEMPLATE = { id: 'local', shell: '/bin/bash', env: {}, workingDir: '/root', policy: 'default' };
+
+async function setup(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-driver-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const driver = new LocalDriver({ policies: loadPolicies(), root });
+    const container = await driver.createContainer(TEMPLATE);
+    t.after(() => driver.stopContainer(container));
+    return { driver, container };
+}
+
+function readUntil(stream, pattern) {
+    let output = '';
+    return new Promise((resolve) => {
+        stream.on('data', (chunk) => {
+            output += chunk.toString();
+            if (pattern.test(output)) {
+                resolve(output);
+            }
+        });
+    });
+}
+
+test('shells run in a PTY in the session home and report their exit code', { skip: !hasPty }, async (t) => {
+    const { driver, container } = await setup(t);
+    const { exec, stream } = await driver.startShell(container, TEMPLATE, { cols: 80, rows: 24 });
+    const ended = new Promise(resolve => stream.on('end', resolve));
+
+    stream.write('stty size; pwd\n');
+    const output = await readUntil(stream, /24 80[\s\S]*\/home/);
+    assert.ok(output.includes(container.home));
+
+    await driver.resizeShell(exec, 100, 30);
+    stream.write('stty size\n');
+    await readUntil(stream, /30 100/);
+
+    stream.write('exit 3\n');
+    await ended;
+    assert.strictEqual(await driver.shellExitCode(exec), 3);
+});
+
+test('files can be listed, uploaded and downloaded', { skip: !hasPty }, async (t) => {
+    const { driver, container } = await setup(t);
+    const dir = driver.workingDir(container, TEMPLATE);
+
+    await driver.uploadArchive(container, dir, await packFiles([{ name: 'notes.txt', content: 'hello' }]));
+    const listing = await driver.listFiles(container, dir);
+    assert.deepStrictEqual(listing.entries.map(entry => [entry.name, entry.type, entry.size]), [['notes.txt', 'file', 5]]);
+
+    const { stream, stat } = await driver.downloadArchive(container, path.join(dir, 'notes.txt'));
+    assert.strictEqual(stat.type, 'file');
+    const chunks = [];
+    for await (const chunk of await extractFile(stream)) {
+        chunks.push(chunk);
+    }
+    assert.strictEqual(Buffer.concat(chunks).toString(), 'hello');
+});
+
+test('uploads cannot escape the target directory', { skip: !hasPty }, async (t) => {
+    const { driver, container } = await setup(t);
+    const archive = await packFiles([{ name: '../escaped.txt', content: 'nope' }]);
+
+    await assert.rejects(driver.uploadArchive(container, container.home, archive), /escapes/);
+    assert.ok(!fs.existsSync(path.join(container.dir, 'escaped.txt')));
+});
+
+test('pausing is not supported', { skip: !hasPty }, async (t) => {
+    const { driver, container } = await setup(t);
+    await assert.rejects(driver.pause(container), { status: 501 });
+});
+
+test('commands run to completion with stdout and stderr apart, and are killed at their timeout', async (t) => {
+    const { driver, container } = await setup(t);
+    const output = { stdout: '', stderr: '' };
+    const onOutput = (name, chunk) => { output[name] += chunk; };
+
+    const result = await driver.runCommand(container, TEMPLATE, {
+        command: 'cat; echo "$GREETING" >&2; pwd; exit 4',
+        stdin: 'piped\n',
+        env: { GREETING: 'hi' },
+        timeout: 5000
+    }, onOutput);
+    assert.deepStrictEqual(result, { exitCode: 4, timedOut: false });
+    assert.strictEqual(output.stdout, `piped\n${container.home}\n`);
+    assert.strictEqual(output.stderr, 'hi\n');
+
+    const killed = await driver.runCommand(container, TEMPLATE, { command: 'sleep 10', timeout: 100 }, onOutput);
+    assert.deepStrictEqual(killed, { exitCode: 137, timedOut: true });
+});
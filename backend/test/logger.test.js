@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Logger } = require('../lib/logger');
+
+function capture(options) {
+    const lines = [];
+    const logger = new Logger({ ...options, write: line => lines.push(JSON.parse(line)) });
+    return { logger, lines };
+}
+
+test('writes JSON entries with child bindings and serialized errors', () => {
+    const { logger, lines } = capture();
+    const sessionLog = logger.child({ sessionId: 'abc' });
+
+    sessionLog.error('Cleanup failed', { err: Object.assign(new Error('boom'), { statusCode: 409 }) });
+
+    assert.strictEqual(lines.length, 1);
+    assert.strictEqual(lines[0].level, 'error');
+    assert.strictEqual(lines[0].msg, 'Cleanup failed');
+    assert.strictEqual(lines[0].sessionId, 'abc');
+    assert.strictEqual(lines[0].err.message, 'boom');
+    assert.strictEqual(lines[0].err.statusCode, 409);
+    assert.ok(lines[0].time);
+});
+
+test('drops entries below the configured level', () => {
+    const { logger, lines } = capture({ level: 'warn' });
+
+    logger.debug('noise');
+    logger.info('still noise');
+    logger.warn('kept');
+
+    assert.deepStrictEqual(lines.map(line => line.msg), ['kept']);
+    assert.throws(() => new Logger({ level: 'verbose' }), /Unknown log level/);
+});
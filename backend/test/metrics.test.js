@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Registry } = require('../lib/metrics');
+
+test('renders counters and gauges with labels in the text format', () => {
+    const registry = new Registry();
+    const created = registry.counter('sessions_created_total', 'Sessions created', ['template']);
+    registry.gauge('active_sessions', 'Active sessions', [], () => [{ value: 3 }]);
+
+    created.inc({ template: 'ubuntu' });
+    created.inc({ template: 'ubuntu' }, 2);
+    created.inc({ template: 'say "hi"\n' });
+
+    assert.strictEqual(registry.render(), [
+        '# HELP sessions_created_total Sessions created',
+        '# TYPE sessions_created_total counter',
+        'sessions_created_total{template="ubuntu"} 3',
+        'sessions_created_total{template="say \\"hi\\"\\n"} 1',
+        '# HELP active_sessions Active sessions',
+        '# TYPE active_sessions gauge',
+        'active_sessions 3',
+        ''
+    ].join('\n'));
+});
+
+test('histograms count observations into cumulative buckets', () => {
+    const registry = new Registry();
+    const latency = registry.histogram('create_seconds', 'Create latency', ['template'], [0.1, 1]);
+
+    latency.observe({ template: 'node' }, 0.05);
+    latency.observe({ template: 'node' }, 0.5);
+    latency.observe({ template: 'node' }, 3);
+
+    const lines = registry.render().split('\n');
+    assert.ok(lines.includes('create_seconds_bucket{template="node",le="0.1"} 1'));
+    assert.ok(lines.includes('create_seconds_bucket{template="node",le="1"} 2'));
+    assert.ok(lines.includes('create_seconds_bucket{template="node",le="+Inf"} 3'));
+    assert.ok(lines.includes('create_seconds_sum{template="node"} 3.55'));
+    assert.ok(lines.includes('create_seconds_count{template="node"} 3'));
+});
+
+test('rejects unknown labels, negative counts and duplicate names', () => {
+    const registry = new Registry();
+    const counter = registry.counter('errors_total', 'Errors', ['operation']);
+
+    assert.throws(() => counter.inc({ op: 'create' }), /Unknown label/);
+    assert.throws(() => counter.inc({}, -1), /only increase/);
+    assert.throws(() => registry.gauge('errors_total', 'Again'), /already registered/);
+});
@@ -0,0 +1,269 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    PolicyError,
+    PolicyReportParser,
+    compilePolicy,
+    loadPolicies,
+    evaluate,
+    generateHook
+} = require('../lib/policy');
+
+const defaultPolicy = loadPolicies().get('default');
+
+// Strings that got past the old first-token keystroke blocklist
+const BYPASSES = [
+    'reboot',
+    '/sbin/reboot',
+    '/usr/sbin/reboot now',
+    '../../sbin/reboot',
+    'sudo dd if=/dev/zero of=/dev/sda',
+    'sudo -u root reboot',
+    'sudo -- reboot',
+    'ls; reboot',
+    'ls && reboot',
+    'false || reboot',
+    'ls | reboot',
+    'sleep 1 & reboot',
+    'ls\nreboot',
+    '  reboot',
+    '\treboot',
+    'REBOOT=1 reboot',
+    'env reboot',
+    'env -i PATH=/sbin reboot',
+    'nohup reboot &',
+    'nice -n 10 reboot',
+    'timeout 5 reboot',
+    'timeout -s KILL 5 reboot',
+    'exec reboot',
+    'command reboot',
+    'time reboot',
+    'xargs -n 1 reboot < /dev/null',
+    'echo | xargs reboot',
+    '"reboot"',
+    "'reboot'",
+    're\\boot',
+    "re'bo'ot",
+    're""boot',
+    '\\reboot',
+    '(reboot)',
+    '{ reboot; }',
+    'if true; then reboot; fi',
+    'while true; do reboot; done',
+    '! reboot',
+    'echo $(reboot)',
+    'echo "$(reboot)"',
+    'echo `reboot`',
+    'echo $(echo $(reboot))',
+    'cat <(reboot)',
+    'bash -c reboot',
+    'sh -c "ls; reboot"',
+    "bash -c 'sudo dd if=/dev/zero of=/dev/sda'",
+    '2>/dev/null reboot',
+    '>/tmp/out reboot',
+    'ls 2>&1; reboot',
+    'cmd=reboot; $cmd',
+    'x=re; ${x}boot',
+    '"$cmd"',
+    'eval reboot',
+    'eval "re""boot"',
+    'mkfs.ext4 /dev/sda1',
+    'docker run --privileged alpine',
+    'nsenter -t 1 -m sh',
+    'trap - DEBUG',
+    "trap '' DEBUG",
+    'shopt -u extdebug',
+    'unset -f __terminal_policy_check',
+    // Ways to start a shell without the hook
+    'BASH_ENV= bash -c reboot',
+    'env -u BASH_ENV bash -c reboot',
+    'env --unset=ENV sh -i',
+    'env -i bash',
+    'export BASH_ENV=/dev/null',
+    'POSIXLY_CORRECT=1 bash',
+    'sh -c reboot',
+    'printf reboot | xargs sh -c "$0"',
+    "sh -c 'x=reboot; $x'",
+    "bash --posix -c 'x=reboot; $x'",
+    'bash',
+    'bash -i < /dev/null',
+    'exec bash --norc',
+    'sh',
+    'sudo -s',
+    'sudo bash -c "$0" reboot',
+    'su -c reboot'
+];
+
+const ALLOWED = [
+    'ls -la',
+    'echo reboot',
+    'grep dd notes.txt',
+    'man mount',
+    'git commit -m "reboot later"',
+    'echo "$(date)"',
+    'ls $HOME',
+    'cat file | sort | uniq -c',
+    'python3 -c "print(1)"',
+    "trap 'rm -f /tmp/lock' EXIT",
+    'FOO=bar make build',
+    'for f in *.txt; do wc -l "$f"; done',
+    '# reboot',
+    'echo hi # && reboot',
+    'bash script.sh',
+    'sh ./configure --prefix=/usr',
+    'bash -c "make && make test"',
+    'bash --rcfile /etc/terminal-on-web/policy.sh -i',
+    'env -u HOME ls',
+    'sudo ls'
+];
+
+test('denies known bypass strings', () => {
+    for (const line of BYPASSES) {
+        const decision = evaluate(defaultPolicy, line);
+        assert.strictEqual(decision.action, 'deny', `expected deny for: ${JSON.stringify(line)}`);
+    }
+});
+
+test('allows ordinary commands', () => {
+    for (const line of ALLOWED) {
+        const decision = evaluate(defaultPolicy, line);
+        assert.strictEqual(decision.action, 'allow', `expected allow for: ${JSON.stringify(line)} (${decision.rule})`);
+    }
+});
+
+test('reports the matching rule and reason', () => {
+    const decision = evaluate(defaultPolicy, 'ls && sudo /sbin/shutdown -h now');
+    assert.strictEqual(decision.rule, 'power');
+    assert.strictEqual(decision.reason, 'System power and init control');
+    assert.strictEqual(decision.command, 'ls && sudo /sbin/shutdown -h now');
+});
+
+test('first matching rule wins and defaultAction applies otherwise', () => {
+    const policy = compilePolicy('allowlist', {
+        defaultAction: 'deny',
+        rules: [
+            { id: 'no-force-push', action: 'deny', commands: ['git'], args: 'push.*--force' },
+            { id: 'tools', action: 'allow', commands: ['ls', 'git', 'cat'] }
+        ]
+    });
+
+    assert.strictEqual(evaluate(policy, 'git status').action, 'allow');
+    assert.strictEqual(evaluate(policy, 'git push --force').rule, 'no-force-push');
+    assert.strictEqual(evaluate(policy, 'ls | wc -l').action, 'deny');
+    assert.strictEqual(evaluate(policy, 'cat a').action, 'allow');
+});
+
+test('rejects invalid policy files', () => {
+    assert.throws(() => compilePolicy('bad', { rules: [{ action: 'maybe', commands: ['ls'] }] }), PolicyError);
+    assert.throws(() => compilePolicy('bad', { rules: [{ action: 'deny', commands: [] }] }), PolicyError);
+    assert.throws(() => compilePolicy('bad', { rules: [{ action: 'deny', commands: ['rm -rf'] }] }), PolicyError);
+    assert.throws(() => compilePolicy('bad', { rules: [{ action: 'deny', commands: ['ls'], args: '(' }] }), PolicyError);
+    assert.throws(() => compilePolicy('bad', { defaultAction: 'block' }), PolicyError);
+});
+
+test('extracts policy reports split across output chunks', () => {
+    const reports = [];
+    const parser = new PolicyReportParser('nonce', report => reports.push(report));
+    const encoded = Buffer.from('sudo reboot').toString('base64');
+    const output = Buffer.from(`before\x1b]7337;terminal-policy;nonce;deny;power;${encoded}\x07after`);
+
+    let text = '';
+    for (let i = 0; i < output.length; i += 5) {
+        text += parser.process(output.subarray(i, i + 5)).toString();
+    }
+
+    assert.strictEqual(text, 'beforeafter');
+    assert.deepStrictEqual(reports, [{ action: 'deny', rule: 'power', command: 'sudo reboot' }]);
+});
+
+test('drops reports without the nonce', () => {
+    const parser = new PolicyReportParser('nonce', () => assert.fail('unexpected report'));
+    const encoded = Buffer.from('sudo reboot').toString('base64');
+    for (const forged of [`deny;power;${encoded}`, `guess;deny;power;${encoded}`, `;deny;power;${encoded}`]) {
+        const output = parser.process(Buffer.from(`a\x1b]7337;terminal-policy;${forged}\x07b`));
+        assert.strictEqual(output.toString(), 'ab');
+    }
+});
+
+test('passes through ordinary escape sequences', () => {
+    const parser = new PolicyReportParser('nonce', () => assert.fail('unexpected report'));
+    const output = '\x1b]0;window title\x07\x1b[31mred\x1b[0m';
+    assert.strictEqual(parser.process(Buffer.from(output)).toString(), output);
+});
+
+const hasBash = spawnSync('bash', ['--version']).status === 0;
+
+test('generated hook blocks commands inside bash', { skip: !hasBash && 'bash not available' }, () => {
+    // Command names that do not exist anywhere, so a failed block is harmless
+    const policy = compilePolicy('test', {
+        rules: [
+            { id: 'forbidden', action: 'deny', commands: ['tow-test-forbidden'], reason: 'test rule' },
+            { id: 'hook', action: 'deny', commands: ['trap'], args: 'DEBUG' }
+        ]
+    });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-'));
+    const hook = path.join(dir, 'policy.sh');
+    fs.writeFileSync(hook, generateHook(policy));
+
+    const run = (script) => spawnSync('bash', ['-c', script], {
+        env: { PATH: process.env.PATH, HOME: dir, BASH_ENV: hook },
+        stdio: ['ignore', 'pipe', 'pipe'],
+        encoding: 'utf8'
+    });
+
+    try {
+        for (const line of [
+            'tow-test-forbidden',
+            '/usr/local/bin/tow-test-forbidden',
+            'sudo -u nobody tow-test-forbidden',
+            'env A=1 tow-test-forbidden',
+            'timeout 5 tow-test-forbidden',
+            '"tow-test-forbidden"',
+            "tow-'test'-forbidden",
+            'true && tow-test-forbidden',
+            'echo | tow-test-forbidden',
+            'echo $(tow-test-forbidden)',
+            '(tow-test-forbidden)',
+            'bash -c tow-test-forbidden',
+            'x=tow-test; ${x}-forbidden',
+            'trap - DEBUG; tow-test-forbidden',
+            // Shells started without the hook
+            'BASH_ENV= bash -c tow-test-forbidden',
+            'env -u BASH_ENV bash -c tow-test-forbidden',
+            'env -i bash -c tow-test-forbidden',
+            'sh -c tow-test-forbidden',
+            'printf tow-test-forbidden | xargs sh -c "$0"',
+            'bash -i < /dev/null',
+            'bash --posix -c tow-test-forbidden',
+            // Functions standing in for the builtins the hook uses
+            'read() { :; }; tow-test-forbidden'
+        ]) {
+            const result = run(line);
+            assert.match(result.stderr, /terminal-policy: .* blocked/, `not blocked: ${line}`);
+            assert.doesNotMatch(result.stderr, /not found/, `ran: ${line}`);
+        }
+
+        const allowed = run('echo ok; sh -c "echo ok"');
+        assert.strictEqual(allowed.status, 0);
+        assert.strictEqual(allowed.stdout, 'ok\nok\n');
+
+        // Interactive shells check ~/.bashrc, and nested ones need the hook
+        fs.writeFileSync(path.join(dir, '.bashrc'), 'tow-test-forbidden\n');
+        const interactive = spawnSync('bash', ['--rcfile', hook, '-i'], {
+            env: { PATH: process.env.PATH, HOME: dir, TERM: 'dumb' },
+            input: `bash\nsh\nbash --rcfile ${hook} -i\ntow-test-forbidden\nexit\n`,
+            encoding: 'utf8'
+        });
+        assert.match(interactive.stderr, /bash: blocked \(Start nested shells with bash --rcfile/);
+        assert.match(interactive.stderr, /sh: blocked \(Only bash applies the command policy\)/);
+        assert.match(interactive.stderr, /tow-test-forbidden: blocked \(test rule\)/);
+        assert.doesNotMatch(interactive.stderr, /not found/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
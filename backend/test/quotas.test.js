@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { QuotaError, QuotaTracker, quotaLimitsFromEnv } = require('../lib/quotas');
+
+const alice = { id: 'alice', role: 'user' };
+const bob = { id: 'bob', role: 'user' };
+const admin = { id: 'root', role: 'admin' };
+
+const limits = { sessionsPerUser: 2, sessionsPerIp: 3, sessionsPerHour: 4, maxContainers: 5 };
+
+function rejects(fn, limit) {
+    assert.throws(fn, (error) => error instanceof QuotaError && error.limit === limit);
+}
+
+test('concurrent sessions per user are limited until one is released', () => {
+    const quotas = new QuotaTracker(limits);
+    const first = quotas.reserve(alice, '10.0.0.1');
+    quotas.reserve(alice, '10.0.0.2');
+
+    rejects(() => quotas.reserve(alice, '10.0.0.3'), 'sessionsPerUser');
+    quotas.release(first);
+    quotas.release(first);
+    assert.strictEqual(quotas.usage(alice).sessions.used, 1);
+    quotas.reserve(alice, '10.0.0.3');
+});
+
+test('sessions per IP are limited across users', () => {
+    const quotas = new QuotaTracker(limits);
+    quotas.reserve(alice, '10.0.0.1');
+    quotas.reserve(alice, '10.0.0.1');
+    quotas.reserve(bob, '10.0.0.1');
+
+    rejects(() => quotas.reserve(bob, '10.0.0.1'), 'sessionsPerIp');
+    quotas.reserve(bob, '10.0.0.2');
+});
+
+test('hourly creation limit counts released sessions and reports when it resets', () => {
+    let now = 0;
+    const quotas = new QuotaTracker(limits, { now: () => now });
+
+    for (let i = 0; i < 4; i++) {
+        quotas.release(quotas.reserve(alice, '10.0.0.1'));
+        now += 60 * 1000;
+    }
+
+    assert.throws(() => quotas.reserve(alice, '10.0.0.1'), (error) => {
+        assert.strictEqual(error.limit, 'sessionsPerHour');
+        assert.strictEqual(error.retryAfter, 56 * 60);
+        return true;
+    });
+    assert.strictEqual(quotas.usage(alice).hourly.used, 4);
+
+    now = 60 * 60 * 1000;
+    quotas.reserve(alice, '10.0.0.1');
+});
+
+test('admins skip per-user limits but not the host-wide cap', () => {
+    const quotas = new QuotaTracker(limits);
+    for (let i = 0; i < 5; i++) {
+        quotas.reserve(admin, '10.0.0.1');
+    }
+
+    rejects(() => quotas.reserve(admin, '10.0.0.1'), 'containers');
+    rejects(() => quotas.reserve(bob, '10.0.0.2'), 'containers');
+    assert.deepStrictEqual(quotas.usage(admin).containers, { used: 5, limit: 5 });
+});
+
+test('warm pool containers count towards the host-wide cap', () => {
+    const quotas = new QuotaTracker(limits);
+    for (let i = 0; i < 4; i++) {
+        quotas.reserve(admin, '10.0.0.1');
+    }
+    assert.strictEqual(quotas.reservePooled(), true);
+    assert.strictEqual(quotas.reservePooled(), false);
+
+    rejects(() => quotas.reserve(admin, '10.0.0.1'), 'containers');
+    // Taking the pool's container adds none
+    quotas.reserve(admin, '10.0.0.1', { warm: true });
+    quotas.releasePooled();
+    assert.deepStrictEqual(quotas.usage(admin).containers, { used: 5, limit: 5 });
+});
+
+test('users who created nothing in the last hour are forgotten', () => {
+    let now = 0;
+    const quotas = new QuotaTracker(limits, { now: () => now });
+    quotas.release(quotas.reserve(alice, '10.0.0.1'));
+    quotas.release(quotas.reserve(bob, '10.0.0.1'));
+
+    now = 60 * 60 * 1000;
+    quotas.reserve(bob, '10.0.0.1');
+    assert.deepStrictEqual(Array.from(quotas.created.keys()), ['bob']);
+});
+
+test('limits are read from the environment and 0 disables one', () => {
+    assert.deepStrictEqual(quotaLimitsFromEnv({}), {
+        sessionsPerUser: 3,
+        sessionsPerIp: 10,
+        sessionsPerHour: 20,
+        maxContainers: 50
+    });
+
+    const configured = quotaLimitsFromEnv({ SESSION_LIMIT_PER_USER: '1', SESSION_LIMIT_PER_HOUR: '0' });
+    assert.strictEqual(configured.sessionsPerUser, 1);
+    assert.strictEqual(configured.sessionsPerHour, Infinity);
+    assert.strictEqual(new QuotaTracker(configured).usage(alice).hourly.limit, null);
+
+    assert.throws(() => quotaLimitsFromEnv({ MAX_CONTAINERS: '-1' }), /Invalid quota limit/);
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+const { RecordingStore } = require('../lib/recordings');
+
+const RECORDING_ID = '6f1c2b7e-3a4d-4e5f-8a9b-0c1d2e3f4a5b';
+
+function tempStore(t, limits) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new RecordingStore(dir, limits);
+}
+
+function readEvents(store, recordingId) {
+    return fs.readFileSync(path.join(store.dir, `${recordingId}.cast`), 'utf8')
+        .trim()
+        .split('\n')
+        .slice(1)
+        .map(line => JSON.parse(line));
+}
+
+test('records output and resizes as asciicast v2', async (t) => {
+    const store = tempStore(t);
+    const session = { id: 'session-1', shellId: RECORDING_ID, owner: 'alice', template: 'ubuntu' };
+    const recorder = store.create(RECORDING_ID, { session, dimensions: { cols: 80, rows: 24 } });
+
+    // A multi-byte character split across two chunks
+    const check = Buffer.from('✓');
+    recorder.output(Buffer.concat([Buffer.from('ok '), check.subarray(0, 1)]));
+    recorder.output(check.subarray(1));
+    recorder.resize(120, 40);
+    recorder.close();
+    await once(recorder.stream, 'close');
+
+    const [header, ...events] = fs.readFileSync(path.join(store.dir, `${RECORDING_ID}.cast`), 'utf8')
+        .trim()
+        .split('\n')
+        .map(line => JSON.parse(line));
+
+    assert.strictEqual(header.version, 2);
+    assert.strictEqual(header.width, 80);
+    assert.deepStrictEqual(header.session, session);
+    assert.deepStrictEqual(events.map(([, code, data]) => [code, data]), [
+        ['o', 'ok '],
+        ['o', '✓'],
+        ['r', '120x40']
+    ]);
+    assert.ok(events.every(([time], i) => i === 0 || time >= events[i - 1][0]));
+
+    const [listed] = await store.list();
+    assert.strictEqual(listed.id, RECORDING_ID);
+    assert.strictEqual(listed.session.owner, 'alice');
+});
+
+test('rejects ids that are not recording ids', async (t) => {
+    const store = tempStore(t);
+
+    assert.strictEqual(await store.get('../../etc/passwd'), null);
+    assert.strictEqual(await store.remove('../secret'), false);
+    assert.throws(() => store.create('nope', { session: {}, dimensions: { cols: 80, rows: 24 } }));
+});
+
+test('remove deletes a recording', async (t) => {
+    const store = tempStore(t);
+    const recorder = store.create(RECORDING_ID, { session: {}, dimensions: { cols: 80, rows: 24 } });
+    recorder.close();
+    await once(recorder.stream, 'close');
+
+    assert.strictEqual(await store.remove(RECORDING_ID), true);
+    assert.strictEqual(await store.get(RECORDING_ID), null);
+    assert.strictEqual(await store.remove(RECORDING_ID), false);
+});
+
+test('recordings stop at their size limit and are marked truncated', async (t) => {
+    const store = tempStore(t, { maxBytes: 1024 });
+    const recorder = store.create(RECORDING_ID, { session: {}, dimensions: { cols: 80, rows: 24 } });
+    for (let i = 0; i < 20; i++) {
+        recorder.output(Buffer.from('x'.repeat(100)));
+    }
+    recorder.close();
+    await once(recorder.stream, 'close');
+
+    const recording = await store.get(RECORDING_ID);
+    assert.ok(recording.size <= 1024 + 64);
+    assert.strictEqual(recording.truncated, true);
+    assert.deepStrictEqual(readEvents(store, RECORDING_ID).pop().slice(1), ['m', 'truncated']);
+});
+
+test('output is dropped while the file is behind, and the gap marked', async (t) => {
+    const store = tempStore(t);
+    const recorder = store.create(RECORDING_ID, { session: {}, dimensions: { cols: 80, rows: 24 } });
+    recorder.output(Buffer.from('x'.repeat(32 * 1024)));
+    recorder.output(Buffer.from('lost'));
+    recorder.output(Buffer.from('also lost'));
+    await once(recorder.stream, 'drain');
+    recorder.output(Buffer.from('kept'));
+    recorder.close();
+    await once(recorder.stream, 'close');
+
+    assert.deepStrictEqual(readEvents(store, RECORDING_ID).slice(1).map(([, code, data]) => [code, data]), [
+        ['m', '2 events dropped'],
+        ['o', 'kept']
+    ]);
+    assert.strictEqual((await store.get(RECORDING_ID)).truncated, false);
+});
+
+test('sweep removes old recordings, then the oldest over the total size', async (t) => {
+    const store = tempStore(t, { maxAgeDays: 30, maxTotalBytes: 1024 });
+    const write = (recordingId, daysAgo, size) => {
+        const header = JSON.stringify({ version: 2, timestamp: Math.floor(Date.now() / 1000) - daysAgo * 86400 });
+        fs.writeFileSync(path.join(store.dir, `${recordingId}.cast`), header.padEnd(size - 1) + '\n');
+    };
+    write('00000000-0000-0000-0000-000000000001', 40, 100);
+    write('00000000-0000-0000-0000-000000000002', 3, 600);
+    write('00000000-0000-0000-0000-000000000003', 2, 600);
+    write('00000000-0000-0000-0000-000000000004', 1, 200);
+
+    assert.strictEqual(await store.sweep(), 2);
+    assert.deepStrictEqual((await store.list()).map(recording => recording.id.slice(-1)), ['4', '3']);
+});
+
+test('sweep leaves recordings that are still being written', async (t) => {
+    const store = tempStore(t, { maxTotalBytes: 1 });
+    const recorder = store.create(RECORDING_ID, { session: {}, dimensions: { cols: 80, rows: 24 } });
+    await once(recorder.stream, 'ready');
+
+    assert.strictEqual(await store.sweep(), 0);
+    recorder.close();
+    await once(recorder.stream, 'close');
+    assert.strictEqual(await store.sweep(), 1);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Role, ShareError, ShellShares, Audience } = require('../lib/sharing');
+
+test('share links are found by token and stop working once revoked', () => {
+    const shares = new ShellShares({ now: () => 0 });
+    const { share, token } = shares.create(Role.VIEWER, 'alice');
+
+    assert.strictEqual(shares.find(token), share);
+    assert.strictEqual(share.createdAt, '1970-01-01T00:00:00.000Z');
+    assert.strictEqual(shares.find('not-a-token'), null);
+    assert.strictEqual(shares.find(undefined), null);
+    assert.deepStrictEqual(shares.list(), [share]);
+
+    shares.revoke(share.id);
+    assert.strictEqual(shares.find(token), null);
+    assert.throws(() => shares.revoke(share.id), (error) => error instanceof ShareError && error.status === 404);
+});
+
+test('share links must carry a known role', () => {
+    const shares = new ShellShares();
+    assert.throws(() => shares.create('owner', 'alice'), ShareError);
+});
+
+test('only drivers can drive', () => {
+    const audience = new Audience();
+    const driver = {};
+    const viewer = {};
+    audience.join(driver, { user: 'alice', role: Role.DRIVER });
+    audience.join(viewer, { user: 'bob', role: Role.VIEWER, shareId: 'share-1' });
+
+    assert.ok(audience.canDrive(driver));
+    assert.ok(!audience.canDrive(viewer));
+    assert.ok(!audience.canDrive({}));
+    assert.deepStrictEqual(audience.clientsForShare('share-1'), [viewer]);
+    assert.deepStrictEqual(audience.list().map(({ user, role }) => [user, role]), [
+        ['alice', 'driver'],
+        ['bob', 'viewer']
+    ]);
+});
+
+test('handing off control swaps the driver and the recipient', () => {
+    const audience = new Audience();
+    const driver = {};
+    const viewer = {};
+    audience.join(driver, { user: 'alice', role: Role.DRIVER });
+    const bob = audience.join(viewer, { user: 'bob', role: Role.VIEWER });
+
+    audience.handoff(driver, bob.id);
+    assert.ok(audience.canDrive(viewer));
+    assert.ok(!audience.canDrive(driver));
+
+    assert.throws(() => audience.handoff(driver, bob.id), (error) => error.status === 403);
+    assert.throws(() => audience.handoff(viewer, 'nobody'), (error) => error.status === 404);
+});
+
+test('leaving removes a participant from presence', () => {
+    const audience = new Audience();
+    const client = {};
+    const participant = audience.join(client, { user: 'alice', role: Role.DRIVER });
+
+    assert.strictEqual(audience.leave(client), participant);
+    assert.strictEqual(audience.leave(client), null);
+    assert.strictEqual(audience.size, 0);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+
+const { summarizeStats, watchStats } = require('../lib/stats');
+
+test('summarizes CPU, memory, pids and network usage', () => {
+    const summary = summarizeStats({
+        cpu_stats: { cpu_usage: { total_usage: 3000 }, system_cpu_usage: 20000, online_cpus: 2 },
+        precpu_stats: { cpu_usage: { total_usage: 2000 }, system_cpu_usage: 10000 },
+        memory_stats: { usage: 150, limit: 1000, stats: { inactive_file: 50 } },
+        pids_stats: { current: 7 },
+        networks: {
+            eth0: { rx_bytes: 100, tx_bytes: 10 },
+            eth1: { rx_bytes: 1, tx_bytes: 2 }
+        }
+    });
+
+    assert.deepStrictEqual(summary, {
+        cpuPercent: 20,
+        memoryBytes: 100,
+        memoryLimitBytes: 1000,
+        pids: 7,
+        network: { rxBytes: 101, txBytes: 12 }
+    });
+});
+
+test('reports unknown values for a first sample or a stopped container', () => {
+    const summary = summarizeStats({ cpu_stats: {}, precpu_stats: {}, memory_stats: {} });
+
+    assert.strictEqual(summary.cpuPercent, null);
+    assert.strictEqual(summary.memoryBytes, null);
+    assert.strictEqual(summary.pids, 0);
+});
+
+test('streams a summary for each stats line, however it is chunked', async () => {
+    const stream = new PassThrough();
+    const samples = [];
+    const stop = await watchStats({ stats: async () => stream }, sample => samples.push(sample));
+
+    const line = JSON.stringify({ memory_stats: { usage: 10, limit: 100 }, pids_stats: { current: 2 } });
+    stream.write(line.slice(0, 10));
+    stream.write(line.slice(10) + '\n' + line);
+    stream.write('\n');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(samples.length, 2);
+    assert.strictEqual(samples[1].memoryBytes, 10);
+    assert.strictEqual(samples[1].pids, 2);
+
+    stop();
+    assert.ok(stream.destroyed);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const { VolumeError, HomeVolumes, volumeName, snapshotId } = require('../lib/volumes');
+
+// Just enough of dockerode for the volume operations
+function fakeDocker() {
+    const volumes = new Map();
+    const notFound = () => Object.assign(new Error('no such volume'), { statusCode: 404 });
+
+    return {
+        volumes,
+        async createVolume({ Name, Labels }) {
+            if (!volumes.has(Name)) {
+                volumes.set(Name, { Name, Labels, CreatedAt: new Date().toISOString(), files: 'initial' });
+            }
+        },
+        getVolume(name) {
+            return {
+                inspect: async () => {
+                    if (!volumes.has(name)) throw notFound();
+                    return volumes.get(name);
+                },
+                remove: async () => {
+                    if (!volumes.delete(name)) throw notFound();
+                }
+            };
+        },
+        async listVolumes() {
+            return { Volumes: Array.from(volumes.values()) };
+        },
+        async df() {
+            return { Volumes: Array.from(volumes.values()).map(volume => ({ ...volume, UsageData: { Size: 2048 } })) };
+        },
+        async createContainer({ Cmd, HostConfig }) {
+            const volume = volumes.get(HostConfig.Binds[0].split(':')[0]);
+            return {
+                // Only the chown helper is ever started
+                start: async () => {
+                    volume.owner = Cmd[1];
+                },
+                wait: async () => ({ StatusCode: 0 }),
+                getArchive: async () => Readable.from([Buffer.from(volume.files)]),
+                putArchive: async (file) => {
+                    volume.files = fs.readFileSync(file, 'utf8');
+                },
+                remove: async () => {}
+            };
+        }
+    };
+}
+
+function setup(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'volumes-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const docker = fakeDocker();
+    const busy = new Set();
+    const volumes = new HomeVolumes({
+        docker,
+        inUse: userId => busy.has(userId),
+        snapshotDir: dir,
+        helperImage: 'helper',
+        ...options
+    });
+    return { docker, busy, volumes };
+}
+
+test('volume names are valid for Docker and distinct per user', () => {
+    const name = volumeName('Alice@example.com');
+    assert.match(name, /^terminal-home-alice-example.com-[0-9a-f]{8}$/);
+    assert.notStrictEqual(volumeName('a/b'), volumeName('a:b'));
+    assert.match(volumeName('../'), /^terminal-home-[0-9a-f]{8}$/);
+    assert.strictEqual(snapshotId(new Date('2024-05-06T07:08:09.123Z')), '20240506T070809Z');
+});
+
+test('mount creates the volume and enforces the size limit', async (t) => {
+    const { docker, volumes } = setup(t, { sizeLimitMb: 1 });
+
+    assert.strictEqual(await volumes.mount('alice', '/root'), `${volumeName('alice')}:/root`);
+    assert.ok(docker.volumes.has(volumeName('alice')));
+
+    volumes.sizes.set(volumeName('alice'), 2 * 1024 * 1024);
+    await assert.rejects(volumes.mount('alice', '/root'), (error) =>
+        error instanceof VolumeError && error.status === 507);
+});
+
+test('mount hands the volume to a non-root container user', async (t) => {
+    const { docker, volumes } = setup(t);
+
+    await volumes.mount('alice', '/root');
+    assert.strictEqual(docker.volumes.get(volumeName('alice')).owner, undefined);
+
+    await volumes.mount('alice', '/root', { owner: '1000:1000' });
+    assert.strictEqual(docker.volumes.get(volumeName('alice')).owner, '1000:1000');
+});
+
+test('snapshots can be restored and are pruned to the newest', async (t) => {
+    const { docker, busy, volumes } = setup(t, { maxSnapshots: 1 });
+    await volumes.mount('alice', '/root');
+
+    const first = await volumes.snapshot('alice');
+    assert.deepStrictEqual((await volumes.listSnapshots('alice')).map(s => s.snapshotId), [first.snapshotId]);
+
+    docker.volumes.get(volumeName('alice')).files = 'changed';
+    busy.add('alice');
+    await assert.rejects(volumes.restore('alice', first.snapshotId), (error) => error.status === 409);
+    busy.delete('alice');
+
+    await volumes.restore('alice', first.snapshotId);
+    assert.strictEqual(docker.volumes.get(volumeName('alice')).files, 'initial');
+
+    await assert.rejects(volumes.restore('alice', '../../etc'), (error) => error.status === 404);
+    await volumes.deleteSnapshot('alice', first.snapshotId);
+    assert.deepStrictEqual(await volumes.listSnapshots('alice'), []);
+});
+
+test('maintenance removes volumes idle past the cleanup policy', async (t) => {
+    const { docker, busy, volumes } = setup(t, { maxIdleDays: 7 });
+    await volumes.mount('alice', '/root');
+    await volumes.mount('bob', '/root');
+    await volumes.mount('carol', '/root');
+
+    const longAgo = Date.now() - 8 * 24 * 60 * 60 * 1000;
+    volumes.lastUsed.set('alice', longAgo);
+    volumes.lastUsed.set('bob', longAgo);
+    busy.add('bob');
+
+    await volumes.maintain();
+
+    assert.ok(!docker.volumes.has(volumeName('alice')));
+    assert.ok(docker.volumes.has(volumeName('bob')));
+    assert.ok(docker.volumes.has(volumeName('carol')));
+    assert.strictEqual(volumes.sizes.get(volumeName('carol')), 2048);
+});
@@ -0,0 +1,11 @@
+"use client";
+
+import AdminConsole from "@/components/AdminConsole";
+
+export default function AdminPage() {
+  return (
+    <div className="min-h-screen p-4 bg-gray-800">
+      <AdminConsole />
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+import { connection } from "next/server";
+import EmbeddedTerminalLoader from "@/components/EmbeddedTerminalLoader";
+import { parseOrigins } from "@/lib/embed";
+
+// Rendered per request, so EMBED_ORIGINS is read at runtime like the middleware's
+export default async function EmbedPage() {
+  await connection();
+  return <EmbeddedTerminalLoader allowedOrigins={parseOrigins(process.env.EMBED_ORIGINS)} />;
+}
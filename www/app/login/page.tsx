@@ -0,0 +1,64 @@
+"use client";
+
+import React, { useState } from 'react';
+import { apiUrl } from '@/lib/api';
+import { setToken } from '@/lib/auth';
+
+// Only same-origin paths are accepted as a redirect target after login
+const safeNext = (next: string | null) =>
+  next && next.startsWith('/') && !next.startsWith('//') ? next : '/terminal';
+
+export default function LoginPage() {
+  const [token, setTokenValue] = useState('');
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+
+  const login = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setChecking(true);
+    setError('');
+    try {
+      const response = await fetch(`${apiUrl()}/api/auth/me`, {
+        headers: { Authorization: `Bearer ${token.trim()}` }
+      });
+      if (response.status === 401) throw new Error('Invalid token');
+      if (!response.ok) throw new Error('Login failed');
+
+      setToken(token.trim());
+      const next = new URLSearchParams(window.location.search).get('next');
+      window.location.assign(safeNext(next));
+    } catch (err) {
+      setError(err instanceof Error && err.message === 'Invalid token'
+        ? 'That token was not accepted'
+        : 'Could not reach the server');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="h-screen flex items-center justify-center bg-gray-800 text-gray-100">
+      <form className="w-full max-w-sm flex flex-col gap-4" onSubmit={login}>
+        <h1 className="text-xl font-semibold">Sign in</h1>
+        <label className="flex flex-col gap-1 text-sm">
+          API token or JWT
+          <input
+            type="password"
+            autoComplete="off"
+            className="px-3 py-2 rounded bg-black border border-gray-600 font-mono"
+            value={token}
+            onChange={event => setTokenValue(event.target.value)}
+          />
+        </label>
+        {error && <div className="bg-red-500 text-white px-4 py-2 rounded">{error}</div>}
+        <button
+          type="submit"
+          className="self-start px-4 py-2 rounded bg-green-600 hover:bg-green-500 disabled:opacity-50"
+          disabled={checking || !token.trim()}
+        >
+          {checking ? 'Checking…' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+"use client";
+
+import dynamic from "next/dynamic";
+import Link from "next/link";
+import { useParams } from "next/navigation";
+
+const RecordingPlayer = dynamic(() => import("@/components/RecordingPlayer"), { ssr: false });
+
+export default function RecordingPage() {
+  const { recordingId } = useParams<{ recordingId: string }>();
+
+  return (
+    <div className="min-h-screen p-4 bg-gray-800 flex flex-col gap-4">
+      <Link href="/recordings" className="text-sm text-gray-400 hover:text-white">
+        ← All recordings
+      </Link>
+      <RecordingPlayer recordingId={recordingId} />
+    </div>
+  );
+}
@@ -0,0 +1,11 @@
+"use client";
+
+import RecordingList from "@/components/RecordingList";
+
+export default function RecordingsPage() {
+  return (
+    <div className="min-h-screen p-4 bg-gray-800">
+      <RecordingList />
+    </div>
+  );
+}
@@ -0,0 +1,11 @@
+"use client";
+
+import SessionDashboard from "@/components/SessionDashboard";
+
+export default function SessionsPage() {
+  return (
+    <div className="min-h-screen p-4 bg-gray-800">
+      <SessionDashboard />
+    </div>
+  );
+}
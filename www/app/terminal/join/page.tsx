@@ -0,0 +1,13 @@
+"use client";
+
+import dynamic from "next/dynamic";
+
+const SharedTerminal = dynamic(() => import("@/components/SharedTerminal"), { ssr: false });
+
+export default function JoinTerminalPage() {
+  return (
+    <div className="h-screen p-4 bg-gray-800">
+      <SharedTerminal />
+    </div>
+  );
+}
@@ -2,12 +2,12 @@
 
 import dynamic from "next/dynamic";
 
-const XtermTerminal = dynamic(() => import("@/components/Terminal"), { ssr: false });
+const TerminalWorkspace = dynamic(() => import("@/components/TerminalWorkspace"), { ssr: false });
 
 export default function TerminalPage() {
   return (
     <div className="h-screen p-4 bg-gray-800">
-      <XtermTerminal />
+      <TerminalWorkspace />
     </div>
   );
 }
@@ -0,0 +1,289 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { Clock, Megaphone, RefreshCw, Trash2 } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { formatBytes, formatDuration } from '@/lib/format';
+import { apiRequest } from '@/lib/sessions';
+import { AUDIT_TYPES, auditPath, type AdminSessionInfo, type AuditEntry, type AuditQuery } from '@/lib/admin';
+
+const REFRESH_INTERVAL = 10000;
+const SEARCH_DELAY = 300;
+const NOTICE_LEVELS = ['info', 'warning', 'error'] as const;
+
+const actionButton = 'p-1 rounded hover:bg-gray-600 disabled:opacity-40';
+const field = 'px-2 py-1 rounded bg-gray-700 text-sm';
+
+const AUDIT_COLUMNS = ['time', 'type', 'user', 'sessionId'];
+
+// Everything but the columns the audit table already shows
+const auditDetails = (entry: AuditEntry) =>
+  Object.entries(entry)
+    .filter(([key, value]) => !AUDIT_COLUMNS.includes(key) && value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' · ');
+
+// Every running session, notices to all terminals and the audit log, for admins
+const AdminConsole = () => {
+  const [sessions, setSessions] = useState<AdminSessionInfo[]>([]);
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [query, setQuery] = useState<AuditQuery>({ q: '', type: '', user: '', session: '' });
+  const [notice, setNotice] = useState('');
+  const [level, setLevel] = useState<typeof NOTICE_LEVELS[number]>('warning');
+  const [status, setStatus] = useState('');
+  const [busy, setBusy] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      const { sessions } = await apiRequest<{ sessions: AdminSessionInfo[] }>('/api/admin/sessions');
+      setSessions(sessions);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load sessions');
+    }
+  }, []);
+
+  const search = useCallback(async () => {
+    try {
+      const { entries } = await apiRequest<{ entries: AuditEntry[] }>(auditPath(query));
+      setEntries(entries);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load the audit log');
+    }
+  }, [query]);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  useEffect(() => {
+    const timer = setTimeout(search, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // Run an action against one session, then reload the session list and audit log
+  const run = async (key: string, action: () => Promise<unknown>) => {
+    setBusy(key);
+    setError('');
+    try {
+      await action();
+      await Promise.all([refresh(), search()]);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Action failed');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const kill = (session: AdminSessionInfo) => {
+    if (!window.confirm(`Kill ${session.owner}'s ${session.template} session? Their unsaved work is lost.`)) return;
+    run(session.sessionId, () => apiRequest(`/api/admin/sessions/${session.sessionId}`, { method: 'DELETE' }));
+  };
+
+  const broadcast = (event: React.FormEvent) => {
+    event.preventDefault();
+    run('notice', async () => {
+      const { sessions } = await apiRequest<{ sessions: number }>('/api/admin/notices', {
+        method: 'POST',
+        body: JSON.stringify({ message: notice, level })
+      });
+      setNotice('');
+      setStatus(`Sent to ${sessions} session${sessions === 1 ? '' : 's'}`);
+    });
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto flex flex-col gap-6 text-gray-100">
+      <div className="flex items-center gap-2">
+        <h1 className="text-xl font-semibold">Admin</h1>
+        <button aria-label="Refresh" className={cn(actionButton, 'ml-auto')} onClick={refresh}>
+          <RefreshCw size={16} />
+        </button>
+        <Link href="/sessions" className="text-sm text-gray-400 hover:text-white">
+          Your sessions
+        </Link>
+      </div>
+
+      {error && (
+        <div className="bg-red-500 text-white px-4 py-2 rounded">
+          {error}
+        </div>
+      )}
+
+      <form className="flex items-center gap-2" onSubmit={broadcast}>
+        <input
+          className={cn(field, 'flex-1')}
+          placeholder="Notice for every connected terminal, e.g. maintenance in 5 minutes"
+          maxLength={500}
+          value={notice}
+          onChange={event => setNotice(event.target.value)}
+        />
+        <select
+          aria-label="Notice level"
+          className={field}
+          value={level}
+          onChange={event => setLevel(event.target.value as typeof level)}
+        >
+          {NOTICE_LEVELS.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+        <button
+          className="flex items-center gap-2 px-3 py-1 rounded bg-green-600 hover:bg-green-500 text-sm disabled:opacity-50"
+          disabled={!notice.trim() || busy === 'notice'}
+        >
+          <Megaphone size={16} />
+          Broadcast
+        </button>
+      </form>
+      {status && <p className="-mt-4 text-sm text-gray-400">{status}</p>}
+
+      <h2 className="text-lg font-semibold">Sessions</h2>
+      {sessions.length === 0 ? (
+        <p className="text-gray-400">No running sessions.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead className="text-left text-gray-400">
+            <tr>
+              <th className="py-1">Owner</th>
+              <th>Template</th>
+              <th>State</th>
+              <th>Age</th>
+              <th>Idle</th>
+              <th>Expires</th>
+              <th>CPU</th>
+              <th>Memory</th>
+              <th>Connected</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.map(session => (
+              <tr key={session.sessionId} className="border-t border-gray-700">
+                <td className="py-2">
+                  <div>{session.owner}</div>
+                  <div className="text-xs text-gray-500 font-mono">{session.sessionId.slice(0, 8)}</div>
+                </td>
+                <td>{session.template}</td>
+                <td className={session.state === 'paused' ? 'text-yellow-400' : 'text-green-400'}>
+                  {session.state}
+                </td>
+                <td>{formatDuration(session.ageSeconds)}</td>
+                <td>{formatDuration(session.idleSeconds)}</td>
+                <td>{new Date(session.expiresAt).toLocaleTimeString()}</td>
+                <td>{session.resources?.cpuPercent ?? '–'}{session.resources?.cpuPercent != null && '%'}</td>
+                <td>
+                  {session.resources?.memoryBytes != null ? formatBytes(session.resources.memoryBytes) : '–'}
+                  {session.resources?.memoryLimitBytes != null && (
+                    <span className="text-gray-500"> / {formatBytes(session.resources.memoryLimitBytes)}</span>
+                  )}
+                </td>
+                <td className="text-xs">
+                  {session.participants.length === 0
+                    ? <span className="text-gray-500">nobody</span>
+                    : session.participants.map(p => `${p.user}${p.role === 'viewer' ? ' (viewing)' : ''}`).join(', ')}
+                </td>
+                <td>
+                  <div className="flex justify-end gap-1">
+                    <button
+                      aria-label="Extend"
+                      className={actionButton}
+                      disabled={busy === session.sessionId}
+                      onClick={() => run(session.sessionId, () =>
+                        apiRequest(`/api/admin/sessions/${session.sessionId}/extend`, { method: 'POST', body: '{}' }))}
+                    >
+                      <Clock size={16} />
+                    </button>
+                    <button
+                      aria-label="Kill"
+                      className={actionButton}
+                      disabled={busy === session.sessionId}
+                      onClick={() => kill(session)}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h2 className="text-lg font-semibold">Audit log</h2>
+      <div className="flex gap-2">
+        <input
+          aria-label="Search the audit log"
+          className={cn(field, 'flex-1')}
+          placeholder="Search, e.g. a command"
+          value={query.q}
+          onChange={event => setQuery({ ...query, q: event.target.value })}
+        />
+        <select
+          aria-label="Event type"
+          className={field}
+          value={query.type}
+          onChange={event => setQuery({ ...query, type: event.target.value as AuditQuery['type'] })}
+        >
+          <option value="">All events</option>
+          {AUDIT_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <input
+          aria-label="User"
+          className={cn(field, 'w-32')}
+          placeholder="User"
+          value={query.user}
+          onChange={event => setQuery({ ...query, user: event.target.value })}
+        />
+        <input
+          aria-label="Session"
+          className={cn(field, 'w-32 font-mono')}
+          placeholder="Session"
+          value={query.session}
+          onChange={event => setQuery({ ...query, session: event.target.value })}
+        />
+      </div>
+      {entries.length === 0 ? (
+        <p className="text-gray-400">No matching events.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead className="text-left text-gray-400">
+            <tr>
+              <th className="py-1">Time</th>
+              <th>Event</th>
+              <th>User</th>
+              <th>Session</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry, index) => (
+              <tr key={`${entry.time}-${index}`} className="border-t border-gray-700 align-top">
+                <td className="py-1 whitespace-nowrap">{new Date(entry.time).toLocaleString()}</td>
+                <td className={cn('whitespace-nowrap', entry.type === 'command-blocked' && 'text-red-400')}>
+                  {entry.type}
+                </td>
+                <td>{entry.user ?? '–'}</td>
+                <td className="font-mono text-xs">
+                  {entry.sessionId ? (
+                    <button
+                      className="hover:text-white text-gray-300"
+                      title="Show this session's events"
+                      onClick={() => setQuery({ ...query, session: entry.sessionId })}
+                    >
+                      {entry.sessionId.slice(0, 8)}
+                    </button>
+                  ) : '–'}
+                </td>
+                <td className="text-gray-300 break-all">{auditDetails(entry)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default AdminConsole;
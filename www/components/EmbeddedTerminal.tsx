@@ -0,0 +1,112 @@
+"use client";
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { TerminalClient } from '@/lib/terminal-client';
+import { EMBED_SOURCE, isEmbedCommand, parseEmbedOptions, type EmbedEvent } from '@/lib/embed';
+import WebTerminal, { type WebTerminalHandle } from '@/components/WebTerminal';
+
+const referrerOrigin = () => {
+  try {
+    return document.referrer ? new URL(document.referrer).origin : null;
+  } catch {
+    return null;
+  }
+};
+
+interface EmbeddedTerminalProps {
+  // Origins that may embed the page and send it commands, from the server
+  allowedOrigins: string[];
+}
+
+// The terminal of the /embed page and its postMessage API (see lib/embed.ts)
+const EmbeddedTerminal = ({ allowedOrigins }: EmbeddedTerminalProps) => {
+  const [options] = useState(() => parseEmbedOptions(window.location));
+  const [token, setToken] = useState(options.token ?? null);
+  const [ended, setEnded] = useState(false);
+  const terminalRef = useRef<WebTerminalHandle>(null);
+  const embedded = window.parent !== window;
+  const [parentOrigin, setParentOrigin] = useState(() => {
+    const origin = referrerOrigin();
+    return origin && allowedOrigins.includes(origin) ? origin : null;
+  });
+
+  const post = (event: EmbedEvent) => {
+    if (embedded && parentOrigin) {
+      window.parent.postMessage({ source: EMBED_SOURCE, ...event }, parentOrigin);
+    }
+  };
+  const postRef = useRef(post);
+  postRef.current = post;
+
+  // Inside an iframe, being sent to the login page would not help anyone
+  const client = useMemo(() => token ? new TerminalClient({
+    token,
+    onUnauthorized: () => postRef.current({ type: 'unauthorized' })
+  }) : null, [token]);
+
+  useEffect(() => {
+    // Keep the credential out of the frame's history
+    if (window.location.hash) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  }, []);
+
+  useEffect(() => {
+    const receive = (event: MessageEvent) => {
+      if (event.source !== window.parent || !allowedOrigins.includes(event.origin) || !isEmbedCommand(event.data)) return;
+      if (parentOrigin && event.origin !== parentOrigin) return;
+      setParentOrigin(event.origin);
+      const command = event.data;
+      switch (command.type) {
+        case 'init': {
+          const initToken = command.token;
+          if (typeof initToken === 'string' && initToken) setToken(current => current ?? initToken);
+          break;
+        }
+        case 'input':
+          if (typeof command.data === 'string') terminalRef.current?.write(command.data);
+          break;
+        case 'run':
+          if (typeof command.command === 'string') terminalRef.current?.run(command.command);
+          break;
+        case 'focus':
+          terminalRef.current?.focus();
+          break;
+        case 'end':
+          setEnded(true);
+          break;
+      }
+    };
+    window.addEventListener('message', receive);
+    return () => window.removeEventListener('message', receive);
+  }, [allowedOrigins, parentOrigin]);
+
+  if (ended || !client) {
+    return (
+      <div className="h-screen flex items-center justify-center bg-black text-gray-400">
+        {ended ? 'Session ended' : 'Waiting for credentials'}
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-screen bg-black">
+      <WebTerminal
+        ref={terminalRef}
+        client={client}
+        sessionId={options.sessionId}
+        template={options.template}
+        theme={options.theme}
+        settings={options.fontSize ? { fontSize: options.fontSize } : undefined}
+        initialCommand={options.command}
+        onSession={sessionId => post({ type: 'session', sessionId })}
+        onReady={hello => post({ type: 'ready', sessionId: hello.sessionId, shellId: hello.shellId })}
+        onExit={exit => post({ type: 'exit', code: exit.code, reason: exit.reason })}
+        onStateChange={state => post({ type: 'state', state })}
+        onError={message => post({ type: 'error', message })}
+      />
+    </div>
+  );
+};
+
+export default EmbeddedTerminal;
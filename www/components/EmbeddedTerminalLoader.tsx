@@ -0,0 +1,11 @@
+"use client";
+
+import dynamic from 'next/dynamic';
+
+const EmbeddedTerminal = dynamic(() => import('@/components/EmbeddedTerminal'), { ssr: false });
+
+// The terminal needs the browser, so it is loaded on the client only
+const EmbeddedTerminalLoader = ({ allowedOrigins }: { allowedOrigins: string[] }) =>
+  <EmbeddedTerminal allowedOrigins={allowedOrigins} />;
+
+export default EmbeddedTerminalLoader;
@@ -0,0 +1,109 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { ArrowUp, Download, File, Folder, RefreshCw, X } from 'lucide-react';
+import { formatBytes } from '@/lib/format';
+import { downloadPath, listDirectory, type DirectoryListing, type FileEntry } from '@/lib/files';
+
+const joinPath = (dir: string, name: string) => `${dir.replace(/\/$/, '')}/${name}`;
+
+const parentPath = (dir: string) => dir.replace(/\/[^/]+\/?$/, '') || '/';
+
+interface FileBrowserProps {
+  sessionId: string;
+  onClose: () => void;
+}
+
+// Browse the session container and download files or directories
+const FileBrowser = ({ sessionId, onClose }: FileBrowserProps) => {
+  const [listing, setListing] = useState<DirectoryListing | null>(null);
+  // The first directory shown; the backend serves nothing above it
+  const [home, setHome] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  const open = useCallback(async (path?: string) => {
+    try {
+      const next = await listDirectory(sessionId, path);
+      if (path === undefined) setHome(next.path);
+      setListing(next);
+      setError('');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to list directory');
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    open();
+  }, [open]);
+
+  const download = async (entry: FileEntry) => {
+    if (!listing) return;
+    try {
+      await downloadPath(sessionId, joinPath(listing.path, entry.name), entry.type === 'directory');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Download failed');
+    }
+  };
+
+  return (
+    <div className="w-72 flex flex-col bg-gray-900 rounded-lg text-sm text-gray-200 overflow-hidden">
+      <div className="flex items-center gap-1 px-2 py-1 border-b border-gray-700">
+        <button
+          aria-label="Parent directory"
+          className="p-1 hover:bg-gray-700 rounded disabled:opacity-40"
+          disabled={!listing || listing.path === home}
+          onClick={() => listing && open(parentPath(listing.path))}
+        >
+          <ArrowUp size={14} />
+        </button>
+        <span className="flex-1 truncate font-mono text-xs" title={listing?.path}>
+          {listing?.path}
+        </span>
+        <button
+          aria-label="Refresh"
+          className="p-1 hover:bg-gray-700 rounded"
+          onClick={() => open(listing?.path)}
+        >
+          <RefreshCw size={14} />
+        </button>
+        <button aria-label="Close file browser" className="p-1 hover:bg-gray-700 rounded" onClick={onClose}>
+          <X size={14} />
+        </button>
+      </div>
+      {error && <div className="bg-red-500 text-white px-2 py-1">{error}</div>}
+      <ul className="flex-1 overflow-y-auto">
+        {listing?.entries.map(entry => (
+          <li key={entry.name} className="group flex items-center gap-2 px-2 py-1 hover:bg-gray-800">
+            {entry.type === 'directory' ? (
+              <button
+                className="flex flex-1 min-w-0 items-center gap-2 text-left"
+                onClick={() => open(joinPath(listing.path, entry.name))}
+              >
+                <Folder size={14} className="shrink-0 text-yellow-400" />
+                <span className="truncate">{entry.name}</span>
+              </button>
+            ) : (
+              <span className="flex flex-1 min-w-0 items-center gap-2">
+                <File size={14} className="shrink-0 text-gray-400" />
+                <span className="truncate">{entry.name}</span>
+                <span className="ml-auto shrink-0 text-xs text-gray-500">{formatBytes(entry.size)}</span>
+              </span>
+            )}
+            <button
+              aria-label={`Download ${entry.name}`}
+              className="p-1 rounded opacity-0 group-hover:opacity-100 hover:bg-gray-700"
+              onClick={() => download(entry)}
+            >
+              <Download size={14} />
+            </button>
+          </li>
+        ))}
+        {listing?.truncated && (
+          <li className="px-2 py-1 text-xs text-gray-500">Only the first entries are shown</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default FileBrowser;
@@ -0,0 +1,123 @@
+"use client";
+
+import React, { useState } from 'react';
+import { Eye, Keyboard, Share2, X } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { createShareLink, listShares, revokeShare, type ShareInfo } from '@/lib/sharing';
+import type { Participant, Role } from '@/lib/protocol';
+
+interface PresenceBarProps {
+  sessionId: string;
+  shellId: string | null;
+  participants: Participant[];
+  participantId: string | null;
+  // Only the session's owner (or an admin) can create and revoke share links
+  canShare: boolean;
+  onHandoff: (participantId: string) => void;
+}
+
+// Who is attached to a shell, who is driving, and the shell's share links
+const PresenceBar = ({ sessionId, shellId, participants, participantId, canShare, onHandoff }: PresenceBarProps) => {
+  const [showShares, setShowShares] = useState(false);
+  const [shares, setShares] = useState<ShareInfo[]>([]);
+  const [notice, setNotice] = useState('');
+
+  const self = participants.find(participant => participant.id === participantId);
+  const driving = self?.role === 'driver';
+
+  const loadShares = async () => {
+    if (!shellId) return;
+    try {
+      setShares(await listShares(sessionId, shellId));
+    } catch (err) {
+      setNotice(err instanceof Error ? err.message : 'Failed to load share links');
+    }
+  };
+
+  const toggleShares = () => {
+    if (!showShares) loadShares();
+    setShowShares(!showShares);
+  };
+
+  const share = async (role: Role) => {
+    if (!shellId) return;
+    try {
+      const link = await createShareLink(sessionId, shellId, role);
+      await navigator.clipboard.writeText(link);
+      setNotice(`Copied ${role} link`);
+      await loadShares();
+    } catch (err) {
+      setNotice(err instanceof Error ? err.message : 'Failed to create share link');
+    }
+  };
+
+  const revoke = async (shareId: string) => {
+    if (!shellId) return;
+    try {
+      await revokeShare(sessionId, shellId, shareId);
+      await loadShares();
+    } catch (err) {
+      setNotice(err instanceof Error ? err.message : 'Failed to revoke share link');
+    }
+  };
+
+  if (participants.length <= 1 && !canShare) {
+    return null;
+  }
+
+  return (
+    <div className="relative h-6 px-2 flex items-center gap-2 text-xs text-gray-300 border-b border-gray-800">
+      <span className={cn('px-1 rounded', driving ? 'bg-green-700' : 'bg-gray-700')}>
+        {driving ? 'Driving' : 'Read-only'}
+      </span>
+      {participants.map(participant => (
+        <span
+          key={participant.id}
+          className={cn('flex items-center gap-1', participant.id === participantId && 'text-white')}
+          title={`${participant.user} (${participant.role})`}
+        >
+          {participant.role === 'driver' ? <Keyboard size={12} /> : <Eye size={12} />}
+          {participant.user}
+          {driving && participant.role === 'viewer' && (
+            <button className="underline text-gray-400 hover:text-white" onClick={() => onHandoff(participant.id)}>
+              hand control
+            </button>
+          )}
+        </span>
+      ))}
+      {notice && <span className="text-gray-500">{notice}</span>}
+      {canShare && shellId && (
+        <button
+          aria-label="Share shell"
+          className={cn('ml-auto p-0.5 rounded hover:bg-gray-600', showShares && 'bg-gray-600')}
+          onClick={toggleShares}
+        >
+          <Share2 size={12} />
+        </button>
+      )}
+      {showShares && (
+        <div className="absolute right-2 top-6 z-20 w-64 p-2 flex flex-col gap-2 bg-gray-900 border border-gray-700 rounded">
+          <div className="flex gap-2">
+            <button className="flex-1 px-2 py-1 bg-gray-700 rounded hover:bg-gray-600" onClick={() => share('viewer')}>
+              Copy viewer link
+            </button>
+            <button className="flex-1 px-2 py-1 bg-gray-700 rounded hover:bg-gray-600" onClick={() => share('driver')}>
+              Copy driver link
+            </button>
+          </div>
+          {shares.length === 0 && <span className="text-gray-500">No active share links</span>}
+          {shares.map(item => (
+            <div key={item.shareId} className="flex items-center gap-2">
+              <span className="flex-1">{item.role} link, {new Date(item.createdAt).toLocaleTimeString()}</span>
+              <button aria-label="Revoke share link" className="hover:text-red-400" onClick={() => revoke(item.shareId)}>
+                <X size={12} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PresenceBar;
@@ -0,0 +1,117 @@
+"use client";
+
+import React, { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { Download, Trash2 } from 'lucide-react';
+import { apiFetch } from '@/lib/api';
+import { formatBytes } from '@/lib/format';
+
+interface RecordingInfo {
+  recordingId: string;
+  sessionId: string;
+  owner: string;
+  template: string;
+  title: string;
+  startedAt: string;
+  size: number;
+  // Stopped at the server's size limit
+  truncated: boolean;
+}
+
+const RecordingList = () => {
+  const [recordings, setRecordings] = useState<RecordingInfo[]>([]);
+  const [enabled, setEnabled] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadRecordings = async () => {
+      try {
+        const response = await apiFetch('/api/recordings');
+        if (!response.ok) throw new Error('Failed to load recordings');
+        const { enabled, recordings } = await response.json();
+        setEnabled(enabled);
+        setRecordings(recordings);
+      } catch {
+        setError('Failed to load recordings');
+      }
+    };
+
+    loadRecordings();
+  }, []);
+
+  // The download needs the auth header, so it cannot be a plain link
+  const download = async (recordingId: string) => {
+    try {
+      const response = await apiFetch(`/api/recordings/${recordingId}`);
+      if (!response.ok) throw new Error('Download failed');
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${recordingId}.cast`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      setError('Failed to download recording');
+    }
+  };
+
+  const remove = async (recordingId: string) => {
+    if (!window.confirm('Delete this recording?')) return;
+    try {
+      const response = await apiFetch(`/api/recordings/${recordingId}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error('Delete failed');
+      setRecordings(recordings.filter(recording => recording.recordingId !== recordingId));
+    } catch {
+      setError('Failed to delete recording');
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto flex flex-col gap-4 text-gray-100">
+      <h1 className="text-xl font-semibold">Recordings</h1>
+      {error && (
+        <div className="bg-red-500 text-white px-4 py-2 rounded">
+          {error}
+        </div>
+      )}
+      {!enabled && (
+        <p className="text-gray-400">Session recording is not enabled on this server.</p>
+      )}
+      {enabled && recordings.length === 0 && !error && (
+        <p className="text-gray-400">No recordings yet.</p>
+      )}
+      <ul className="flex flex-col gap-2">
+        {recordings.map(recording => (
+          <li
+            key={recording.recordingId}
+            className="flex items-center gap-4 p-3 rounded-lg bg-gray-700"
+          >
+            <Link href={`/recordings/${recording.recordingId}`} className="flex-1 min-w-0 hover:underline">
+              <div className="font-medium truncate">{recording.title}</div>
+              <div className="text-xs text-gray-400">
+                {new Date(recording.startedAt).toLocaleString()} · {recording.owner} · {formatBytes(recording.size)}
+                {recording.truncated && <span className="text-yellow-400"> · truncated</span>}
+              </div>
+            </Link>
+            <button
+              aria-label="Download recording"
+              className="p-1 hover:bg-gray-600 rounded"
+              onClick={() => download(recording.recordingId)}
+            >
+              <Download size={16} />
+            </button>
+            <button
+              aria-label="Delete recording"
+              className="p-1 hover:bg-gray-600 rounded"
+              onClick={() => remove(recording.recordingId)}
+            >
+              <Trash2 size={16} />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RecordingList;
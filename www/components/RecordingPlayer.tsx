@@ -0,0 +1,194 @@
+"use client";
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Terminal } from 'xterm';
+import 'xterm/css/xterm.css';
+import { Pause, Play } from 'lucide-react';
+import { apiFetch } from '@/lib/api';
+import { parseAsciicast, parseSize, type Asciicast } from '@/lib/asciicast';
+import { terminalOptions } from '@/lib/terminal-theme';
+import { getSettings, useTerminalSettings } from '@/lib/settings';
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+const formatTime = (seconds: number) => {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+interface RecordingPlayerProps {
+  recordingId: string;
+}
+
+// Replays an asciicast recording in xterm with play/pause, seek and speed controls
+const RecordingPlayer = ({ recordingId }: RecordingPlayerProps) => {
+  const terminalRef = useRef<HTMLDivElement>(null);
+  const xtermRef = useRef<Terminal | null>(null);
+  const castRef = useRef<Asciicast | null>(null);
+  // Index of the next event to write, and the playback clock in seconds
+  const nextEventRef = useRef(0);
+  const positionRef = useRef(0);
+  const frameRef = useRef<number | null>(null);
+  const speedRef = useRef(1);
+
+  const [duration, setDuration] = useState(0);
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [error, setError] = useState('');
+  const settings = useTerminalSettings();
+
+  // Write every event up to the current position
+  const advance = useCallback(() => {
+    const term = xtermRef.current;
+    const cast = castRef.current;
+    if (!term || !cast) return;
+
+    while (nextEventRef.current < cast.events.length) {
+      const [time, code, data] = cast.events[nextEventRef.current];
+      if (time > positionRef.current) break;
+
+      if (code === 'o') {
+        term.write(data);
+      } else if (code === 'r') {
+        const size = parseSize(data);
+        if (size) term.resize(size.cols, size.rows);
+      }
+      nextEventRef.current++;
+    }
+  }, []);
+
+  const stop = useCallback(() => {
+    if (frameRef.current !== null) cancelAnimationFrame(frameRef.current);
+    frameRef.current = null;
+    setPlaying(false);
+  }, []);
+
+  // Jump to a position by replaying the recording from the start
+  const seek = useCallback((target: number) => {
+    const term = xtermRef.current;
+    const cast = castRef.current;
+    if (!term || !cast) return;
+
+    term.reset();
+    term.resize(cast.header.width, cast.header.height);
+    nextEventRef.current = 0;
+    positionRef.current = target;
+    advance();
+    setPosition(target);
+  }, [advance]);
+
+  const play = useCallback(() => {
+    const cast = castRef.current;
+    if (!cast) return;
+
+    // Start over when play is pressed at the end
+    if (positionRef.current >= cast.duration) seek(0);
+
+    let last = performance.now();
+    const tick = (now: number) => {
+      positionRef.current = Math.min(positionRef.current + ((now - last) / 1000) * speedRef.current, cast.duration);
+      last = now;
+      advance();
+      setPosition(positionRef.current);
+
+      if (positionRef.current >= cast.duration) {
+        stop();
+        return;
+      }
+      frameRef.current = requestAnimationFrame(tick);
+    };
+
+    setPlaying(true);
+    frameRef.current = requestAnimationFrame(tick);
+  }, [advance, seek, stop]);
+
+  // Playback looks like the user's live terminals
+  useEffect(() => {
+    if (xtermRef.current) xtermRef.current.options = { ...terminalOptions(settings), cursorBlink: false };
+  }, [settings]);
+
+  useEffect(() => {
+    if (!terminalRef.current) return;
+
+    const term = new Terminal({ ...terminalOptions(getSettings()), disableStdin: true, cursorBlink: false });
+    term.open(terminalRef.current);
+    xtermRef.current = term;
+
+    const load = async () => {
+      try {
+        const response = await apiFetch(`/api/recordings/${recordingId}`);
+        if (!response.ok) throw new Error('Failed to load recording');
+
+        const cast = parseAsciicast(await response.text());
+        castRef.current = cast;
+        term.resize(cast.header.width, cast.header.height);
+        setDuration(cast.duration);
+      } catch {
+        setError('Failed to load recording');
+      }
+    };
+    load();
+
+    return () => {
+      if (frameRef.current !== null) cancelAnimationFrame(frameRef.current);
+      term.dispose();
+    };
+  }, [recordingId]);
+
+  const changeSpeed = (value: number) => {
+    speedRef.current = value;
+    setSpeed(value);
+  };
+
+  if (error) {
+    return (
+      <div className="bg-red-500 text-white px-4 py-2 rounded">
+        {error}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-3 text-gray-200">
+      <div className="bg-black rounded-lg overflow-auto p-2">
+        <div ref={terminalRef} />
+      </div>
+      <div className="flex items-center gap-3 text-sm">
+        <button
+          aria-label={playing ? 'Pause' : 'Play'}
+          className="p-1 hover:bg-gray-600 rounded disabled:opacity-40"
+          disabled={duration === 0}
+          onClick={playing ? stop : play}
+        >
+          {playing ? <Pause size={18} /> : <Play size={18} />}
+        </button>
+        <span className="font-mono w-24">
+          {formatTime(position)} / {formatTime(duration)}
+        </span>
+        <input
+          aria-label="Seek"
+          type="range"
+          className="flex-1"
+          min={0}
+          max={duration}
+          step={0.1}
+          value={position}
+          onChange={event => seek(Number(event.target.value))}
+        />
+        <select
+          aria-label="Playback speed"
+          className="bg-gray-700 rounded px-2 py-1"
+          value={speed}
+          onChange={event => changeSpeed(Number(event.target.value))}
+        >
+          {SPEEDS.map(value => (
+            <option key={value} value={value}>{value}×</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default RecordingPlayer;
@@ -0,0 +1,78 @@
+"use client";
+
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, X } from 'lucide-react';
+import type { SearchAddon } from 'xterm-addon-search';
+import { cn } from '@/lib/utils';
+
+interface SearchBarProps {
+  search: SearchAddon;
+  onClose: () => void;
+}
+
+// Find in the terminal's buffer: Enter for the next match, Shift+Enter for
+// the previous one, Escape to close
+const SearchBar = ({ search, onClose }: SearchBarProps) => {
+  const [query, setQuery] = useState('');
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [notFound, setNotFound] = useState(false);
+
+  const find = (backwards: boolean, term = query, incremental = false) => {
+    if (!term) {
+      search.clearDecorations();
+      setNotFound(false);
+      return;
+    }
+    const options = { caseSensitive, incremental };
+    setNotFound(!(backwards ? search.findPrevious(term, options) : search.findNext(term, options)));
+  };
+
+  const close = () => {
+    search.clearDecorations();
+    onClose();
+  };
+
+  return (
+    <div className="absolute top-2 right-2 z-10 flex items-center gap-1 px-2 py-1 bg-gray-800 text-gray-200 text-sm rounded shadow">
+      <input
+        autoFocus
+        aria-label="Find"
+        placeholder="Find"
+        className={cn('w-40 px-2 py-0.5 rounded bg-black border', notFound ? 'border-red-500' : 'border-gray-600')}
+        value={query}
+        onChange={event => {
+          setQuery(event.target.value);
+          // Typing extends the current match rather than moving past it
+          find(false, event.target.value, true);
+        }}
+        onKeyDown={event => {
+          if (event.key === 'Enter') {
+            event.preventDefault();
+            find(event.shiftKey);
+          } else if (event.key === 'Escape') {
+            close();
+          }
+        }}
+      />
+      <button
+        aria-label="Match case"
+        title="Match case"
+        className={cn('px-1 rounded font-mono', caseSensitive ? 'bg-gray-600' : 'hover:bg-gray-700')}
+        onClick={() => setCaseSensitive(!caseSensitive)}
+      >
+        Aa
+      </button>
+      <button aria-label="Previous match" className="p-1 hover:bg-gray-700 rounded" onClick={() => find(true)}>
+        <ChevronUp size={14} />
+      </button>
+      <button aria-label="Next match" className="p-1 hover:bg-gray-700 rounded" onClick={() => find(false)}>
+        <ChevronDown size={14} />
+      </button>
+      <button aria-label="Close find" className="p-1 hover:bg-gray-700 rounded" onClick={close}>
+        <X size={14} />
+      </button>
+    </div>
+  );
+};
+
+export default SearchBar;
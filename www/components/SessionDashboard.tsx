@@ -0,0 +1,243 @@
+"use client";
+
+import React, { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { Camera, Clock, Pause, Play, RefreshCw, ShieldCheck, SquareTerminal, Trash2 } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { formatBytes, formatDuration } from '@/lib/format';
+import { apiRequest, type SessionInfo, type SnapshotImage } from '@/lib/sessions';
+
+const REFRESH_INTERVAL = 10000;
+
+const actionButton = 'p-1 rounded hover:bg-gray-600 disabled:opacity-40';
+
+// Lists the caller's sessions and image snapshots, with lifecycle actions
+const SessionDashboard = () => {
+  const [sessions, setSessions] = useState<SessionInfo[]>([]);
+  const [images, setImages] = useState<SnapshotImage[]>([]);
+  const [busy, setBusy] = useState<string | null>(null);
+  const [error, setError] = useState('');
+  const [isAdmin, setIsAdmin] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [{ sessions }, { images }] = await Promise.all([
+        apiRequest<{ sessions: SessionInfo[] }>('/api/sessions'),
+        apiRequest<{ images: SnapshotImage[] }>('/api/images')
+      ]);
+      setSessions(sessions);
+      setImages(images);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load sessions');
+    }
+  }, []);
+
+  useEffect(() => {
+    apiRequest<{ user: { role: string } }>('/api/auth/me')
+      .then(({ user }) => setIsAdmin(user.role === 'admin'))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  // Run an action against one session or image, then reload the lists
+  const run = async (key: string, action: () => Promise<unknown>) => {
+    setBusy(key);
+    setError('');
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Action failed');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const snapshot = (sessionId: string) => {
+    const description = window.prompt('Describe this snapshot (optional)');
+    if (description === null) return;
+    run(sessionId, () => apiRequest(`/api/sessions/${sessionId}/snapshot`, {
+      method: 'POST',
+      body: JSON.stringify({ description })
+    }));
+  };
+
+  const terminate = (sessionId: string) => {
+    if (!window.confirm('Terminate this session? Unsaved work outside a persistent home is lost.')) return;
+    run(sessionId, () => apiRequest(`/api/sessions/${sessionId}`, { method: 'DELETE' }));
+  };
+
+  const startFromImage = (imageId: string) => run(imageId, async () => {
+    const { sessionId } = await apiRequest<{ sessionId: string }>('/api/sessions', {
+      method: 'POST',
+      body: JSON.stringify({ image: imageId, cols: 80, rows: 24 })
+    });
+    window.location.assign(`/terminal?session=${sessionId}`);
+  });
+
+  const deleteImage = (imageId: string) => {
+    if (!window.confirm('Delete this snapshot image?')) return;
+    run(imageId, () => apiRequest(`/api/images/${encodeURIComponent(imageId)}`, { method: 'DELETE' }));
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto flex flex-col gap-6 text-gray-100">
+      <div className="flex items-center gap-2">
+        <h1 className="text-xl font-semibold">Sessions</h1>
+        <button aria-label="Refresh" className={cn(actionButton, 'ml-auto')} onClick={refresh}>
+          <RefreshCw size={16} />
+        </button>
+        {isAdmin && (
+          <Link aria-label="Admin" className={actionButton} href="/admin">
+            <ShieldCheck size={16} />
+          </Link>
+        )}
+        <Link href="/terminal" className="px-3 py-1 rounded bg-green-600 hover:bg-green-500 text-sm">
+          New session
+        </Link>
+      </div>
+
+      {error && (
+        <div className="bg-red-500 text-white px-4 py-2 rounded">
+          {error}
+        </div>
+      )}
+
+      {sessions.length === 0 ? (
+        <p className="text-gray-400">No running sessions.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead className="text-left text-gray-400">
+            <tr>
+              <th className="py-1">Template</th>
+              <th>State</th>
+              <th>Age</th>
+              <th>Idle</th>
+              <th>Expires</th>
+              <th>CPU</th>
+              <th>Memory</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.map(session => (
+              <tr key={session.sessionId} className="border-t border-gray-700">
+                <td className="py-2">
+                  <div>{session.template}</div>
+                  <div className="text-xs text-gray-500 font-mono">{session.sessionId.slice(0, 8)}</div>
+                  <div
+                    className="text-xs text-gray-500"
+                    title={`user ${session.security.user}, seccomp ${session.security.seccomp}, ` +
+                      `${session.security.readOnlyRootfs ? 'read-only' : 'writable'} root filesystem`}
+                  >
+                    {session.security.profile} · egress {session.security.egress.mode}
+                  </div>
+                </td>
+                <td className={session.state === 'paused' ? 'text-yellow-400' : 'text-green-400'}>
+                  {session.state}
+                </td>
+                <td>{formatDuration(session.ageSeconds)}</td>
+                <td>{formatDuration(session.idleSeconds)}</td>
+                <td>{new Date(session.expiresAt).toLocaleTimeString()}</td>
+                <td>{session.resources?.cpuPercent ?? '–'}{session.resources?.cpuPercent != null && '%'}</td>
+                <td>
+                  {session.resources?.memoryBytes != null ? formatBytes(session.resources.memoryBytes) : '–'}
+                  {session.resources?.memoryLimitBytes != null && (
+                    <span className="text-gray-500"> / {formatBytes(session.resources.memoryLimitBytes)}</span>
+                  )}
+                </td>
+                <td>
+                  <div className="flex justify-end gap-1">
+                    <Link
+                      aria-label="Open terminal"
+                      className={actionButton}
+                      href={`/terminal?session=${session.sessionId}`}
+                    >
+                      <SquareTerminal size={16} />
+                    </Link>
+                    <button
+                      aria-label="Extend"
+                      className={actionButton}
+                      disabled={busy === session.sessionId}
+                      onClick={() => run(session.sessionId, () =>
+                        apiRequest(`/api/sessions/${session.sessionId}/extend`, { method: 'POST', body: '{}' }))}
+                    >
+                      <Clock size={16} />
+                    </button>
+                    <button
+                      aria-label={session.state === 'paused' ? 'Resume' : 'Pause'}
+                      className={actionButton}
+                      disabled={busy === session.sessionId}
+                      onClick={() => run(session.sessionId, () => apiRequest(
+                        `/api/sessions/${session.sessionId}/${session.state === 'paused' ? 'resume' : 'pause'}`,
+                        { method: 'POST' }
+                      ))}
+                    >
+                      {session.state === 'paused' ? <Play size={16} /> : <Pause size={16} />}
+                    </button>
+                    <button
+                      aria-label="Snapshot"
+                      className={actionButton}
+                      disabled={busy === session.sessionId}
+                      onClick={() => snapshot(session.sessionId)}
+                    >
+                      <Camera size={16} />
+                    </button>
+                    <button
+                      aria-label="Terminate"
+                      className={actionButton}
+                      disabled={busy === session.sessionId}
+                      onClick={() => terminate(session.sessionId)}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h2 className="text-lg font-semibold">Snapshots</h2>
+      {images.length === 0 ? (
+        <p className="text-gray-400">No snapshots yet. Snapshot a session to reuse its environment.</p>
+      ) : (
+        <ul className="flex flex-col gap-2">
+          {images.map(image => (
+            <li key={image.imageId} className="flex items-center gap-4 p-3 rounded-lg bg-gray-700 text-sm">
+              <div className="flex-1 min-w-0">
+                <div className="font-medium truncate">{image.description || image.image}</div>
+                <div className="text-xs text-gray-400">
+                  {image.template} · {new Date(image.createdAt).toLocaleString()} · {formatBytes(image.sizeBytes)}
+                </div>
+              </div>
+              <button
+                className="px-3 py-1 rounded bg-green-600 hover:bg-green-500 disabled:opacity-50"
+                disabled={busy === image.imageId}
+                onClick={() => startFromImage(image.imageId)}
+              >
+                Start session
+              </button>
+              <button
+                aria-label="Delete snapshot"
+                className={actionButton}
+                disabled={busy === image.imageId}
+                onClick={() => deleteImage(image.imageId)}
+              >
+                <Trash2 size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionDashboard;
@@ -0,0 +1,130 @@
+"use client";
+
+import React from 'react';
+import { RotateCcw, X } from 'lucide-react';
+import { FONT_FAMILIES, THEMES } from '@/lib/terminal-theme';
+import {
+  FONT_SIZE_RANGE,
+  resetSettings,
+  updateSettings,
+  useTerminalSettings,
+  type BellStyle,
+  type CursorStyle
+} from '@/lib/settings';
+
+const SCROLLBACK_LINES = [1000, 5000, 10000, 50000];
+const CURSOR_STYLES: CursorStyle[] = ['block', 'underline', 'bar'];
+const BELL_STYLES: Record<BellStyle, string> = {
+  none: 'Off',
+  visual: 'Flash',
+  sound: 'Sound'
+};
+
+const Field = ({ label, children }: { label: string; children: React.ReactNode }) => (
+  <label className="flex flex-col gap-1">
+    <span className="text-xs text-gray-400">{label}</span>
+    {children}
+  </label>
+);
+
+const inputClass = 'px-2 py-1 rounded bg-black border border-gray-600';
+
+interface SettingsPanelProps {
+  onClose: () => void;
+}
+
+// Terminal appearance and behavior; changes apply to open terminals at once
+const SettingsPanel = ({ onClose }: SettingsPanelProps) => {
+  const settings = useTerminalSettings();
+
+  return (
+    <div className="w-72 flex flex-col bg-gray-900 rounded-lg text-sm text-gray-200 overflow-hidden">
+      <div className="flex items-center gap-1 px-2 py-1 border-b border-gray-700">
+        <span className="flex-1">Terminal settings</span>
+        <button aria-label="Reset to defaults" className="p-1 hover:bg-gray-700 rounded" onClick={resetSettings}>
+          <RotateCcw size={14} />
+        </button>
+        <button aria-label="Close settings" className="p-1 hover:bg-gray-700 rounded" onClick={onClose}>
+          <X size={14} />
+        </button>
+      </div>
+      <div className="flex flex-col gap-3 p-3 overflow-y-auto">
+        <Field label="Theme">
+          <select
+            className={inputClass}
+            value={settings.theme}
+            onChange={event => updateSettings({ theme: event.target.value })}
+          >
+            {Object.entries(THEMES).map(([key, { name }]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+        </Field>
+        <Field label="Font">
+          <select
+            className={inputClass}
+            value={settings.fontFamily}
+            onChange={event => updateSettings({ fontFamily: event.target.value })}
+          >
+            {/* Keep a font set by an older version selectable */}
+            {[...new Set([settings.fontFamily, ...FONT_FAMILIES])].map(font => (
+              <option key={font} value={font}>{font}</option>
+            ))}
+          </select>
+        </Field>
+        <Field label={`Font size: ${settings.fontSize}px`}>
+          <input
+            type="range"
+            min={FONT_SIZE_RANGE.min}
+            max={FONT_SIZE_RANGE.max}
+            value={settings.fontSize}
+            onChange={event => updateSettings({ fontSize: event.target.valueAsNumber })}
+          />
+        </Field>
+        <Field label="Cursor">
+          <select
+            className={inputClass}
+            value={settings.cursorStyle}
+            onChange={event => updateSettings({ cursorStyle: event.target.value as CursorStyle })}
+          >
+            {CURSOR_STYLES.map(style => (
+              <option key={style} value={style}>{style}</option>
+            ))}
+          </select>
+        </Field>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.cursorBlink}
+            onChange={event => updateSettings({ cursorBlink: event.target.checked })}
+          />
+          Blinking cursor
+        </label>
+        <Field label="Scrollback lines">
+          <select
+            className={inputClass}
+            value={settings.scrollback}
+            onChange={event => updateSettings({ scrollback: Number(event.target.value) })}
+          >
+            {[...new Set([settings.scrollback, ...SCROLLBACK_LINES])].sort((a, b) => a - b).map(lines => (
+              <option key={lines} value={lines}>{lines.toLocaleString()}</option>
+            ))}
+          </select>
+        </Field>
+        <Field label="Bell">
+          <select
+            className={inputClass}
+            value={settings.bell}
+            onChange={event => updateSettings({ bell: event.target.value as BellStyle })}
+          >
+            {Object.entries(BELL_STYLES).map(([style, label]) => (
+              <option key={style} value={style}>{label}</option>
+            ))}
+          </select>
+        </Field>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
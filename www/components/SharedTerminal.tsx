@@ -0,0 +1,40 @@
+"use client";
+
+import React from 'react';
+import dynamic from 'next/dynamic';
+import Link from 'next/link';
+
+const XtermTerminal = dynamic(() => import('@/components/Terminal'), { ssr: false });
+
+// A shell someone shared with a link of the form
+// /terminal/join?session=<id>&shell=<id>&share=<token>
+const SharedTerminal = () => {
+  const params = new URLSearchParams(window.location.search);
+  const sessionId = params.get('session');
+  const shellId = params.get('shell');
+  const share = params.get('share');
+
+  if (!sessionId || !shellId || !share) {
+    return (
+      <div className="bg-red-500 text-white px-4 py-2 rounded">
+        This share link is incomplete. Ask for a new one.
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col h-full gap-2">
+      <div className="flex items-center text-sm text-gray-400">
+        <span>Shared shell</span>
+        <Link href="/terminal" className="ml-auto hover:text-white">
+          Open your own terminal →
+        </Link>
+      </div>
+      <div className="flex-1 min-h-0">
+        <XtermTerminal sessionId={sessionId} shellId={shellId} share={share} />
+      </div>
+    </div>
+  );
+};
+
+export default SharedTerminal;
@@ -0,0 +1,72 @@
+"use client";
+
+import React from 'react';
+import { cn } from '@/lib/utils';
+import { formatBytes } from '@/lib/format';
+import type { EgressPolicy, StatsFrame } from '@/lib/protocol';
+
+const Gauge = ({ label, value, max, text }: { label: string; value: number; max: number; text: string }) => {
+  const ratio = max > 0 ? Math.min(value / max, 1) : 0;
+  return (
+    <div className="flex items-center gap-1" title={`${label}: ${text}`}>
+      <span className="text-gray-500">{label}</span>
+      <div className="w-12 h-1.5 bg-gray-700 rounded overflow-hidden">
+        <div
+          className={cn('h-full', ratio > 0.9 ? 'bg-red-500' : ratio > 0.7 ? 'bg-yellow-400' : 'bg-green-500')}
+          style={{ width: `${ratio * 100}%` }}
+        />
+      </div>
+      <span>{text}</span>
+    </div>
+  );
+};
+
+const EGRESS_LABELS: Record<EgressPolicy['mode'], string> = {
+  none: 'offline',
+  allowlist: 'allowlist',
+  full: 'open'
+};
+
+// The session's outbound network policy, with the allowed hosts on hover
+const EgressBadge = ({ egress }: { egress: EgressPolicy }) => (
+  <span
+    className={cn('ml-auto', egress.mode === 'full' ? 'text-gray-500' : 'text-yellow-400')}
+    title={egress.mode === 'allowlist' ? `Outbound access only to: ${egress.allow.join(', ')}` : undefined}
+  >
+    EGRESS {EGRESS_LABELS[egress.mode]}
+    {egress.mode === 'allowlist' && ` (${egress.allow.length})`}
+  </span>
+);
+
+// Resource usage of the session container, updated from stats frames, and its egress policy
+const StatusBar = ({ stats, egress }: { stats: StatsFrame | null; egress: EgressPolicy | null }) => {
+  if (!stats) {
+    return (
+      <div className="h-6 px-2 text-xs text-gray-500 flex items-center gap-4">
+        Waiting for resource usage…
+        {egress && <EgressBadge egress={egress} />}
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-6 px-2 flex items-center gap-4 text-xs text-gray-300 font-mono">
+      <Gauge label="CPU" value={stats.cpuPercent ?? 0} max={100} text={`${stats.cpuPercent ?? '–'}%`} />
+      {stats.memoryBytes !== null && stats.memoryLimitBytes !== null && (
+        <Gauge
+          label="MEM"
+          value={stats.memoryBytes}
+          max={stats.memoryLimitBytes}
+          text={`${formatBytes(stats.memoryBytes)} / ${formatBytes(stats.memoryLimitBytes)}`}
+        />
+      )}
+      <Gauge label="PROC" value={stats.pids} max={stats.pidsLimit} text={`${stats.pids} / ${stats.pidsLimit}`} />
+      <span className="text-gray-500">
+        NET ↓{formatBytes(stats.network.rxBytes)} ↑{formatBytes(stats.network.txBytes)}
+      </span>
+      {egress && <EgressBadge egress={egress} />}
+    </div>
+  );
+};
+
+export default StatusBar;
@@ -0,0 +1,129 @@
+"use client";
+
+import React, { useEffect, useState } from 'react';
+import { cn } from '@/lib/utils';
+import { apiFetch } from '@/lib/api';
+
+export interface TemplateInfo {
+  id: string;
+  name: string;
+  description: string;
+  image: string;
+  resources: {
+    memoryMb: number;
+    cpuShares: number;
+    pidsLimit: number;
+  };
+  persistentHome: boolean;
+}
+
+export interface Usage {
+  sessions: { used: number; limit: number | null };
+  hourly: { used: number; limit: number | null; resetsIn: number };
+  containers: { used: number; limit: number | null };
+  exempt: boolean;
+}
+
+interface TemplatePickerProps {
+  onSelect: (templateId: string, persistentHome: boolean) => void;
+  disabled?: boolean;
+}
+
+const TemplatePicker = ({ onSelect, disabled = false }: TemplatePickerProps) => {
+  const [templates, setTemplates] = useState<TemplateInfo[]>([]);
+  const [selected, setSelected] = useState<string>('');
+  const [error, setError] = useState<string>('');
+  const [usage, setUsage] = useState<Usage | null>(null);
+  const [persistentHome, setPersistentHome] = useState(true);
+
+  useEffect(() => {
+    const loadTemplates = async () => {
+      try {
+        const response = await apiFetch('/api/templates');
+        if (!response.ok) throw new Error('Failed to load templates');
+        const { defaultTemplate, templates } = await response.json();
+        setTemplates(templates);
+        setSelected(defaultTemplate);
+      } catch {
+        setError('Failed to load environment templates');
+      }
+    };
+
+    const loadUsage = async () => {
+      try {
+        const response = await apiFetch('/api/usage');
+        if (response.ok) setUsage(await response.json());
+      } catch {
+        // Usage is informational only
+      }
+    };
+
+    loadTemplates();
+    loadUsage();
+  }, []);
+
+  const supportsPersistentHome = templates.some(template => template.id === selected && template.persistentHome);
+
+  const atLimit = Boolean(usage && !usage.exempt && usage.sessions.limit !== null &&
+    usage.sessions.used >= usage.sessions.limit);
+
+  if (error) {
+    return (
+      <div className="bg-red-500 text-white px-4 py-2 rounded">
+        {error}
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto flex flex-col gap-4 text-gray-100">
+      <h1 className="text-xl font-semibold">Choose an environment</h1>
+      <div className="grid gap-3 sm:grid-cols-2">
+        {templates.map(template => (
+          <button
+            key={template.id}
+            className={cn(
+              'text-left p-4 rounded-lg border',
+              template.id === selected
+                ? 'border-green-400 bg-black'
+                : 'border-gray-600 bg-gray-700 hover:border-gray-400'
+            )}
+            onClick={() => setSelected(template.id)}
+          >
+            <div className="font-medium">{template.name}</div>
+            <div className="text-sm text-gray-400">{template.description}</div>
+            <div className="mt-2 text-xs text-gray-500 font-mono">
+              {template.image} · {template.resources.memoryMb} MB
+            </div>
+          </button>
+        ))}
+      </div>
+      {supportsPersistentHome && (
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={persistentHome}
+            onChange={event => setPersistentHome(event.target.checked)}
+          />
+          Keep my home directory between sessions
+        </label>
+      )}
+      <div className="flex items-center gap-4">
+        <button
+          className="px-4 py-2 rounded bg-green-600 hover:bg-green-500 disabled:opacity-50"
+          disabled={disabled || !selected || atLimit}
+          onClick={() => onSelect(selected, supportsPersistentHome && persistentHome)}
+        >
+          {disabled ? 'Starting…' : 'Start session'}
+        </button>
+        {usage && !usage.exempt && usage.sessions.limit !== null && (
+          <span className={cn('text-sm', atLimit ? 'text-red-400' : 'text-gray-400')}>
+            {usage.sessions.used} of {usage.sessions.limit} sessions in use
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TemplatePicker;
@@ -1,115 +1,177 @@
-/* eslint-disable @typescript-eslint/no-unused-vars */
 "use client";
 
-import React, { useEffect, useRef, useState } from 'react';
-import { Terminal } from 'xterm';
-import { FitAddon } from 'xterm-addon-fit';
-import 'xterm/css/xterm.css';
-
-const XtermTerminal = () => {
-  const terminalRef = useRef<HTMLDivElement>(null);
-  const xtermRef = useRef<Terminal | null>(null);
-  const wsRef = useRef<WebSocket | null>(null);
-  const [error, setError] = useState<string>('');
-
-  useEffect(() => {
-    initTerminal();
-    return () => {
-      wsRef.current?.close();
-      xtermRef.current?.dispose();
-    };
-  }, []);
-
-  const initTerminal = async () => {
-    if (!terminalRef.current) return;
-
-    const term = new Terminal({
-      cursorBlink: true,
-      fontSize: 14,
-      fontFamily: 'Menlo, Monaco, monospace',
-      theme: {
-        background: '#1a1a1a',
-        foreground: '#00ff00',
-        cursor: '#00ff00'
-      },
-      cols: 80,
-      rows: 24
+import React, { useRef, useState } from 'react';
+import { Plus, RotateCcw } from 'lucide-react';
+import { uploadFile } from '@/lib/files';
+import type { ConnectionState, ShellConnection } from '@/lib/terminal-client';
+import { CloseCode, sessionSurvives, type EgressPolicy, type Participant, type StatsFrame } from '@/lib/protocol';
+import WebTerminal, { EXIT_MESSAGES } from '@/components/WebTerminal';
+import StatusBar from '@/components/StatusBar';
+import PresenceBar from '@/components/PresenceBar';
+
+const UPLOAD_NOTICE_DURATION = 4000;
+
+interface XtermTerminalProps {
+  sessionId: string;
+  // Join this existing shell instead of starting one
+  shellId?: string;
+  // Share link token, when joining someone else's shell
+  share?: string;
+  // Offered on the end screen when given
+  onNewSession?: () => void;
+}
+
+interface Ending {
+  message: string;
+  // Whether a new shell can be started in the same session
+  canRestart: boolean;
+}
+
+// A single shell in the session container, with the app's presence and
+// status bars and drag-and-drop uploads. An instance that started its shell
+// closes it on unmount; one that joined an existing shell leaves it running.
+// When the shell ends, an end screen says why and offers a fresh shell.
+const XtermTerminal = ({ sessionId, shellId, share, onNewSession }: XtermTerminalProps) => {
+  const connectionRef = useRef<ShellConnection | null>(null);
+  const [connectionState, setConnectionState] = useState<ConnectionState>('connecting');
+  const [dragging, setDragging] = useState(false);
+  const [uploadNotice, setUploadNotice] = useState<string>('');
+  const [stats, setStats] = useState<StatsFrame | null>(null);
+  const [egress, setEgress] = useState<EgressPolicy | null>(null);
+  const [ending, setEnding] = useState<Ending | null>(null);
+  // Bumped to replace the terminal with a new shell
+  const [generation, setGeneration] = useState(0);
+  const [currentShellId, setCurrentShellId] = useState<string | null>(shellId ?? null);
+  const [participants, setParticipants] = useState<Participant[]>([]);
+  const [participantId, setParticipantId] = useState<string | null>(null);
+
+  const listen = (connection: ShellConnection) => {
+    connectionRef.current = connection;
+    connection.on('hello', (hello) => {
+      setCurrentShellId(hello.shellId);
+      setParticipantId(hello.participantId);
+      setEgress(hello.egress);
     });
-
-    const fitAddon = new FitAddon();
-    term.loadAddon(fitAddon);
-    term.open(terminalRef.current);
-    fitAddon.fit();
-    xtermRef.current = term;
-
-    try {
-      const response = await fetch('http://localhost:3001/api/sessions', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ cols: term.cols, rows: term.rows })
+    connection.on('presence', setParticipants);
+    connection.on('stats', setStats);
+    connection.on('exit', (exit) => {
+      setEnding({
+        message: exit.reason === 'exited'
+          ? `The shell exited with code ${exit.code ?? 'unknown'}`
+          : EXIT_MESSAGES[exit.reason],
+        // A shared shell cannot be restarted by the people it was shared with
+        canRestart: !shellId && sessionSurvives(exit.reason)
       });
-
-      if (!response.ok) throw new Error('Session creation failed');
-      const { sessionId } = await response.json();
-      connectWebSocket(sessionId, term, fitAddon);
-    } catch (err) {
-      setError('Failed to create session');
-    }
+    });
+    connection.on('close', ({ code }) => {
+      setStats(null);
+      setParticipants([]);
+      if (code === CloseCode.SESSION_NOT_FOUND) {
+        setEnding(current => current ?? { message: 'The session no longer exists', canRestart: false });
+      }
+    });
   };
 
-  const connectWebSocket = (sessionId: string, term: Terminal, fitAddon: FitAddon) => {
-    const ws = new WebSocket(`ws://localhost:3001/ws?sessionId=${sessionId}`);
-    wsRef.current = ws;
-
-    ws.onopen = () => {
-      term.write('\r\nConnected to terminal\r\n');
-      
-      term.onData(data => {
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.send(data);
-        }
-      });
-
-      const handleResize = () => {
-        fitAddon.fit();
-        fetch(`http://localhost:3001/api/sessions/${sessionId}/resize`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ cols: term.cols, rows: term.rows })
-        });
-      };
-
-      window.addEventListener('resize', handleResize);
-    };
+  const restart = () => {
+    setEnding(null);
+    setStats(null);
+    setCurrentShellId(null);
+    setConnectionState('connecting');
+    setGeneration(generation + 1);
+  };
 
-    ws.onmessage = (event) => {
-      if (event.data instanceof Blob) {
-        const reader = new FileReader();
-        reader.onload = () => {
-          if (typeof reader.result === 'string') {
-            term.write(reader.result);
-          }
-        };
-        reader.readAsText(event.data);
-      } else {
-        term.write(event.data);
+  // Dropped files go to the session's working directory
+  const uploadDropped = async (files: FileList) => {
+    for (const file of Array.from(files)) {
+      setUploadNotice(`Uploading ${file.name}…`);
+      try {
+        const path = await uploadFile(sessionId, file);
+        setUploadNotice(`Uploaded ${path}`);
+      } catch (err) {
+        setUploadNotice(err instanceof Error ? err.message : `Failed to upload ${file.name}`);
       }
-    };
-
-    ws.onerror = () => setError('WebSocket error');
-    ws.onclose = () => term.write('\r\nDisconnected\r\n');
+    }
+    setTimeout(() => setUploadNotice(''), UPLOAD_NOTICE_DURATION);
   };
 
   return (
-    <div className="h-[600px] bg-black rounded-lg overflow-hidden">
-      <div ref={terminalRef} className="h-full" />
-      {error && (
-        <div className="absolute bottom-4 right-4 bg-red-500 text-white px-4 py-2 rounded">
-          {error}
+    <div
+      className="relative h-full flex flex-col bg-black rounded-lg overflow-hidden"
+      onDragOver={event => {
+        // Uploads go through the owner's API access, which share links do not grant
+        if (share || !event.dataTransfer.types.includes('Files')) return;
+        event.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={event => {
+        event.preventDefault();
+        setDragging(false);
+        if (event.dataTransfer.files.length > 0) uploadDropped(event.dataTransfer.files);
+      }}
+    >
+      {connectionState !== 'disconnected' && (
+        <PresenceBar
+          sessionId={sessionId}
+          shellId={currentShellId}
+          participants={participants}
+          participantId={participantId}
+          canShare={!share}
+          onHandoff={to => connectionRef.current?.handoff(to)}
+        />
+      )}
+      <WebTerminal
+        key={generation}
+        className="flex-1 min-h-0"
+        sessionId={sessionId}
+        shellId={shellId}
+        share={share}
+        onConnection={listen}
+        onStateChange={setConnectionState}
+      />
+      {connectionState !== 'disconnected' && <StatusBar stats={stats} egress={egress} />}
+      {ending && (
+        <div className="absolute inset-0 flex items-center justify-center bg-black/80">
+          <div className="flex flex-col items-center gap-4 text-center px-6">
+            <h2 className="text-lg font-semibold text-white">
+              {ending.canRestart ? 'Shell ended' : 'Session ended'}
+            </h2>
+            <p className="text-sm text-gray-300">{ending.message}</p>
+            <div className="flex gap-2">
+              {ending.canRestart && (
+                <button
+                  className="flex items-center gap-2 px-3 py-1.5 rounded bg-green-600 text-white hover:bg-green-500"
+                  onClick={restart}
+                >
+                  <RotateCcw size={16} />
+                  Restart shell
+                </button>
+              )}
+              {onNewSession && (
+                <button
+                  className="flex items-center gap-2 px-3 py-1.5 rounded bg-gray-700 text-white hover:bg-gray-600"
+                  onClick={onNewSession}
+                >
+                  <Plus size={16} />
+                  New session
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+      {dragging && (
+        <div className="absolute inset-0 flex items-center justify-center bg-black/70 border-2 border-dashed border-green-400 text-green-400 pointer-events-none">
+          Drop files to upload
+        </div>
+      )}
+      {uploadNotice && (
+        <div className="absolute bottom-4 left-4 bg-gray-700 text-white px-4 py-2 rounded">
+          {uploadNotice}
         </div>
       )}
     </div>
   );
 };
 
-export default XtermTerminal;
\ No newline at end of file
+export default XtermTerminal;
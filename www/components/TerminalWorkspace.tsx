@@ -0,0 +1,253 @@
+"use client";
+
+import React, { useState } from 'react';
+import dynamic from 'next/dynamic';
+import Link from 'next/link';
+import { Columns2, FolderOpen, LayoutList, LogOut, Plus, Rows2, Settings, X } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import TemplatePicker from '@/components/TemplatePicker';
+import FileBrowser from '@/components/FileBrowser';
+import SettingsPanel from '@/components/SettingsPanel';
+import { apiFetch } from '@/lib/api';
+import { clearToken } from '@/lib/auth';
+
+const XtermTerminal = dynamic(() => import('@/components/Terminal'), { ssr: false });
+
+const MAX_PANES_PER_TAB = 4;
+
+type SplitDirection = 'row' | 'column';
+
+interface Tab {
+  id: string;
+  title: string;
+  panes: string[];
+  direction: SplitDirection;
+}
+
+let nextId = 0;
+const newId = (prefix: string) => `${prefix}-${++nextId}`;
+
+const createTab = (index: number): Tab => ({
+  id: newId('tab'),
+  title: `Shell ${index}`,
+  panes: [newId('pane')],
+  direction: 'row'
+});
+
+// Tabs and split panes, each pane running its own shell in one container session
+const TerminalWorkspace = () => {
+  // /terminal?session=<id> reopens an existing session, e.g. from the dashboard
+  const [sessionId, setSessionId] = useState<string | null>(
+    () => new URLSearchParams(window.location.search).get('session')
+  );
+  const [error, setError] = useState<string>('');
+  const [tabs, setTabs] = useState<Tab[]>(() => [createTab(1)]);
+  const [activeTabId, setActiveTabId] = useState<string>(() => tabs[0].id);
+  const [tabCount, setTabCount] = useState(1);
+  const [starting, setStarting] = useState(false);
+  const [showFiles, setShowFiles] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+
+  const createSession = async (template: string, persistentHome: boolean) => {
+    setStarting(true);
+    try {
+      const response = await apiFetch('/api/sessions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ template, persistentHome, cols: 80, rows: 24 })
+      });
+
+      if (response.status === 429 || response.status === 507) {
+        const { error } = await response.json();
+        setError(error);
+        return;
+      }
+      if (!response.ok) throw new Error('Session creation failed');
+      const { sessionId } = await response.json();
+      setSessionId(sessionId);
+      // Reloading the page reopens the session instead of starting another
+      window.history.replaceState(null, '', `?session=${sessionId}`);
+    } catch {
+      setError('Failed to create session');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  // Back to the template picker, with a fresh set of tabs for the next session
+  const newSession = () => {
+    const tab = createTab(1);
+    setSessionId(null);
+    setTabs([tab]);
+    setActiveTabId(tab.id);
+    setTabCount(1);
+    window.history.replaceState(null, '', window.location.pathname);
+  };
+
+  const addTab = () => {
+    const tab = createTab(tabCount + 1);
+    setTabCount(tabCount + 1);
+    setTabs([...tabs, tab]);
+    setActiveTabId(tab.id);
+  };
+
+  const closeTab = (tabId: string) => {
+    const remaining = tabs.filter(tab => tab.id !== tabId);
+    setTabs(remaining);
+    if (activeTabId === tabId && remaining.length > 0) {
+      setActiveTabId(remaining[remaining.length - 1].id);
+    }
+  };
+
+  const splitTab = (tabId: string, direction: SplitDirection) => {
+    setTabs(tabs.map(tab =>
+      tab.id === tabId && tab.panes.length < MAX_PANES_PER_TAB
+        ? { ...tab, direction, panes: [...tab.panes, newId('pane')] }
+        : tab
+    ));
+  };
+
+  const closePane = (tabId: string, paneId: string) => {
+    const tab = tabs.find(tab => tab.id === tabId);
+    if (tab && tab.panes.length === 1) {
+      closeTab(tabId);
+      return;
+    }
+    setTabs(tabs.map(tab =>
+      tab.id === tabId ? { ...tab, panes: tab.panes.filter(id => id !== paneId) } : tab
+    ));
+  };
+
+  const signOut = () => {
+    clearToken();
+    window.location.assign('/login');
+  };
+
+  const activeTab = tabs.find(tab => tab.id === activeTabId);
+
+  if (error) {
+    return (
+      <div className="bg-red-500 text-white px-4 py-2 rounded">
+        {error}
+      </div>
+    );
+  }
+
+  if (!sessionId) {
+    return <TemplatePicker onSelect={createSession} disabled={starting} />;
+  }
+
+  return (
+    <div className="flex flex-col h-full gap-2">
+      <div className="flex items-center gap-1 text-sm text-gray-200">
+        {tabs.map(tab => (
+          <div
+            key={tab.id}
+            className={cn(
+              'flex items-center gap-2 px-3 py-1 rounded-t cursor-pointer',
+              tab.id === activeTabId ? 'bg-black' : 'bg-gray-700 hover:bg-gray-600'
+            )}
+            onClick={() => setActiveTabId(tab.id)}
+          >
+            <span>{tab.title}</span>
+            <button
+              aria-label={`Close ${tab.title}`}
+              onClick={event => {
+                event.stopPropagation();
+                closeTab(tab.id);
+              }}
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+        <button aria-label="New tab" className="p-1 hover:bg-gray-600 rounded" onClick={addTab}>
+          <Plus size={16} />
+        </button>
+        {activeTab && (
+          <div className="ml-auto flex gap-1">
+            <button
+              aria-label="Split right"
+              className="p-1 hover:bg-gray-600 rounded disabled:opacity-40"
+              disabled={activeTab.panes.length >= MAX_PANES_PER_TAB}
+              onClick={() => splitTab(activeTab.id, 'row')}
+            >
+              <Columns2 size={16} />
+            </button>
+            <button
+              aria-label="Split down"
+              className="p-1 hover:bg-gray-600 rounded disabled:opacity-40"
+              disabled={activeTab.panes.length >= MAX_PANES_PER_TAB}
+              onClick={() => splitTab(activeTab.id, 'column')}
+            >
+              <Rows2 size={16} />
+            </button>
+          </div>
+        )}
+        <Link
+          aria-label="Sessions"
+          className={cn('p-1 hover:bg-gray-600 rounded', !activeTab && 'ml-auto')}
+          href="/sessions"
+        >
+          <LayoutList size={16} />
+        </Link>
+        <button
+          aria-label="Files"
+          className={cn('p-1 hover:bg-gray-600 rounded', showFiles && 'bg-gray-600')}
+          onClick={() => setShowFiles(!showFiles)}
+        >
+          <FolderOpen size={16} />
+        </button>
+        <button
+          aria-label="Settings"
+          className={cn('p-1 hover:bg-gray-600 rounded', showSettings && 'bg-gray-600')}
+          onClick={() => setShowSettings(!showSettings)}
+        >
+          <Settings size={16} />
+        </button>
+        <button
+          aria-label="Sign out"
+          className="p-1 hover:bg-gray-600 rounded"
+          onClick={signOut}
+        >
+          <LogOut size={16} />
+        </button>
+      </div>
+
+      <div className="flex flex-1 min-h-0 gap-2">
+        <div className="flex flex-1 min-w-0 flex-col">
+          {tabs.map(tab => (
+            // Inactive tabs stay mounted so their shells keep streaming
+            <div
+              key={tab.id}
+              className={cn(
+                'flex-1 min-h-0 gap-2',
+                tab.id === activeTabId ? 'flex' : 'hidden',
+                tab.direction === 'row' ? 'flex-row' : 'flex-col'
+              )}
+            >
+              {tab.panes.map(paneId => (
+                <div key={paneId} className="relative flex-1 min-w-0 min-h-0">
+                  {tab.panes.length > 1 && (
+                    <button
+                      aria-label="Close pane"
+                      className="absolute top-1 right-1 z-10 p-1 text-gray-400 hover:text-white"
+                      onClick={() => closePane(tab.id, paneId)}
+                    >
+                      <X size={14} />
+                    </button>
+                  )}
+                  <XtermTerminal sessionId={sessionId} onNewSession={newSession} />
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+        {showFiles && <FileBrowser sessionId={sessionId} onClose={() => setShowFiles(false)} />}
+        {showSettings && <SettingsPanel onClose={() => setShowSettings(false)} />}
+      </div>
+    </div>
+  );
+};
+
+export default TerminalWorkspace;
@@ -0,0 +1,323 @@
+"use client";
+
+import React, { useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import { Terminal, type ITheme } from 'xterm';
+import { FitAddon } from 'xterm-addon-fit';
+import { SearchAddon } from 'xterm-addon-search';
+import { WebLinksAddon } from 'xterm-addon-web-links';
+import 'xterm/css/xterm.css';
+import { cn } from '@/lib/utils';
+import { terminalOptions } from '@/lib/terminal-theme';
+import { getSettings, useTerminalSettings, type TerminalSettings } from '@/lib/settings';
+import { CloseCode, type ExitReason, type Role } from '@/lib/protocol';
+import {
+  TerminalClient,
+  type ConnectionState,
+  type ExitFrame,
+  type HelloFrame,
+  type ShellConnection
+} from '@/lib/terminal-client';
+import SearchBar from '@/components/SearchBar';
+
+const BELL_FLASH_DURATION = 150;
+
+export const EXIT_MESSAGES: Record<Exclude<ExitReason, 'exited'>, string> = {
+  'oom-killed': 'Shell was killed for exceeding the session memory limit',
+  'container-stopped': 'The session container stopped',
+  'closed': 'The shell was closed',
+  'idle-timeout': 'The session ended after being idle for too long',
+  'max-lifetime': 'The session reached its maximum lifetime',
+  'session-ended': 'The session was ended',
+  'admin-killed': 'The session was ended by an administrator',
+  'server-shutdown': 'The server shut down'
+};
+
+let audioContext: AudioContext | null = null;
+
+// A short beep for the audible bell
+const beep = () => {
+  if (!audioContext) audioContext = new AudioContext();
+  const oscillator = audioContext.createOscillator();
+  const gain = audioContext.createGain();
+  oscillator.frequency.value = 880;
+  gain.gain.setValueAtTime(0.1, audioContext.currentTime);
+  gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.15);
+  oscillator.connect(gain).connect(audioContext.destination);
+  oscillator.start();
+  oscillator.stop(audioContext.currentTime + 0.15);
+};
+
+// Ctrl+Shift+F, which shells leave alone
+const isFindShortcut = (event: KeyboardEvent) =>
+  event.type === 'keydown' && event.ctrlKey && event.shiftKey && event.code === 'KeyF';
+
+export interface WebTerminalHandle {
+  // Type into the shell
+  write: (data: string) => void;
+  // Type a command and press enter
+  run: (command: string) => void;
+  focus: () => void;
+  connection: () => ShellConnection | null;
+}
+
+export interface WebTerminalProps {
+  // Defaults to this app's backend with the stored credential
+  client?: TerminalClient;
+  // Open a shell in this session; without one, a session is started from
+  // template and ended when the component unmounts
+  sessionId?: string;
+  template?: string;
+  persistentHome?: boolean;
+  // Join this existing shell instead of starting one
+  shellId?: string;
+  // Share link token, when joining someone else's shell
+  share?: string;
+  // A THEMES key or an xterm theme, instead of the user's setting
+  theme?: string | ITheme;
+  // Overrides of the user's other terminal settings
+  settings?: Partial<TerminalSettings>;
+  // Typed into a newly started shell once it is connected
+  initialCommand?: string;
+  className?: string;
+  ref?: React.Ref<WebTerminalHandle>;
+  onSession?: (sessionId: string) => void;
+  // The shell's connection, for listening to more of its events
+  onConnection?: (connection: ShellConnection) => void;
+  onReady?: (hello: HelloFrame) => void;
+  onExit?: (exit: ExitFrame) => void;
+  onStateChange?: (state: ConnectionState) => void;
+  onError?: (message: string) => void;
+}
+
+// An xterm.js terminal attached to one shell, with search, clickable links,
+// bell handling and the user's settings. A terminal that started its shell
+// closes it on unmount, and one that started its session ends that too.
+const WebTerminal = (props: WebTerminalProps) => {
+  const { client: clientProp, sessionId, template, persistentHome, shellId, share, className, ref } = props;
+  const containerRef = useRef<HTMLDivElement>(null);
+  const xtermRef = useRef<Terminal | null>(null);
+  const fitAddonRef = useRef<FitAddon | null>(null);
+  const searchAddonRef = useRef<SearchAddon | null>(null);
+  const connectionRef = useRef<ShellConnection | null>(null);
+  const roleRef = useRef<Role | null>(null);
+  // Callbacks and options are read when needed rather than restarting the shell
+  const propsRef = useRef(props);
+  propsRef.current = props;
+
+  const [state, setState] = useState<ConnectionState>('connecting');
+  const [error, setError] = useState('');
+  const [searching, setSearching] = useState(false);
+  const [bellFlash, setBellFlash] = useState(false);
+
+  const client = useMemo(() => clientProp ?? new TerminalClient(), [clientProp]);
+  const userSettings = useTerminalSettings();
+  const settings = { ...userSettings, ...props.settings, ...(typeof props.theme === 'string' && { theme: props.theme }) };
+  const options = terminalOptions(settings);
+  if (props.theme && typeof props.theme === 'object') options.theme = props.theme;
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+  const optionsKey = JSON.stringify(options);
+
+  useImperativeHandle(ref, () => ({
+    write: data => connectionRef.current?.write(data),
+    run: command => connectionRef.current?.write(`${command}\r`),
+    focus: () => xtermRef.current?.focus(),
+    connection: () => connectionRef.current
+  }), []);
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+    let disposed = false;
+    let ownedSession: string | null = null;
+    let sentInitialCommand = false;
+
+    const fail = (message: string) => {
+      setError(message);
+      propsRef.current.onError?.(message);
+    };
+
+    const term = new Terminal({ ...optionsRef.current, cols: 80, rows: 24 });
+    const fitAddon = new FitAddon();
+    const searchAddon = new SearchAddon();
+    term.loadAddon(fitAddon);
+    term.loadAddon(searchAddon);
+    term.loadAddon(new WebLinksAddon());
+    term.open(containerRef.current);
+    fitAddon.fit();
+    xtermRef.current = term;
+    fitAddonRef.current = fitAddon;
+    searchAddonRef.current = searchAddon;
+
+    term.onData(data => connectionRef.current?.write(data));
+    term.attachCustomKeyEventHandler(event => {
+      if (!isFindShortcut(event)) return true;
+      setSearching(true);
+      return false;
+    });
+    term.onBell(() => {
+      const bell = propsRef.current.settings?.bell ?? getSettings().bell;
+      if (bell === 'sound') {
+        beep();
+      } else if (bell === 'visual') {
+        setBellFlash(true);
+        setTimeout(() => setBellFlash(false), BELL_FLASH_DURATION);
+      }
+    });
+
+    // Drivers size the shell to their pane; viewers follow the shell's size
+    const applyRole = (role: Role, cols: number, rows: number) => {
+      roleRef.current = role;
+      term.options.disableStdin = role === 'viewer';
+      if (role === 'driver') {
+        fitAddon.fit();
+        connectionRef.current?.resize(term.cols, term.rows);
+      } else {
+        term.resize(cols, rows);
+      }
+    };
+
+    // Panes change size when splitting or switching tabs, not only on window resize
+    const resizeObserver = new ResizeObserver(() => {
+      if (roleRef.current === 'viewer') return;
+      fitAddon.fit();
+      connectionRef.current?.resize(term.cols, term.rows);
+    });
+    resizeObserver.observe(containerRef.current);
+
+    const attach = (connection: ShellConnection) => {
+      connection.on('output', ({ text, bytes }) => term.write(text, () => connection.ack(bytes)));
+      connection.on('state', (next) => {
+        setState(next);
+        propsRef.current.onStateChange?.(next);
+      });
+      connection.on('hello', (hello) => {
+        // The server replays its scrollback after a resumed hello
+        if (hello.resumed) {
+          term.reset();
+        } else {
+          term.write('\r\nConnected to terminal\r\n');
+        }
+        setError('');
+        applyRole(hello.role, hello.cols, hello.rows);
+        const { initialCommand } = propsRef.current;
+        if (initialCommand && !shellId && !hello.resumed && !sentInitialCommand) {
+          sentInitialCommand = true;
+          connection.write(`${initialCommand}\r`);
+        }
+        propsRef.current.onReady?.(hello);
+      });
+      connection.on('resize', ({ cols, rows }) => {
+        if (roleRef.current === 'viewer') term.resize(cols, rows);
+      });
+      connection.on('presence', () => {
+        // Control was handed to or taken from this client
+        if (connection.role && connection.role !== roleRef.current) {
+          applyRole(connection.role, term.cols, term.rows);
+        }
+      });
+      connection.on('exit', (exit) => {
+        if (exit.reason && exit.reason !== 'exited') {
+          term.write(`\r\n\x1b[31m${EXIT_MESSAGES[exit.reason]}\x1b[0m\r\n`);
+        } else {
+          term.write(`\r\nShell exited with code ${exit.code ?? 'unknown'}\r\n`);
+        }
+        propsRef.current.onExit?.(exit);
+      });
+      connection.on('notice', notice => term.write(`\r\n${notice.message}\r\n`));
+      connection.on('error', fail);
+      connection.on('close', ({ code }) => {
+        // The exit frame has already explained why the shell ended
+        if (code !== CloseCode.SHELL_EXITED) {
+          term.write('\r\nDisconnected\r\n');
+        }
+      });
+      propsRef.current.onConnection?.(connection);
+    };
+
+    const start = async () => {
+      let id = sessionId;
+      if (!id) {
+        term.write('Starting session…\r\n');
+        try {
+          ({ sessionId: id } = await client.createSession({
+            template,
+            persistentHome,
+            cols: term.cols,
+            rows: term.rows
+          }));
+        } catch (err) {
+          if (!disposed) {
+            setState('disconnected');
+            fail(err instanceof Error ? err.message : 'Failed to create session');
+          }
+          return;
+        }
+        if (disposed) {
+          client.deleteSession(id).catch(() => {});
+          return;
+        }
+        ownedSession = id;
+      }
+      propsRef.current.onSession?.(id);
+      const connection = client.connect(id, { shellId, share });
+      connectionRef.current = connection;
+      attach(connection);
+    };
+    start();
+
+    return () => {
+      disposed = true;
+      resizeObserver.disconnect();
+      const connection = connectionRef.current;
+      connectionRef.current = null;
+      connection?.dispose();
+      term.dispose();
+      xtermRef.current = null;
+      if (ownedSession) {
+        client.deleteSession(ownedSession).catch(() => {});
+      } else if (connection && !shellId && connection.shellId) {
+        client.closeShell(connection.sessionId, connection.shellId).catch(() => {});
+      }
+    };
+  }, [client, sessionId, template, persistentHome, shellId, share]);
+
+  // Settings change while terminals are open; a new font size changes how
+  // many rows and columns fit, so the shell is resized to match
+  useEffect(() => {
+    const term = xtermRef.current;
+    if (!term) return;
+    term.options = optionsRef.current;
+    if (roleRef.current !== 'viewer') {
+      fitAddonRef.current?.fit();
+      connectionRef.current?.resize(term.cols, term.rows);
+    }
+  }, [optionsKey]);
+
+  return (
+    <div className={cn('relative', className ?? 'h-full')}>
+      <div ref={containerRef} className="h-full" />
+      {searching && searchAddonRef.current && (
+        <SearchBar
+          search={searchAddonRef.current}
+          onClose={() => {
+            setSearching(false);
+            xtermRef.current?.focus();
+          }}
+        />
+      )}
+      {bellFlash && <div className="absolute inset-0 bg-white/20 pointer-events-none" />}
+      {state === 'reconnecting' && (
+        <div className="absolute top-4 right-4 bg-yellow-500 text-black px-4 py-2 rounded">
+          Reconnecting…
+        </div>
+      )}
+      {error && (
+        <div className="absolute bottom-4 right-4 bg-red-500 text-white px-4 py-2 rounded">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebTerminal;
@@ -0,0 +1,45 @@
+import type { SessionInfo } from '@/lib/sessions';
+import type { Role } from '@/lib/protocol';
+
+export interface AdminSessionInfo extends SessionInfo {
+  // Everyone connected to one of the session's shells
+  participants: { shellId: string; user: string; role: Role }[];
+}
+
+export const AUDIT_TYPES = [
+  'session-created',
+  'shell-attached',
+  'command-blocked',
+  'session-extended',
+  'session-killed',
+  'session-ended',
+  'notice-sent'
+] as const;
+
+export type AuditType = typeof AUDIT_TYPES[number];
+
+// user is whoever acted; owner the session's owner when that is someone else.
+// Other fields depend on the type, e.g. command and rule for command-blocked.
+export interface AuditEntry {
+  time: string;
+  type: AuditType;
+  sessionId?: string;
+  user?: string;
+  owner?: string;
+  [field: string]: unknown;
+}
+
+export interface AuditQuery {
+  q?: string;
+  type?: AuditType | '';
+  user?: string;
+  session?: string;
+}
+
+export const auditPath = (query: AuditQuery) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value) params.set(key, value);
+  }
+  return `/api/admin/audit?${params}`;
+};
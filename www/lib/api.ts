@@ -0,0 +1,33 @@
+import { clearToken, getToken, loginPath } from '@/lib/auth';
+
+declare global {
+  interface Window {
+    // Set by public/config.js, which deployments edit without rebuilding
+    TERMINAL_CONFIG?: { apiUrl?: string };
+  }
+}
+
+const DEFAULT_BACKEND_PORT = 3001;
+
+// The backend's base URL: config.js's apiUrl, else NEXT_PUBLIC_API_URL at
+// build time, else the backend port on the page's own host and scheme
+export const apiUrl = (): string => {
+  const configured = window.TERMINAL_CONFIG?.apiUrl || process.env.NEXT_PUBLIC_API_URL;
+  if (configured) return configured.replace(/\/+$/, '');
+  return `${window.location.protocol}//${window.location.hostname}:${DEFAULT_BACKEND_PORT}`;
+};
+
+// fetch() against the backend with the stored credential. A 401 means the
+// credential is missing or no longer valid, so send the user to log in.
+export const apiFetch = async (path: string, init: RequestInit = {}): Promise<Response> => {
+  const token = getToken();
+  const headers = new Headers(init.headers);
+  if (token) headers.set('Authorization', `Bearer ${token}`);
+
+  const response = await fetch(`${apiUrl()}${path}`, { ...init, headers });
+  if (response.status === 401) {
+    clearToken();
+    window.location.assign(loginPath());
+  }
+  return response;
+};
@@ -0,0 +1,43 @@
+// Parsing for asciicast v2 recordings: a JSON header line followed by one
+// [time, code, data] event per line.
+
+export interface AsciicastHeader {
+  version: 2;
+  width: number;
+  height: number;
+  timestamp?: number;
+  title?: string;
+}
+
+export type AsciicastEvent = [time: number, code: string, data: string];
+
+export interface Asciicast {
+  header: AsciicastHeader;
+  events: AsciicastEvent[];
+  duration: number;
+}
+
+export const parseAsciicast = (text: string): Asciicast => {
+  const lines = text.split('\n').filter(line => line.trim() !== '');
+  if (lines.length === 0) throw new Error('Empty recording');
+
+  const header = JSON.parse(lines[0]);
+  if (header.version !== 2) throw new Error('Unsupported asciicast version');
+
+  const events: AsciicastEvent[] = [];
+  for (const line of lines.slice(1)) {
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      // A recording that is still being written may end in a partial line
+    }
+  }
+
+  return { header, events, duration: events.length > 0 ? events[events.length - 1][0] : 0 };
+};
+
+// "120x40" -> { cols: 120, rows: 40 }
+export const parseSize = (data: string) => {
+  const [cols, rows] = data.split('x').map(Number);
+  return cols > 0 && rows > 0 ? { cols, rows } : null;
+};
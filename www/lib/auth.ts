@@ -0,0 +1,15 @@
+// The credential (API token or JWT) is kept in localStorage and sent as a
+// bearer token to the REST API and as a query parameter on the WebSocket.
+
+const TOKEN_KEY = 'terminal-on-web.token';
+
+export const getToken = (): string | null =>
+  typeof window === 'undefined' ? null : window.localStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token: string) => window.localStorage.setItem(TOKEN_KEY, token);
+
+export const clearToken = () => window.localStorage.removeItem(TOKEN_KEY);
+
+// The query string is kept so links such as shared shells survive signing in
+export const loginPath = (next = window.location.pathname + window.location.search) =>
+  `/login?next=${encodeURIComponent(next)}`;
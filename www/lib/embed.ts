@@ -0,0 +1,89 @@
+// The /embed page: a chrome-free terminal for iframes in docs and course
+// pages. It is configured by its query string, with the credential in the
+// fragment so it never reaches server logs or Referer headers, e.g.
+//
+//   /embed?template=python&command=python3#token=...
+//
+// The credential can instead come in an init command. Either way it must come
+// with the embed: the login stored for the app itself is never used, so a
+// page cannot open a terminal as whoever visits it.
+//
+// Only the origins in the server's EMBED_ORIGINS can frame the page (with
+// frame-ancestors) or talk to it. It talks to the embedding page with
+// postMessage; messages either way are objects with source: EMBED_SOURCE and
+// a type. The page accepts EmbedCommands only from its parent window at an
+// allowed origin, and posts EmbedEvents to the parent once it knows its
+// origin: the referrer's, or that of the first command.
+
+import type { ConnectionState } from '@/lib/terminal-client';
+import type { ExitReason } from '@/lib/protocol';
+
+export const EMBED_SOURCE = 'terminal-on-web';
+
+export type EmbedEvent =
+  | { type: 'session'; sessionId: string }
+  | { type: 'ready'; sessionId: string; shellId: string }
+  | { type: 'state'; state: ConnectionState }
+  | { type: 'exit'; code: number | null; reason: ExitReason }
+  | { type: 'error'; message: string }
+  // The credential was refused; embed again with a valid one
+  | { type: 'unauthorized' };
+
+export type EmbedCommand =
+  // Sent once the frame has loaded, with the credential if the URL has none
+  | { type: 'init'; token?: string }
+  | { type: 'input'; data: string }
+  // Type a command and press enter
+  | { type: 'run'; command: string }
+  | { type: 'focus' }
+  // End the terminal, and the session if the embed started it
+  | { type: 'end' };
+
+export interface EmbedOptions {
+  // Start a session from this template (the server default when omitted)...
+  template?: string;
+  // ...or open a shell in this existing session
+  sessionId?: string;
+  // A THEMES key
+  theme?: string;
+  fontSize?: number;
+  // Typed into the shell once it is connected
+  command?: string;
+  token?: string;
+}
+
+// Origins allowed to embed the page, from a comma-separated list such as
+// EMBED_ORIGINS="https://docs.example,https://course.example"
+export const parseOrigins = (value: string | undefined): string[] =>
+  (value ?? '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+
+// The iframe src for options, on the app at base
+export const embedUrl = (base: string, { token, fontSize, sessionId, ...options }: EmbedOptions): string => {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(options)) {
+    if (value) query.set(key, value);
+  }
+  if (sessionId) query.set('session', sessionId);
+  if (fontSize) query.set('fontSize', String(fontSize));
+  const fragment = token ? `#${new URLSearchParams({ token })}` : '';
+  return `${base.replace(/\/+$/, '')}/embed?${query}${fragment}`;
+};
+
+export const parseEmbedOptions = (location: Location): EmbedOptions => {
+  const query = new URLSearchParams(location.search);
+  const fragment = new URLSearchParams(location.hash.slice(1));
+  const fontSize = Number(query.get('fontSize'));
+  return {
+    template: query.get('template') ?? undefined,
+    sessionId: query.get('session') ?? undefined,
+    theme: query.get('theme') ?? undefined,
+    fontSize: fontSize > 0 ? fontSize : undefined,
+    command: query.get('command') ?? undefined,
+    token: fragment.get('token') ?? undefined
+  };
+};
+
+export const isEmbedCommand = (data: unknown): data is EmbedCommand & { source: string } =>
+  typeof data === 'object' && data !== null &&
+  (data as { source?: unknown }).source === EMBED_SOURCE &&
+  typeof (data as { type?: unknown }).type === 'string';
@@ -0,0 +1,61 @@
+import { apiFetch } from '@/lib/api';
+
+export interface FileEntry {
+  name: string;
+  type: 'file' | 'directory' | 'symlink' | 'other';
+  size: number;
+  mtime: string;
+}
+
+export interface DirectoryListing {
+  path: string;
+  entries: FileEntry[];
+  truncated: boolean;
+}
+
+const errorMessage = async (response: Response, fallback: string) => {
+  try {
+    const { error } = await response.json();
+    return error || fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Without a path the server lists the session's working directory
+export const listDirectory = async (sessionId: string, path?: string): Promise<DirectoryListing> => {
+  const query = path ? `?${new URLSearchParams({ path })}` : '';
+  const response = await apiFetch(`/api/sessions/${sessionId}/files${query}`);
+  if (!response.ok) throw new Error(await errorMessage(response, 'Failed to list directory'));
+  return response.json();
+};
+
+// Upload into a directory, or the session's working directory
+export const uploadFile = async (sessionId: string, file: File, dir?: string): Promise<string> => {
+  const params = new URLSearchParams({ name: file.name });
+  if (dir) params.set('path', dir);
+
+  const response = await apiFetch(`/api/sessions/${sessionId}/files?${params}`, {
+    method: 'POST',
+    // Always octet-stream, so the server never tries to parse the contents
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: file
+  });
+  if (!response.ok) throw new Error(await errorMessage(response, `Failed to upload ${file.name}`));
+  const { path } = await response.json();
+  return path;
+};
+
+// Directories arrive as a tar archive
+export const downloadPath = async (sessionId: string, path: string, isDirectory: boolean) => {
+  const response = await apiFetch(`/api/sessions/${sessionId}/files/download?${new URLSearchParams({ path })}`);
+  if (!response.ok) throw new Error(await errorMessage(response, 'Download failed'));
+
+  const name = path.split('/').filter(Boolean).pop() || 'download';
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = isDirectory ? `${name}.tar` : name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,102 @@
+// Client side of the framed WebSocket protocol (see backend/lib/protocol.js).
+// Binary frames carry raw terminal output; everything else is JSON text.
+// Clients acknowledge output bytes once rendered, or the server stops sending.
+
+export const PROTOCOL_VERSION = 1;
+export const SUBPROTOCOL = `terminal.v${PROTOCOL_VERSION}`;
+
+export const CloseCode = {
+  SHELL_EXITED: 4000,
+  REPLACED: 4001,
+  SESSION_NOT_FOUND: 4004,
+  SHELL_NOT_FOUND: 4005,
+  SHELL_LIMIT_REACHED: 4006,
+  // Viewers that fall too far behind are disconnected, and can reconnect
+  TOO_SLOW: 4007,
+  UNAUTHORIZED: 4401,
+  FORBIDDEN: 4403
+} as const;
+
+export type ExitReason =
+  | 'exited'
+  | 'oom-killed'
+  | 'container-stopped'
+  | 'closed'
+  | 'idle-timeout'
+  | 'max-lifetime'
+  | 'session-ended'
+  | 'admin-killed'
+  | 'server-shutdown';
+
+// Whether the session is still running after a shell ended for reason
+export const sessionSurvives = (reason: ExitReason): boolean =>
+  reason === 'exited' || reason === 'closed' || reason === 'oom-killed';
+
+// Drivers can type into a shared shell; viewers only watch
+export type Role = 'driver' | 'viewer';
+
+export interface Participant {
+  id: string;
+  user: string;
+  role: Role;
+  joinedAt: string;
+}
+
+// Outbound network access of the session; allowlisted hosts go through the egress proxy
+export interface EgressPolicy {
+  mode: 'none' | 'allowlist' | 'full';
+  allow: string[];
+}
+
+export interface StatsFrame {
+  type: 'stats';
+  cpuPercent: number | null;
+  memoryBytes: number | null;
+  memoryLimitBytes: number | null;
+  pids: number;
+  pidsLimit: number;
+  network: { rxBytes: number; txBytes: number };
+}
+
+export type ClientFrame =
+  | { type: 'input'; data: string }
+  | { type: 'resize'; cols: number; rows: number }
+  | { type: 'ping'; id: number }
+  | { type: 'pong'; id?: number }
+  | { type: 'handoff'; to: string }
+  | { type: 'ack'; bytes: number };
+
+export type ServerFrame =
+  | {
+      type: 'hello';
+      sessionId: string;
+      shellId: string;
+      cols: number;
+      rows: number;
+      resumed: boolean;
+      participantId: string;
+      role: Role;
+      egress: EgressPolicy;
+    }
+  | { type: 'resize'; cols: number; rows: number }
+  | { type: 'presence'; participants: Participant[] }
+  | { type: 'pong'; id?: number }
+  | { type: 'ping'; id?: number }
+  | { type: 'exit'; code: number | null; reason: ExitReason }
+  | { type: 'notice'; level: 'info' | 'warning' | 'error'; message: string }
+  | StatsFrame;
+
+export const encodeFrame = (frame: ClientFrame): string =>
+  JSON.stringify({ v: PROTOCOL_VERSION, ...frame });
+
+export const decodeFrame = (data: string): ServerFrame | null => {
+  try {
+    const frame = JSON.parse(data);
+    if (!frame || frame.v !== PROTOCOL_VERSION || typeof frame.type !== 'string') {
+      return null;
+    }
+    return frame as ServerFrame;
+  } catch {
+    return null;
+  }
+};
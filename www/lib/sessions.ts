@@ -0,0 +1,61 @@
+import { apiFetch } from '@/lib/api';
+import type { EgressPolicy } from '@/lib/protocol';
+
+export interface ResourceUsage {
+  cpuPercent: number | null;
+  memoryBytes: number | null;
+  memoryLimitBytes: number | null;
+  pids: number;
+  network: { rxBytes: number; txBytes: number };
+}
+
+// The container protections a session runs with; tmpfsMb maps mount points to size limits
+// and homeMb limits the session's own home directory, null with a persistent home
+export interface SessionSecurity {
+  profile: string;
+  user: string;
+  seccomp: 'shipped' | 'unconfined';
+  noNewPrivileges: boolean;
+  capabilities: string[];
+  readOnlyRootfs: boolean;
+  egress: EgressPolicy;
+  tmpfsMb: Record<string, number>;
+  homeMb: number | null;
+}
+
+export interface SessionInfo {
+  sessionId: string;
+  owner: string;
+  template: string;
+  image: string;
+  state: 'running' | 'paused';
+  persistentHome: boolean;
+  security: SessionSecurity;
+  createdAt: string;
+  expiresAt: string;
+  ageSeconds: number;
+  idleSeconds: number;
+  shells: number;
+  resources: ResourceUsage | null;
+}
+
+export interface SnapshotImage {
+  imageId: string;
+  image: string;
+  owner: string;
+  template: string;
+  description: string;
+  createdAt: string;
+  sizeBytes: number;
+}
+
+// POST/GET/DELETE against the API, throwing the server's error message on failure
+export const apiRequest = async <T>(path: string, init: RequestInit = {}): Promise<T> => {
+  const response = await apiFetch(path, {
+    ...init,
+    headers: init.body ? { 'Content-Type': 'application/json', ...init.headers } : init.headers
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(body.error || `Request failed (${response.status})`);
+  return body;
+};
@@ -0,0 +1,114 @@
+import { useSyncExternalStore } from 'react';
+import { apiUrl } from '@/lib/api';
+import { getToken } from '@/lib/auth';
+
+// Terminal preferences, kept in localStorage per signed-in user so people
+// sharing a browser keep their own. Viewers without a token share "guest".
+
+export type CursorStyle = 'block' | 'underline' | 'bar';
+export type BellStyle = 'none' | 'visual' | 'sound';
+
+export interface TerminalSettings {
+  // A key of THEMES
+  theme: string;
+  fontFamily: string;
+  fontSize: number;
+  cursorStyle: CursorStyle;
+  cursorBlink: boolean;
+  scrollback: number;
+  bell: BellStyle;
+}
+
+export const DEFAULT_SETTINGS: TerminalSettings = {
+  theme: 'classic',
+  fontFamily: 'Menlo, Monaco, monospace',
+  fontSize: 14,
+  cursorStyle: 'block',
+  cursorBlink: true,
+  scrollback: 1000,
+  bell: 'none'
+};
+
+export const FONT_SIZE_RANGE = { min: 8, max: 32 };
+export const SCROLLBACK_RANGE = { min: 0, max: 100000 };
+
+const STORAGE_PREFIX = 'terminal-on-web.settings.';
+const GUEST = 'guest';
+
+let userId: string | null = null;
+let userLookup: Promise<string> | null = null;
+let current: TerminalSettings = DEFAULT_SETTINGS;
+const listeners = new Set<() => void>();
+
+const clamp = (value: unknown, { min, max }: { min: number; max: number }, fallback: number) =>
+  typeof value === 'number' && Number.isFinite(value) ? Math.min(max, Math.max(min, Math.round(value))) : fallback;
+
+// Stored values may come from an older version or be edited by hand, and
+// inputs can be half typed; invalid fields keep their value from base
+const sanitize = (stored: Partial<TerminalSettings>, base = DEFAULT_SETTINGS): TerminalSettings => ({
+  theme: typeof stored.theme === 'string' ? stored.theme : base.theme,
+  fontFamily: typeof stored.fontFamily === 'string' && stored.fontFamily ? stored.fontFamily : base.fontFamily,
+  fontSize: clamp(stored.fontSize, FONT_SIZE_RANGE, base.fontSize),
+  cursorStyle: ['block', 'underline', 'bar'].includes(stored.cursorStyle as string)
+    ? stored.cursorStyle as CursorStyle
+    : base.cursorStyle,
+  cursorBlink: typeof stored.cursorBlink === 'boolean' ? stored.cursorBlink : base.cursorBlink,
+  scrollback: clamp(stored.scrollback, SCROLLBACK_RANGE, base.scrollback),
+  bell: ['none', 'visual', 'sound'].includes(stored.bell as string) ? stored.bell as BellStyle : base.bell
+});
+
+const load = (id: string): TerminalSettings => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_PREFIX + id);
+    return stored ? sanitize(JSON.parse(stored)) : DEFAULT_SETTINGS;
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+const notify = () => listeners.forEach(listener => listener());
+
+// Plain fetch rather than apiFetch: failing to identify the user should fall
+// back to guest settings, not send a share-link viewer to the login page
+const lookupUser = (): Promise<string> => {
+  const token = getToken();
+  if (!token) return Promise.resolve(GUEST);
+  return fetch(`${apiUrl()}/api/auth/me`, { headers: { Authorization: `Bearer ${token}` } })
+    .then(response => response.ok ? response.json() : null)
+    .then(body => body?.user?.id ?? GUEST)
+    .catch(() => GUEST);
+};
+
+// Loads the signed-in user's settings once per page
+const ensureLoaded = () => {
+  if (userLookup || typeof window === 'undefined') return;
+  userLookup = lookupUser();
+  userLookup.then(id => {
+    userId = id;
+    current = load(id);
+    notify();
+  });
+};
+
+export const getSettings = () => current;
+
+export const updateSettings = (changes: Partial<TerminalSettings>) => {
+  current = sanitize({ ...current, ...changes }, current);
+  if (userId) {
+    window.localStorage.setItem(STORAGE_PREFIX + userId, JSON.stringify(current));
+  }
+  notify();
+};
+
+export const resetSettings = () => updateSettings(DEFAULT_SETTINGS);
+
+const subscribe = (listener: () => void) => {
+  ensureLoaded();
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+export const useTerminalSettings = (): TerminalSettings =>
+  useSyncExternalStore(subscribe, getSettings, () => DEFAULT_SETTINGS);
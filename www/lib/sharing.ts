@@ -0,0 +1,30 @@
+import { apiRequest } from '@/lib/sessions';
+import type { Role } from '@/lib/protocol';
+
+export interface ShareInfo {
+  shareId: string;
+  role: Role;
+  createdBy: string;
+  createdAt: string;
+}
+
+const sharesPath = (sessionId: string, shellId: string) =>
+  `/api/sessions/${sessionId}/shells/${shellId}/shares`;
+
+export const listShares = async (sessionId: string, shellId: string): Promise<ShareInfo[]> => {
+  const { shares } = await apiRequest<{ shares: ShareInfo[] }>(sharesPath(sessionId, shellId));
+  return shares;
+};
+
+// Resolves to the link to hand out; its token cannot be fetched again later
+export const createShareLink = async (sessionId: string, shellId: string, role: Role): Promise<string> => {
+  const { token } = await apiRequest<ShareInfo & { token: string }>(sharesPath(sessionId, shellId), {
+    method: 'POST',
+    body: JSON.stringify({ role })
+  });
+  const query = new URLSearchParams({ session: sessionId, shell: shellId, share: token });
+  return `${window.location.origin}/terminal/join?${query}`;
+};
+
+export const revokeShare = (sessionId: string, shellId: string, shareId: string) =>
+  apiRequest(`${sharesPath(sessionId, shellId)}/${shareId}`, { method: 'DELETE' });
@@ -0,0 +1,357 @@
+// Typed client for the session REST API and the shell WebSocket protocol.
+// TerminalClient creates, inspects and ends sessions; ShellConnection is one
+// shell's WebSocket, reconnecting on its own until the shell is gone.
+//
+// Output arrives as text together with its size in bytes; call ack(bytes)
+// once it has been rendered, or the server stops sending.
+
+import { apiUrl } from '@/lib/api';
+import { clearToken, getToken, loginPath } from '@/lib/auth';
+import type { SessionInfo } from '@/lib/sessions';
+import {
+  SUBPROTOCOL,
+  CloseCode,
+  encodeFrame,
+  decodeFrame,
+  type ClientFrame,
+  type Participant,
+  type Role,
+  type ServerFrame,
+  type StatsFrame
+} from '@/lib/protocol';
+
+const KEEPALIVE_INTERVAL = 25000;
+const RECONNECT_BASE_DELAY = 500;
+const RECONNECT_MAX_DELAY = 10000;
+const RECONNECT_MAX_ATTEMPTS = 10;
+// Rendered output is acknowledged in batches at most this often
+const ACK_INTERVAL = 50;
+
+// Close codes after which reconnecting cannot succeed
+const FINAL_CLOSE_CODES: number[] = [
+  CloseCode.SHELL_EXITED,
+  CloseCode.REPLACED,
+  CloseCode.SESSION_NOT_FOUND,
+  CloseCode.SHELL_NOT_FOUND,
+  CloseCode.SHELL_LIMIT_REACHED,
+  CloseCode.UNAUTHORIZED,
+  CloseCode.FORBIDDEN
+];
+
+export type ConnectionState = 'connecting' | 'connected' | 'reconnecting' | 'disconnected';
+
+export type HelloFrame = Extract<ServerFrame, { type: 'hello' }>;
+export type ExitFrame = Extract<ServerFrame, { type: 'exit' }>;
+export type NoticeFrame = Extract<ServerFrame, { type: 'notice' }>;
+
+export interface ShellEvents {
+  hello: HelloFrame;
+  output: { text: string; bytes: number };
+  // The driver resized the shell
+  resize: { cols: number; rows: number };
+  presence: Participant[];
+  stats: StatsFrame;
+  notice: NoticeFrame;
+  exit: ExitFrame;
+  state: ConnectionState;
+  error: string;
+  // The connection is closed for good; code is the WebSocket close code
+  close: { code: number; reason: string };
+}
+
+type Listener<T> = (value: T) => void;
+
+// Failed API requests, with the server's error message
+export class ApiError extends Error {
+  constructor(message: string, readonly status: number) {
+    super(message);
+    this.name = 'ApiError';
+  }
+}
+
+export interface ClientOptions {
+  // The backend's base URL; defaults to this app's configured backend
+  apiUrl?: string;
+  // API token or JWT; defaults to the one stored at login
+  token?: string | null;
+  // Called when the credential is refused; defaults to going to the login page
+  onUnauthorized?: () => void;
+}
+
+export interface CreateSessionOptions {
+  // Omitted for the server's default template
+  template?: string;
+  // A snapshot image to start from instead of the template's image
+  image?: string;
+  persistentHome?: boolean;
+  cols?: number;
+  rows?: number;
+}
+
+export interface CreatedSession {
+  sessionId: string;
+  template: string;
+  pooled: boolean;
+  persistentHome: boolean;
+  expiresAt: string;
+}
+
+export interface ExecRequest {
+  command: string;
+  stdin?: string;
+  env?: Record<string, string>;
+  // Seconds; the server default when omitted
+  timeout?: number;
+}
+
+export interface ExecResult {
+  // null if the command could not be killed cleanly at its timeout
+  exitCode: number | null;
+  timedOut: boolean;
+  durationMs: number;
+  stdout: string;
+  stderr: string;
+  // Output past the server's limit was dropped
+  truncated: boolean;
+}
+
+export interface ConnectOptions {
+  // Join this existing shell instead of starting one
+  shellId?: string;
+  // Share link token, when joining someone else's shell
+  share?: string;
+}
+
+export class TerminalClient {
+  readonly apiUrl: string;
+  private readonly token: string | null;
+  readonly onUnauthorized: () => void;
+
+  constructor(options: ClientOptions = {}) {
+    this.apiUrl = (options.apiUrl ?? apiUrl()).replace(/\/+$/, '');
+    this.token = options.token === undefined ? getToken() : options.token;
+    this.onUnauthorized = options.onUnauthorized ?? (() => {
+      clearToken();
+      window.location.assign(loginPath());
+    });
+  }
+
+  // JSON request against the API, throwing ApiError on failure
+  async request<T>(path: string, init: RequestInit = {}): Promise<T> {
+    const headers = new Headers(init.headers);
+    if (this.token) headers.set('Authorization', `Bearer ${this.token}`);
+    if (init.body) headers.set('Content-Type', 'application/json');
+
+    const response = await fetch(`${this.apiUrl}${path}`, { ...init, headers });
+    if (response.status === 401) this.onUnauthorized();
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new ApiError(body.error || `Request failed (${response.status})`, response.status);
+    return body;
+  }
+
+  createSession(options: CreateSessionOptions = {}): Promise<CreatedSession> {
+    return this.request('/api/sessions', { method: 'POST', body: JSON.stringify(options) });
+  }
+
+  getSession(sessionId: string): Promise<SessionInfo> {
+    return this.request(`/api/sessions/${sessionId}`);
+  }
+
+  async deleteSession(sessionId: string): Promise<void> {
+    await this.request(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+  }
+
+  async closeShell(sessionId: string, shellId: string): Promise<void> {
+    await this.request(`/api/sessions/${sessionId}/shells/${shellId}`, { method: 'DELETE' });
+  }
+
+  // Run a command without a TTY and wait for it to finish
+  exec(sessionId: string, request: ExecRequest): Promise<ExecResult> {
+    return this.request(`/api/sessions/${sessionId}/exec`, { method: 'POST', body: JSON.stringify(request) });
+  }
+
+  // As exec, in a throwaway session from template
+  run(request: ExecRequest & { template?: string }): Promise<ExecResult> {
+    return this.request('/api/run', { method: 'POST', body: JSON.stringify(request) });
+  }
+
+  // Open a shell in the session, or join one with options.shellId
+  connect(sessionId: string, options: ConnectOptions = {}): ShellConnection {
+    return new ShellConnection(this, sessionId, options);
+  }
+
+  // WebSockets go to the same backend, over wss when it is served over https
+  socketUrl(params: Record<string, string>): string {
+    const query = new URLSearchParams(params);
+    if (this.token) query.set('token', this.token);
+    return `${this.apiUrl.replace(/^http/, 'ws')}/ws?${query}`;
+  }
+}
+
+export class ShellConnection {
+  // Set by the first hello; reconnects resume this shell
+  shellId: string | null;
+  participantId: string | null = null;
+  role: Role | null = null;
+  state: ConnectionState = 'connecting';
+
+  private ws: WebSocket | null = null;
+  private listeners = new Map<keyof ShellEvents, Set<Listener<never>>>();
+  private reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+  private keepalive: ReturnType<typeof setInterval> | undefined;
+  private ackTimer: ReturnType<typeof setTimeout> | undefined;
+  private unacked = 0;
+  private disposed = false;
+
+  constructor(
+    private readonly client: TerminalClient,
+    readonly sessionId: string,
+    private readonly options: ConnectOptions
+  ) {
+    this.shellId = options.shellId ?? null;
+    this.open(0);
+  }
+
+  // Returns a function that removes the listener
+  on<K extends keyof ShellEvents>(event: K, listener: Listener<ShellEvents[K]>): () => void {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    const listeners = this.listeners.get(event) as Set<Listener<ShellEvents[K]>>;
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  }
+
+  write(data: string) {
+    this.send({ type: 'input', data });
+  }
+
+  resize(cols: number, rows: number) {
+    this.send({ type: 'resize', cols, rows });
+  }
+
+  // Give control of the shell to another participant
+  handoff(to: string) {
+    this.send({ type: 'handoff', to });
+  }
+
+  // Acknowledge rendered output; sent in batches
+  ack(bytes: number) {
+    this.unacked += bytes;
+    if (this.ackTimer) return;
+    this.ackTimer = setTimeout(() => {
+      this.ackTimer = undefined;
+      this.send({ type: 'ack', bytes: this.unacked });
+      this.unacked = 0;
+    }, ACK_INTERVAL);
+  }
+
+  // Close the WebSocket without ending the shell
+  dispose() {
+    this.disposed = true;
+    clearTimeout(this.reconnectTimer);
+    this.ws?.close();
+    this.listeners.clear();
+  }
+
+  private emit<K extends keyof ShellEvents>(event: K, value: ShellEvents[K]) {
+    const listeners = this.listeners.get(event) as Set<Listener<ShellEvents[K]>> | undefined;
+    listeners?.forEach(listener => listener(value));
+  }
+
+  private setState(state: ConnectionState) {
+    this.state = state;
+    this.emit('state', state);
+  }
+
+  private send(frame: ClientFrame) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(encodeFrame(frame));
+    }
+  }
+
+  private open(attempt: number) {
+    const params: Record<string, string> = { sessionId: this.sessionId };
+    if (this.shellId) params.shellId = this.shellId;
+    if (this.options.share) params.share = this.options.share;
+
+    const ws = new WebSocket(this.client.socketUrl(params), SUBPROTOCOL);
+    ws.binaryType = 'arraybuffer';
+    this.ws = ws;
+
+    let pingId = 0;
+    let opened = false;
+    // Output is one UTF-8 stream, so characters split across frames are decoded whole
+    const decoder = new TextDecoder();
+
+    ws.onopen = () => {
+      opened = true;
+      this.keepalive = setInterval(() => this.send({ type: 'ping', id: ++pingId }), KEEPALIVE_INTERVAL);
+    };
+
+    ws.onmessage = (event) => {
+      if (event.data instanceof ArrayBuffer) {
+        this.emit('output', { text: decoder.decode(event.data, { stream: true }), bytes: event.data.byteLength });
+        return;
+      }
+
+      const frame = decodeFrame(event.data);
+      if (!frame) return;
+
+      switch (frame.type) {
+        case 'hello':
+          this.shellId = frame.shellId;
+          this.participantId = frame.participantId;
+          this.role = frame.role;
+          this.setState('connected');
+          this.emit('hello', frame);
+          break;
+        case 'resize':
+          this.emit('resize', { cols: frame.cols, rows: frame.rows });
+          break;
+        case 'presence': {
+          const self = frame.participants.find(participant => participant.id === this.participantId);
+          if (self) this.role = self.role;
+          this.emit('presence', frame.participants);
+          break;
+        }
+        case 'exit':
+          this.emit('exit', frame);
+          break;
+        case 'stats':
+          this.emit('stats', frame);
+          break;
+        case 'notice':
+          this.emit('notice', frame);
+          break;
+        case 'ping':
+          this.send({ type: 'pong', id: frame.id });
+          break;
+      }
+    };
+
+    ws.onerror = () => this.emit('error', 'WebSocket error');
+    ws.onclose = (event) => {
+      clearInterval(this.keepalive);
+      clearTimeout(this.ackTimer);
+      this.ackTimer = undefined;
+      this.unacked = 0;
+      if (this.disposed) return;
+
+      if (event.code === CloseCode.UNAUTHORIZED) {
+        this.client.onUnauthorized();
+      }
+
+      const nextAttempt = opened ? 1 : attempt + 1;
+      if (FINAL_CLOSE_CODES.includes(event.code) || nextAttempt > RECONNECT_MAX_ATTEMPTS) {
+        this.setState('disconnected');
+        this.emit('close', { code: event.code, reason: event.reason });
+        return;
+      }
+
+      this.setState('reconnecting');
+      const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** (nextAttempt - 1), RECONNECT_MAX_DELAY);
+      this.reconnectTimer = setTimeout(() => this.open(nextAttempt), delay);
+    };
+  }
+}
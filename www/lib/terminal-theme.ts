@@ -0,0 +1,102 @@
+import type { ITerminalOptions, ITheme } from 'xterm';
+import type { TerminalSettings } from '@/lib/settings';
+
+export const THEMES: Record<string, { name: string; theme: ITheme }> = {
+  classic: {
+    name: 'Classic green',
+    theme: { background: '#1a1a1a', foreground: '#00ff00', cursor: '#00ff00' }
+  },
+  dark: {
+    name: 'Dark',
+    theme: {
+      background: '#1e1e1e',
+      foreground: '#d4d4d4',
+      cursor: '#aeafad',
+      selectionBackground: '#264f78',
+      black: '#000000',
+      red: '#cd3131',
+      green: '#0dbc79',
+      yellow: '#e5e510',
+      blue: '#2472c8',
+      magenta: '#bc3fbc',
+      cyan: '#11a8cd',
+      white: '#e5e5e5',
+      brightBlack: '#666666',
+      brightRed: '#f14c4c',
+      brightGreen: '#23d18b',
+      brightYellow: '#f5f543',
+      brightBlue: '#3b8eea',
+      brightMagenta: '#d670d6',
+      brightCyan: '#29b8db',
+      brightWhite: '#e5e5e5'
+    }
+  },
+  light: {
+    name: 'Light',
+    theme: {
+      background: '#ffffff',
+      foreground: '#333333',
+      cursor: '#333333',
+      selectionBackground: '#add6ff',
+      black: '#000000',
+      red: '#cd3131',
+      green: '#00bc00',
+      yellow: '#949800',
+      blue: '#0451a5',
+      magenta: '#bc05bc',
+      cyan: '#0598bc',
+      white: '#555555',
+      brightBlack: '#666666',
+      brightRed: '#cd3131',
+      brightGreen: '#14ce14',
+      brightYellow: '#b5ba00',
+      brightBlue: '#0451a5',
+      brightMagenta: '#bc05bc',
+      brightCyan: '#0598bc',
+      brightWhite: '#a5a5a5'
+    }
+  },
+  solarizedDark: {
+    name: 'Solarized dark',
+    theme: {
+      background: '#002b36',
+      foreground: '#839496',
+      cursor: '#93a1a1',
+      selectionBackground: '#073642',
+      black: '#073642',
+      red: '#dc322f',
+      green: '#859900',
+      yellow: '#b58900',
+      blue: '#268bd2',
+      magenta: '#d33682',
+      cyan: '#2aa198',
+      white: '#eee8d5',
+      brightBlack: '#586e75',
+      brightRed: '#cb4b16',
+      brightGreen: '#586e75',
+      brightYellow: '#657b83',
+      brightBlue: '#839496',
+      brightMagenta: '#6c71c4',
+      brightCyan: '#93a1a1',
+      brightWhite: '#fdf6e3'
+    }
+  }
+};
+
+export const FONT_FAMILIES = [
+  'Menlo, Monaco, monospace',
+  '"Fira Code", monospace',
+  '"JetBrains Mono", monospace',
+  '"Courier New", monospace',
+  'monospace'
+];
+
+// Appearance shared by live terminals and recording playback
+export const terminalOptions = (settings: TerminalSettings): ITerminalOptions => ({
+  fontSize: settings.fontSize,
+  fontFamily: settings.fontFamily,
+  theme: (THEMES[settings.theme] ?? THEMES.classic).theme,
+  cursorStyle: settings.cursorStyle,
+  cursorBlink: settings.cursorBlink,
+  scrollback: settings.scrollback
+});
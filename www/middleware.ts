@@ -0,0 +1,14 @@
+import { NextResponse } from "next/server";
+import { parseOrigins } from "@/lib/embed";
+
+// Only the origins in EMBED_ORIGINS may frame the /embed page
+export function middleware() {
+  const response = NextResponse.next();
+  const ancestors = ["'self'", ...parseOrigins(process.env.EMBED_ORIGINS)].join(" ");
+  response.headers.set("Content-Security-Policy", `frame-ancestors ${ancestors}`);
+  return response;
+}
+
+export const config = {
+  matcher: "/embed"
+};
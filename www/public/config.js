@@ -0,0 +1,6 @@
+// Runtime configuration, read before the app starts. Edit this file in a
+// deployment to point the UI at its backend without rebuilding; leave
+// apiUrl empty to use port 3001 on the host serving the page.
+window.TERMINAL_CONFIG = {
+  apiUrl: ''
+};